@@ -0,0 +1,50 @@
+const fs = require('fs')
+const {models} = require('../src/lib/core/dbschema')()
+const {buildGTFSZip} = require('../src/lib/gtfs/export')
+
+const [outputPath, ...flags] = process.argv.slice(2)
+
+if (!outputPath || flags.length % 2 !== 0) {
+  console.error(`
+Syntax:
+
+export DATABASE_URL=postgres://.../
+babel-node export-gtfs.js <output.zip> \\
+  [--company <transportCompanyId>] \\
+  [--tags <tag>,<tag>...] \\
+  [--exclude-tags <tag>,<tag>...] \\
+  --start <YYYY-MM-DD> --end <YYYY-MM-DD>
+
+Routes tagged crowdstart, crowdstart-private or private are left out,
+unless --exclude-tags is given.
+`)
+  process.exit(1)
+}
+
+const args = {}
+for (let i = 0; i < flags.length; i += 2) {
+  args[flags[i].replace(/^--/, '')] = flags[i + 1]
+}
+const list = s => s.split(',').filter(t => t)
+
+if (!args.start || !args.end) {
+  console.error('Both --start and --end dates are required')
+  process.exit(1)
+}
+
+buildGTFSZip(models, {
+  transportCompanyId: args.company && +args.company,
+  tags: args.tags && list(args.tags),
+  excludeTags: args['exclude-tags'] !== undefined ? list(args['exclude-tags']) : undefined,
+  startDate: args.start,
+  endDate: args.end,
+})
+.then(zip => {
+  fs.writeFileSync(outputPath, zip)
+  process.stdout.write(`Wrote ${zip.length} bytes to ${outputPath}\n`)
+  process.exit(0)
+})
+.catch(err => {
+  console.error(err.stack)
+  process.exit(1)
+})
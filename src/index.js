@@ -10,6 +10,7 @@ const version = require("../package.json").version
 const routes = require("./lib/routes.js")
 const events = require("./lib/events/events.js")
 const AnalyticsPlugin = require("./lib/util/analytics.js")
+const Payment = require("./lib/transactions/payment.js")
 
 // FORCE DATES TO BE INTEREPRETED AS UTC
 // N.B. we are not overriding behaviour of timestamp type
@@ -102,8 +103,9 @@ server.connection({
         "Beeline-Device-Platform",
         "Beeline-Device-Manufacturer",
         "Beeline-App-Name",
+        "Idempotency-Key",
       ],
-      additionalExposedHeaders: ["Date"],
+      additionalExposedHeaders: ["Date", "Idempotent-Replayed"],
     },
   },
 })
@@ -167,6 +169,9 @@ server
   .then(() => server.start())
   .then(() => {
     console.log("Server started on port " + server.info.port)
+    console.log(
+      `Charging cards through the ${Payment.provider.name} payment provider`
+    )
   })
   // long run loop to send SMS to driver for assigned trip for now
   // Disable because we are not using SMS to send jobs to drivers
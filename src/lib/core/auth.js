@@ -5,6 +5,7 @@ export const auth0Domain = process.env.AUTH0_DOMAIN
 
 const Joi = require("joi")
 const jwt = require("jsonwebtoken")
+const crypto = require("crypto")
 const leftPad = require("left-pad")
 const _ = require("lodash")
 const { models: m } = require("./dbschema")()
@@ -447,6 +448,141 @@ export function signImmediate(payload) {
 }
 export const verifyImmediate = verifyVerification
 
+const toBase64Url = buffer =>
+  buffer
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "")
+
+const toPEM = (label, der) =>
+  [
+    `-----BEGIN ${label}-----`,
+    ...der.toString("base64").match(/.{1,64}/g),
+    `-----END ${label}-----`,
+    "",
+  ].join("\n")
+
+// The DER encodings of P-256 keys, around the private key and the
+// public point, from RFC 5915 and RFC 5480. Written out by hand, since
+// crypto can only import raw EC keys from Node 15 on
+const EC_PRIVATE_KEY_PREFIX = Buffer.from("30770201010420", "hex")
+const EC_PRIVATE_KEY_INFIX = Buffer.from(
+  "a00a06082a8648ce3d030107a144034200",
+  "hex"
+)
+const EC_PUBLIC_KEY_PREFIX = Buffer.from(
+  "3059301306072a8648ce3d020106082a8648ce3d030107034200",
+  "hex"
+)
+
+/**
+ * The key pair used to sign boarding passes. It is derived from the server
+ * secret, so that all servers sign alike, while the public key can be handed
+ * to drivers to verify boarding passes offline
+ * @return {object} the private and public keys as PEM strings,
+ * and the public key as a JWK
+ */
+export const boardingPassKeys = _.once(() => {
+  const privateKey = crypto
+    .createHmac("sha256", secretKey)
+    .update("boarding-pass")
+    .digest()
+  const ecdh = crypto.createECDH("prime256v1")
+  ecdh.setPrivateKey(privateKey)
+
+  // The public key is 0x04, followed by the x and y coordinates
+  const point = ecdh.getPublicKey()
+  const jwk = {
+    kty: "EC",
+    crv: "P-256",
+    x: toBase64Url(point.slice(1, 33)),
+    y: toBase64Url(point.slice(33)),
+  }
+
+  return {
+    privateKey: toPEM(
+      "EC PRIVATE KEY",
+      Buffer.concat([
+        EC_PRIVATE_KEY_PREFIX,
+        privateKey,
+        EC_PRIVATE_KEY_INFIX,
+        point,
+      ])
+    ),
+    publicKey: toPEM(
+      "PUBLIC KEY",
+      Buffer.concat([EC_PUBLIC_KEY_PREFIX, point])
+    ),
+    jwk,
+  }
+})
+
+export const BOARDING_PASS_ALGORITHM = "ES256"
+
+/**
+ * Sign a boarding pass
+ * @param {object} payload - the ticket details, including `exp`,
+ * the time in seconds after which the pass is no longer valid
+ * @return {string} Signed payload
+ */
+export function signBoardingPass(payload) {
+  return jwt.sign(payload, boardingPassKeys().privateKey, {
+    algorithm: BOARDING_PASS_ALGORITHM,
+  })
+}
+
+/**
+ * Verify a boarding pass
+ * @param {string} token
+ * @return {object} Token payload, if successful. Else throws error
+ */
+export function verifyBoardingPass(token) {
+  return jwt.verify(token, boardingPassKeys().publicKey, {
+    algorithms: [BOARDING_PASS_ALGORITHM],
+  })
+}
+
+/**
+ * Calendar tokens are kept in calendar URLs, which are polled by calendar
+ * apps indefinitely. They are signed with a key of their own, so that they
+ * cannot be passed off as session tokens
+ * @return {Buffer} the key used to sign calendar tokens
+ */
+const calendarKey = _.once(() =>
+  crypto
+    .createHmac("sha256", secretKey)
+    .update("calendar")
+    .digest()
+)
+
+/**
+ * Sign a token granting read access to a user's calendar of trips.
+ * The token does not expire, but is revoked once the user's
+ * `notes.calendarTokenVersion` is bumped
+ * @param {object} user - the User instance
+ * @return {string} Signed payload
+ */
+export function signCalendarToken(user) {
+  return jwt.sign(
+    {
+      userId: user.id,
+      version: _.get(user, "notes.calendarTokenVersion", 0),
+    },
+    calendarKey(),
+    { noTimestamp: true }
+  )
+}
+
+/**
+ * Verify a calendar token
+ * @param {string} token
+ * @return {object} Token payload, if successful. Else throws error
+ */
+export function verifyCalendarToken(token) {
+  return jwt.verify(token, calendarKey())
+}
+
 /**
  * @param {number} n
  * @return {string} Randomly generated `n`-digit string
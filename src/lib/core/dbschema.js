@@ -16,6 +16,7 @@ const genModelAndTasks = seq => {
   modelCache.require("Vehicle")
   modelCache.require("Trip")
   modelCache.require("TripStop")
+  modelCache.require("Ping")
   modelCache.require("User")
   modelCache.require("Ticket")
   modelCache.require("Admin")
@@ -40,10 +41,15 @@ const genModelAndTasks = seq => {
   modelCache.require("RouteCredit")
   modelCache.require("RoutePass")
   modelCache.require("PromoUsage")
+  modelCache.require("PromoCode")
   modelCache.require("ContactList")
   modelCache.require("Bid")
+  modelCache.require("WaitlistEntry")
   modelCache.require("UserSuggestedRoute")
   modelCache.require("UserSuggestedRouteStop")
+  modelCache.require("IdempotencyKey")
+  modelCache.require("StripeEvent")
+  modelCache.require("ReconciliationReport")
 
   modelCache.makeAssociations()
   return modelCache
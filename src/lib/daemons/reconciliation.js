@@ -0,0 +1,57 @@
+const moment = require("moment-timezone")
+
+import { startPolling } from "./scheduler"
+import { runReconciliation } from "../transactions/reconciliation"
+
+const reconciliationInterval = 60 * 60000
+
+/**
+ * Reconcile the payments of the previous day in SGT, unless it has been
+ * reconciled already. Polled hourly, so that a day whose report failed
+ * is tried again within the hour
+ * @param {Object} connection - the Sequelize models and db
+ * @param {Number} now - the current time, in milliseconds since epoch
+ * @return {Promise<Object>} the report, or null if the day has been
+ * reconciled already
+ */
+function reconcilePreviousDay(connection, now = Date.now()) {
+  const endTime = moment.tz(now, "Asia/Singapore").startOf("day")
+  const startTime = endTime.clone().subtract(1, "day")
+  return runReconciliation(connection, {
+    startTime: startTime.toDate(),
+    endTime: endTime.toDate(),
+  })
+}
+
+/**
+ * @param {Object} server - a HAPI server
+ * @param {Object} options - unused for now
+ * @param {Function} next - a callback to signal that the next middleware
+ * should initialise
+ */
+async function register(server, options, next) {
+  const pollOptions = {
+    run: () => reconcilePreviousDay(server.plugins.sequelize),
+    name: "Reconcile payments with the payment provider",
+    interval: reconciliationInterval,
+  }
+
+  if (!process.env.NO_DAEMON_MONITORING) {
+    startPolling(pollOptions)
+  }
+  server.expose("reconcilePreviousDay", reconcilePreviousDay)
+
+  next()
+}
+
+register.attributes = {
+  name: "daemon-reconciliation",
+  dependencies: ["sequelize"],
+  version: "1.0.0",
+}
+
+module.exports = {
+  register,
+  reconcilePreviousDay,
+  reconciliationInterval,
+}
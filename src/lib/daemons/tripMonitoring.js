@@ -0,0 +1,311 @@
+import _ from "lodash"
+import * as events from "../events/events"
+import { startPolling } from "./scheduler"
+import { toSVY } from "../util/svy21"
+
+const monitorInterval = 60000
+
+// The minsBefore values accepted by the noPings event, most urgent first
+const NO_PINGS_MINS_BEFORE = [5, 10, 15, 20, 25]
+
+// Trips with stops within this window of the current time are monitored
+const MONITOR_WINDOW_BEFORE = 3 * 3600e3
+const MONITOR_WINDOW_AFTER = (_.max(NO_PINGS_MINS_BEFORE) + 5) * 60000
+
+// The driver app is considered switched off if no pings arrive in this time
+const PING_FRESHNESS = 2 * 60000
+
+// A vehicle has arrived at a stop once it pings within this distance of it
+const ARRIVAL_RADIUS_METRES = 100
+
+// Assumed speed of a bus on its way to the next stop, in metres per millisecond
+const AVERAGE_SPEED = 25000 / 3600e3
+
+// Lateness is always checked against this threshold, in milliseconds, so
+// that subscriptions without a timeAfter of their own are told of late trips
+const DEFAULT_LATENESS_THRESHOLD = 5 * 60000
+
+/**
+ * Look up the distinct timeAfter thresholds of the subscriptions to an event,
+ * together with the default threshold
+ * @param {Object} models - the Sequelize models
+ * @param {string} event - lateArrival or lateETA
+ * @return {Promise<Array>} the thresholds, in milliseconds, in ascending order
+ */
+async function timeAfterThresholdsFor(models, event) {
+  const subscriptions = await models.EventSubscription.findAll({
+    where: { event },
+    attributes: ["params"],
+    raw: true,
+  })
+  return _(subscriptions)
+    .map(s => _.get(s, "params.timeAfter"))
+    .filter(t => typeof t === "number")
+    .concat([DEFAULT_LATENESS_THRESHOLD])
+    .uniq()
+    .sortBy()
+    .value()
+}
+
+/**
+ * Find the trips that are about to start, or are under way
+ * @param {Object} connection - the Sequelize models and db
+ * @param {Number} now - the current time, in milliseconds since epoch
+ * @return {Promise<Array>} the trips, with their route, stops, and number
+ * of passengers
+ */
+async function findTripsToMonitor({ models, db }, now) {
+  const tripIds = await db
+    .query(
+      `SELECT DISTINCT "tripId" FROM "tripStops"
+      WHERE "time" BETWEEN :since AND :until`,
+      {
+        type: db.QueryTypes.SELECT,
+        replacements: {
+          since: new Date(now - MONITOR_WINDOW_BEFORE),
+          until: new Date(now + MONITOR_WINDOW_AFTER),
+        },
+      }
+    )
+    .then(rows => rows.map(r => r.tripId))
+
+  if (tripIds.length === 0) {
+    return []
+  }
+
+  const trips = await models.Trip.findAll({
+    where: { id: { $in: tripIds } },
+    include: [
+      { model: models.TripStop, include: [models.Stop] },
+      { model: models.Route, attributes: { exclude: ["path", "features"] } },
+    ],
+    order: [["id"], [models.TripStop, "time"]],
+  })
+
+  const passengerCounts = await db
+    .query(
+      `SELECT "tripStops"."tripId", count(*)::int AS "numPassengers"
+      FROM tickets
+        INNER JOIN "tripStops" ON tickets."boardStopId" = "tripStops".id
+      WHERE tickets.status = 'valid' AND "tripStops"."tripId" IN (:tripIds)
+      GROUP BY "tripStops"."tripId"`,
+      { type: db.QueryTypes.SELECT, replacements: { tripIds } }
+    )
+    .then(rows => _.keyBy(rows, "tripId"))
+
+  return trips
+    .filter(trip => trip.isRunning && trip.tripStops.length > 0)
+    .map(trip =>
+      _.assign(trip.toJSON(), {
+        numPassengers: _.get(passengerCounts, [trip.id, "numPassengers"], 0),
+      })
+    )
+}
+
+/**
+ * Find the latest ping for each of the given trips, and the time at
+ * which each of their trip stops was first reached
+ * @param {Object} db - the Sequelize db
+ * @param {Array} tripIds - the trips to look up
+ * @return {Promise<Object>} latestPings, keyed by trip id, and
+ * arrivals, the time of arrival keyed by trip stop id
+ */
+async function findPingsFor(db, tripIds) {
+  const latestPings = await db
+    .query(
+      `SELECT DISTINCT ON ("tripId")
+        "tripId", "time", ST_X(coordinates) AS lng, ST_Y(coordinates) AS lat
+      FROM pings
+      WHERE "tripId" IN (:tripIds)
+      ORDER BY "tripId", "time" DESC`,
+      { type: db.QueryTypes.SELECT, replacements: { tripIds } }
+    )
+    .then(rows => _.keyBy(rows, "tripId"))
+
+  const arrivals = await db
+    .query(
+      `SELECT DISTINCT ON ("tripStops".id) "tripStops".id AS "tripStopId", pings."time"
+      FROM "tripStops"
+        INNER JOIN stops ON stops.id = "tripStops"."stopId"
+        INNER JOIN pings ON pings."tripId" = "tripStops"."tripId"
+      WHERE "tripStops"."tripId" IN (:tripIds)
+        AND pings."time" >= "tripStops"."time" - interval '30 minutes'
+        AND ST_DWithin(
+          ST_Transform(ST_SetSRID(stops.coordinates, 4326), 3414),
+          ST_Transform(ST_SetSRID(pings.coordinates, 4326), 3414),
+          :radius
+        )
+      ORDER BY "tripStops".id, pings."time"`,
+      {
+        type: db.QueryTypes.SELECT,
+        replacements: { tripIds, radius: ARRIVAL_RADIUS_METRES },
+      }
+    )
+    .then(rows =>
+      _(rows)
+        .keyBy("tripStopId")
+        .mapValues(r => new Date(r.time).getTime())
+        .value()
+    )
+
+  return { latestPings, arrivals }
+}
+
+/**
+ * Record on a trip that a threshold of an event has been reported. The
+ * record is kept in the database, so that however many servers are
+ * monitoring the trip, only one of them reports each threshold
+ * @param {Object} db - the Sequelize db
+ * @param {Number} tripId - the trip
+ * @param {string} event - noPings, lateArrival or lateETA
+ * @param {Number} threshold - the minsBefore or timeAfter crossed
+ * @return {Promise<Array>} the thresholds of the event reported for the trip
+ * so far, or null if this threshold had already been reported
+ */
+async function markReported(db, tripId, event, threshold) {
+  const [trip] = await db.query(
+    `UPDATE trips
+    SET notes = jsonb_set(
+      coalesce(notes, '{}') ||
+        jsonb_build_object('reported', coalesce(notes->'reported', '{}')),
+      ARRAY['reported', :event],
+      coalesce(notes#>ARRAY['reported', :event], '[]') || to_jsonb(:threshold)
+    )
+    WHERE id = :tripId
+      AND NOT coalesce(notes#>ARRAY['reported', :event], '[]') @>
+        to_jsonb(:threshold)
+    RETURNING notes#>ARRAY['reported', :event] AS "reported"`,
+    {
+      type: db.QueryTypes.SELECT,
+      replacements: { tripId, event, threshold },
+    }
+  )
+  return trip ? trip.reported : null
+}
+
+/**
+ * Report each threshold that the lateness of a trip has crossed, and
+ * that has not yet been reported. Each is raised as an event of its own,
+ * so that subscribers to a threshold hear of it once, and subscribers
+ * to no threshold in particular hear only of the first
+ * @param {Object} db - the Sequelize db
+ * @param {Object} trip - the trip
+ * @param {string} event - lateArrival or lateETA
+ * @param {Number} lateness - how late the trip is, in milliseconds
+ * @param {Array} thresholds - the thresholds to check, in ascending order
+ */
+async function reportLateness(db, trip, event, lateness, thresholds) {
+  for (const threshold of thresholds.filter(t => lateness >= t)) {
+    const reported = await markReported(db, trip.id, event, threshold)
+    if (reported) {
+      events.emit(event, {
+        trip,
+        timeAfter: threshold,
+        firstCrossing: reported.length === 1,
+      })
+    }
+  }
+}
+
+/**
+ * Compare the pings received for trips about to start or under way
+ * with the times of their stops, emitting noPings, lateArrival and
+ * lateETA events as the configured thresholds are crossed
+ * @param {Object} connection - the Sequelize models and db
+ * @param {Number} now - the current time, in milliseconds since epoch
+ */
+async function monitorTrips({ models, db }, now = Date.now()) {
+  const trips = await findTripsToMonitor({ models, db }, now)
+  if (trips.length === 0) {
+    return
+  }
+
+  const { latestPings, arrivals } = await findPingsFor(db, trips.map(t => t.id))
+  const thresholds = {
+    lateArrival: await timeAfterThresholdsFor(models, "lateArrival"),
+    lateETA: await timeAfterThresholdsFor(models, "lateETA"),
+  }
+
+  for (const trip of trips) {
+    const latestPing = latestPings[trip.id]
+    const hasFreshPing =
+      latestPing && now - new Date(latestPing.time).getTime() <= PING_FRESHNESS
+
+    // noPings -- raised for the latest minsBefore crossed before the trip starts
+    const minsToStart =
+      (new Date(trip.tripStops[0].time).getTime() - now) / 60000
+    const minsBefore = NO_PINGS_MINS_BEFORE.find(m => m >= minsToStart)
+    if (
+      minsToStart > 0 &&
+      minsBefore !== undefined &&
+      !hasFreshPing &&
+      (await markReported(db, trip.id, "noPings", minsBefore))
+    ) {
+      events.emit("noPings", { trip, minsBefore })
+    }
+
+    const boardingStops = trip.tripStops.filter(ts => ts.canBoard)
+    const lastArrivedIndex = _.findLastIndex(
+      boardingStops,
+      ts => arrivals[ts.id] !== undefined
+    )
+
+    // lateArrival -- how late the vehicle was at the last stop reached
+    if (lastArrivedIndex !== -1) {
+      const stop = boardingStops[lastArrivedIndex]
+      const lateness = arrivals[stop.id] - new Date(stop.time).getTime()
+      await reportLateness(
+        db,
+        trip,
+        "lateArrival",
+        lateness,
+        thresholds.lateArrival
+      )
+    }
+
+    // lateETA -- how late the vehicle is expected to be at the next stop
+    const nextStop = boardingStops[lastArrivedIndex + 1]
+    if (nextStop && hasFreshPing) {
+      const [x0, y0] = toSVY([latestPing.lng, latestPing.lat])
+      const [x1, y1] = toSVY(nextStop.stop.coordinates.coordinates)
+      const eta =
+        Math.max(now, new Date(latestPing.time).getTime()) +
+        Math.hypot(x1 - x0, y1 - y0) / AVERAGE_SPEED
+      const lateness = eta - new Date(nextStop.time).getTime()
+      await reportLateness(db, trip, "lateETA", lateness, thresholds.lateETA)
+    }
+  }
+}
+
+/**
+ * @param {Object} server - a HAPI server
+ * @param {Object} options - unused for now
+ * @param {Function} next - a callback to signal that the next middleware
+ * should initialise
+ */
+async function register(server, options, next) {
+  const pollOptions = {
+    run: () => monitorTrips(server.plugins.sequelize),
+    name: "Monitor trips for pings and lateness",
+    interval: monitorInterval,
+  }
+
+  if (!process.env.NO_DAEMON_MONITORING) {
+    startPolling(pollOptions)
+  }
+  server.expose("monitorTrips", monitorTrips)
+
+  next()
+}
+
+register.attributes = {
+  name: "daemon-trip-monitoring",
+  dependencies: ["sequelize"],
+  version: "1.0.0",
+}
+
+module.exports = {
+  register,
+  monitorTrips,
+  monitorInterval,
+}
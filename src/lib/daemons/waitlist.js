@@ -0,0 +1,67 @@
+import { startPolling } from "./scheduler"
+import { serveWaitlist } from "../transactions/waitlist"
+
+const waitlistInterval = 5 * 60000
+
+/**
+ * Expire the waitlist entries that are past their trip's booking window,
+ * and serve the waitlists of trips that have seats available, in case
+ * a freed-up seat was not offered when it was freed
+ * @param {Object} connection - the Sequelize models and db
+ * @param {Number} now - the current time, in milliseconds since epoch
+ */
+async function sweepWaitlists({ models, db }, now = Date.now()) {
+  await db.query(
+    `UPDATE "waitlistEntries" SET status = 'expired', "updatedAt" = now()
+    WHERE status = 'waiting' AND "expiresAt" <= :now`,
+    { replacements: { now: new Date(now) } }
+  )
+
+  const tripIds = await db
+    .query(
+      `SELECT DISTINCT "waitlistEntries"."tripId"
+      FROM "waitlistEntries"
+        INNER JOIN trips ON trips.id = "waitlistEntries"."tripId"
+      WHERE "waitlistEntries".status = 'waiting'
+        AND trips."seatsAvailable" > 0`,
+      { type: db.QueryTypes.SELECT }
+    )
+    .then(rows => rows.map(r => r.tripId))
+
+  for (const tripId of tripIds) {
+    await serveWaitlist({ models, db }, tripId, now)
+  }
+}
+
+/**
+ * @param {Object} server - a HAPI server
+ * @param {Object} options - unused for now
+ * @param {Function} next - a callback to signal that the next middleware
+ * should initialise
+ */
+async function register(server, options, next) {
+  const pollOptions = {
+    run: () => sweepWaitlists(server.plugins.sequelize),
+    name: "Expire and serve trip waitlists",
+    interval: waitlistInterval,
+  }
+
+  if (!process.env.NO_DAEMON_MONITORING) {
+    startPolling(pollOptions)
+  }
+  server.expose("sweepWaitlists", sweepWaitlists)
+
+  next()
+}
+
+register.attributes = {
+  name: "daemon-waitlist",
+  dependencies: ["sequelize"],
+  version: "1.0.0",
+}
+
+module.exports = {
+  register,
+  sweepWaitlists,
+  waitlistInterval,
+}
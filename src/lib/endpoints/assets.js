@@ -1,7 +1,5 @@
-const _ = require("lodash")
 const Joi = require("joi")
 const commonmark = require("commonmark")
-const ical = require("node-ical")
 
 const {
   handleRequestWith,
@@ -9,6 +7,7 @@ const {
   assertFound,
   deleteInst,
 } = require("../util/endpoints")
+const { parsePublicHolidays } = require("../util/publicHolidays")
 
 export const register = function register(server, options, next) {
   server.route({
@@ -126,32 +125,7 @@ export const register = function register(server, options, next) {
     handler: handleRequestWith(
       (ignored, request, { models }) => models.Asset.findById("PublicHoliday"),
       assertFound,
-      asset => ical.parseICS(asset.data),
-      data =>
-        _(data)
-          .values()
-          .flatMap(({ start, end, summary }) => {
-            const holidays = []
-            const day = 1000 * 60 * 60 * 24
-            const endTime = Date.UTC(
-              end.getFullYear(),
-              end.getMonth(),
-              end.getDate()
-            )
-
-            let startTime = Date.UTC(
-              start.getFullYear(),
-              start.getMonth(),
-              start.getDate()
-            )
-            while (startTime < endTime) {
-              let holidayDate = new Date(startTime)
-              holidays.push({ date: holidayDate, summary: summary })
-              startTime = startTime + day
-            }
-            return holidays
-          })
-          .value()
+      asset => parsePublicHolidays(asset.data)
     ),
   })
 
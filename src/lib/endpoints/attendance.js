@@ -0,0 +1,301 @@
+const Joi = require("joi")
+const _ = require("lodash")
+
+const auth = require("../core/auth")
+const { SecurityError, InvalidArgumentError } = require("../util/errors")
+const {
+  handleRequestWith,
+  inSingleDBTransaction,
+  authorizeByRole,
+  assertFound,
+} = require("../util/endpoints")
+const { recordBoarding, clearBoarding } = require("../util/attendance")
+
+/**
+ * @param {Object} server - a HAPI server
+ * @param {Object} options - unused for now
+ * @param {Function} next - a callback to signal that the next middleware
+ * should initialise
+ */
+export function register(server, options, next) {
+  server.route({
+    method: "POST",
+    path: "/trips/{id}/checkIn",
+    config: {
+      tags: ["api", "admin", "driver"],
+      auth: { access: { scope: ["driver", "admin", "superadmin"] } },
+      description: "Marks a passenger on this trip as having boarded, or not",
+      notes: `
+        For passengers without a boarding pass to scan. Drivers may only
+        check in passengers on trips assigned to them. Set boarded to false
+        to undo a check-in made by mistake
+      `,
+      validate: {
+        params: {
+          id: Joi.number().integer(),
+        },
+        payload: {
+          ticketId: Joi.number()
+            .integer()
+            .required(),
+          boarded: Joi.boolean().default(true),
+        },
+      },
+    },
+    handler: handleRequestWith(
+      inSingleDBTransaction(
+        (ignored, request, { models, transaction }) =>
+          models.Trip.findById(request.params.id, {
+            attributes: ["id", "driverId", "vehicleId"],
+            include: [
+              { model: models.Route, attributes: ["transportCompanyId"] },
+            ],
+            transaction,
+          }),
+        assertFound,
+        async (trip, request, { models, transaction }) => {
+          const { credentials } = request.auth
+          if (credentials.scope === "driver") {
+            SecurityError.assert.strictEqual(
+              trip.driverId,
+              credentials.driverId,
+              "You are not the driver assigned to this trip"
+            )
+          } else {
+            auth.assertAdminRole(
+              credentials,
+              "update-trip-status",
+              trip.route.transportCompanyId
+            )
+          }
+
+          const { ticketId } = request.payload
+          const ticket = await models.Ticket.findById(ticketId, {
+            include: [
+              {
+                model: models.TripStop,
+                as: "boardStop",
+                attributes: ["tripId"],
+              },
+            ],
+            lock: transaction.LOCK.UPDATE,
+            transaction,
+          })
+          InvalidArgumentError.assert(
+            ticket &&
+              ticket.boardStop.tripId === trip.id &&
+              ticket.status === "valid",
+            `Ticket ${ticketId} is not a valid ticket on this trip`
+          )
+
+          if (!request.payload.boarded) {
+            await clearBoarding(ticket, { transaction })
+            return {
+              ticketId: ticket.id,
+              boarding: null,
+              alreadyBoarded: false,
+            }
+          }
+
+          const alreadyBoarded = await recordBoarding(
+            ticket,
+            credentials.scope === "driver"
+              ? {
+                  method: "checkIn",
+                  driverId: trip.driverId,
+                  vehicleId: trip.vehicleId,
+                }
+              : {
+                  method: "checkIn",
+                  adminId: credentials.adminId || credentials.email,
+                },
+            { transaction }
+          )
+          return {
+            ticketId: ticket.id,
+            boarding: ticket.notes.boarding,
+            alreadyBoarded,
+          }
+        }
+      )
+    ),
+  })
+
+  server.route({
+    method: "GET",
+    path: "/trips/{id}/attendance",
+    config: {
+      tags: ["api", "admin"],
+      auth: { access: { scope: ["admin", "superadmin"] } },
+      description: "Reports who booked and who boarded this trip",
+      notes: `
+        Attendance is only taken if at least one passenger has boarded,
+        so noShows and loadFactor are null for trips where no boarding
+        pass was scanned and no passenger was checked in. loadFactor is
+        the fraction of the trip's capacity that boarded
+      `,
+      validate: {
+        params: {
+          id: Joi.number().integer(),
+        },
+      },
+    },
+    handler: handleRequestWith(
+      (ignored, request, { models }) =>
+        models.Trip.findById(request.params.id, {
+          attributes: ["id", "date", "capacity", "status"],
+          include: [
+            {
+              model: models.Route,
+              attributes: ["id", "label", "transportCompanyId"],
+            },
+          ],
+        }),
+      assertFound,
+      authorizeByRole("view-passengers", trip => trip.route.transportCompanyId),
+      async (trip, request, { db }) => {
+        const passengers = await db.query(
+          `SELECT
+            "tickets"."id" AS "ticketId",
+            "tickets"."userId",
+            "users"."name",
+            "users"."telephone",
+            "tickets"."boardStopId",
+            "tickets"."alightStopId",
+            "tickets"."notes"->'boarding' AS "boarding"
+          FROM
+            "tickets"
+            INNER JOIN "tripStops" ON "tripStops"."id" = "tickets"."boardStopId"
+            INNER JOIN "users" ON "users"."id" = "tickets"."userId"
+          WHERE
+            "tickets"."status" = 'valid' AND
+            "tripStops"."tripId" = :tripId
+          ORDER BY "tripStops"."time", "tickets"."id"`,
+          {
+            type: db.QueryTypes.SELECT,
+            replacements: { tripId: trip.id },
+          }
+        )
+
+        const booked = passengers.length
+        const boarded = passengers.filter(p => p.boarding).length
+        const attendanceTaken = boarded > 0
+
+        return {
+          tripId: trip.id,
+          date: trip.date,
+          status: trip.status,
+          route: _.pick(trip.route, ["id", "label"]),
+          capacity: trip.capacity,
+          booked,
+          boarded,
+          attendanceTaken,
+          noShows: attendanceTaken ? booked - boarded : null,
+          loadFactor:
+            attendanceTaken && trip.capacity ? boarded / trip.capacity : null,
+          passengers,
+        }
+      }
+    ),
+  })
+
+  server.route({
+    method: "GET",
+    path: "/companies/{id}/noShows",
+    config: {
+      tags: ["api", "admin"],
+      auth: { access: { scope: ["admin", "superadmin"] } },
+      description: `Reports how often users who booked the company's trips
+        did not turn up`,
+      notes: `
+        Only trips that have departed, and for which attendance was taken,
+        i.e. at least one passenger boarded, are counted. Users are listed
+        with the most no-shows first
+      `,
+      validate: {
+        params: {
+          id: Joi.number().integer(),
+        },
+        query: {
+          startDate: Joi.date().required(),
+          endDate: Joi.date()
+            .min(Joi.ref("startDate"))
+            .required(),
+          minTickets: Joi.number()
+            .integer()
+            .min(1)
+            .default(1)
+            .description("Leave out users with fewer tickets than this"),
+        },
+      },
+    },
+    handler: handleRequestWith(
+      authorizeByRole("view-passengers"),
+      async (ignored, request, { db }) => {
+        const rows = await db.query(
+          `SELECT
+            "tickets"."userId",
+            "users"."name",
+            "users"."email",
+            "users"."telephone",
+            count(*)::int AS "ticketCount",
+            count("tickets"."notes"->'boarding')::int AS "boardedCount"
+          FROM
+            "tickets"
+            INNER JOIN "tripStops" ON "tripStops"."id" = "tickets"."boardStopId"
+            INNER JOIN "trips" ON "trips"."id" = "tripStops"."tripId"
+            INNER JOIN "routes" ON "routes"."id" = "trips"."routeId"
+            INNER JOIN "users" ON "users"."id" = "tickets"."userId"
+          WHERE
+            "tickets"."status" = 'valid' AND
+            "routes"."transportCompanyId" = :companyId AND
+            "trips"."date" >= :startDate AND
+            "trips"."date" <= :endDate AND
+            "tripStops"."time" < now() AND
+            EXISTS (
+              SELECT 1
+              FROM
+                "tickets" AS "boardedTickets"
+                INNER JOIN "tripStops" AS "boardedStops"
+                  ON "boardedStops"."id" = "boardedTickets"."boardStopId"
+              WHERE
+                "boardedStops"."tripId" = "trips"."id" AND
+                "boardedTickets"."status" = 'valid' AND
+                "boardedTickets"."notes"->'boarding' IS NOT NULL
+            )
+          GROUP BY "tickets"."userId", "users"."id"
+          HAVING count(*) >= :minTickets`,
+          {
+            type: db.QueryTypes.SELECT,
+            replacements: {
+              companyId: request.params.id,
+              startDate: request.query.startDate,
+              endDate: request.query.endDate,
+              minTickets: request.query.minTickets,
+            },
+          }
+        )
+
+        return _(rows)
+          .map(row => {
+            const noShowCount = row.ticketCount - row.boardedCount
+            return {
+              ...row,
+              noShowCount,
+              noShowRate: noShowCount / row.ticketCount,
+            }
+          })
+          .orderBy(
+            ["noShowCount", "noShowRate", "userId"],
+            ["desc", "desc", "asc"]
+          )
+          .value()
+      }
+    ),
+  })
+
+  next()
+}
+register.attributes = {
+  name: "endpoint-attendance",
+}
@@ -0,0 +1,173 @@
+const Joi = require("joi")
+
+const auth = require("../core/auth")
+const { recordBoarding } = require("../util/attendance")
+const { SecurityError, InvalidArgumentError } = require("../util/errors")
+const { handleRequestWith, assertFound } = require("../util/endpoints")
+
+// Boarding passes remain valid for this long after the alighting stop time
+const BOARDING_PASS_GRACE_PERIOD = 2 * 3600 * 1000
+
+/**
+ * @param {Object} server - a HAPI server
+ * @param {Object} options - unused for now
+ * @param {Function} next - a callback to signal that the next middleware
+ * should initialise
+ */
+export function register(server, options, next) {
+  server.route({
+    method: "GET",
+    path: "/tickets/{id}/boardingPass",
+    config: {
+      tags: ["api", "commuter"],
+      auth: { access: { scope: ["user"] } },
+      description: "Issues a signed boarding pass for a ticket",
+      notes: `
+        The boarding pass is a JWT that the commuter app can display as a
+        QR code, for the driver to scan. It expires shortly after the
+        alighting stop time
+      `,
+      validate: {
+        params: {
+          id: Joi.number().integer(),
+        },
+      },
+    },
+    handler: handleRequestWith(
+      (ignored, request, { models }) =>
+        models.Ticket.findOne({
+          where: {
+            id: request.params.id,
+            userId: request.auth.credentials.userId,
+            status: "valid",
+          },
+          include: [
+            { model: models.TripStop, as: "boardStop" },
+            { model: models.TripStop, as: "alightStop" },
+          ],
+        }),
+      assertFound,
+      ticket => {
+        const expiresAt = new Date(
+          ticket.alightStop.time.getTime() + BOARDING_PASS_GRACE_PERIOD
+        )
+        const token = auth.signBoardingPass({
+          ticketId: ticket.id,
+          tripId: ticket.boardStop.tripId,
+          userId: ticket.userId,
+          boardStopId: ticket.boardStopId,
+          alightStopId: ticket.alightStopId,
+          exp: Math.floor(expiresAt.getTime() / 1000),
+        })
+        return { token, expiresAt }
+      }
+    ),
+  })
+
+  server.route({
+    method: "GET",
+    path: "/boardingPasses/publicKey",
+    config: {
+      tags: ["api", "driver"],
+      auth: false,
+      description: "The public key for verifying boarding passes",
+      notes: `
+        Driver apps may cache this key to verify boarding passes while
+        offline. The key is given both in PEM and in JWK format
+      `,
+    },
+    handler: handleRequestWith(() => ({
+      algorithm: auth.BOARDING_PASS_ALGORITHM,
+      publicKey: auth.boardingPassKeys().publicKey,
+      jwk: auth.boardingPassKeys().jwk,
+    })),
+  })
+
+  server.route({
+    method: "POST",
+    path: "/trips/{id}/validateBoardingPass",
+    config: {
+      tags: ["api", "driver"],
+      auth: { access: { scope: ["driver"] } },
+      description: `Validates a boarding pass for this trip, and records
+        that the passenger has boarded`,
+      notes: `
+        Only the driver assigned to the trip may validate boarding passes
+        for it. Scanning a boarding pass more than once is not an error,
+        but is flagged with alreadyBoarded
+      `,
+      validate: {
+        params: {
+          id: Joi.number().integer(),
+        },
+        payload: {
+          token: Joi.string().required(),
+        },
+      },
+    },
+    handler: handleRequestWith(
+      (ignored, request, { models }) =>
+        models.Trip.findById(request.params.id, {
+          attributes: ["id", "driverId", "vehicleId"],
+        }),
+      assertFound,
+      async (trip, request, { models }) => {
+        SecurityError.assert.strictEqual(
+          trip.driverId,
+          request.auth.credentials.driverId,
+          "You are not the driver assigned to this trip"
+        )
+
+        let boardingPass
+        try {
+          boardingPass = auth.verifyBoardingPass(request.payload.token)
+        } catch (err) {
+          throw new InvalidArgumentError(
+            `Invalid boarding pass: ${err.message}`
+          )
+        }
+        InvalidArgumentError.assert.strictEqual(
+          boardingPass.tripId,
+          trip.id,
+          "This boarding pass is for another trip"
+        )
+
+        const ticket = await models.Ticket.findById(boardingPass.ticketId, {
+          include: [
+            { model: models.TripStop, as: "boardStop", include: [models.Stop] },
+            {
+              model: models.TripStop,
+              as: "alightStop",
+              include: [models.Stop],
+            },
+            { model: models.User, attributes: ["id", "name"] },
+          ],
+        })
+        InvalidArgumentError.assert(
+          ticket && ticket.status === "valid",
+          "This ticket is no longer valid"
+        )
+
+        const alreadyBoarded = await recordBoarding(ticket, {
+          method: "boardingPass",
+          driverId: trip.driverId,
+          vehicleId: trip.vehicleId,
+        })
+
+        return {
+          ticketId: ticket.id,
+          user: ticket.user.toJSON(),
+          boardStop: ticket.boardStop.toJSON(),
+          alightStop: ticket.alightStop.toJSON(),
+          boarding: ticket.notes.boarding,
+          alreadyBoarded,
+        }
+      }
+    ),
+  })
+
+  next()
+}
+register.attributes = {
+  name: "endpoint-boarding-passes",
+}
@@ -0,0 +1,131 @@
+const Joi = require("joi")
+const moment = require("moment-timezone")
+
+const auth = require("../core/auth")
+const { getModels, defaultErrorHandler } = require("../util/common")
+const { handleRequestWith, assertFound } = require("../util/endpoints")
+const { SecurityError } = require("../util/errors")
+const { ticketsToICS } = require("../util/calendar")
+const { userTicketsQuery } = require("./tickets")
+
+// How far back the calendar goes, so that past trips do not vanish at once
+const CALENDAR_HISTORY_DAYS = 30
+
+const calendarLink = user => {
+  const token = auth.signCalendarToken(user)
+  return {
+    token,
+    url:
+      `https://${process.env.WEB_DOMAIN}/tickets/calendar.ics?token=` +
+      encodeURIComponent(token),
+  }
+}
+
+/**
+ * @param {Object} server - a HAPI server
+ * @param {Object} options - unused for now
+ * @param {Function} next - a callback to signal that the next middleware
+ * should initialise
+ */
+export function register(server, options, next) {
+  server.route({
+    method: "GET",
+    path: "/user/calendar",
+    config: {
+      tags: ["api", "commuter"],
+      auth: { access: { scope: "user" } },
+      description: `The link to this user's calendar of trips, which can be
+        subscribed to from a calendar app`,
+    },
+    handler: handleRequestWith(
+      (i, request, { models }) =>
+        models.User.findById(request.auth.credentials.userId),
+      assertFound,
+      calendarLink
+    ),
+  })
+
+  server.route({
+    method: "POST",
+    path: "/user/calendar",
+    config: {
+      tags: ["api", "commuter"],
+      auth: { access: { scope: "user" } },
+      description: `Generates a new link to this user's calendar of trips.
+        Calendars subscribed to with the previous link will **no longer**
+        be updated`,
+    },
+    handler: handleRequestWith(
+      (i, request, { models }) =>
+        models.User.findById(request.auth.credentials.userId),
+      assertFound,
+      async userInst => {
+        userInst.notes = {
+          ...userInst.notes,
+          calendarTokenVersion:
+            ((userInst.notes || {}).calendarTokenVersion || 0) + 1,
+        }
+        await userInst.save()
+
+        return calendarLink(userInst)
+      }
+    ),
+  })
+
+  server.route({
+    method: "GET",
+    path: "/tickets/calendar.ics",
+    config: {
+      tags: ["api", "commuter"],
+      auth: false,
+      description: `A user's tickets as an iCalendar feed. Authenticated
+        with the token from GET /user/calendar`,
+      notes: `
+        Each ticket is an event from boarding to alighting. Tickets that
+        have been refunded or voided, and tickets on cancelled trips, are
+        cancelled events. Trips from the past ${CALENDAR_HISTORY_DAYS} days
+        are included
+      `,
+      validate: {
+        query: {
+          token: Joi.string().required(),
+        },
+      },
+    },
+    async handler(request, reply) {
+      try {
+        const tokenPayload = auth.verifyCalendarToken(request.query.token)
+
+        const m = getModels(request)
+        const userInst = await m.User.findById(tokenPayload.userId)
+        SecurityError.assert(
+          userInst &&
+            ((userInst.notes || {}).calendarTokenVersion || 0) ===
+              tokenPayload.version,
+          "The calendar link has been replaced by a newer one"
+        )
+
+        const tickets = await m.Ticket.findAll(
+          userTicketsQuery(m, {
+            userId: userInst.id,
+            startTime: moment()
+              .subtract(CALENDAR_HISTORY_DAYS, "days")
+              .toDate(),
+            statuses: ["valid", "refunded", "void"],
+          })
+        )
+
+        reply(ticketsToICS(tickets))
+          .header("Content-type", "text/calendar; charset=utf-8")
+          .header("content-disposition", 'inline; filename="beeline.ics"')
+      } catch (err) {
+        defaultErrorHandler(reply)(err)
+      }
+    },
+  })
+
+  next()
+}
+register.attributes = {
+  name: "endpoint-calendar",
+}
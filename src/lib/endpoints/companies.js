@@ -136,6 +136,36 @@ export const register = function register(server, options, next) {
           terms: Joi.string(),
           smsOpCode: Joi.string().regex(/^[a-zA-Z0-9]{0,11}$/),
           referrer: Joi.string(),
+          cancellationPolicy: Joi.object({
+            cutoffMinutes: Joi.number()
+              .integer()
+              .min(0)
+              .required()
+              .description("How long before boarding tickets can be cancelled"),
+            fee: Joi.object({
+              fixed: Joi.number()
+                .min(0)
+                .precision(2)
+                .default(0),
+              rate: Joi.number()
+                .min(0)
+                .max(1)
+                .default(0),
+            })
+              .default({ fixed: 0, rate: 0 })
+              .description(
+                "Withheld from refunds to the card, as a fixed amount plus a rate of the amount paid"
+              ),
+            refundRoutePasses: Joi.boolean()
+              .default(true)
+              .description(
+                "Whether tickets paid for with a route pass are refunded as a route pass, or forfeited"
+              ),
+          })
+            .allow(null)
+            .description(
+              "Lets commuters cancel their own tickets. null disallows cancellation"
+            ),
         },
       },
     },
@@ -1,8 +1,11 @@
 let _ = require("lodash")
 let Joi = require("joi")
 let Boom = require("boom")
+let stream = require("stream")
+let fastCSV = require("fast-csv")
 
 import { InvalidArgumentError } from "../util/errors"
+import { defaultErrorHandler } from "../util/common"
 import {
   discountingFunctions,
   refundingFunctions,
@@ -205,6 +208,14 @@ export const register = function register(server, options, next) {
                   .min(0)
                   .allow(null),
               }),
+              stacking: Joi.object()
+                .keys({
+                  priority: Joi.number().integer(),
+                  combinable: Joi.boolean(),
+                })
+                .description(
+                  "Promotions are applied in ascending order of priority. Only combinable promotions can be used together"
+                ),
             })
             .unknown(false),
         },
@@ -308,6 +319,14 @@ export const register = function register(server, options, next) {
                   .min(0)
                   .allow(null),
               }),
+              stacking: Joi.object()
+                .keys({
+                  priority: Joi.number().integer(),
+                  combinable: Joi.boolean(),
+                })
+                .description(
+                  "Promotions are applied in ascending order of priority. Only combinable promotions can be used together"
+                ),
             })
             .unknown(false)
             .required(),
@@ -331,6 +350,181 @@ export const register = function register(server, options, next) {
     }),
   })
 
+  server.route({
+    method: "POST",
+    path: "/companies/{id}/promotions/{promoId}/codes",
+    config: {
+      tags: ["api", "admin"],
+      auth: { access: { scope: ["admin", "superadmin"] } },
+      description:
+        "Generates unique promo codes for a promotion, each of which can be used once",
+      notes: `
+        The codes stand in for the code of the promotion, and are subject
+        to the same qualifying criteria and usage limits. A code is used up
+        when a transaction with it is committed
+      `,
+      validate: {
+        params: {
+          id: Joi.number().integer(),
+          promoId: Joi.number().integer(),
+        },
+        payload: {
+          count: Joi.number()
+            .integer()
+            .min(1)
+            .max(10000)
+            .required(),
+          prefix: Joi.string()
+            .regex(/^[A-Z0-9-]*$/)
+            .max(16)
+            .default(""),
+          length: Joi.number()
+            .integer()
+            .min(6)
+            .max(16)
+            .default(8)
+            .description("The number of random characters in each code"),
+          userId: Joi.number()
+            .integer()
+            .optional()
+            .description(
+              "The user the codes are issued to, who alone may use them"
+            ),
+        },
+      },
+    },
+    handler: handleRequestWith(
+      authorize,
+      findByPromoId,
+      async (promoCodeInst, request) => {
+        if (!promoCodeInst) {
+          return Boom.notFound()
+        }
+        const { count, prefix, length, userId } = request.payload
+        const promoCodes = await db.transaction(transaction =>
+          m.PromoCode.generate(
+            promoCodeInst.id,
+            count,
+            { prefix, length, userId },
+            { transaction }
+          )
+        )
+        return {
+          promotionId: promoCodeInst.id,
+          codes: promoCodes.map(c => c.code),
+        }
+      }
+    ),
+  })
+
+  server.route({
+    method: "GET",
+    path: "/companies/{id}/promotions/{promoId}/codes",
+    config: {
+      tags: ["api", "admin"],
+      auth: { access: { scope: ["admin", "superadmin"] } },
+      description:
+        "Lists the unique promo codes of a promotion, and who used them",
+      notes: `
+        userId is the user the code was issued to, if any, and redeemedBy
+        the user who used it. transactionId is that of the committed
+        transaction in which the code was used
+      `,
+      validate: {
+        params: {
+          id: Joi.number().integer(),
+          promoId: Joi.number().integer(),
+        },
+        query: {
+          redeemed: Joi.boolean(),
+          format: Joi.string()
+            .valid(["json", "csv"])
+            .default("json"),
+        },
+      },
+    },
+    async handler(request, reply) {
+      try {
+        authorize(null, request)
+        const promoCodeInst = await findByPromoId(request)
+        if (!promoCodeInst) {
+          return reply(Boom.notFound())
+        }
+
+        const { redeemed, format } = request.query
+        const redeemedCondition =
+          redeemed === undefined
+            ? ""
+            : `AND "promoCodes"."redeemedAt" IS ${redeemed ? "NOT" : ""} NULL`
+        const codes = await db.query(
+          `
+          SELECT
+            "promoCodes"."code",
+            "promoCodes"."createdAt",
+            "promoCodes"."userId",
+            "promoCodes"."redeemedAt",
+            "promoCodes"."redeemedBy",
+            "users"."name" AS "redeemerName",
+            "users"."email" AS "redeemerEmail",
+            "redemptions"."transactionId"
+          FROM
+            "promoCodes"
+            LEFT JOIN "users" ON "users"."id" = "promoCodes"."redeemedBy"
+            LEFT JOIN LATERAL (
+              SELECT "transactionItems"."transactionId"
+              FROM
+                "discounts"
+                INNER JOIN "transactionItems"
+                  ON "transactionItems"."itemType" = 'discount'
+                  AND "transactionItems"."itemId" = "discounts"."id"
+                INNER JOIN "transactions"
+                  ON "transactions"."id" = "transactionItems"."transactionId"
+              WHERE
+                "discounts"."promotionId" = "promoCodes"."promotionId"
+                AND "discounts"."code" = "promoCodes"."code"
+                AND "transactions"."committed"
+              ORDER BY "transactions"."id" DESC
+              LIMIT 1
+            ) "redemptions" ON "promoCodes"."redeemedAt" IS NOT NULL
+          WHERE
+            "promoCodes"."promotionId" = :promotionId
+            ${redeemedCondition}
+          ORDER BY "promoCodes"."id"
+          `,
+          {
+            type: db.QueryTypes.SELECT,
+            replacements: { promotionId: promoCodeInst.id },
+          }
+        )
+
+        if (format === "csv") {
+          const io = new stream.PassThrough()
+          const writer = fastCSV.createWriteStream({ headers: true })
+          writer.pipe(io)
+          codes.forEach(row =>
+            writer.write({
+              ...row,
+              createdAt: row.createdAt.toISOString(),
+              redeemedAt: row.redeemedAt ? row.redeemedAt.toISOString() : "",
+            })
+          )
+          writer.end()
+
+          reply(io)
+            .header("Content-type", "text/csv")
+            .header(
+              "content-disposition",
+              `attachment; filename="promotion_${promoCodeInst.id}_codes.csv"`
+            )
+        } else {
+          reply(codes)
+        }
+      } catch (err) {
+        defaultErrorHandler(reply)(err)
+      }
+    },
+  })
+
   server.route({
     method: "DELETE",
     path: "/companies/{id}/promotions/{promoId}",
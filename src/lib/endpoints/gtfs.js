@@ -0,0 +1,166 @@
+const Joi = require("joi")
+const moment = require("moment-timezone")
+
+const { getModels, defaultErrorHandler } = require("../util/common")
+const { InvalidArgumentError } = require("../util/errors")
+const { handleRequestWith, authorizeByRole } = require("../util/endpoints")
+const {
+  buildGTFSZip,
+  DEFAULT_EXCLUDED_TAGS,
+  TIMEZONE,
+} = require("../gtfs/export")
+const { parseGTFSZip, importGTFSFeed } = require("../gtfs/import")
+
+// How far ahead the feed covers, if no end date is given
+const DEFAULT_FEED_DAYS = 60
+
+// The longest feed that may be requested, as every trip in it is loaded
+const MAX_FEED_DAYS = 366
+
+const sgtDate = date =>
+  moment(date)
+    .tz(TIMEZONE)
+    .format("YYYY-MM-DD")
+
+/**
+ * @param {Object} server - a HAPI server
+ * @param {Object} options - unused for now
+ * @param {Function} next - a callback to signal that the next middleware
+ * should initialise
+ */
+export function register(server, options, next) {
+  server.route({
+    method: "GET",
+    path: "/gtfs",
+    config: {
+      tags: ["api", "commuter"],
+      description: `Our schedule as a GTFS static feed, for journey planners.
+        Authentication not required`,
+      notes: `
+        Returns a zip of agency.txt, routes.txt, trips.txt, stops.txt,
+        stop_times.txt, calendar.txt and shapes.txt. Each trip date is a
+        service of its own. Crowdstart and private routes are left out
+        unless excludeTags is overridden. The feed runs from startDate
+        (by default today) to endDate (by default ${DEFAULT_FEED_DAYS} days
+        after startDate), and may cover at most ${MAX_FEED_DAYS} days
+      `,
+      validate: {
+        query: {
+          transportCompanyId: Joi.number()
+            .integer()
+            .optional(),
+          tags: Joi.array()
+            .items(Joi.string())
+            .single()
+            .description("Only include routes with all of these tags"),
+          excludeTags: Joi.array()
+            .items(Joi.string())
+            .single()
+            .default(DEFAULT_EXCLUDED_TAGS),
+          startDate: Joi.date().optional(),
+          endDate: Joi.date()
+            .min(Joi.ref("startDate"))
+            .optional(),
+        },
+      },
+    },
+    async handler(request, reply) {
+      try {
+        const startDate = sgtDate(request.query.startDate)
+        const endDate = request.query.endDate
+          ? sgtDate(request.query.endDate)
+          : moment
+              .tz(startDate, TIMEZONE)
+              .add(DEFAULT_FEED_DAYS, "days")
+              .format("YYYY-MM-DD")
+        InvalidArgumentError.assert(
+          moment.tz(endDate, TIMEZONE).diff(startDate, "days") <= MAX_FEED_DAYS,
+          `The feed may cover at most ${MAX_FEED_DAYS} days`
+        )
+
+        const zip = await buildGTFSZip(getModels(request), {
+          ...request.query,
+          startDate,
+          endDate,
+        })
+
+        reply(zip)
+          .header("Content-type", "application/zip")
+          .header("content-disposition", 'attachment; filename="gtfs.zip"')
+      } catch (err) {
+        defaultErrorHandler(reply)(err)
+      }
+    },
+  })
+
+  server.route({
+    method: "POST",
+    path: "/companies/{id}/gtfs",
+    config: {
+      tags: ["api", "admin"],
+      auth: { access: { scope: ["admin", "superadmin"] } },
+      description: `Imports the routes, stops and trips of a GTFS static feed
+        for this company`,
+      notes: `
+        The request body is the GTFS zip file itself. Stops in the feed are
+        matched to the nearest stop within stopRadius metres, or created if
+        there is none. Routes are matched to the company's routes by label,
+        i.e. route_short_name, and created otherwise. A trip is created for
+        every date between startDate and endDate that the feed runs it on,
+        unless the route already has a trip starting at the same time.
+        The import is done in a single transaction, which is rolled back
+        if dryRun is set, so that the report of what would be matched and
+        created can be checked beforehand
+      `,
+      payload: {
+        output: "data",
+        parse: false,
+        allow: ["application/zip", "application/octet-stream"],
+        maxBytes: 20000000,
+      },
+      validate: {
+        params: {
+          id: Joi.number().integer(),
+        },
+        query: {
+          startDate: Joi.date().required(),
+          endDate: Joi.date()
+            .min(Joi.ref("startDate"))
+            .required(),
+          capacity: Joi.number()
+            .integer()
+            .min(1)
+            .required(),
+          price: Joi.number()
+            .min(0)
+            .required(),
+          tags: Joi.array()
+            .items(Joi.string())
+            .single()
+            .default([])
+            .description("The tags to give routes that are created"),
+          stopRadius: Joi.number()
+            .min(0)
+            .max(500)
+            .default(30),
+          dryRun: Joi.boolean().default(false),
+        },
+      },
+    },
+    handler: handleRequestWith(
+      authorizeByRole("manage-routes"),
+      async (ignored, request, { db, models }) =>
+        importGTFSFeed({ db, models }, await parseGTFSZip(request.payload), {
+          ...request.query,
+          startDate: sgtDate(request.query.startDate),
+          endDate: sgtDate(request.query.endDate),
+          transportCompanyId: request.params.id,
+        })
+    ),
+  })
+
+  next()
+}
+register.attributes = {
+  name: "endpoint-gtfs",
+}
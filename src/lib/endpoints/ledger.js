@@ -0,0 +1,429 @@
+const _ = require("lodash")
+const Joi = require("joi")
+const stream = require("stream")
+const fastCSV = require("fast-csv")
+const moment = require("moment-timezone")
+
+const { getDB, defaultErrorHandler } = require("../util/common")
+
+/**
+ * The ledger accounts of transaction items other than those of
+ * `account` and `transfer` items, which are named after the Account
+ * and the recipient of the transfer
+ */
+const itemTypeAccounts = {
+  payment: "Payments",
+  refundPayment: "Refund Payments",
+  ticketSale: "Ticket Sales",
+  ticketRefund: "Ticket Refunds",
+  ticketExpense: "Ticket Expenses",
+  routePass: "Route Passes",
+  routeCredits: "Route Credits",
+  discount: "Discounts",
+  payables: "Payables",
+}
+
+const ledgerAccountExpression = `
+  CASE "transactionItems"."itemType"
+    WHEN 'account' THEN coalesce(
+      "accounts"."name",
+      'Account ' || "transactionItems"."itemId"
+    )
+    WHEN 'transfer' THEN 'Transfers:' || coalesce(
+      "transportCompanies"."name" || ' (' || "transportCompanies"."id" || ')',
+      initcap("transfers"."thirdParty"),
+      'Unknown'
+    )
+    ${_.map(
+      itemTypeAccounts,
+      (name, itemType) => `
+    WHEN '${itemType}' THEN '${name}'`
+    ).join("")}
+    ELSE "transactionItems"."itemType"
+  END
+`
+
+const ledgerAccountJoins = `
+  LEFT JOIN "accounts" ON "transactionItems"."itemType" = 'account'
+    AND "accounts"."id" = "transactionItems"."itemId"
+  LEFT JOIN "transfers" ON "transactionItems"."itemType" = 'transfer'
+    AND "transfers"."id" = "transactionItems"."itemId"
+  LEFT JOIN "transportCompanies"
+    ON "transportCompanies"."id" = "transfers"."transportCompanyId"
+`
+
+const periodConditions = `
+  "transactions"."committed"
+  AND "transactions"."createdAt" >= :startTime
+  AND "transactions"."createdAt" < :endTime
+`
+
+const toSGTDateString = date =>
+  moment(date)
+    .tz("Asia/Singapore")
+    .format("YYYY-MM-DD")
+
+const formatAmount = value => (value ? value.toFixed(2) : "")
+
+const journalCSVFields = [
+  "date",
+  "transactionId",
+  "transactionItemId",
+  "account",
+  "debit",
+  "credit",
+  "memo",
+  "itemType",
+  "itemId",
+]
+
+/**
+ * Works out the bounds of a period of whole days in SGT
+ * @param {Object} query - the startDate and endDate of the period
+ * @return {Object} the startTime and endTime of the period, the end
+ * being exclusive
+ */
+const periodReplacements = ({ startDate, endDate }) => ({
+  startTime: moment.tz(toSGTDateString(startDate), "Asia/Singapore").toDate(),
+  endTime: moment
+    .tz(toSGTDateString(endDate), "Asia/Singapore")
+    .add(1, "day")
+    .toDate(),
+})
+
+/**
+ * Fetches the journal entries of a page of transactions, one for each
+ * transaction item
+ * @param {Object} db - the Sequelize instance
+ * @param {Object} replacements - the startTime and endTime of the
+ * period, and the limit and offset of the page of transactions
+ * @param {Object} transaction - the database transaction to query in
+ * @return {Promise<Array>} the entries, grouped by transaction
+ */
+const fetchJournalEntries = async (db, replacements, transaction) => {
+  const rows = await db.query(
+    `
+    WITH "pageTransactions" AS (
+      SELECT "id", "createdAt", "type", "description"
+      FROM "transactions"
+      WHERE ${periodConditions}
+      ORDER BY "createdAt", "id"
+      LIMIT :limit OFFSET :offset
+    )
+    SELECT
+      "transactions"."id" AS "transactionId",
+      "transactions"."createdAt",
+      "transactions"."type",
+      "transactions"."description",
+      "transactionItems"."id" AS "transactionItemId",
+      "transactionItems"."itemType",
+      "transactionItems"."itemId",
+      "transactionItems"."debit",
+      ${ledgerAccountExpression} AS "account"
+    FROM
+      "pageTransactions" AS "transactions"
+      INNER JOIN "transactionItems"
+        ON "transactionItems"."transactionId" = "transactions"."id"
+      ${ledgerAccountJoins}
+    ORDER BY
+      "transactions"."createdAt",
+      "transactions"."id",
+      "transactionItems"."id"
+    `,
+    { type: db.QueryTypes.SELECT, replacements, transaction }
+  )
+
+  // Rows are in the order of their transactions, so the entries of each
+  // transaction are next to each other
+  const transactions = []
+  for (const row of rows) {
+    const debit = parseFloat(row.debit) || 0
+    const entry = {
+      date: toSGTDateString(row.createdAt),
+      ..._.pick(row, [
+        "transactionId",
+        "transactionItemId",
+        "account",
+        "itemType",
+        "itemId",
+      ]),
+      debit: debit > 0 ? debit : 0,
+      credit: debit < 0 ? -debit : 0,
+      memo: row.description || row.type || "",
+    }
+
+    const lastTransaction = _.last(transactions)
+    if (
+      lastTransaction &&
+      lastTransaction[0].transactionId === entry.transactionId
+    ) {
+      lastTransaction.push(entry)
+    } else {
+      transactions.push([entry])
+    }
+  }
+  return transactions
+}
+
+/**
+ * Formats the entries of a transaction as a transaction in the plain
+ * text format read by ledger and hledger. Debits are positive amounts
+ * and credits negative ones
+ * @param {Array} entries - the journal entries of one transaction
+ * @return {string} the ledger transaction
+ */
+const toLedgerTransaction = entries => {
+  const [first] = entries
+  const memo = first.memo.replace(/\s+/g, " ").trim()
+  const postings = entries.map(entry => {
+    const amount = (entry.debit - entry.credit).toFixed(2)
+    return `    ${_.padEnd(entry.account, 48)}  SGD ${_.padStart(amount, 10)}`
+  })
+
+  return [
+    `${first.date.replace(/-/g, "/")} * (${first.transactionId}) ${memo}`,
+    ...postings,
+    "",
+    "",
+  ].join("\n")
+}
+
+/**
+ * @param {Object} server - a HAPI server
+ * @param {Object} options - unused for now
+ * @param {Function} next - a callback to signal that the next middleware
+ * should initialise
+ */
+export function register(server, options, next) {
+  const periodQuery = {
+    startDate: Joi.date().required(),
+    endDate: Joi.date()
+      .min(Joi.ref("startDate"))
+      .required(),
+  }
+
+  server.route({
+    method: "GET",
+    path: "/ledger/journal",
+    config: {
+      tags: ["api", "admin"],
+      auth: { access: { scope: ["superadmin"] } },
+      description:
+        "Exports committed transactions between two dates as journal entries",
+      notes: `
+        Dates are in SGT, and both are included. There is one entry for
+        each transaction item, with the account named after its itemType,
+        or after the Account or the recipient of the transfer. csv has
+        one row per entry, while ledger is the plain text journal format
+        read by ledger and hledger
+      `,
+      validate: {
+        query: {
+          ...periodQuery,
+          format: Joi.string()
+            .valid(["csv", "ledger"])
+            .default("csv"),
+        },
+      },
+      timeout: {
+        server: false,
+        socket: false,
+      },
+    },
+    async handler(request, reply) {
+      try {
+        const db = getDB(request)
+        const { format } = request.query
+        const dateRange = `${toSGTDateString(
+          request.query.startDate
+        )}_${toSGTDateString(request.query.endDate)}`
+
+        let connected = true
+        request.once("disconnect", () => (connected = false))
+
+        const io = new stream.PassThrough()
+        let writer
+        let writeEntries
+        if (format === "csv") {
+          writer = fastCSV
+            .createWriteStream({ headers: true })
+            .transform(entry => ({
+              ..._.pick(entry, journalCSVFields),
+              debit: formatAmount(entry.debit),
+              credit: formatAmount(entry.credit),
+            }))
+          writer.pipe(io)
+          writeEntries = async entries => {
+            for (const entry of entries) {
+              if (!writer.write(entry)) {
+                // eslint-disable-next-line no-await-in-loop
+                await new Promise(resolve => writer.once("drain", resolve))
+              }
+            }
+          }
+        } else {
+          writer = io
+          writeEntries = async entries => {
+            if (!writer.write(toLedgerTransaction(entries))) {
+              await new Promise(resolve => writer.once("drain", resolve))
+            }
+          }
+        }
+
+        reply(io)
+          .header("Content-type", format === "csv" ? "text/csv" : "text/plain")
+          .header(
+            "content-disposition",
+            `attachment; filename="journal_${dateRange}.${
+              format === "csv" ? "csv" : "ledger"
+            }"`
+          )
+
+        // Fetch the transactions a page at a time, in a single snapshot
+        // of the database, so that no transaction is skipped or repeated
+        db
+          .transaction({ readOnly: true }, async transaction => {
+            const perPage = 250
+            let lastFetchedSize = perPage
+            for (
+              let offset = 0;
+              connected && lastFetchedSize >= perPage;
+              offset += perPage
+            ) {
+              // eslint-disable-next-line no-await-in-loop
+              const transactions = await fetchJournalEntries(
+                db,
+                {
+                  ...periodReplacements(request.query),
+                  limit: perPage,
+                  offset,
+                },
+                transaction
+              )
+              for (const entries of transactions) {
+                // eslint-disable-next-line no-await-in-loop
+                await writeEntries(entries)
+              }
+              lastFetchedSize = transactions.length
+            }
+          })
+          .catch(err => {
+            // corrupt output to indicate error
+            console.error(err)
+            writer.write(
+              format === "csv"
+                ? { date: `Error generating output: ${err}` }
+                : `; Error generating output: ${err}\n`
+            )
+          })
+          .finally(() => {
+            writer.end()
+          })
+
+        writer.on("error", console.error)
+      } catch (err) {
+        defaultErrorHandler(reply)(err)
+      }
+    },
+  })
+
+  server.route({
+    method: "GET",
+    path: "/ledger/trial_balance",
+    config: {
+      tags: ["api", "admin"],
+      auth: { access: { scope: ["superadmin"] } },
+      description:
+        "Sums the debits and credits to each account between two dates",
+      notes: `
+        Accounts are named as in /ledger/journal. balance is the debits
+        less the credits. As every transaction balances, the totals of
+        the debits and credits are equal
+      `,
+      validate: {
+        query: {
+          ...periodQuery,
+          format: Joi.string()
+            .valid(["json", "csv"])
+            .default("json"),
+        },
+      },
+    },
+    async handler(request, reply) {
+      try {
+        const db = getDB(request)
+        const rows = await db.query(
+          `
+          SELECT
+            ${ledgerAccountExpression} AS "account",
+            coalesce(sum("transactionItems"."debit") FILTER (
+              WHERE "transactionItems"."debit" > 0
+            ), 0) AS "debit",
+            coalesce(sum(-"transactionItems"."debit") FILTER (
+              WHERE "transactionItems"."debit" < 0
+            ), 0) AS "credit"
+          FROM
+            "transactions"
+            INNER JOIN "transactionItems"
+              ON "transactionItems"."transactionId" = "transactions"."id"
+            ${ledgerAccountJoins}
+          WHERE ${periodConditions}
+          GROUP BY 1
+          ORDER BY 1
+          `,
+          {
+            type: db.QueryTypes.SELECT,
+            replacements: periodReplacements(request.query),
+          }
+        )
+
+        const accounts = rows.map(row => {
+          const debit = parseFloat(row.debit)
+          const credit = parseFloat(row.credit)
+          return {
+            account: row.account,
+            debit,
+            credit,
+            balance: _.round(debit - credit, 2),
+          }
+        })
+        const totals = {
+          debit: _.round(_.sumBy(accounts, "debit"), 2),
+          credit: _.round(_.sumBy(accounts, "credit"), 2),
+        }
+
+        if (request.query.format === "csv") {
+          const io = new stream.PassThrough()
+          const writer = fastCSV.createWriteStream({ headers: true })
+          writer.pipe(io)
+          accounts.forEach(row => writer.write(row))
+          writer.write({ account: "Total", ...totals, balance: "" })
+          writer.end()
+
+          reply(io)
+            .header("Content-type", "text/csv")
+            .header(
+              "content-disposition",
+              `attachment; filename="trial_balance_${toSGTDateString(
+                request.query.startDate
+              )}_${toSGTDateString(request.query.endDate)}.csv"`
+            )
+        } else {
+          reply({
+            startDate: toSGTDateString(request.query.startDate),
+            endDate: toSGTDateString(request.query.endDate),
+            accounts,
+            totals,
+          })
+        }
+      } catch (err) {
+        defaultErrorHandler(reply)(err)
+      }
+    },
+  })
+
+  next()
+}
+register.attributes = {
+  name: "endpoint-ledger",
+}
@@ -74,6 +74,10 @@ export function register(server, options, next) {
               .sortBy("date")
               .value()
           }
+          route.announcements = _(routes)
+            .flatMap(r => r.announcements)
+            .uniqBy("id")
+            .value()
           const minTripDate = _.min(
             route.trips.map(trip => new Date(trip.date).getTime())
           )
@@ -0,0 +1,150 @@
+const Joi = require("../util/joi")
+
+const { SecurityError } = require("../util/errors")
+const {
+  handleRequestWith,
+  instToJSONOrNotFound,
+  assertFound,
+  authorizeByRole,
+} = require("../util/endpoints")
+
+/**
+ * @param {Object} server - a HAPI server
+ * @param {Object} options - unused for now
+ * @param {Function} next - a callback to signal that the next middleware
+ * should initialise
+ */
+export function register(server, options, next) {
+  const authorizeByCompany = authorizeByRole(
+    "view-passengers",
+    trip => trip.route.transportCompanyId
+  )
+
+  server.route({
+    method: "POST",
+    path: "/trips/{id}/pings",
+    config: {
+      tags: ["api", "driver"],
+      auth: { access: { scope: ["driver"] } },
+      description: "Records the location of the vehicle plying this trip",
+      notes: `
+        Only the driver assigned to the trip may post pings for it.
+        If time is not specified, the ping is recorded as of now
+      `,
+      validate: {
+        params: {
+          id: Joi.number().integer(),
+        },
+        payload: Joi.object({
+          coordinates: Joi.latlng()
+            .latRange([1, 2])
+            .lngRange([100, 110])
+            .required(),
+          time: Joi.date().optional(),
+          vehicleId: Joi.number()
+            .integer()
+            .optional(),
+        }),
+      },
+    },
+    handler: handleRequestWith(
+      (ignored, request, { models }) =>
+        models.Trip.findById(request.params.id, {
+          attributes: ["id", "driverId", "vehicleId"],
+        }),
+      assertFound,
+      (trip, request) => {
+        SecurityError.assert.strictEqual(
+          trip.driverId,
+          request.auth.credentials.driverId,
+          "You are not the driver assigned to this trip"
+        )
+        return trip
+      },
+      (trip, request, { models }) =>
+        models.Ping.create({
+          tripId: trip.id,
+          driverId: request.auth.credentials.driverId,
+          vehicleId: request.payload.vehicleId || trip.vehicleId,
+          coordinates: request.payload.coordinates,
+          time: request.payload.time || new Date(),
+        }),
+      instToJSONOrNotFound
+    ),
+  })
+
+  server.route({
+    method: "GET",
+    path: "/trips/{id}/pings",
+    config: {
+      tags: ["api", "admin", "driver", "commuter"],
+      auth: { access: { scope: ["user", "admin", "superadmin", "driver"] } },
+      description: "Lists the latest locations of the vehicle plying this trip",
+      notes: `
+        Commuters may only track the trips they hold valid tickets for,
+        and admins and drivers only the trips of their own companies
+      `,
+      validate: {
+        params: {
+          id: Joi.number().integer(),
+        },
+        query: {
+          limit: Joi.number()
+            .integer()
+            .min(1)
+            .max(1000)
+            .default(20),
+          since: Joi.date().optional(),
+        },
+      },
+    },
+    handler: handleRequestWith(
+      (ignored, request, { models }) =>
+        models.Trip.findById(request.params.id, {
+          attributes: ["id"],
+          include: [
+            { model: models.Route, attributes: ["transportCompanyId"] },
+          ],
+        }),
+      assertFound,
+      async (trip, request, { models }) => {
+        const { credentials } = request.auth
+        if (credentials.scope !== "user") {
+          return authorizeByCompany(trip, request)
+        }
+
+        const ticket = await models.Ticket.find({
+          where: { userId: credentials.userId, status: "valid" },
+          include: [
+            {
+              model: models.TripStop,
+              as: "boardStop",
+              where: { tripId: trip.id },
+              attributes: [],
+            },
+          ],
+          attributes: ["id"],
+        })
+        SecurityError.assert(ticket, "You do not have a ticket on this trip")
+        return trip
+      },
+      (trip, request, { models }) => {
+        const where = { tripId: trip.id }
+        if (request.query.since) {
+          where.time = { $gte: request.query.since }
+        }
+        return models.Ping.findAll({
+          where,
+          order: [["time", "DESC"]],
+          limit: request.query.limit,
+          attributes: ["id", "tripId", "vehicleId", "coordinates", "time"],
+        }).then(pings => pings.map(p => p.toJSON()))
+      }
+    ),
+  })
+
+  next()
+}
+register.attributes = {
+  name: "endpoint-pings",
+}
@@ -0,0 +1,364 @@
+const _ = require("lodash")
+const Joi = require("joi")
+const stream = require("stream")
+const fastCSV = require("fast-csv")
+const moment = require("moment-timezone")
+
+const auth = require("../core/auth")
+const { getModels, getDB, defaultErrorHandler } = require("../util/common")
+const { NotFoundError } = require("../util/errors")
+
+const toSGTDateString = date =>
+  moment(date)
+    .tz("Asia/Singapore")
+    .format("YYYY-MM-DD")
+
+const toDollars = value => _.round(parseFloat(value || 0), 2)
+
+const reportAmountFields = [
+  "discount",
+  "revenue",
+  "netRevenue",
+  "refunded",
+  "discountReversed",
+]
+
+const reportCountFields = [
+  "redemptions",
+  "uniqueUsers",
+  "transactions",
+  "refunds",
+]
+
+const reportKeyFields = {
+  day: ["date"],
+  route: ["routeId", "routeLabel", "routeName"],
+}
+
+/**
+ * For each type of promotion, a query of the items that were discounted
+ * in "discountedItems", with the user who bought them, the route they
+ * are for, what they were sold for, and what was refunded for them.
+ * Tickets are for the route of their trip, while route passes are for
+ * the route tagged with the tag of the pass
+ */
+const redeemedItemQueries = {
+  Promotion: `
+    SELECT
+      "discountedItems".*,
+      "tickets"."userId",
+      "trips"."routeId",
+      -"sales"."debit" AS "revenue",
+      "refunds"."refunded"
+    FROM
+      "discountedItems"
+      INNER JOIN "tickets" ON "tickets"."id" = "discountedItems"."itemId"
+      INNER JOIN "tripStops" ON "tripStops"."id" = "tickets"."boardStopId"
+      INNER JOIN "trips" ON "trips"."id" = "tripStops"."tripId"
+      LEFT JOIN "transactionItems" "sales"
+        ON "sales"."transactionId" = "discountedItems"."transactionId"
+        AND "sales"."itemType" = 'ticketSale'
+        AND "sales"."itemId" = "discountedItems"."itemId"
+      LEFT JOIN LATERAL (
+        SELECT sum("transactionItems"."debit") AS "refunded"
+        FROM
+          "transactionItems"
+          INNER JOIN "transactions"
+            ON "transactions"."id" = "transactionItems"."transactionId"
+        WHERE
+          "transactions"."committed"
+          AND "transactionItems"."itemType" = 'ticketRefund'
+          AND "transactionItems"."itemId" = "discountedItems"."itemId"
+      ) "refunds" ON TRUE
+  `,
+  RoutePass: `
+    SELECT
+      "discountedItems".*,
+      "routePasses"."userId",
+      "passRoutes"."id" AS "routeId",
+      -"sales"."debit" AS "revenue",
+      "refunds"."refunded"
+    FROM
+      "discountedItems"
+      INNER JOIN "routePasses"
+        ON "routePasses"."id" = "discountedItems"."itemId"
+      LEFT JOIN LATERAL (
+        SELECT "routes"."id"
+        FROM "routes"
+        WHERE "routes"."tags" @> ARRAY["routePasses"."tag"]::varchar[]
+        ORDER BY "routes"."id"
+        LIMIT 1
+      ) "passRoutes" ON TRUE
+      LEFT JOIN "transactionItems" "sales"
+        ON "sales"."transactionId" = "discountedItems"."transactionId"
+        AND "sales"."itemType" = 'routePass'
+        AND "sales"."itemId" = "discountedItems"."itemId"
+      LEFT JOIN LATERAL (
+        SELECT sum("transactionItems"."debit") AS "refunded"
+        FROM
+          "transactionItems"
+          INNER JOIN "transactions"
+            ON "transactions"."id" = "transactionItems"."transactionId"
+        WHERE
+          "transactions"."committed"
+          -- Route passes are also debited when redeemed, or when they expire
+          AND "transactions"."type" IN ('refundPayment', 'externalRefund', 'chargeback')
+          AND "transactionItems"."itemType" = 'routePass'
+          AND "transactionItems"."itemId" = "discountedItems"."itemId"
+          AND "transactionItems"."debit" > 0
+      ) "refunds" ON TRUE
+  `,
+}
+
+/**
+ * Sums up the items discounted by a promotion in committed transactions
+ * made in a period, by day or by route, and in total
+ * @param {Object} db - the Sequelize instance
+ * @param {Object} promotion - the promotion
+ * @param {Object} options - the startTime and endTime of the period,
+ * the end being exclusive, and what to groupBy, day or route
+ * @return {Promise<Object>} the rows of the breakdown, and the summary
+ */
+const fetchPromotionReport = async (
+  db,
+  promotion,
+  { startTime, endTime, groupBy }
+) => {
+  const groupExpression =
+    groupBy === "day"
+      ? `to_char("redeemedItems"."createdAt" AT TIME ZONE 'Asia/Singapore', 'YYYY-MM-DD')`
+      : `"redeemedItems"."routeId"`
+
+  const rows = await db.query(
+    `
+    WITH "promotionDiscounts" AS (
+      SELECT
+        "transactions"."id" AS "transactionId",
+        "transactions"."createdAt",
+        "discounts"."discountAmounts",
+        "discounts"."refundAmounts"
+      FROM
+        "discounts"
+        INNER JOIN "transactionItems"
+          ON "transactionItems"."itemType" = 'discount'
+          AND "transactionItems"."itemId" = "discounts"."id"
+        INNER JOIN "transactions"
+          ON "transactions"."id" = "transactionItems"."transactionId"
+      WHERE
+        "discounts"."promotionId" = :promotionId
+        AND "transactions"."committed"
+        AND "transactions"."createdAt" >= :startTime
+        AND "transactions"."createdAt" < :endTime
+    ),
+    "discountedItems" AS (
+      SELECT
+        "promotionDiscounts"."transactionId",
+        "promotionDiscounts"."createdAt",
+        "amounts"."key"::int AS "itemId",
+        "amounts"."value"::numeric AS "discount",
+        coalesce(
+          ("promotionDiscounts"."refundAmounts"->>"amounts"."key")::numeric,
+          0
+        ) AS "refundAmount"
+      FROM
+        "promotionDiscounts",
+        jsonb_each_text("promotionDiscounts"."discountAmounts") AS "amounts"
+    ),
+    "redeemedItems" AS (${redeemedItemQueries[promotion.type]})
+    SELECT
+      GROUPING(${groupExpression}) = 1 AS "isSummary",
+      ${groupExpression} AS "groupKey",
+      count(*) AS "redemptions",
+      count(DISTINCT "redeemedItems"."userId") AS "uniqueUsers",
+      count(DISTINCT "redeemedItems"."transactionId") AS "transactions",
+      coalesce(sum("redeemedItems"."discount"), 0) AS "discount",
+      coalesce(sum("redeemedItems"."revenue"), 0) AS "revenue",
+      count(*) FILTER (WHERE "redeemedItems"."refunded" > 0) AS "refunds",
+      coalesce(sum("redeemedItems"."refunded"), 0) AS "refunded",
+      coalesce(sum("redeemedItems"."refundAmount") FILTER (
+        WHERE "redeemedItems"."refunded" > 0
+      ), 0) AS "discountReversed"
+    FROM "redeemedItems"
+    GROUP BY GROUPING SETS ((${groupExpression}), ())
+    ORDER BY 1, 2
+    `,
+    {
+      type: db.QueryTypes.SELECT,
+      replacements: { promotionId: promotion.id, startTime, endTime },
+    }
+  )
+
+  const toFigures = row => {
+    const figures = {
+      ..._(reportCountFields)
+        .map(f => [f, parseInt(row[f])])
+        .fromPairs()
+        .value(),
+      ..._(reportAmountFields)
+        .map(f => [f, toDollars(row[f])])
+        .fromPairs()
+        .value(),
+    }
+    figures.netRevenue = toDollars(figures.revenue - figures.discount)
+    return figures
+  }
+
+  const [[summaryRow], groupRows] = _.partition(rows, "isSummary")
+  return {
+    summary: summaryRow
+      ? toFigures(summaryRow)
+      : toFigures(_.fromPairs(reportCountFields.map(f => [f, 0]))),
+    rows: groupRows.map(row => ({
+      [groupBy === "day" ? "date" : "routeId"]: row.groupKey,
+      ...toFigures(row),
+    })),
+  }
+}
+
+/**
+ * @param {Object} server - a HAPI server
+ * @param {Object} options - unused for now
+ * @param {Function} next - a callback to signal that the next middleware
+ * should initialise
+ */
+export function register(server, options, next) {
+  server.route({
+    method: "GET",
+    path: "/companies/{companyId}/promotions/{promoId}/report",
+    config: {
+      tags: ["api", "admin"],
+      description: "Get a report of how a promotion has performed in a period",
+      notes: `
+        Covers the committed transactions made between startDate and
+        endDate (inclusive, in SGT) in which the promotion was applied,
+        by day or by route, and in total. redemptions counts the tickets
+        or route passes discounted. revenue is what those items were
+        sold for, and netRevenue that less the discount. refunds counts
+        the discounted items refunded since, refunded the amount refunded
+        for them, and discountReversed the part of the discount reversed
+        with the refunds. usage has the counts kept in promoUsages over
+        the lifetime of the promotion, which are only kept up to date
+        for promotions with usage limits or single-use codes
+      `,
+      auth: { access: { scope: ["admin", "superadmin"] } },
+      validate: {
+        params: {
+          companyId: Joi.number()
+            .integer()
+            .required(),
+          promoId: Joi.number()
+            .integer()
+            .required(),
+        },
+        query: {
+          startDate: Joi.date().required(),
+          endDate: Joi.date()
+            .min(Joi.ref("startDate"))
+            .required(),
+          groupBy: Joi.string()
+            .valid(["day", "route"])
+            .default("day"),
+          format: Joi.string()
+            .valid(["json", "csv"])
+            .default("json"),
+        },
+      },
+    },
+    async handler(request, reply) {
+      try {
+        const { companyId, promoId } = request.params
+        const { groupBy } = request.query
+        auth.assertAdminRole(
+          request.auth.credentials,
+          "view-transactions",
+          companyId
+        )
+
+        const db = getDB(request)
+        const m = getModels(request)
+        const promotion = await m.Promotion.findById(promoId)
+        NotFoundError.assert(
+          promotion && +_.get(promotion, "params.companyId") === companyId,
+          `Promotion ${promoId} of company ${companyId} not found`
+        )
+
+        const startDate = toSGTDateString(request.query.startDate)
+        const endDate = toSGTDateString(request.query.endDate)
+        const { summary, rows } = await fetchPromotionReport(db, promotion, {
+          startTime: moment.tz(startDate, "Asia/Singapore").toDate(),
+          endTime: moment
+            .tz(endDate, "Asia/Singapore")
+            .add(1, "day")
+            .toDate(),
+          groupBy,
+        })
+
+        if (groupBy === "route") {
+          const routes = await m.Route.findAll({
+            where: { id: { $in: _.compact(rows.map(r => r.routeId)) } },
+            attributes: ["id", "label", "name"],
+            raw: true,
+          })
+          const routesById = _.keyBy(routes, "id")
+          rows.forEach(row => {
+            row.routeLabel = _.get(routesById[row.routeId], "label", null)
+            row.routeName = _.get(routesById[row.routeId], "name", null)
+          })
+        }
+
+        if (request.query.format === "csv") {
+          const io = new stream.PassThrough()
+          const writer = fastCSV
+            .createWriteStream({ headers: true })
+            .transform(row =>
+              _.pick(row, [
+                ...reportKeyFields[groupBy],
+                ...reportCountFields,
+                ...reportAmountFields,
+              ])
+            )
+          writer.pipe(io)
+          rows.forEach(row => writer.write(row))
+          writer.end()
+
+          reply(io)
+            .header("Content-type", "text/csv")
+            .header(
+              "content-disposition",
+              `attachment; filename="promotion_${promoId}_by_${groupBy}_${startDate}_${endDate}.csv"`
+            )
+          return
+        }
+
+        const usages = await m.PromoUsage.findAll({
+          where: { promoId, count: { $gt: 0 } },
+          raw: true,
+        })
+        reply({
+          promotion: _.pick(promotion.toJSON(), [
+            "id",
+            "code",
+            "type",
+            "description",
+          ]),
+          startDate,
+          endDate,
+          groupBy,
+          usage: {
+            global: _.sumBy(usages.filter(u => u.userId === null), "count"),
+            distinctUsers: usages.filter(u => u.userId !== null).length,
+          },
+          summary,
+          rows,
+        })
+      } catch (err) {
+        defaultErrorHandler(reply)(err)
+      }
+    },
+  })
+
+  next()
+}
+register.attributes = {
+  name: "endpoint-promotion-reports",
+}
@@ -0,0 +1,127 @@
+const Joi = require("joi")
+const moment = require("moment-timezone")
+
+const { runReconciliation } = require("../transactions/reconciliation")
+const { handleRequestWith, instToJSONOrNotFound } = require("../util/endpoints")
+
+const toSGTDateString = date =>
+  moment(date)
+    .tz("Asia/Singapore")
+    .format("YYYY-MM-DD")
+
+/**
+ * @param {Object} server - a HAPI server
+ * @param {Object} options - unused for now
+ * @param {Function} next - a callback to signal that the next middleware
+ * should initialise
+ */
+export function register(server, options, next) {
+  server.route({
+    method: "GET",
+    path: "/reconciliation/reports",
+    config: {
+      tags: ["api", "admin"],
+      auth: { access: { scope: ["superadmin"] } },
+      description:
+        "Lists the reports of payments reconciled with the payment provider",
+      notes: `
+        The most recent periods come first. Reports are listed with their
+        summary only; fetch a report for its discrepancies
+      `,
+      validate: {
+        query: {
+          limit: Joi.number()
+            .integer()
+            .min(1)
+            .max(100)
+            .default(30),
+          offset: Joi.number()
+            .integer()
+            .min(0)
+            .default(0),
+        },
+      },
+    },
+    handler: handleRequestWith((ignored, request, { models }) =>
+      models.ReconciliationReport.findAll({
+        attributes: { exclude: ["discrepancies"] },
+        order: [["startTime", "DESC"], ["id", "DESC"]],
+        limit: request.query.limit,
+        offset: request.query.offset,
+      })
+    ),
+  })
+
+  server.route({
+    method: "GET",
+    path: "/reconciliation/reports/{id}",
+    config: {
+      tags: ["api", "admin"],
+      auth: { access: { scope: ["superadmin"] } },
+      description:
+        "Fetches a report of payments reconciled, with its discrepancies",
+      validate: {
+        params: {
+          id: Joi.number()
+            .integer()
+            .required(),
+        },
+      },
+    },
+    handler: handleRequestWith(
+      (ignored, request, { models }) =>
+        models.ReconciliationReport.findById(request.params.id),
+      instToJSONOrNotFound
+    ),
+  })
+
+  server.route({
+    method: "POST",
+    path: "/reconciliation/reports",
+    config: {
+      tags: ["api", "admin"],
+      auth: { access: { scope: ["superadmin"] } },
+      description:
+        "Reconciles the payments made between two dates with the payment provider",
+      notes: `
+        Dates are in SGT, and both are included. Payments and refunds
+        booked in committed transactions are checked against the charges
+        and refunds of the payment provider. The report of the period is
+        drawn up again if it has been drawn up before
+      `,
+      validate: {
+        payload: {
+          startDate: Joi.date().required(),
+          endDate: Joi.date()
+            .min(Joi.ref("startDate"))
+            .required(),
+        },
+      },
+      timeout: {
+        server: false,
+        socket: false,
+      },
+    },
+    handler: handleRequestWith(
+      (ignored, request, { db, models }) =>
+        runReconciliation(
+          { db, models },
+          {
+            startTime: moment
+              .tz(toSGTDateString(request.payload.startDate), "Asia/Singapore")
+              .toDate(),
+            endTime: moment
+              .tz(toSGTDateString(request.payload.endDate), "Asia/Singapore")
+              .add(1, "day")
+              .toDate(),
+            force: true,
+          }
+        ),
+      instToJSONOrNotFound
+    ),
+  })
+  next()
+}
+register.attributes = {
+  name: "endpoint-reconciliation-reports",
+}
@@ -0,0 +1,326 @@
+const _ = require("lodash")
+const Joi = require("joi")
+const stream = require("stream")
+const fastCSV = require("fast-csv")
+const moment = require("moment-timezone")
+
+const auth = require("../core/auth")
+const { getDB, defaultErrorHandler } = require("../util/common")
+
+const sgtDate = date =>
+  moment(date)
+    .tz("Asia/Singapore")
+    .format("YYYY-MM-DD")
+
+const ratio = (numerator, denominator) =>
+  denominator ? numerator / denominator : null
+
+/**
+ * Builds the conditions on trips shared by the ridership reports. Only
+ * trips that were not cancelled, of the companies whose transactions the
+ * caller may view, are counted. Trip dates are already dates in SGT, so
+ * periods are taken from them directly
+ * @param {Object} request - the HAPI request
+ * @return {Object} the `conditions` to go in a WHERE clause, and their
+ * `replacements`
+ */
+const tripConditions = request => {
+  const { query } = request
+  let companyIds = auth.getCompaniesByRole(
+    request.auth.credentials,
+    "view-transactions"
+  )
+  if (query.transportCompanyId) {
+    auth.assertAdminRole(
+      request.auth.credentials,
+      "view-transactions",
+      query.transportCompanyId
+    )
+    companyIds = [query.transportCompanyId]
+  }
+
+  const conditions = [
+    `"routes"."transportCompanyId" IN (:companyIds)`,
+    `"trips"."date" >= :startDate`,
+    `"trips"."date" <= :endDate`,
+    `("trips"."status" IS NULL OR "trips"."status" NOT IN ('cancelled', 'void'))`,
+  ]
+  if (query.routeId) {
+    conditions.push(`"trips"."routeId" = :routeId`)
+  }
+
+  return {
+    conditions: conditions.join(" AND "),
+    replacements: {
+      // Keep the query valid even if the caller has no companies
+      companyIds: companyIds.length ? companyIds : [null],
+      startDate: sgtDate(query.startDate),
+      endDate: sgtDate(query.endDate),
+      routeId: query.routeId || null,
+      groupBy: query.groupBy,
+    },
+  }
+}
+
+/**
+ * The query for the number of valid tickets on each trip
+ * @param {string} conditions - the conditions on trips
+ * @return {string} the SQL query
+ */
+const tripLoadsQuery = conditions => `
+  SELECT
+    to_char(date_trunc(:groupBy, "trips"."date"::timestamp), 'YYYY-MM-DD') AS "period",
+    "trips"."id" AS "tripId",
+    to_char("trips"."date", 'YYYY-MM-DD') AS "date",
+    "routes"."id" AS "routeId",
+    "routes"."label" AS "routeLabel",
+    "routes"."transportCompanyId",
+    "trips"."capacity",
+    count("tickets"."id")::int AS "booked"
+  FROM
+    "trips"
+    INNER JOIN "routes" ON "routes"."id" = "trips"."routeId"
+    LEFT JOIN "tripStops" ON "tripStops"."tripId" = "trips"."id"
+    LEFT JOIN "tickets" ON "tickets"."boardStopId" = "tripStops"."id"
+      AND "tickets"."status" = 'valid'
+  WHERE ${conditions}
+  GROUP BY "trips"."id", "routes"."id"
+`
+
+/**
+ * Replies with rows as CSV, or as JSON
+ * @param {Object} request - the HAPI request
+ * @param {Function} reply - the HAPI reply callback
+ * @param {Array} fields - the columns of the CSV
+ * @param {string} filename - the name of the CSV file
+ * @return {Function} a callback taking the rows
+ */
+const replyWithRows = (request, reply, fields, filename) => rows => {
+  if (request.query.format === "csv") {
+    const io = new stream.PassThrough()
+    const writer = fastCSV
+      .createWriteStream({ headers: true })
+      .transform(row => _.pick(row, fields))
+    writer.pipe(io)
+    rows.forEach(row => writer.write(row))
+    writer.end()
+
+    reply(io)
+      .header("Content-type", "text/csv")
+      .header("content-disposition", `attachment; filename="${filename}"`)
+  } else {
+    reply(rows)
+  }
+}
+
+/**
+ * @param {Object} server - a HAPI server
+ * @param {Object} options - unused for now
+ * @param {Function} next - a callback to signal that the next middleware
+ * should initialise
+ */
+export function register(server, options, next) {
+  const ridershipQuery = groupBy => ({
+    startDate: Joi.date().required(),
+    endDate: Joi.date()
+      .min(Joi.ref("startDate"))
+      .required(),
+    transportCompanyId: Joi.number().integer(),
+    routeId: Joi.number().integer(),
+    groupBy: Joi.string()
+      .valid(["day", "week", "month"])
+      .default(groupBy)
+      .description("Periods start on the day, Monday or 1st of the month"),
+    format: Joi.string()
+      .valid(["json", "csv"])
+      .default("json"),
+  })
+
+  const config = {
+    tags: ["api", "admin"],
+    auth: { access: { scope: ["admin", "superadmin"] } },
+  }
+
+  server.route({
+    method: "GET",
+    path: "/ridership/trips",
+    config: {
+      ...config,
+      description: "Reports the load factor of each trip",
+      notes: `
+        The load factor is the fraction of the trip's capacity that was
+        booked. Only companies for which the caller may view transactions
+        are included, and cancelled trips are left out
+      `,
+      validate: { query: ridershipQuery("day") },
+    },
+    async handler(request, reply) {
+      try {
+        const db = getDB(request)
+        const { conditions, replacements } = tripConditions(request)
+        const rows = await db.query(
+          `${tripLoadsQuery(conditions)}
+          ORDER BY "trips"."date", "routes"."label", "trips"."id"`,
+          { type: db.QueryTypes.SELECT, replacements }
+        )
+
+        replyWithRows(
+          request,
+          reply,
+          [
+            "period",
+            "tripId",
+            "date",
+            "routeId",
+            "routeLabel",
+            "transportCompanyId",
+            "capacity",
+            "booked",
+            "loadFactor",
+          ],
+          "trip_load_factors.csv"
+        )(
+          rows.map(row => ({
+            ...row,
+            loadFactor: ratio(row.booked, row.capacity),
+          }))
+        )
+      } catch (err) {
+        defaultErrorHandler(reply)(err)
+      }
+    },
+  })
+
+  server.route({
+    method: "GET",
+    path: "/ridership/routes",
+    config: {
+      ...config,
+      description: "Reports the average occupancy of each route by period",
+      notes: `
+        averageOccupancy is the average number of seats booked per trip,
+        and loadFactor the fraction of the seats on all trips that were
+        booked. Periods are weeks, unless groupBy says otherwise
+      `,
+      validate: { query: ridershipQuery("week") },
+    },
+    async handler(request, reply) {
+      try {
+        const db = getDB(request)
+        const { conditions, replacements } = tripConditions(request)
+        const rows = await db.query(
+          `
+          WITH "tripLoads" AS (${tripLoadsQuery(conditions)})
+          SELECT
+            "period",
+            "routeId",
+            "routeLabel",
+            "transportCompanyId",
+            count(*)::int AS "tripCount",
+            sum("capacity")::int AS "capacity",
+            sum("booked")::int AS "booked"
+          FROM "tripLoads"
+          GROUP BY "period", "routeId", "routeLabel", "transportCompanyId"
+          ORDER BY "period", "routeLabel", "routeId"
+          `,
+          { type: db.QueryTypes.SELECT, replacements }
+        )
+
+        replyWithRows(
+          request,
+          reply,
+          [
+            "period",
+            "routeId",
+            "routeLabel",
+            "transportCompanyId",
+            "tripCount",
+            "capacity",
+            "booked",
+            "averageOccupancy",
+            "loadFactor",
+          ],
+          "route_occupancy.csv"
+        )(
+          rows.map(row => ({
+            ...row,
+            averageOccupancy: ratio(row.booked, row.tripCount),
+            loadFactor: ratio(row.booked, row.capacity),
+          }))
+        )
+      } catch (err) {
+        defaultErrorHandler(reply)(err)
+      }
+    },
+  })
+
+  server.route({
+    method: "GET",
+    path: "/ridership/stops",
+    config: {
+      ...config,
+      description:
+        "Reports the boardings and alightings at each stop by period",
+      notes: `
+        Boardings and alightings are counted from the board and alight
+        stops of valid tickets. Stops are listed busiest first
+      `,
+      validate: { query: ridershipQuery("day") },
+    },
+    async handler(request, reply) {
+      try {
+        const db = getDB(request)
+        const { conditions, replacements } = tripConditions(request)
+        const rows = await db.query(
+          `
+          SELECT
+            to_char(date_trunc(:groupBy, "trips"."date"::timestamp), 'YYYY-MM-DD')
+              AS "period",
+            "stops"."id" AS "stopId",
+            "stops"."description",
+            "stops"."road",
+            count(*) FILTER (
+              WHERE "tripStops"."id" = "tickets"."boardStopId"
+            )::int AS "boardings",
+            count(*) FILTER (
+              WHERE "tripStops"."id" = "tickets"."alightStopId"
+            )::int AS "alightings"
+          FROM
+            "tickets"
+            INNER JOIN "tripStops" ON "tripStops"."id"
+              IN ("tickets"."boardStopId", "tickets"."alightStopId")
+            INNER JOIN "trips" ON "trips"."id" = "tripStops"."tripId"
+            INNER JOIN "routes" ON "routes"."id" = "trips"."routeId"
+            INNER JOIN "stops" ON "stops"."id" = "tripStops"."stopId"
+          WHERE
+            "tickets"."status" = 'valid' AND ${conditions}
+          GROUP BY 1, "stops"."id"
+          ORDER BY 1, count(*) DESC, "stops"."id"
+          `,
+          { type: db.QueryTypes.SELECT, replacements }
+        )
+
+        replyWithRows(
+          request,
+          reply,
+          [
+            "period",
+            "stopId",
+            "description",
+            "road",
+            "boardings",
+            "alightings",
+          ],
+          "stop_ridership.csv"
+        )(rows)
+      } catch (err) {
+        defaultErrorHandler(reply)(err)
+      }
+    },
+  })
+
+  next()
+}
+register.attributes = {
+  name: "endpoint-ridership",
+}
@@ -0,0 +1,248 @@
+const _ = require("lodash")
+const Joi = require("joi")
+
+const { InvalidArgumentError, NotFoundError } = require("../util/errors")
+const {
+  handleRequestWith,
+  authorizeByRole,
+  assertFound,
+  deleteInst,
+} = require("../util/endpoints")
+
+/**
+ * Finds the users who would want to hear of an announcement on a route,
+ * i.e. those holding tickets on its upcoming trips, and, for lite routes,
+ * those subscribed to it
+ * @param {Object} db - the Sequelize instance
+ * @param {Object} route - the Route instance
+ * @return {Promise<Array>} the ids of the users
+ */
+const findInterestedUserIds = async (db, route) => {
+  const isLite = _.includes(route.tags, "lite")
+  const rows = await db.query(
+    `
+    SELECT "tickets"."userId"
+    FROM "tickets"
+      INNER JOIN "tripStops" ON "tickets"."boardStopId" = "tripStops"."id"
+      INNER JOIN "trips" ON "tripStops"."tripId" = "trips"."id"
+    WHERE "trips"."routeId" = :routeId
+      AND "tickets"."status" = 'valid'
+      AND "tripStops"."time" > now()
+    UNION
+    SELECT "subscriptions"."userId"
+    FROM "subscriptions"
+    WHERE :isLite
+      AND "subscriptions"."routeLabel" = :label
+      AND "subscriptions"."status" = 'valid'
+    `,
+    {
+      type: db.QueryTypes.SELECT,
+      replacements: { routeId: route.id, label: route.label, isLite },
+    }
+  )
+  return rows.map(r => r.userId)
+}
+
+/**
+ * Pushes an announcement to the users interested in its route
+ * who can receive push notifications
+ * @param {Object} context - the Sequelize instance and models
+ * @param {Object} route - the Route instance
+ * @param {Object} announcement - the RouteAnnouncement instance
+ * @return {Promise<number>} the number of users notified
+ */
+const notifyInterestedUsers = async ({ db, models }, route, announcement) => {
+  const userIds = await findInterestedUserIds(db, route)
+  const users =
+    userIds.length > 0
+      ? await models.User.findAll({ where: { id: { $in: userIds } } })
+      : []
+  const recipients = users.filter(u => u.canSendNotification())
+
+  await Promise.all(
+    recipients.map(user =>
+      user
+        .sendNotification({
+          title: `${route.label}: ${announcement.title}`,
+          message: announcement.message,
+        })
+        .catch(err => {
+          console.error(err)
+        })
+    )
+  )
+  return recipients.length
+}
+
+/**
+ * @param {Object} server - a HAPI server
+ * @param {Object} options - unused for now
+ * @param {Function} next - a callback to signal that the next middleware
+ * should initialise
+ */
+export function register(server, options, next) {
+  const findRoute = (ignored, request, { models }) =>
+    models.Route.findById(request.params.id)
+  const authorize = authorizeByRole(
+    "manage-routes",
+    route => route.transportCompanyId
+  )
+  const findAnnouncement = async (route, request, { models }) => {
+    const announcementInst = await models.RouteAnnouncement.findById(
+      request.params.announcementId
+    )
+    NotFoundError.assert(
+      announcementInst && announcementInst.routeId === route.id,
+      `Announcement ${request.params.announcementId} ` +
+        `does not belong to route ${route.id}`
+    )
+    return announcementInst
+  }
+  const assertValidPeriod = ({ validFrom, validTo }) => {
+    InvalidArgumentError.assert(
+      !validFrom || !validTo || validFrom <= validTo,
+      "The announcement must come into effect before it expires"
+    )
+  }
+
+  const announcementFields = {
+    title: Joi.string().max(255),
+    message: Joi.string().max(255),
+    validFrom: Joi.date().allow(null),
+    validTo: Joi.date().allow(null),
+  }
+
+  server.route({
+    method: "GET",
+    path: "/routes/{id}/announcements",
+    config: {
+      tags: ["api", "admin"],
+      auth: { access: { scope: ["admin", "superadmin"] } },
+      description: `Lists all announcements on a route, including those
+        that are not in effect`,
+      validate: {
+        params: {
+          id: Joi.number().integer(),
+        },
+      },
+    },
+    handler: handleRequestWith(
+      findRoute,
+      assertFound,
+      authorize,
+      (route, request, { models }) =>
+        models.RouteAnnouncement.findAll({
+          where: { routeId: route.id },
+          order: [["createdAt", "DESC"]],
+        }),
+      announcements => announcements.map(a => a.toJSON())
+    ),
+  })
+
+  server.route({
+    method: "POST",
+    path: "/routes/{id}/announcements",
+    config: {
+      tags: ["api", "admin"],
+      auth: { access: { scope: ["admin", "superadmin"] } },
+      description: "Makes an announcement on a route",
+      notes: `
+        The announcement is shown with the route from validFrom until
+        validTo. If notifyPassengers is set, it is also pushed to the
+        commuters holding tickets on the route's upcoming trips, and to
+        those subscribed to it if it is a lite route. The number of
+        commuters notified is returned in \`notified\`
+      `,
+      validate: {
+        params: {
+          id: Joi.number().integer(),
+        },
+        payload: {
+          ...announcementFields,
+          title: announcementFields.title.required(),
+          message: announcementFields.message.required(),
+          notifyPassengers: Joi.boolean().default(false),
+        },
+      },
+    },
+    handler: handleRequestWith(
+      findRoute,
+      assertFound,
+      authorize,
+      async (route, request, context) => {
+        const { notifyPassengers, ...fields } = request.payload
+        assertValidPeriod(fields)
+
+        const announcementInst = await context.models.RouteAnnouncement.create({
+          ...fields,
+          routeId: route.id,
+        })
+        const notified = notifyPassengers
+          ? await notifyInterestedUsers(context, route, announcementInst)
+          : 0
+
+        return { ...announcementInst.toJSON(), notified }
+      }
+    ),
+  })
+
+  server.route({
+    method: "PUT",
+    path: "/routes/{id}/announcements/{announcementId}",
+    config: {
+      tags: ["api", "admin"],
+      auth: { access: { scope: ["admin", "superadmin"] } },
+      description: "Updates an announcement on a route",
+      validate: {
+        params: {
+          id: Joi.number().integer(),
+          announcementId: Joi.number().integer(),
+        },
+        payload: announcementFields,
+      },
+    },
+    handler: handleRequestWith(
+      findRoute,
+      assertFound,
+      authorize,
+      findAnnouncement,
+      async (announcementInst, request) => {
+        assertValidPeriod({
+          validFrom: announcementInst.validFrom,
+          validTo: announcementInst.validTo,
+          ...request.payload,
+        })
+        await announcementInst.update(request.payload)
+        return announcementInst.toJSON()
+      }
+    ),
+  })
+
+  server.route({
+    method: "DELETE",
+    path: "/routes/{id}/announcements/{announcementId}",
+    config: {
+      tags: ["api", "admin"],
+      auth: { access: { scope: ["admin", "superadmin"] } },
+      description: "Deletes an announcement on a route",
+      validate: {
+        params: {
+          id: Joi.number().integer(),
+          announcementId: Joi.number().integer(),
+        },
+      },
+    },
+    handler: handleRequestWith(
+      findRoute,
+      assertFound,
+      authorize,
+      findAnnouncement,
+      deleteInst
+    ),
+  })
+
+  next()
+}
+register.attributes = {
+  name: "endpoint-route-announcements",
+}
@@ -1,6 +1,9 @@
 const _ = require("lodash")
 const Joi = require("joi")
 const Boom = require("boom")
+const stream = require("stream")
+const fastCSV = require("fast-csv")
+const moment = require("moment-timezone")
 const { toSVY } = require("../util/svy21")
 
 import assert from "assert"
@@ -9,15 +12,16 @@ import {
   getModels,
   getDB,
   defaultErrorHandler,
-  InvalidArgumentError,
   TransactionError,
 } from "../util/common"
 import {
+  fetchAnnouncements,
   cachedFetchRoutes,
   uncachedFetchRoutes,
   filterCached,
 } from "../listings/routes"
 import { purchaseRoutePass } from "../transactions"
+import { parsePathFile, routeToGeoJSON, routeToKML } from "../util/routePaths"
 import commonmark from "commonmark"
 
 /**
@@ -136,6 +140,9 @@ the \`startDate\` defaults to the time of request.
           return reply(Boom.notFound())
         }
         route = route.toJSON()
+        route.announcements =
+          (await fetchAnnouncements(m, [route.id]))[route.id] || []
+
         if (route.indicativeTrip && route.indicativeTrip.tripId) {
           route.indicativeTrip.tripStops = await m.TripStop.findAll({
             where: { tripId: route.indicativeTrip.tripId },
@@ -1010,6 +1017,60 @@ LIMIT :limit
     },
   })
 
+  const toSGTString = (date, format) =>
+    moment(date)
+      .tz("Asia/Singapore")
+      .format(format)
+
+  // The columns of the routes report as CSV. Dates are in SGT
+  const routeReportCSVFields = [
+    "id",
+    "label",
+    "name",
+    "from",
+    "to",
+    "schedule",
+    "tags",
+    "companyTags",
+    "startDate",
+    "endDate",
+    "transportCompany.id",
+    "transportCompany.name",
+    ..._.flatMap(["next", "last"], prefix =>
+      [
+        "TripId",
+        "Price",
+        "Capacity",
+        "StartTime",
+        "EndTime",
+        "StartDescription",
+        "EndDescription",
+        "DriverId",
+        "DriverName",
+      ].map(field => `indicativeTrip.${prefix}${field}`)
+    ),
+  ]
+  const routeReportDateFields = ["startDate", "endDate"]
+
+  const routeReportJSONToCSV = row =>
+    _(routeReportCSVFields)
+      .map(f => {
+        const value = _.get(row, f)
+        return [
+          f,
+          value instanceof Date
+            ? toSGTString(
+                value,
+                routeReportDateFields.includes(f)
+                  ? "YYYY-MM-DD"
+                  : "YYYY-MM-DD HH:mm"
+              )
+            : Array.isArray(value) ? value.join(",") : value,
+        ]
+      })
+      .fromPairs()
+      .value()
+
   server.route({
     method: "GET",
     path: "/routes/report",
@@ -1038,7 +1099,10 @@ LIMIT :limit
             .min(1),
           format: Joi.any()
             .valid(["csv", "json"])
-            .default("json"),
+            .default("json")
+            .description(
+              "json or csv. csv ignores perPage and page, returning all routes"
+            ),
         }),
       },
 
@@ -1141,7 +1205,60 @@ LIMIT :limit
               count: count,
             })
           } else if (request.query.format === "csv") {
-            throw new InvalidArgumentError("csv reports are not supported")
+            let connected = true
+            request.once("disconnect", () => (connected = false))
+            const io = new stream.PassThrough()
+            const writer = fastCSV
+              .createWriteStream({ headers: true })
+              .transform(routeReportJSONToCSV)
+            writer.pipe(io)
+
+            reply(io)
+              .header("Content-type", "text/csv")
+              .header(
+                "content-disposition",
+                'attachment; filename="routes_report.csv"'
+              )
+
+            // Fetch the routes a page at a time, in a single snapshot of
+            // the database, so that no route is skipped or repeated
+            db
+              .transaction({ readOnly: true }, async transaction => {
+                const perPage = 250
+                let lastFetchedSize = perPage
+                for (
+                  let offset = 0;
+                  connected && lastFetchedSize >= perPage;
+                  offset += perPage
+                ) {
+                  // eslint-disable-next-line no-await-in-loop
+                  const routes = await m.Route.findAll({
+                    ...routesQuery,
+                    limit: perPage,
+                    offset,
+                    transaction,
+                  })
+                  for (const route of routes) {
+                    if (!writer.write(route.toJSON())) {
+                      // eslint-disable-next-line no-await-in-loop
+                      await new Promise(resolve => {
+                        writer.once("drain", resolve)
+                      })
+                    }
+                  }
+                  lastFetchedSize = routes.length
+                }
+              })
+              .catch(err => {
+                // corrupt output to indicate error
+                console.error(err)
+                writer.write({ id: `Error generating output: ${err}` })
+              })
+              .finally(() => {
+                writer.end()
+              })
+
+            writer.on("error", console.error)
           }
         } catch (err) {
           defaultErrorHandler(reply)(err)
@@ -1187,6 +1304,124 @@ LIMIT :limit
     },
   })
 
+  server.route({
+    method: "PUT",
+    path: "/routes/{id}/path",
+    config: {
+      tags: ["api", "admin"],
+      auth: { access: { scope: ["admin", "superadmin"] } },
+      description: "Sets the path of a route from a KML or GeoJSON file",
+      notes: `
+        The request body is the file itself, e.g. as exported from Google
+        My Maps or QGIS. The lines in the file are joined up, in order,
+        into the path, which is saved as an encoded polyline. Points, such
+        as stops, are ignored
+      `,
+      payload: {
+        output: "data",
+        parse: false,
+        allow: [
+          "application/vnd.google-earth.kml+xml",
+          "application/geo+json",
+          "application/json",
+          "application/xml",
+          "text/xml",
+          "text/plain",
+          "application/octet-stream",
+        ],
+        maxBytes: 5000000,
+      },
+      validate: {
+        params: {
+          id: Joi.number()
+            .integer()
+            .required(),
+        },
+      },
+    },
+    async handler(request, reply) {
+      try {
+        const m = getModels(request)
+        const routeInst = await m.Route.findById(request.params.id)
+        if (!routeInst) {
+          return reply(Boom.notFound(request.params.id))
+        }
+        await auth.assertAdminRole(
+          request.auth.credentials,
+          "manage-routes",
+          routeInst.transportCompanyId
+        )
+
+        await routeInst.update({ path: parsePathFile(request.payload) })
+        reply(routeInst.toJSON())
+      } catch (err) {
+        defaultErrorHandler(reply)(err)
+      }
+    },
+  })
+
+  server.route({
+    method: "GET",
+    path: "/routes/{id}/path",
+    config: {
+      tags: ["api", "commuter"],
+      auth: false,
+      description: "Downloads the path and stops of a route",
+      notes: `
+        The stops are those of the route's latest trip, in order.
+        Use format=kml for Google My Maps or QGIS
+      `,
+      validate: {
+        params: {
+          id: Joi.number()
+            .integer()
+            .required(),
+        },
+        query: {
+          format: Joi.string()
+            .valid(["geojson", "kml"])
+            .default("geojson"),
+        },
+      },
+    },
+    async handler(request, reply) {
+      try {
+        const m = getModels(request)
+        const routeInst = await m.Route.findById(request.params.id)
+        if (!routeInst) {
+          return reply(Boom.notFound(request.params.id))
+        }
+
+        const latestTrip = await m.Trip.find({
+          where: { routeId: routeInst.id },
+          attributes: ["id"],
+          order: [["date", "DESC"], ["id", "DESC"]],
+        })
+        const tripStops = latestTrip
+          ? await m.TripStop.findAll({
+              where: { tripId: latestTrip.id },
+              include: [m.Stop],
+              order: [["time"]],
+            })
+          : []
+        const stops = tripStops.map(ts => ts.stop.toJSON())
+
+        const filename = `route-${routeInst.id}.${request.query.format}`
+        if (request.query.format === "kml") {
+          reply(routeToKML(routeInst, stops))
+            .header("Content-type", "application/vnd.google-earth.kml+xml")
+            .header("content-disposition", `attachment; filename="${filename}"`)
+        } else {
+          reply(routeToGeoJSON(routeInst, stops))
+            .header("Content-type", "application/geo+json")
+            .header("content-disposition", `attachment; filename="${filename}"`)
+        }
+      } catch (err) {
+        defaultErrorHandler(reply)(err)
+      }
+    },
+  })
+
   server.route({
     method: "POST",
     path: "/liteRoutes/subscriptions",
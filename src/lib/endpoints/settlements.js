@@ -0,0 +1,334 @@
+const _ = require("lodash")
+const Joi = require("joi")
+const stream = require("stream")
+const fastCSV = require("fast-csv")
+const moment = require("moment-timezone")
+const fs = require("fs")
+const path = require("path")
+const Handlebars = require("handlebars")
+const BlueBird = require("bluebird")
+
+const auth = require("../core/auth")
+const Payment = require("../transactions/payment")
+const { getModels, getDB, defaultErrorHandler } = require("../util/common")
+const { NotFoundError } = require("../util/errors")
+
+const toSGTDateString = date =>
+  moment(date)
+    .tz("Asia/Singapore")
+    .format("YYYY-MM-DD")
+
+const toSGTDateTimeString = date =>
+  moment(date)
+    .tz("Asia/Singapore")
+    .format("YYYY-MM-DD HH:mm")
+
+const toDollars = value => _.round(parseFloat(value || 0), 2)
+
+const settlementLineFields = [
+  "transactionId",
+  "createdAt",
+  "type",
+  "description",
+  "paymentResource",
+  "ticketSales",
+  "routePassSales",
+  "discounts",
+  "redeemed",
+  "refunds",
+  "transferred",
+  "applicationFee",
+  "netPayout",
+]
+
+const transactionItemAmountFields = [
+  "ticketSales",
+  "routePassSales",
+  "discounts",
+  "redeemed",
+  "refunds",
+  "transferred",
+]
+
+const settlementSummaryFields = [
+  ...transactionItemAmountFields,
+  "applicationFee",
+  "netPayout",
+]
+
+/**
+ * Works out the fee kept from a Stripe charge in the same way as it
+ * was levied when the charge was made
+ * @param {Object} payment - the amount, the isMicro option and the card
+ * `source` of the payment
+ * @return {number} the application fee in dollars
+ */
+const applicationFeeOf = payment => {
+  const amountInCents = Math.round(parseFloat(payment.amount || 0) * 100)
+  const isMicro =
+    typeof payment.isMicro === "boolean"
+      ? payment.isMicro
+      : Payment.isMicro(amountInCents)
+  // Charges whose card is not on record are taken to be on local cards
+  const isLocalAndNonAmex = payment.source
+    ? Payment.isLocalAndNonAmex(payment.source)
+    : true
+
+  return (
+    Payment.calculateAdminFeeInCents(
+      amountInCents,
+      isMicro,
+      isLocalAndNonAmex
+    ) / 100
+  )
+}
+
+/**
+ * Fetches one line for each committed transaction in the period that
+ * moved money to or from the company
+ * @param {Object} db - the Sequelize instance
+ * @param {Object} replacements - the companyId, and the startTime and
+ * endTime of the period
+ * @return {Promise<Array>} the lines of the statement
+ */
+const fetchSettlementLines = async (db, replacements) => {
+  const rows = await db.query(
+    `
+    WITH "companyTransactions" AS (
+      SELECT DISTINCT "transactionItems"."transactionId"
+      FROM
+        "transactionItems"
+        INNER JOIN "transfers" ON "transfers"."id" = "transactionItems"."itemId"
+      WHERE
+        "transactionItems"."itemType" = 'transfer'
+        AND "transfers"."transportCompanyId" = :companyId
+    ),
+    "transactionPayments" AS (
+      SELECT
+        "transactionItems"."transactionId",
+        json_agg(json_build_object(
+          'paymentResource', "payments"."paymentResource",
+          'amount', "payments"."incoming",
+          'isMicro', "payments"."options"->'isMicro',
+          'source', "payments"."data"->'source'
+        )) AS "payments"
+      FROM
+        "transactionItems"
+        INNER JOIN "payments" ON "payments"."id" = "transactionItems"."itemId"
+      WHERE
+        "transactionItems"."itemType" = 'payment'
+        AND "transactionItems"."transactionId" IN
+          (SELECT "transactionId" FROM "companyTransactions")
+      GROUP BY "transactionItems"."transactionId"
+    )
+    SELECT
+      "transactions"."id" AS "transactionId",
+      "transactions"."createdAt",
+      "transactions"."type",
+      "transactions"."description",
+      coalesce(sum(-"transactionItems"."debit") FILTER (
+        WHERE "transactionItems"."itemType" = 'ticketSale'
+      ), 0) AS "ticketSales",
+      coalesce(sum(-"transactionItems"."debit") FILTER (
+        WHERE "transactionItems"."itemType" = 'routePass'
+          AND "transactionItems"."debit" < 0
+      ), 0) AS "routePassSales",
+      coalesce(sum("transactionItems"."debit") FILTER (
+        WHERE "transactionItems"."itemType" = 'discount'
+      ), 0) AS "discounts",
+      coalesce(sum("transactionItems"."debit") FILTER (
+        WHERE "transactionItems"."itemType" IN ('routePass', 'routeCredits')
+          AND "transactionItems"."debit" > 0
+      ), 0) AS "redeemed",
+      coalesce(sum("transfers"."incoming") FILTER (
+        WHERE "transfers"."transportCompanyId" = :companyId
+          AND "transfers"."incoming" > 0
+      ), 0) AS "refunds",
+      coalesce(sum(-"transfers"."incoming") FILTER (
+        WHERE "transfers"."transportCompanyId" = :companyId
+          AND "transfers"."incoming" < 0
+      ), 0) AS "transferred",
+      "transactionPayments"."payments"
+    FROM
+      "transactions"
+      INNER JOIN "companyTransactions"
+        ON "companyTransactions"."transactionId" = "transactions"."id"
+      INNER JOIN "transactionItems"
+        ON "transactionItems"."transactionId" = "transactions"."id"
+      LEFT JOIN "transfers" ON "transactionItems"."itemType" = 'transfer'
+        AND "transfers"."id" = "transactionItems"."itemId"
+      LEFT JOIN "transactionPayments"
+        ON "transactionPayments"."transactionId" = "transactions"."id"
+    WHERE
+      "transactions"."committed"
+      AND "transactions"."createdAt" >= :startTime
+      AND "transactions"."createdAt" < :endTime
+    GROUP BY "transactions"."id", "transactionPayments"."payments"
+    ORDER BY "transactions"."createdAt", "transactions"."id"
+    `,
+    { type: db.QueryTypes.SELECT, replacements }
+  )
+
+  return rows.map(row => {
+    const payments = row.payments || []
+    const line = {
+      ..._.pick(row, ["transactionId", "createdAt", "type", "description"]),
+      paymentResource: payments.map(p => p.paymentResource).join(","),
+      ..._(transactionItemAmountFields)
+        .map(f => [f, toDollars(row[f])])
+        .fromPairs()
+        .value(),
+      applicationFee: toDollars(_.sumBy(payments, applicationFeeOf)),
+    }
+    line.netPayout = toDollars(
+      line.transferred - line.refunds - line.applicationFee
+    )
+    return line
+  })
+}
+
+/**
+ * Renders a settlement statement as a printable HTML document
+ * @param {Object} statement - the statement
+ * @return {Promise<string>} the HTML document
+ */
+const renderSettlementStatement = async statement => {
+  const htmlTemplateText = await BlueBird.promisify(fs.readFile)(
+    path.join(__dirname, "../../../data/settlement.html"),
+    "utf8"
+  )
+  const htmlTemplate = Handlebars.compile(htmlTemplateText)
+  const formatAmounts = amounts =>
+    _.mapValues(
+      amounts,
+      (v, k) => (_.includes(settlementSummaryFields, k) ? v.toFixed(2) : v)
+    )
+
+  return htmlTemplate({
+    ...statement,
+    generatedAt: toSGTDateTimeString(new Date()),
+    summary: formatAmounts(statement.summary),
+    lines: statement.lines.map(line => ({
+      ...formatAmounts(line),
+      createdAt: toSGTDateTimeString(line.createdAt),
+    })),
+  })
+}
+
+/**
+ * @param {Object} server - a HAPI server
+ * @param {Object} options - unused for now
+ * @param {Function} next - a callback to signal that the next middleware
+ * should initialise
+ */
+export function register(server, options, next) {
+  server.route({
+    method: "GET",
+    path: "/companies/{companyId}/settlement",
+    config: {
+      tags: ["api", "admin"],
+      description: "Get the settlement statement of a company for a period",
+      notes: `
+        Totals, and one line for each committed transaction made between
+        startDate and endDate (inclusive, in SGT) that moved money to or
+        from the company. ticketSales and routePassSales are the gross
+        sales, discounts and redeemed the parts of them not paid for
+        in cash, refunds what was taken back from the company, and
+        applicationFee the fees kept from the card payments. netPayout
+        is what was transferred to the company, less refunds and
+        application fees
+      `,
+      auth: { access: { scope: ["admin", "superadmin"] } },
+      validate: {
+        params: {
+          companyId: Joi.number()
+            .integer()
+            .required(),
+        },
+        query: {
+          startDate: Joi.date().required(),
+          endDate: Joi.date()
+            .min(Joi.ref("startDate"))
+            .required(),
+          format: Joi.string()
+            .valid(["json", "csv", "html"])
+            .description("json, csv of the lines, or a printable html page")
+            .default("json"),
+        },
+      },
+    },
+    async handler(request, reply) {
+      try {
+        const { companyId } = request.params
+        auth.assertAdminRole(
+          request.auth.credentials,
+          "view-transactions",
+          companyId
+        )
+
+        const db = getDB(request)
+        const m = getModels(request)
+        const company = await m.TransportCompany.findById(companyId, {
+          attributes: ["id", "name"],
+        })
+        NotFoundError.assert(company, `Company ${companyId} not found`)
+
+        const startDate = toSGTDateString(request.query.startDate)
+        const endDate = toSGTDateString(request.query.endDate)
+        const lines = await fetchSettlementLines(db, {
+          companyId,
+          startTime: moment.tz(startDate, "Asia/Singapore").toDate(),
+          endTime: moment
+            .tz(endDate, "Asia/Singapore")
+            .add(1, "day")
+            .toDate(),
+        })
+
+        if (request.query.format === "csv") {
+          const io = new stream.PassThrough()
+          const writer = fastCSV
+            .createWriteStream({ headers: true })
+            .transform(line => ({
+              ..._.pick(line, settlementLineFields),
+              createdAt: toSGTDateTimeString(line.createdAt),
+            }))
+          writer.pipe(io)
+          lines.forEach(line => writer.write(line))
+          writer.end()
+
+          reply(io)
+            .header("Content-type", "text/csv")
+            .header(
+              "content-disposition",
+              `attachment; filename="settlement_${companyId}_${startDate}_${endDate}.csv"`
+            )
+          return
+        }
+
+        const statement = {
+          transportCompany: company.toJSON(),
+          startDate,
+          endDate,
+          summary: _(settlementSummaryFields)
+            .map(f => [f, toDollars(_.sumBy(lines, f))])
+            .fromPairs()
+            .value(),
+          lines,
+        }
+
+        if (request.query.format === "html") {
+          reply(await renderSettlementStatement(statement))
+        } else {
+          reply(statement)
+        }
+      } catch (err) {
+        defaultErrorHandler(reply)(err)
+      }
+    },
+  })
+
+  next()
+}
+register.attributes = {
+  name: "endpoint-settlements",
+}
@@ -0,0 +1,66 @@
+const Joi = require("joi")
+
+const Payment = require("../transactions/payment")
+const { processStripeEvent } = require("../transactions/stripeEvents")
+const { handleRequestWith } = require("../util/endpoints")
+const { InvalidArgumentError } = require("../util/errors")
+
+/**
+ * @param {Object} request - a HAPI request, with its payload unparsed
+ * @return {Object} the event sent, if it was signed by Stripe
+ */
+const verifyStripeEvent = request => {
+  try {
+    return Payment.constructWebhookEvent(
+      String(request.payload || ""),
+      request.headers["stripe-signature"]
+    )
+  } catch (err) {
+    if (
+      err.type === "StripeSignatureVerificationError" ||
+      err instanceof SyntaxError
+    ) {
+      throw new InvalidArgumentError(err.message)
+    }
+    throw err
+  }
+}
+
+/**
+ * Receive the events that Stripe sends on refunds, disputes and payouts
+ * @param {Object} server - a HAPI server
+ * @param {Object} options - unused for now
+ * @param {Function} next - a callback to signal that the next middleware
+ * should initialise
+ */
+export function register(server, options, next) {
+  server.route({
+    method: "POST",
+    path: "/stripe/webhooks",
+    config: {
+      tags: ["api"],
+      auth: false,
+      description: `Receives events from Stripe, so that refunds and disputes
+made outside our endpoints, e.g. in the Stripe dashboard, are booked.
+Events are signed with STRIPE_WEBHOOK_SECRET, and each is acted on once,
+however many times it is sent. Errors ask Stripe to send the event again`,
+      // The signature is over the payload exactly as sent
+      payload: {
+        output: "data",
+        parse: false,
+      },
+      validate: {
+        headers: Joi.object({
+          "stripe-signature": Joi.string().required(),
+        }).unknown(),
+      },
+    },
+    handler: handleRequestWith((ignored, request, { db, models }) =>
+      processStripeEvent({ db, models, event: verifyStripeEvent(request) })
+    ),
+  })
+  next()
+}
+register.attributes = {
+  name: "endpoint-stripe-webhooks",
+}
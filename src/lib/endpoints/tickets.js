@@ -10,6 +10,63 @@ const {
   authorizeByRole,
 } = require("../util/endpoints")
 
+/**
+ * The query behind a commuter's list of tickets, i.e. their tickets with
+ * the board and alight stops, trips and routes, in order of boarding
+ * @param {Object} m - the Sequelize models
+ * @param {Object} options - `userId`, and `startTime`, the time after which
+ * the trips board. The tickets may be restricted to a `transportCompanyId`,
+ * and to `statuses` other than "valid"
+ * @return {Object} the options to pass to Ticket.findAll
+ */
+export function userTicketsQuery(m, options) {
+  const {
+    userId,
+    startTime,
+    transportCompanyId,
+    statuses = ["valid"],
+  } = options
+  const routeWhere = transportCompanyId ? { transportCompanyId } : {}
+
+  return {
+    where: {
+      userId,
+      status: { $in: statuses },
+    },
+    include: [
+      {
+        model: m.TripStop,
+        as: "boardStop",
+        include: [
+          m.Stop,
+          {
+            model: m.Trip,
+            include: [
+              {
+                model: m.Route,
+                where: routeWhere,
+              },
+            ],
+          },
+        ],
+        where: {
+          time: {
+            $gt: startTime,
+          },
+        },
+        required: true,
+      },
+      {
+        model: m.TripStop,
+        as: "alightStop",
+        include: [m.Stop, m.Trip],
+        required: false,
+      },
+    ],
+    order: [[{ model: m.TripStop, as: "boardStop" }, "time", "ASC"]],
+  }
+}
+
 export const register = function register(server, options, next) {
   const addTripCodeToTicket = ticket => {
     if (ticket) {
@@ -42,48 +99,11 @@ export const register = function register(server, options, next) {
     handler: async function(request, reply) {
       let m = common.getModels(request)
 
-      let ticketQuery = {
-        where: {
-          userId: request.auth.credentials.userId,
-          status: "valid",
-        },
-        include: [
-          {
-            model: m.TripStop,
-            as: "boardStop",
-            include: [
-              m.Stop,
-              {
-                model: m.Trip,
-                include: [
-                  {
-                    model: m.Route,
-                    where: {},
-                  },
-                ],
-              },
-            ],
-            where: {
-              time: {
-                $gt: request.query.startTime,
-              },
-            },
-            required: true,
-          },
-          {
-            model: m.TripStop,
-            as: "alightStop",
-            include: [m.Stop, m.Trip],
-            required: false,
-          },
-        ],
-        order: [[{ model: m.TripStop, as: "boardStop" }, "time", "ASC"]],
-      }
-
-      if (request.query.transportCompanyId) {
-        ticketQuery.include[0].include[1].include[0].where.transportCompanyId =
-          request.query.transportCompanyId
-      }
+      const ticketQuery = userTicketsQuery(m, {
+        userId: request.auth.credentials.userId,
+        startTime: request.query.startTime,
+        transportCompanyId: request.query.transportCompanyId,
+      })
 
       try {
         const tickets = await m.Ticket.findAll(ticketQuery)
@@ -23,7 +23,6 @@ import {
 import * as auth from "../core/auth"
 import * as Payment from "../transactions/payment"
 import * as events from "../events/events"
-import { TransactionBuilder } from "../transactions/builder"
 
 import {
   prepareTicketSale,
@@ -36,55 +35,172 @@ import {
   checkValidTripStop,
   purchaseRoutePass,
   prepareTicketRefund,
+  prepareTicketRefundToRoutePass,
   prepareRoutePassRefund,
+  refundViaStripeWithAccounting,
+  cancelTicket,
+  rebookTicket,
+  INVALID_CREDIT_TAGS,
 } from "../transactions"
 
+import {
+  fetchReceipt,
+  renderReceipt,
+  emailReceipt,
+} from "../transactions/receipts"
 import { routeRequestsTo, handleRequestWith } from "../util/endpoints"
+import {
+  idempotentRequests,
+  idempotencyKeyHeaders,
+  providerIdempotencyKey,
+  recordIdempotentTransaction,
+  idempotentTransactionId,
+} from "../util/idempotency"
+
+const promoCodesSchema = Joi.array()
+  .items(
+    Joi.object({
+      code: Joi.string()
+        .allow("")
+        .required(),
+      options: Joi.object(),
+    })
+  )
+  .allow(null)
+  .description(
+    "Several promo codes to use together, along with any default promotions. Overrides promoCode"
+  )
+
+/**
+ * Lists the promotions applied by the discounts in a purchase
+ * @param {Array} transactionItems - the items of the purchase
+ * @param {Function} countUses - gives the number of uses of a promotion
+ * from its discount item
+ * @return {Array} the promotionId of each promotion, and the count of
+ * its uses
+ */
+const promotionsUsedIn = (transactionItems, countUses) =>
+  transactionItems
+    .filter(item => item.itemType === "discount" && item.discount.promotionId)
+    .map(item => ({
+      promotionId: item.discount.promotionId,
+      count: countUses(item),
+    }))
+
+/**
+ * Find the transaction built by an earlier attempt at a request with the
+ * same Idempotency-Key, which was cut short before it was responded to
+ * @param {Object} m - the Sequelize models
+ * @param {Object} request - a HAPI request
+ * @return {Promise<Object>} the transaction, with its items, or null if
+ * no earlier attempt got as far as building one
+ */
+const findResumedTransaction = async (m, request) => {
+  const transactionId = idempotentTransactionId(request)
+  if (!transactionId) {
+    return null
+  }
+  const dbTxn = await m.Transaction.findById(transactionId, {
+    include: [m.TransactionItem],
+  })
+  TransactionError.assert(
+    dbTxn && dbTxn.committed,
+    `Transaction ${transactionId} did not go through`
+  )
+  await m.TransactionItem.getAssociatedItems(dbTxn.transactionItems)
+  return dbTxn
+}
 
-const INVALID_CREDIT_TAGS = [
-  "public",
-  "lite",
-  "mandai",
-  "crowdstart",
-  "notify-when-empty",
-  "success",
-  "failed",
-]
+/**
+ * Charge the card for a transaction, unless the charge has been recorded
+ * already by an earlier attempt at the request. Transactions that cannot
+ * be charged are undone, or, if they were built by an earlier attempt
+ * and cannot be undone here, reported as transaction failures
+ * @param {Object} chargeOptions - as passed to chargeSale
+ * @param {Function} undoFn - undoes the transaction, or null if it was
+ * built by an earlier attempt
+ * @param {Number} userId - the user making the purchase
+ */
+const chargeOrResume = async (chargeOptions, undoFn, userId) => {
+  const dbTxn = chargeOptions.transaction
+  const paymentItem = dbTxn.transactionItems.find(
+    ti => ti.itemType === "payment"
+  )
+  if (paymentItem && paymentItem.payment.paymentResource) {
+    return
+  }
+
+  try {
+    await chargeSale(chargeOptions)
+  } catch (err) {
+    console.error(err)
+    if (err instanceof ChargeError) {
+      try {
+        TransactionError.assert(
+          undoFn,
+          `Transaction ${dbTxn.id} was resumed, and must be undone by hand`
+        )
+        await undoFn()
+      } catch (err2) {
+        events.emit("transactionFailure", {
+          message: `!!! ERROR UNDOING ${dbTxn.id} with ${err2.message}`,
+          userId,
+        })
+        console.error(err2)
+      }
+    }
+    throw err
+  }
+}
 
 export const register = (server, options, next) => {
   const { models } = server.plugins["sequelize"]
   // Prompt update of promotions used upon completion of purchase
   events.on("newPurchase", {}, async event => {
-    try {
-      if (event.promotionId) {
-        let promoInst = await models.Promotion.findById(event.promotionId)
+    for (const { promotionId, count } of event.promotions || []) {
+      try {
+        let promoInst = await models.Promotion.findById(promotionId)
 
         if (promoInst.params.usageLimit.globalLimit) {
-          await models.PromoUsage.addGlobalPromoUsage(
-            promoInst.id,
-            event.numValidPromoTickets
-          )
+          await models.PromoUsage.addGlobalPromoUsage(promoInst.id, count)
         }
+      } catch (err) {
+        console.error(err)
+
+        events.emit("transactionFailure", {
+          message: `Error updating total usage of promotion (id: ${promotionId}), with message: ${
+            err.message
+          }`,
+        })
+      }
+    }
+  })
+
+  // Email the receipt of each purchase to the user who made it
+  events.on("newPurchase", {}, async event => {
+    try {
+      if (event.transactionId) {
+        await emailReceipt({ models }, event.transactionId)
       }
     } catch (err) {
       console.error(err)
-
-      events.emit("transactionFailure", {
-        message: `Error updating total usage of promotion (id: ${
-          event.promoId
-        }), with message: ${err.message}`,
-      })
     }
   })
 
   routeRequestsTo(server, ["/transactions/tickets/payment"], {
     method: "POST",
     config: {
+      ...idempotentRequests,
       tags: ["api", "commuter"],
       description: `Prepare a transaction with tickets, charge Stripe, and then mark the
   transaction as committed and the tickets as valid if Stripe has been
   successfully charged.`,
+      notes: `
+        Retries with the same Idempotency-Key header and payload get the
+        response to the first request, without charging again
+      `,
       validate: {
+        headers: idempotencyKeyHeaders,
         payload: Joi.object({
           trips: Joi.array().items(
             Joi.object({
@@ -100,6 +216,7 @@ export const register = (server, options, next) => {
               .required(),
             options: Joi.object(),
           }).allow(null),
+          promoCodes: promoCodesSchema,
           applyRoutePass: Joi.boolean().default(false),
           stripeToken: Joi.string(),
           customerId: Joi.string(),
@@ -131,28 +248,35 @@ export const register = (server, options, next) => {
           )
         }
 
-        /* Prepare the transaction */
-        let [dbTxn, undoFn] = await prepareTicketSale([db, m], {
-          trips: request.payload.trips,
-          promoCode: request.payload.promoCode,
-          applyRoutePass: request.payload.applyRoutePass,
-          dryRun: false,
-          committed: true,
-          convertToJson: false,
-          expectedPrice: request.payload.expectedPrice,
-          creator: {
-            type: "user",
-            id: request.auth.credentials.userId,
-          },
-        })
+        /* Prepare the transaction, or take over that of an earlier attempt */
+        let dbTxn = await findResumedTransaction(m, request)
+        let undoFn = null
+        if (!dbTxn) {
+          ;[dbTxn, undoFn] = await prepareTicketSale([db, m], {
+            trips: request.payload.trips,
+            promoCode: request.payload.promoCode,
+            promoCodes: request.payload.promoCodes,
+            applyRoutePass: request.payload.applyRoutePass,
+            dryRun: false,
+            committed: true,
+            convertToJson: false,
+            expectedPrice: request.payload.expectedPrice,
+            creator: {
+              type: "user",
+              id: request.auth.credentials.userId,
+            },
+          })
 
-        assert(dbTxn.id)
+          assert(dbTxn.id)
+          await recordIdempotentTransaction(request, dbTxn.id)
+        }
 
         let chargeOptions = {
           db,
           models: m,
           transaction: dbTxn,
           tokenIat: request.auth.credentials.iat,
+          idempotencyKey: providerIdempotencyKey(request),
           paymentDescription: `[Txn #${dbTxn.id}] ` + dbTxn.description,
         }
 
@@ -168,23 +292,11 @@ export const register = (server, options, next) => {
         }
 
         // charge stripe
-        try {
-          await chargeSale(chargeOptions)
-        } catch (err) {
-          console.error(err)
-          if (err instanceof ChargeError) {
-            try {
-              await undoFn()
-            } catch (err2) {
-              events.emit("transactionFailure", {
-                message: `!!! ERROR UNDOING ${dbTxn.id} with ${err2.message}`,
-                userId: request.auth.credentials.userId,
-              })
-              console.error(err2)
-            }
-          }
-          throw err
-        }
+        await chargeOrResume(
+          chargeOptions,
+          undoFn,
+          request.auth.credentials.userId
+        )
 
         dbTxn = await m.Transaction.findById(dbTxn.id, {
           include: [m.TransactionItem],
@@ -222,30 +334,14 @@ export const register = (server, options, next) => {
           })
         })(dbTxn.transactionItems)
 
-        let transactionItemsByType = _.groupBy(
-          dbTxn.transactionItems,
-          ti => ti.itemType
-        )
-        let numValidPromoTickets = null
-        let promotionId = null
-
-        if (transactionItemsByType.discount) {
-          let promo = transactionItemsByType.discount.filter(
-            item => item.discount.promotionId
-          )
-          assert(promo.length < 2, `Only 1 promotion per purchase is allowed`)
-          if (promo.length === 1) {
-            promotionId = promo[0].discount.promotionId
-            numValidPromoTickets = _.keys(promo[0].notes.tickets).filter(
-              ticketId => promo[0].notes.tickets[ticketId] > 0
-            ).length
-          }
-        }
-
+        // Each promotion is used once for every ticket it discounted
         events.emit("newPurchase", {
           userId: request.auth.credentials.userId,
-          numValidPromoTickets,
-          promotionId,
+          transactionId: dbTxn.id,
+          promotions: promotionsUsedIn(
+            dbTxn.transactionItems,
+            item => _.values(item.notes.tickets).filter(v => v > 0).length
+          ),
         })
 
         reply(dbTxn.toJSON())
@@ -262,12 +358,18 @@ export const register = (server, options, next) => {
   routeRequestsTo(server, ["/transactions/route_passes/payment"], {
     method: "POST",
     config: {
+      ...idempotentRequests,
       tags: ["api", "commuter"],
       description: `Prepare a transaction with tickets, charge Stripe, and then mark the
     transaction as committed and the tickets as valid if Stripe has been
     successfully charged.`,
+      notes: `
+        Retries with the same Idempotency-Key header and payload get the
+        response to the first request, without charging again
+      `,
       auth: { access: { scope: ["user"] } },
       validate: {
+        headers: idempotencyKeyHeaders,
         payload: {
           quantity: Joi.number()
             .integer()
@@ -283,6 +385,7 @@ export const register = (server, options, next) => {
             .description(
               "For bulk discounts, pass in the promoCode of a promotion with the tiered discount"
             ),
+          promoCodes: promoCodesSchema,
           tag: Joi.string().description(
             "The tag of the route to purchase passes from"
           ),
@@ -323,69 +426,48 @@ export const register = (server, options, next) => {
           "No stripe token or customerId is provided"
         )
 
-        /* Prepare the transaction */
-        const [dbTxn, undoFn] = await purchaseRoutePass({
-          userId,
-          db,
-          models: m,
-          promoCode: request.payload.promoCode,
-          quantity: request.payload.quantity,
-          tag: request.payload.tag,
-          companyId: request.payload.companyId,
-          expectedPrice: request.payload.expectedPrice,
-        })
+        /* Prepare the transaction, or take over that of an earlier attempt */
+        let dbTxn = await findResumedTransaction(m, request)
+        let undoFn = null
+        if (!dbTxn) {
+          ;[dbTxn, undoFn] = await purchaseRoutePass({
+            userId,
+            db,
+            models: m,
+            promoCode: request.payload.promoCode,
+            promoCodes: request.payload.promoCodes,
+            quantity: request.payload.quantity,
+            tag: request.payload.tag,
+            companyId: request.payload.companyId,
+            expectedPrice: request.payload.expectedPrice,
+          })
 
-        assert(dbTxn.id)
+          assert(dbTxn.id)
+          await recordIdempotentTransaction(request, dbTxn.id)
+        }
 
         let chargeOptions = {
           db,
           models: m,
           transaction: dbTxn,
           tokenIat: request.auth.credentials.iat,
+          idempotencyKey: providerIdempotencyKey(request),
           paymentDescription: `[Txn #${dbTxn.id}] ` + dbTxn.description,
           ...cardDetails,
         }
 
         // charge stripe
-        try {
-          await chargeSale(chargeOptions)
-        } catch (err) {
-          console.error(err)
-          if (err instanceof ChargeError) {
-            try {
-              await undoFn()
-            } catch (err2) {
-              events.emit("transactionFailure", {
-                message: `!!! ERROR UNDOING ${dbTxn.id} with ${err2.message}`,
-                userId: request.auth.credentials.userId,
-              })
-              console.error(err2)
-            }
-          }
-          throw err
-        }
-
-        let transactionItemsByType = _.groupBy(
-          dbTxn.transactionItems,
-          ti => ti.itemType
+        await chargeOrResume(
+          chargeOptions,
+          undoFn,
+          request.auth.credentials.userId
         )
-        let numValidPromoTickets = null
-        let promotionId = null
-
-        if (transactionItemsByType.discount) {
-          let promo = transactionItemsByType.discount.filter(
-            item => item.discount.promotionId
-          )
-          if (promo.length === 1) {
-            promotionId = promo[0].discount.promotionId
-            numValidPromoTickets = 1
-          }
-        }
 
+        // Each promotion is used once per purchase of route passes
         events.emit("newPurchase", {
           userId: request.auth.credentials.userId,
-          numValidPromoTickets,
-          promotionId,
+          transactionId: dbTxn.id,
+          promotions: promotionsUsedIn(dbTxn.transactionItems, () => 1),
         })
 
         reply(dbTxn.toJSON())
@@ -424,6 +506,7 @@ export const register = (server, options, next) => {
             })
             .allow(null)
             .default(null),
+          promoCodes: promoCodesSchema,
           groupItemsByType: Joi.boolean().default(false),
         }),
       },
@@ -440,6 +523,7 @@ export const register = (server, options, next) => {
         let [preparedTransaction] = await prepareTicketSale([db, m], {
           trips: request.payload.trips,
           promoCode: request.payload.promoCode,
+          promoCodes: request.payload.promoCodes,
           applyRoutePass: request.payload.applyRoutePass,
           dryRun: true,
         })
@@ -476,89 +560,6 @@ export const register = (server, options, next) => {
     },
   })
 
-  const refundViaStripeWithAccounting = async (
-    { db, txn, undoFn, stripeRefundInfo },
-    request
-  ) => {
-    try {
-      let tiByTypes = _.groupBy(txn.transactionItems, ti => ti.itemType)
-      let { charge, amount, idempotencyKey } = stripeRefundInfo
-      let refundAmtCents = Math.round(amount * 100)
-
-      let stripeRefundResult
-      try {
-        stripeRefundResult = await Payment.refundCharge(
-          charge.id,
-          refundAmtCents / 100,
-          idempotencyKey
-        )
-
-        assert(
-          stripeRefundResult.status === "succeeded",
-          "Stripe refund was not performed"
-        )
-      } catch (err) {
-        let refundPaymentInst = tiByTypes.refundPayment[0].refundPayment
-        await refundPaymentInst.update({ data: err })
-
-        throw new ChargeError(err.message)
-      }
-
-      // fill out refundPayment
-      await db.transaction(async transaction => {
-        assert.strictEqual(tiByTypes.refundPayment.length, 1)
-
-        let refundPaymentInst = tiByTypes.refundPayment[0].refundPayment
-        await refundPaymentInst.update({
-          paymentResource: stripeRefundResult.id,
-          data: stripeRefundResult,
-        })
-
-        // amend processing fee:
-        let processingFee =
-          -(await Payment.retrieveTransaction(
-            stripeRefundResult.balance_transaction
-          )).fee / 100
-
-        // for stripe-transfer (processing fee)
-        let stripeTransfer = tiByTypes.transfer.find(
-          ti => ti.transfer.thirdParty === "stripe"
-        )
-        await stripeTransfer.update({ debit: processingFee }, { transaction })
-        await stripeTransfer.transfer.update(
-          { incoming: processingFee },
-          { transaction }
-        )
-
-        // for account transaction item
-        assert.strictEqual(tiByTypes.account.length, 1)
-        await tiByTypes.account[0].update(
-          { credit: amount + processingFee },
-          { transaction }
-        )
-      })
-
-      return txn.toJSON()
-    } catch (err) {
-      if (err instanceof ChargeError) {
-        console.error(err)
-        try {
-          await undoFn()
-        } catch (err2) {
-          console.error(err2)
-          events.emit("transactionFailure", {
-            message: `Error performing refund. ${err.message}`,
-            userId:
-              request.auth.credentials.adminId ||
-              request.auth.credentials.email,
-          })
-        }
-      }
-
-      throw err
-    }
-  }
-
   server.route({
     method: "POST",
     path: "/transactions/route_passes/{routePassId}/refund/payment",
@@ -582,31 +583,35 @@ will not be refunded here, so we will make a net profit.`,
         },
       },
     },
-    handler: handleRequestWith(async (ignored, request, { db, models }) => {
-      const transactionItemId = request.payload.transactionItemId
-      const routePassId = request.params.routePassId
-      const credentials = request.auth.credentials
-
-      // create transaction, relevant transactionItems
-      let [txn, undoFn, stripeRefundInfo] = await db.transaction(
-        async transaction => {
-          const routePass = await models.RoutePass.findById(routePassId)
-          auth.assertAdminRole(credentials, "refund", routePass.companyId)
-
-          const transactionItem = await models.TransactionItem.findById(
-            transactionItemId
-          )
-          return prepareRoutePassRefund({
-            db,
-            models,
-            credentials,
-            transactionItem,
-            routePass,
-          })(transaction)
-        }
-      )
-      return { db, txn, undoFn, stripeRefundInfo }
-    }, refundViaStripeWithAccounting),
+    handler: handleRequestWith(
+      async (ignored, request, { db, models }) => {
+        const transactionItemId = request.payload.transactionItemId
+        const routePassId = request.params.routePassId
+        const credentials = request.auth.credentials
+
+        // create transaction, relevant transactionItems
+        let [txn, undoFn, stripeRefundInfo] = await db.transaction(
+          async transaction => {
+            const routePass = await models.RoutePass.findById(routePassId)
+            auth.assertAdminRole(credentials, "refund", routePass.companyId)
+
+            const transactionItem = await models.TransactionItem.findById(
+              transactionItemId
+            )
+            return prepareRoutePassRefund({
+              db,
+              models,
+              credentials,
+              transactionItem,
+              routePass,
+            })(transaction)
+          }
+        )
+        return { db, txn, undoFn, stripeRefundInfo }
+      },
+      (refund, request) =>
+        refundViaStripeWithAccounting(refund, request.auth.credentials)
+    ),
   })
 
   // Perform a stripe refund on a ticket
@@ -651,24 +656,135 @@ will not be refunded here, so we will make a net profit.`,
         description: `Perform a stripe refund on a ticket. Application fees
   will not be refunded here, so we will make a net profit.`,
       },
-      handler: handleRequestWith(async (ignored, request, { db, models }) => {
-        const targetAmt = request.payload.targetAmt
-        const ticketId = request.params.ticketId || request.payload.ticketId
-        let credentials = request.auth.credentials
-
-        // create transaction, relevant transactionItems
-        let [txn, undoFn, stripeRefundInfo] = await prepareTicketRefund({
-          db,
-          m: models,
-          ticketId,
-          targetAmt,
-          credentials,
-        })
-        return { db, txn, undoFn, stripeRefundInfo }
-      }, refundViaStripeWithAccounting),
+      handler: handleRequestWith(
+        async (ignored, request, { db, models }) => {
+          const targetAmt = request.payload.targetAmt
+          const ticketId = request.params.ticketId || request.payload.ticketId
+          let credentials = request.auth.credentials
+
+          // create transaction, relevant transactionItems
+          let [txn, undoFn, stripeRefundInfo] = await prepareTicketRefund({
+            db,
+            m: models,
+            ticketId,
+            targetAmt,
+            credentials,
+          })
+          return { db, txn, undoFn, stripeRefundInfo }
+        },
+        (refund, request) =>
+          refundViaStripeWithAccounting(refund, request.auth.credentials)
+      ),
     }
   )
 
+  server.route({
+    method: "POST",
+    path: "/transactions/tickets/{ticketId}/cancel",
+    config: {
+      auth: { access: { scope: ["user"] } },
+      tags: ["api", "commuter"],
+      description: "Cancel one of the commuter's own future tickets",
+      notes: `
+        Only allowed up to the cutoff set in the cancellation policy of
+        the company running the route, before the boarding stop time.
+        Tickets paid for with a route pass are refunded as a route pass,
+        unless the policy forfeits them, and the rest are refunded to
+        the card, less the cancellation fee of the policy. Returns where
+        the refund went, the amount refunded and the fee withheld
+      `,
+      validate: {
+        params: {
+          ticketId: Joi.number()
+            .integer()
+            .min(0)
+            .required(),
+        },
+      },
+    },
+    handler: handleRequestWith((ignored, request, { db, models }) =>
+      cancelTicket({
+        db,
+        m: models,
+        ticketId: request.params.ticketId,
+        credentials: request.auth.credentials,
+      })
+    ),
+  })
+
+  // Moves a ticket to another trip of the same company
+  //                                   |  Debit   |  Credit
+  // =======================================================
+  // ticketRefund (old ticket)         |   $x     |
+  // ticketSale (new ticket)           |          |    $y
+  // and, if $y > $x,
+  // payment                           | $y - $x  |
+  // transfer (to company)             |          | $y - $x
+  // account (COGS)                    | $y - $x  |
+  // or, if $y < $x, a refund of $x - $y as for ticket refunds
+  server.route({
+    method: "POST",
+    path: "/transactions/tickets/{ticketId}/rebook",
+    config: {
+      auth: { access: { scope: ["user"] } },
+      tags: ["api", "commuter"],
+      description:
+        "Move one of the commuter's own future tickets to another trip",
+      notes: `
+        The trip may be on the same route or on another route of the
+        same company, and must have seats available and be open for
+        booking. The value of the old ticket goes towards the new one,
+        and the difference is charged to the card given, or refunded to
+        the card used to pay for the old ticket. expectedPrice, if set,
+        is the amount the commuter expects to be charged. Returns the
+        ids of the old and new tickets, and the amounts charged and
+        refunded
+      `,
+      validate: {
+        params: {
+          ticketId: Joi.number()
+            .integer()
+            .min(0)
+            .required(),
+        },
+        payload: Joi.object({
+          tripId: Joi.number()
+            .integer()
+            .required(),
+          boardStopId: Joi.number()
+            .integer()
+            .required(),
+          alightStopId: Joi.number()
+            .integer()
+            .required(),
+          stripeToken: Joi.string(),
+          customerId: Joi.string(),
+          sourceId: Joi.string(),
+          expectedPrice: Joi.number().allow(null),
+        }),
+      },
+    },
+    handler: handleRequestWith((ignored, request, { db, models }) =>
+      rebookTicket({
+        db,
+        m: models,
+        ticketId: request.params.ticketId,
+        trip: _.pick(request.payload, [
+          "tripId",
+          "boardStopId",
+          "alightStopId",
+        ]),
+        payment: _.pick(request.payload, [
+          "stripeToken",
+          "customerId",
+          "sourceId",
+        ]),
+        expectedPrice: request.payload.expectedPrice,
+        credentials: request.auth.credentials,
+      })
+    ),
+  })
+
   // Refunds a ticket, issuing a routePass in its stead
   // Current implementation of routePass requires the relevant
   //   route credits account to have a balance equal to some
@@ -725,165 +841,13 @@ will not be refunded here, so we will make a net profit.`,
         const ticketId = request.params.ticketId || request.payload.ticketId
 
         try {
-          let txn = await db.transaction(async t => {
-            // ensure that all tickets are valid
-            let ticket = await m.Ticket.findById(ticketId, {
-              include: [
-                {
-                  as: "boardStop",
-                  model: m.TripStop,
-                  include: [m.Trip],
-                },
-              ],
-              transaction: t,
-            })
-
-            let route = await m.Route.findById(ticket.boardStop.trip.routeId, {
-              attributes: ["id", "tags"],
-              transaction: t,
-            })
-
-            const tags = _.difference(route.tags, INVALID_CREDIT_TAGS)
-
-            TransactionError.assert(
-              tags.includes(tag),
-              "The tag provided does not belong to the selected route"
-            )
-
-            // check if ticket is eligible for refunds
-            TransactionError.assert(
-              ticket.status === "valid" || ticket.status === "void",
-              "Trying to refund a non-valid ticket"
-            )
-
-            // Find the associated company, check if user is authorised to trigger refund
-            let [company] = await db.query(
-              `
-              SELECT "transportCompanies"."id"
-              FROM tickets
-                INNER JOIN "tripStops"
-                  ON "tickets"."boardStopId" = "tripStops"."id"
-                INNER JOIN "trips"
-                  ON "tripStops"."tripId" = "trips".id
-                INNER JOIN "routes"
-                  ON "trips"."routeId" = "routes".id
-                INNER JOIN "transportCompanies"
-                  ON "transportCompanies"."id" = "routes"."transportCompanyId"
-              WHERE "tickets"."id" = :ticketId
-            `,
-              {
-                transaction: t,
-                type: db.QueryTypes.SELECT,
-                replacements: {
-                  ticketId: ticket.id,
-                },
-              }
-            )
-            auth.assertAdminRole(request.auth.credentials, "refund", company.id)
-
-            // Reverse search from ticket id, get transaction entry + related transactionItems
-            let ticketSale = await m.TransactionItem.find({
-              where: {
-                itemId: ticket.id,
-                itemType: "ticketSale",
-              },
-              include: [
-                {
-                  model: m.Transaction,
-                  include: [m.TransactionItem],
-                },
-              ],
-              transaction: t,
-            })
-
-            TransactionError.assert(
-              ticketSale,
-              "Cannot refund/void a ticket that was not sold - ticketSale not found"
-            )
-
-            // Check for previous partial refunds for this ticket
-            let refundTI = await m.TransactionItem.findAll({
-              where: {
-                itemId: ticket.id,
-                itemType: "ticketRefund",
-              },
-              include: [
-                {
-                  model: m.Transaction,
-                  where: { committed: true },
-                  attributes: [],
-                },
-              ],
-              attributes: ["debit"],
-              transaction: t,
-            })
-
-            const previouslyRefunded = _.sum(refundTI.map(ti => ti.debit))
-
-            const price = +ticketSale.credit
-
-            // Current form of routePass only works if route credits
-            // owned by user are multiples of a ticket's base price
-            // Thus, value of refund has to be equal to the base price of ticket
-            TransactionError.assert(
-              Math.abs(targetAmt - price) < 0.0001,
-              `Route Pass requires refunded amount to be equal to ticket's base price`
-            )
-
-            TransactionError.assert(
-              previouslyRefunded === 0,
-              "Unable to refund to routePass for partially refunded tickets"
-            )
-
-            let transactionBuilder = new TransactionBuilder({
-              db,
-              models: m,
-              transaction: t,
-              dryRun: false,
-              committed: true,
-              creator: {
-                type: request.auth.credentials.scope,
-                id:
-                  request.auth.credentials.adminId ||
-                  request.auth.credentials.email,
-              },
-            })
-
-            transactionBuilder.postTransactionHooks.push(
-              transactionBuilder._saveChangesToTickets
-            )
-
-            transactionBuilder.transactionItemsByType.ticketRefund = [
-              {
-                itemType: "ticketRefund",
-                itemId: ticket.id,
-                debit: targetAmt,
-              },
-            ]
-
-            transactionBuilder.description = `Refund to RoutePass for ticket ${
-              ticket.id
-            }`
-
-            ticket = await ticket.update({ status: "void" }, { transaction: t })
-
-            transactionBuilder.undoFunctions.push(t =>
-              ticket.update({ status: "valid" }, { transaction: t })
-            )
-
-            transactionBuilder = await m.RoutePass.refundFromTicket(
-              transactionBuilder,
-              ticketSale,
-              company.id,
-              ticket.userId,
-              tag
-            )
-
-            const [dbTransactionInstance] = await transactionBuilder.build({
-              type: "refundToRoutePass",
-            })
-
-            return dbTransactionInstance
+          const txn = await prepareTicketRefundToRoutePass({
+            db,
+            m,
+            ticketId,
+            targetAmt,
+            tag,
+            credentials: request.auth.credentials,
           })
 
           reply(txn.toJSON())
@@ -1397,6 +1361,10 @@ refunded, issued)`,
           "routeCreditPurchase",
           "ticketPurchase",
           "refundPayment",
+          "ticketCancellation",
+          "ticketRebooking",
+          "externalRefund",
+          "chargeback",
         ]
 
         /* Find list of valid tickets belonging to user, limting transaction type to
@@ -1573,6 +1541,57 @@ OFFSET :offset
     },
   })
 
+  server.route({
+    method: "GET",
+    path: "/transactions/user_history/{transactionId}/receipt",
+    config: {
+      tags: ["api", "commuter"],
+      description: `Downloads the receipt of a ticket or route pass purchase
+in the user's transaction history, as a printable HTML page`,
+      notes: `
+        The receipt lists the tickets and route passes bought, the
+        discounts given, the operators and the payment made. invoice
+        renders a tax invoice, made out to the billing name set on the
+        user's profile, instead
+      `,
+      auth: { access: { scope: ["user"] } },
+      validate: {
+        params: {
+          transactionId: Joi.number()
+            .integer()
+            .required(),
+        },
+        query: {
+          invoice: Joi.boolean().default(false),
+        },
+      },
+    },
+    async handler(request, reply) {
+      try {
+        const { transactionId } = request.params
+        const receipt = await fetchReceipt(
+          { models: getModels(request) },
+          transactionId,
+          request.auth.credentials.userId
+        )
+        const html = await renderReceipt(receipt, {
+          invoice: request.query.invoice,
+        })
+
+        reply(html)
+          .header("Content-type", "text/html")
+          .header(
+            "content-disposition",
+            `attachment; filename="${
+              request.query.invoice ? "invoice" : "receipt"
+            }_${transactionId}.html"`
+          )
+      } catch (err) {
+        defaultErrorHandler(reply)(err)
+      }
+    },
+  })
+
   server.route({
     method: "GET",
     path: "/transactions",
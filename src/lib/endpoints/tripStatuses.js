@@ -4,11 +4,44 @@ import Boom from "boom"
 import leftPad from "left-pad"
 import assert from "assert"
 
-import { getModels } from "../util/common"
+import { getModels, getDB } from "../util/common"
 import * as events from "../events/events"
+import { refundTicketsOnTrip } from "../transactions"
 
 const auth = require("../core/auth")
 
+/**
+ * Describe to passengers of a cancelled trip how their fares were refunded
+ * @param {Array} refunds - the outcome of refunding each ticket on the trip
+ * @return {string} a sentence summarising the refunds
+ */
+const describeRefunds = refunds => {
+  const refundedTo = _(refunds)
+    .filter(r => r.success)
+    .map(r => r.refundedTo)
+    .uniq()
+    .value()
+  const hasFailures = refunds.some(r => !r.success)
+
+  let description =
+    refundedTo.length === 0
+      ? ""
+      : refundedTo.length > 1
+        ? `Today's fare has been refunded to the card used to pay for it, ` +
+          `or as a route pass if one was used. `
+        : refundedTo[0] === "routePass"
+          ? `Today's fare has been refunded as a route pass. `
+          : `Today's fare has been refunded to the card used to pay for it. `
+
+  if (hasFailures) {
+    description +=
+      refundedTo.length === 0
+        ? `Today's fare will be refunded by our staff. `
+        : `Any fare we could not refund automatically will be refunded by our staff. `
+  }
+  return description
+}
+
 /**
  * @param {Object} server - a HAPI server
  * @param {Object} options - unused for now
@@ -25,7 +58,11 @@ export function register(server, options, next) {
       description: "Posts messages to users interested in this trip",
       notes: `
         This endpoint also allows callers to set trip status, and
-        send a message to passengers, if the trip is cancelled
+        send a message to passengers, if the trip is cancelled.
+        Cancelling a trip refunds all valid tickets on it - to a
+        route pass if one was used to pay for the ticket, otherwise
+        to the card used for payment. The outcome of each refund is
+        returned in \`refunds\`
       `,
       validate: {
         payload: Joi.object({
@@ -80,24 +117,34 @@ export function register(server, options, next) {
           message,
         }
 
-        let changes = typeof message === 'string'
-          ? { status, messages: [data].concat(tripInst.messages) }
-          : { status }
+        let changes =
+          typeof message === "string"
+            ? { status, messages: [data].concat(tripInst.messages) }
+            : { status }
 
         await tripInst.update(changes)
 
+        let refunds = null
         if (request.payload.status === "cancelled") {
-          // Get the number of passengers -- mandatory for event
-          const numPassengers = await m.Ticket.count({
-            where: { status: "valid" },
-            include: [
-              {
-                model: m.TripStop,
-                as: "boardStop",
-                where: { tripId: tripInst.id },
+          // Refunds follow from the cancellation, so they are made by the
+          // system on behalf of the caller, who may not be allowed to refund
+          refunds = await refundTicketsOnTrip({
+            db: getDB(request),
+            m,
+            tripId: tripInst.id,
+            credentials: {
+              scope: "system",
+              email: creator,
+              permissions: {
+                [_.get(tripInst, "route.transportCompanyId")]: ["refund"],
               },
-            ],
+            },
           })
+          data.refunds = refunds
+
+          // Get the number of passengers -- mandatory for event
+          // Every valid ticket had a refund attempted on it
+          const numPassengers = refunds.length
           const subscriptions = await m.EventSubscription.findAll({
             raw: true,
           })
@@ -121,12 +168,18 @@ export function register(server, options, next) {
           let messageBody =
             `(DO NOT REPLY) Attention: The service for today ` +
             `has been cancelled due to unforeseen circumstances. Please make ` +
-            `alternative transport arrangements. Today's fare will be refunded ` +
-            `and we sincerely apologise for the inconvenience caused to all our commuters.`
+            `alternative transport arrangements. ${describeRefunds(refunds)}` +
+            `We sincerely apologise for the inconvenience caused to all our commuters.`
+
+          const numRefunded = refunds.filter(r => r.success).length
 
+          // Refunded tickets are no longer valid, so message their holders
           await tripInst.messagePassengers(messageBody, {
             sender: creator,
-            ccDetail: `${route.label}: ${route.from} - ${route.to} @${time}`,
+            ccDetail:
+              `${route.label}: ${route.from} - ${route.to} @${time}, ` +
+              `${numRefunded} of ${refunds.length} tickets refunded`,
+            ticketIds: refunds.map(r => r.ticketId),
           })
         }
 
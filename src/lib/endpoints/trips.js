@@ -3,19 +3,53 @@ let _ = require("lodash")
 let Joi = require("joi")
 let Boom = require("boom")
 const assert = require("assert")
+const moment = require("moment-timezone")
 
 const auth = require("../core/auth")
 const { getModels, getDB, defaultErrorHandler } = require("../util/common")
 const {
   handleRequestWith,
+  inSingleDBTransaction,
+  authorizeByRole,
+  assertFound,
   instToJSONOrNotFound,
   deleteInst,
 } = require("../util/endpoints")
+const { findPublicHolidays } = require("../util/publicHolidays")
 
 import * as events from "../events/events"
 
 import { InvalidArgumentError } from "../util/errors"
 
+const TIMEZONE = "Asia/Singapore"
+
+// The most trips that POST /trips/recurring will create in one request
+const MAX_RECURRING_TRIPS = 400
+
+/**
+ * Lists the dates of a recurring schedule
+ * @param {Object} schedule - the startDate, endDate and daysOfWeek
+ * of the schedule
+ * @return {Array} the dates from startDate to endDate, inclusive, that
+ * fall on one of daysOfWeek, as YYYY-MM-DD strings in Singapore time
+ */
+function recurringDates({ startDate, endDate, daysOfWeek }) {
+  const toSGTDateString = date =>
+    moment(date)
+      .tz(TIMEZONE)
+      .format("YYYY-MM-DD")
+  const lastDate = toSGTDateString(endDate)
+  const day = moment.tz(toSGTDateString(startDate), TIMEZONE)
+  const dates = []
+  while (day.format("YYYY-MM-DD") <= lastDate) {
+    if (daysOfWeek.includes(day.day())) {
+      dates.push(day.format("YYYY-MM-DD"))
+    }
+    day.add(1, "day")
+  }
+  return dates
+}
+
 export function register(server, options, next) {
   server.route({
     method: "GET",
@@ -275,6 +309,189 @@ export function register(server, options, next) {
     },
   })
 
+  server.route({
+    method: "POST",
+    path: "/trips/recurring",
+    config: {
+      tags: ["api", "admin"],
+      auth: { access: { scope: ["admin", "superadmin"] } },
+      description: "Create trips for a route on a recurring schedule",
+      notes: `
+Creates a trip on every date from startDate to endDate (inclusive) that
+falls on one of daysOfWeek (0 for Sunday, 6 for Saturday). Each trip gets
+the stops in tripStops, at the given times (HH:mm, Singapore time) of that date.
+
+Dates listed in the PublicHoliday asset are skipped unless skipPublicHolidays
+is false. Dates on which the route already has a trip are always skipped.
+
+If dryRun is true, the trips that would be created are returned,
+but nothing is saved.
+`,
+      validate: {
+        payload: {
+          routeId: Joi.number()
+            .integer()
+            .required(),
+          startDate: Joi.date().required(),
+          endDate: Joi.date()
+            .min(Joi.ref("startDate"))
+            .required(),
+          daysOfWeek: Joi.array()
+            .items(
+              Joi.number()
+                .integer()
+                .min(0)
+                .max(6)
+            )
+            .min(1)
+            .unique()
+            .default([0, 1, 2, 3, 4, 5, 6]),
+          capacity: Joi.number()
+            .integer()
+            .required(),
+          price: Joi.number().required(),
+
+          // A trip has at least two stops - boarding and alighting
+          tripStops: Joi.array()
+            .min(2)
+            .items({
+              stopId: Joi.number()
+                .integer()
+                .required(),
+              time: Joi.string()
+                .regex(/^([01]\d|2[0-3]):[0-5]\d$/)
+                .required(),
+              canBoard: Joi.boolean().required(),
+              canAlight: Joi.boolean().required(),
+            })
+            .required(),
+          bookingInfo: Joi.object({
+            windowType: Joi.string()
+              .valid(["stop", "firstStop"])
+              .default("stop"),
+            windowSize: Joi.number()
+              .integer()
+              .default(-300000),
+            notes: Joi.string()
+              .allow("")
+              .allow(null)
+              .default(null),
+            childTicketPrice: Joi.number().allow(null),
+          })
+            .optional()
+            .allow(null),
+          skipPublicHolidays: Joi.boolean().default(true),
+          dryRun: Joi.boolean().default(false),
+        },
+      },
+    },
+    handler: handleRequestWith(
+      inSingleDBTransaction(
+        (ignored, request, { models, transaction }) =>
+          models.Route.findById(request.payload.routeId, {
+            attributes: ["id", "transportCompanyId"],
+            // Serialise concurrent requests for the same route,
+            // so that neither can miss the trips created by the other
+            lock: transaction.LOCK.UPDATE,
+            transaction,
+          }),
+        assertFound,
+        authorizeByRole("manage-routes", route => route.transportCompanyId),
+        async (route, request, { db, models, transaction }) => {
+          const { payload } = request
+          const dates = recurringDates(payload)
+
+          InvalidArgumentError.assert(
+            dates.length <= MAX_RECURRING_TRIPS,
+            `No more than ${MAX_RECURRING_TRIPS} trips can be created at once`
+          )
+
+          const stopIds = _.uniq(payload.tripStops.map(ts => ts.stopId))
+          const numStops = await models.Stop.count({
+            where: { id: { $in: stopIds } },
+            transaction,
+          })
+          InvalidArgumentError.assert.strictEqual(
+            numStops,
+            stopIds.length,
+            "Some of the stops do not exist"
+          )
+
+          const holidays = payload.skipPublicHolidays
+            ? _(await findPublicHolidays(models, { transaction }))
+                .keyBy(h => h.date.toISOString().substr(0, 10))
+                .mapValues("summary")
+                .value()
+            : {}
+
+          const existingDates = await db
+            .query(
+              `SELECT DISTINCT to_char("date", 'YYYY-MM-DD') AS "date"
+              FROM trips
+              WHERE "routeId" = :routeId AND "date" IN (:dates)`,
+              {
+                type: db.QueryTypes.SELECT,
+                replacements: {
+                  routeId: route.id,
+                  // Keep the query valid even if no date matches
+                  dates: dates.length ? dates : [null],
+                },
+                transaction,
+              }
+            )
+            .then(rows => rows.map(r => r.date))
+
+          const skippedDates = []
+          const trips = []
+          for (const date of dates) {
+            if (holidays[date] !== undefined) {
+              skippedDates.push({
+                date,
+                reason: "publicHoliday",
+                summary: holidays[date],
+              })
+            } else if (existingDates.includes(date)) {
+              skippedDates.push({ date, reason: "existingTrip" })
+            } else {
+              trips.push({
+                date,
+                routeId: route.id,
+                capacity: payload.capacity,
+                seatsAvailable: payload.capacity,
+                price: payload.price,
+                bookingInfo: payload.bookingInfo,
+                tripStops: payload.tripStops.map(ts => ({
+                  ..._.pick(ts, ["stopId", "canBoard", "canAlight"]),
+                  time: moment.tz(`${date} ${ts.time}`, TIMEZONE).toDate(),
+                })),
+              })
+            }
+          }
+
+          if (payload.dryRun) {
+            return { dryRun: true, trips, skippedDates }
+          }
+
+          const tripInsts = []
+          for (const trip of trips) {
+            tripInsts.push(
+              await models.Trip.create(trip, {
+                include: [models.TripStop],
+                transaction,
+              })
+            )
+          }
+
+          return {
+            dryRun: false,
+            trips: tripInsts.map(t => t.toJSON()),
+            skippedDates,
+          }
+        }
+      )
+    ),
+  })
+
   server.route({
     method: "DELETE",
     path: "/trips/{id}",
@@ -387,6 +604,12 @@ Trip's company ID and driver's company ID must match.
     config: {
       tags: ["api", "admin", "driver"],
       auth: { access: { scope: ["admin", "superadmin", "driver"] } },
+      description: "Lists the passengers holding valid tickets on this trip",
+      notes: `
+        \`boarding\` is set for passengers who have boarded, either by
+        having their boarding pass scanned, or by being checked in
+        through POST /trips/{id}/checkIn
+      `,
       validate: {
         params: {
           id: Joi.number().integer(),
@@ -423,6 +646,7 @@ Trip's company ID and driver's company ID must match.
             "tickets"."id" AS "ticketId",
             "tickets"."boardStopId" AS "boardStopId",
             "tickets"."alightStopId" AS "alightStopId",
+            "tickets"."notes"->'boarding' AS "boarding",
             "stops"."id" AS "bsStopId",
             "tripStops"."tripId" AS "tripId"
           FROM
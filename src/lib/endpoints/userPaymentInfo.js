@@ -2,7 +2,7 @@ const Joi = require("joi")
 import assert from "assert"
 import { getModels, defaultErrorHandler } from "../util/common"
 import { SecurityError, TransactionError } from "../util/errors"
-import { stripe } from "../transactions/payment"
+import * as Payment from "../transactions/payment"
 
 export const register = function register(server, options, next) {
   server.route({
@@ -91,13 +91,13 @@ export const register = function register(server, options, next) {
 
         try {
           // Delete the card...
-          await stripe.customers.deleteCard(
+          await Payment.deleteCustomerSource(
             customerInfo.id,
             request.params.sourceId
           )
 
           // Return the result
-          let newCustomerInfo = await stripe.customers.retrieve(customerInfo.id)
+          let newCustomerInfo = await Payment.retrieveCustomer(customerInfo.id)
 
           userInst.savedPaymentInfo = newCustomerInfo
           await userInst.save()
@@ -182,14 +182,15 @@ export const register = function register(server, options, next) {
           currentSourceId = customerInfo.sources.data[0].id
         }
         try {
-          await stripe.customers.createSource(customerInfo.id, {
-            source: request.payload.stripeToken,
-          })
+          await Payment.addCustomerSource(
+            customerInfo.id,
+            request.payload.stripeToken
+          )
           if (currentSourceId) {
-            await stripe.customers.deleteCard(customerInfo.id, currentSourceId)
+            await Payment.deleteCustomerSource(customerInfo.id, currentSourceId)
           }
 
-          let newCustomerInfo = await stripe.customers.retrieve(customerInfo.id)
+          let newCustomerInfo = await Payment.retrieveCustomer(customerInfo.id)
           userInst.savedPaymentInfo = newCustomerInfo
           await userInst.save()
           reply(newCustomerInfo)
@@ -374,10 +374,17 @@ Beeline Team
     config: {
       tags: ["api", "commuter"],
       auth: { access: { scope: ["user"] } },
+      notes: `billing holds the name, and optionally the address, that
+        tax invoices for the user's purchases are made out to, e.g. their
+        employer's. Set it to null to stop receiving invoices`,
       validate: {
         payload: Joi.object({
           email: Joi.string().email(),
           name: Joi.string(),
+          billing: Joi.object({
+            name: Joi.string().required(),
+            address: Joi.string().allow(""),
+          }).allow(null),
         }),
       },
     },
@@ -387,7 +394,11 @@ Beeline Team
 
         let userInst = await m.User.findById(request.auth.credentials.userId)
 
-        await userInst.update(request.payload)
+        const { billing, ...fields } = request.payload
+        if (billing !== undefined) {
+          fields.notes = { ...userInst.notes, billing }
+        }
+        await userInst.update(fields)
         reply(userInst.toJSON())
       } catch (err) {
         defaultErrorHandler(reply)(err)
@@ -0,0 +1,244 @@
+const Joi = require("joi")
+
+const {
+  InvalidArgumentError,
+  TransactionError,
+  ChargeError,
+  SecurityError,
+} = require("../util/errors")
+const {
+  handleRequestWith,
+  inSingleDBTransaction,
+  authorizeByRole,
+  assertFound,
+  instToJSONOrNotFound,
+} = require("../util/endpoints")
+import { waitlistCutoff } from "../transactions/waitlist"
+
+/**
+ * @param {Object} server - a HAPI server
+ * @param {Object} options - unused for now
+ * @param {Function} next - a callback to signal that the next middleware
+ * should initialise
+ */
+export function register(server, options, next) {
+  const findPosition = (entry, { models, transaction }) =>
+    models.WaitlistEntry.count({
+      where: {
+        tripId: entry.tripId,
+        status: "waiting",
+        id: { $lte: entry.id },
+      },
+      transaction,
+    })
+
+  server.route({
+    method: "POST",
+    path: "/trips/{id}/waitlist",
+    config: {
+      tags: ["api", "commuter"],
+      auth: { access: { scope: ["user"] } },
+      description: "Join the waitlist for a trip that is fully booked",
+      notes: `
+        When a seat frees up on the trip, the waitlist is served in order,
+        booking a ticket for each entry and charging the user's saved card
+        (after applying route passes, if applyRoutePass is set).
+        Entries lapse at the booking window cutoff of the trip.
+      `,
+      validate: {
+        params: {
+          id: Joi.number().integer(),
+        },
+        payload: {
+          boardStopId: Joi.number()
+            .integer()
+            .required(),
+          alightStopId: Joi.number()
+            .integer()
+            .required(),
+          applyRoutePass: Joi.boolean().default(false),
+        },
+      },
+    },
+    handler: handleRequestWith(
+      inSingleDBTransaction(
+        (ignored, request, { models, transaction }) =>
+          models.Trip.findById(request.params.id, {
+            include: [models.TripStop],
+            order: [[models.TripStop, "time"]],
+            transaction,
+          }),
+        assertFound,
+        async (trip, request, { models, transaction }) => {
+          const { userId } = request.auth.credentials
+          const { boardStopId, alightStopId } = request.payload
+
+          TransactionError.assert(
+            trip.isRunning,
+            `Trip ${trip.id} has been cancelled`
+          )
+          const expiresAt = waitlistCutoff(trip, { boardStopId, alightStopId })
+          TransactionError.assert(
+            Date.now() < expiresAt.getTime(),
+            "This trip can no longer be booked"
+          )
+          InvalidArgumentError.assert(
+            trip.seatsAvailable <= 0,
+            "There are still seats available on this trip"
+          )
+
+          const user = await models.User.findById(userId, { transaction })
+          ChargeError.assert(
+            user.savedPaymentInfo && user.savedPaymentInfo.default_source,
+            "You need to provide payment information."
+          )
+
+          const existingTicket = await models.Ticket.find({
+            where: {
+              userId,
+              status: { $in: ["valid", "pending"] },
+              boardStopId: { $in: trip.tripStops.map(ts => ts.id) },
+            },
+            transaction,
+          })
+          InvalidArgumentError.assert(
+            !existingTicket,
+            "You already have a ticket for this trip"
+          )
+
+          const existingEntry = await models.WaitlistEntry.find({
+            where: {
+              userId,
+              tripId: trip.id,
+              status: { $in: ["waiting", "booking"] },
+            },
+            transaction,
+          })
+          InvalidArgumentError.assert(
+            !existingEntry,
+            "You are already on the waitlist for this trip"
+          )
+
+          return models.WaitlistEntry.create(
+            {
+              userId,
+              tripId: trip.id,
+              boardStopId,
+              alightStopId,
+              applyRoutePass: request.payload.applyRoutePass,
+              expiresAt,
+            },
+            { transaction }
+          )
+        },
+        async (entry, request, context) => ({
+          ...entry.toJSON(),
+          position: await findPosition(entry, context),
+        })
+      )
+    ),
+  })
+
+  server.route({
+    method: "GET",
+    path: "/trips/{id}/waitlist",
+    config: {
+      tags: ["api", "admin"],
+      auth: { access: { scope: ["admin", "superadmin"] } },
+      description: "Lists the waitlist of a trip, in the order it is served",
+      validate: {
+        params: {
+          id: Joi.number().integer(),
+        },
+      },
+    },
+    handler: handleRequestWith(
+      (ignored, request, { models }) =>
+        models.Trip.findById(request.params.id, {
+          attributes: ["id"],
+          include: [
+            { model: models.Route, attributes: ["transportCompanyId"] },
+          ],
+        }),
+      assertFound,
+      authorizeByRole("view-passengers", trip => trip.route.transportCompanyId),
+      (trip, request, { models }) =>
+        models.WaitlistEntry.findAll({
+          where: { tripId: trip.id },
+          include: [
+            {
+              model: models.User,
+              attributes: ["id", "name", "email", "telephone"],
+            },
+          ],
+          order: [["createdAt"], ["id"]],
+        }),
+      entries => entries.map(e => e.toJSON())
+    ),
+  })
+
+  server.route({
+    method: "GET",
+    path: "/waitlist",
+    config: {
+      tags: ["api", "commuter"],
+      auth: { access: { scope: ["user"] } },
+      description: "Lists the waitlist entries of the logged-in user",
+    },
+    handler: handleRequestWith(
+      (ignored, request, { models }) =>
+        models.WaitlistEntry.findAll({
+          where: { userId: request.auth.credentials.userId },
+          include: [
+            { model: models.TripStop, as: "boardStop", include: [models.Stop] },
+            {
+              model: models.TripStop,
+              as: "alightStop",
+              include: [models.Stop],
+            },
+          ],
+          order: [["createdAt", "DESC"]],
+        }),
+      entries => entries.map(e => e.toJSON())
+    ),
+  })
+
+  server.route({
+    method: "DELETE",
+    path: "/waitlist/{id}",
+    config: {
+      tags: ["api", "commuter"],
+      auth: { access: { scope: ["user"] } },
+      description: "Leave the waitlist of a trip",
+      validate: {
+        params: {
+          id: Joi.number().integer(),
+        },
+      },
+    },
+    handler: handleRequestWith(
+      (ignored, request, { models }) =>
+        models.WaitlistEntry.findById(request.params.id),
+      assertFound,
+      (entry, request) => {
+        SecurityError.assert.strictEqual(
+          entry.userId,
+          request.auth.credentials.userId,
+          "This waitlist entry belongs to another user"
+        )
+        InvalidArgumentError.assert.strictEqual(
+          entry.status,
+          "waiting",
+          "This waitlist entry is no longer waiting"
+        )
+        return entry.update({ status: "withdrawn" })
+      },
+      instToJSONOrNotFound
+    ),
+  })
+
+  next()
+}
+register.attributes = {
+  name: "endpoint-waitlist",
+}
@@ -38,6 +38,27 @@ function testTripRoute (params, event) {
     (!params.transportCompanyIds || params.transportCompanyIds.indexOf(event.trip.route.transportCompanyId) !== -1)
 }
 
+/**
+  The schema and test function of events about payments to a company
+**/
+const PaymentIssueSchema = {
+  transportCompanyId: Joi.number().integer().allow(null).required(),
+  chargeId: Joi.string().required(),
+  amount: Joi.number().required(),
+  transactionId: Joi.number().integer().allow(null),
+  tickets: Joi.array().items(Joi.number().integer()),
+  routePasses: Joi.array().items(Joi.number().integer()),
+}
+
+/**
+ * @param {object} params - the params of the subscription
+ * @param {object} event - the event
+ * @return {boolean} whether the event is about a company subscribed to
+ */
+function testTransportCompany (params, event) {
+  return !params.transportCompanyIds || params.transportCompanyIds.indexOf(event.transportCompanyId) !== -1
+}
+
 
 export default {
   transactionFailure: {
@@ -68,8 +89,11 @@ export default {
   newPurchase: {
     schema: Joi.object({
       userId: Joi.number().required(),
-      promotionId: Joi.number().allow(null),
-      numValidPromoTickets: Joi.number().allow(null),
+      transactionId: Joi.number(),
+      promotions: Joi.array().items(Joi.object({
+        promotionId: Joi.number().required(),
+        count: Joi.number().integer().min(0).required(),
+      })),
     }),
     authorize: authorizeByCompanyId
   },
@@ -108,6 +132,100 @@ export default {
     authorize: authorizeByCompanyId
   },
 
+  ticketCancelled: {
+    params: _.defaults({}, RouteNotificationParams),
+
+    schema: Joi.object({
+      ticket: Joi.object({
+        boardStop: Joi.any().required(),
+      }).unknown().required(),
+      trip: TripSchema,
+      refundedTo: Joi.string().valid(['routePass', 'payment']).allow(null),
+      amount: Joi.number(),
+      fee: Joi.number(),
+    }).unknown(),
+
+    filter (params, event) {
+      return testTripRoute(params, event)
+    },
+    authorize: authorizeByCompanyId,
+  },
+
+  paymentRefundedExternally: {
+    params: {
+      transportCompanyIds: RouteNotificationParams.transportCompanyIds,
+    },
+
+    schema: Joi.object(_.defaults({
+      unallocated: Joi.number().required(),
+    }, PaymentIssueSchema)).unknown(),
+
+    filter: testTransportCompany,
+    authorize: authorizeByCompanyId,
+  },
+
+  paymentDisputed: {
+    params: {
+      transportCompanyIds: RouteNotificationParams.transportCompanyIds,
+    },
+
+    schema: Joi.object(_.defaults({
+      disputeId: Joi.string().required(),
+      reason: Joi.string().allow(null),
+      status: Joi.string().required(),
+    }, PaymentIssueSchema)).unknown(),
+
+    filter: testTransportCompany,
+    authorize: authorizeByCompanyId,
+  },
+
+  paymentDisputeClosed: {
+    params: {
+      transportCompanyIds: RouteNotificationParams.transportCompanyIds,
+    },
+
+    schema: Joi.object(_.defaults({
+      disputeId: Joi.string().required(),
+      reason: Joi.string().allow(null),
+      status: Joi.string().required(),
+    }, PaymentIssueSchema)).unknown(),
+
+    filter: testTransportCompany,
+    authorize: authorizeByCompanyId,
+  },
+
+  payoutFailed: {
+    params: {
+      transportCompanyIds: RouteNotificationParams.transportCompanyIds,
+    },
+
+    schema: Joi.object({
+      transportCompanyId: Joi.number().integer().allow(null).required(),
+      payoutId: Joi.string().required(),
+      amount: Joi.number().required(),
+      failureCode: Joi.string().allow(null),
+      failureMessage: Joi.string().allow(null),
+    }).unknown(),
+
+    filter: testTransportCompany,
+    authorize: authorizeByCompanyId,
+  },
+
+  paymentsReconciled: {
+    schema: Joi.object({
+      reportId: Joi.number().integer().required(),
+      startTime: Joi.date().required(),
+      endTime: Joi.date().required(),
+      summary: Joi.object({
+        amountMismatch: Joi.number().integer().required(),
+        missingCharge: Joi.number().integer().required(),
+        orphanedCharge: Joi.number().integer().required(),
+        missingRefund: Joi.number().integer().required(),
+      }).unknown().required(),
+    }),
+    authorize: authorizeBySuperadmin,
+  },
+
   internalServerError: {
     schema: Joi.object({
       error: Joi.object({}).unknown().required()
@@ -138,34 +256,46 @@ export default {
 
   lateArrival: {
     params: _.defaults({
-      timeAfter: Joi.number().integer().required(),
+      // Without a timeAfter, only the first threshold crossed is reported
+      timeAfter: Joi.number().integer(),
     }, RouteNotificationParams),
 
     schema: Joi.object({
       trip: TripSchemaPax,
       timeAfter: Joi.number().integer().description("Number of milliseconds after the start of the trip"),
+      firstCrossing: Joi.boolean().description("Whether this is the first threshold the trip has crossed"),
     }).unknown(),
 
+    // Raised once for each threshold crossed, so subscribers hear only
+    // of their own, or of the first if they have none
     filter (params, event) {
       return testTripRoutePax(params, event) &&
-        (typeof (params.timeAfter) !== 'number' || params.timeAfter <= event.timeAfter)
+        (typeof (params.timeAfter) === 'number'
+          ? params.timeAfter === event.timeAfter
+          : event.firstCrossing)
     },
     authorize: authorizeByCompanyId
   },
 
   lateETA: {
     params: _.defaults({
-      timeAfter: Joi.number().integer().required(),
+      // Without a timeAfter, only the first threshold crossed is reported
+      timeAfter: Joi.number().integer(),
     }, RouteNotificationParams),
 
     schema: Joi.object({
       trip: TripSchemaPax,
       timeAfter: Joi.number().integer().description("Number of milliseconds before the start of the trip"),
+      firstCrossing: Joi.boolean().description("Whether this is the first threshold the trip has crossed"),
     }).unknown(),
 
+    // Raised once for each threshold crossed, so subscribers hear only
+    // of their own, or of the first if they have none
     filter (params, event) {
       return testTripRoutePax(params, event) &&
-        (typeof (params.timeAfter) !== 'number' || params.timeAfter <= event.timeAfter)
+        (typeof (params.timeAfter) === 'number'
+          ? params.timeAfter === event.timeAfter
+          : event.firstCrossing)
     },
 
     authorize: authorizeByCompanyId
@@ -1,5 +1,5 @@
 import os from 'os'
-import {formatDate} from '../util/common'
+import {formatDate, formatTime24} from '../util/common'
 
 export default {
   transactionFailure: {
@@ -59,6 +59,74 @@ export default {
     }
   },
 
+  ticketCancelled: {
+    '0' (event) {
+      return {
+        message: `A booking has been cancelled on ${event.trip.route.label} ` +
+        `${event.trip.route.from} to ${event.trip.route.to} (${formatDate(event.trip.date)})`,
+      }
+    },
+  },
+
+  paymentRefundedExternally: {
+    '0' (event) {
+      return {
+        message: `Charge ${event.chargeId} was refunded $${event.amount.toFixed(2)} in Stripe. ` +
+          `${event.tickets.length} ticket(s) and ${event.routePasses.length} route pass(es) have been refunded` +
+          (event.unallocated > 0
+            ? `. $${event.unallocated.toFixed(2)} could not be matched to what the charge paid for`
+            : ''),
+        severity: 5,
+      }
+    },
+  },
+
+  paymentDisputed: {
+    '0' (event) {
+      return {
+        message: `Charge ${event.chargeId} of $${event.amount.toFixed(2)} has been disputed (${event.reason}). ` +
+          `${event.tickets.length} ticket(s) and ${event.routePasses.length} route pass(es) have been flagged`,
+        severity: 5,
+      }
+    },
+  },
+
+  paymentDisputeClosed: {
+    '0' (event) {
+      return {
+        message: `The dispute of charge ${event.chargeId} of $${event.amount.toFixed(2)} was ${event.status}` +
+          (event.status === 'lost' ? ', and what it paid for has been refunded' : ''),
+        severity: event.status === 'lost' ? 5 : 4,
+      }
+    },
+  },
+
+  payoutFailed: {
+    '0' (event) {
+      return {
+        message: `Payout ${event.payoutId} of $${event.amount.toFixed(2)} failed: ${event.failureMessage}`,
+        severity: 6,
+      }
+    },
+  },
+
+  paymentsReconciled: {
+    '0' (event) {
+      const {amountMismatch, missingCharge, orphanedCharge, missingRefund} = event.summary
+      const total = amountMismatch + missingCharge + orphanedCharge + missingRefund
+      return {
+        message: `Payments made from ${formatDate(event.startTime)} ${formatTime24(event.startTime)} ` +
+          `until ${formatDate(event.endTime)} ${formatTime24(event.endTime)} reconciled: ` +
+          (total === 0
+            ? 'no discrepancies'
+            : `${total} discrepancies (${amountMismatch} amount mismatches, ${missingCharge} missing charges, ` +
+              `${orphanedCharge} orphaned charges, ${missingRefund} missing refunds). ` +
+              `See /reconciliation/reports/${event.reportId}`),
+        severity: total === 0 ? 3 : 5,
+      }
+    },
+  },
+
   noPings: {
     '0' (event) {
       return {
@@ -0,0 +1,78 @@
+const _ = require("lodash")
+
+/**
+ * @param {*} value - a value to place in a CSV file
+ * @return {string} the value, quoted if it contains commas, quotes
+ * or line breaks
+ */
+const escape = value => {
+  const s = value === null || value === undefined ? "" : String(value)
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+/**
+ * Formats rows as CSV with a header line, as required by GTFS
+ * @param {Array} fields - the column names
+ * @param {Array} rows - objects keyed by column name
+ * @return {string} the CSV text
+ */
+export function toCSV(fields, rows) {
+  return (
+    [fields, ...rows.map(row => fields.map(f => row[f]))]
+      .map(values => values.map(escape).join(","))
+      .join("\r\n") + "\r\n"
+  )
+}
+
+/**
+ * Parses CSV text with a header line into objects keyed by column name
+ * @param {string} text - the CSV text
+ * @return {Array} the rows
+ */
+export function parseCSV(text) {
+  const records = []
+  let record = []
+  let value = ""
+  let quoted = false
+
+  // Strip the byte order mark that some GTFS producers leave in
+  const input = text.replace(/^\uFEFF/, "")
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i]
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        value += '"'
+        i++
+      } else if (c === '"') {
+        quoted = false
+      } else {
+        value += c
+      }
+    } else if (c === '"') {
+      quoted = true
+    } else if (c === ",") {
+      record.push(value)
+      value = ""
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && input[i + 1] === "\n") {
+        i++
+      }
+      record.push(value)
+      records.push(record)
+      record = []
+      value = ""
+    } else {
+      value += c
+    }
+  }
+  if (value !== "" || record.length > 0) {
+    record.push(value)
+    records.push(record)
+  }
+
+  const [header = [], ...body] = records.filter(
+    r => !(r.length === 1 && r[0] === "")
+  )
+  const fields = header.map(f => f.trim())
+  return body.map(r => _.zipObject(fields, r.map(v => v.trim())))
+}
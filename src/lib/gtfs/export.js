@@ -0,0 +1,299 @@
+const _ = require("lodash")
+const moment = require("moment-timezone")
+
+const { toCSV } = require("./csv")
+const { createZip } = require("../util/zip")
+const { pathPoints } = require("../util/routePaths")
+
+export const TIMEZONE = "Asia/Singapore"
+
+// Routes with these tags are left out of feeds unless asked for
+export const DEFAULT_EXCLUDED_TAGS = [
+  "crowdstart",
+  "crowdstart-private",
+  "private",
+]
+
+// Bus services, in the GTFS route_type enumeration
+const ROUTE_TYPE_BUS = 3
+
+export const FIELDS = {
+  "agency.txt": [
+    "agency_id",
+    "agency_name",
+    "agency_url",
+    "agency_timezone",
+    "agency_phone",
+    "agency_email",
+  ],
+  "stops.txt": [
+    "stop_id",
+    "stop_code",
+    "stop_name",
+    "stop_desc",
+    "stop_lat",
+    "stop_lon",
+  ],
+  "routes.txt": [
+    "route_id",
+    "agency_id",
+    "route_short_name",
+    "route_long_name",
+    "route_desc",
+    "route_type",
+  ],
+  "trips.txt": ["route_id", "service_id", "trip_id", "shape_id"],
+  "stop_times.txt": [
+    "trip_id",
+    "arrival_time",
+    "departure_time",
+    "stop_id",
+    "stop_sequence",
+    "pickup_type",
+    "drop_off_type",
+  ],
+  "calendar.txt": [
+    "service_id",
+    "monday",
+    "tuesday",
+    "wednesday",
+    "thursday",
+    "friday",
+    "saturday",
+    "sunday",
+    "start_date",
+    "end_date",
+  ],
+  "shapes.txt": [
+    "shape_id",
+    "shape_pt_lat",
+    "shape_pt_lon",
+    "shape_pt_sequence",
+  ],
+}
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+]
+
+/**
+ * Formats a time as GTFS does, as the hours, minutes and seconds since
+ * the start of the service day. Times after midnight run past 24:00:00
+ * @param {Date} time - the time of a trip stop
+ * @param {Object} serviceDay - a moment at the start of the service day
+ * @return {string} the time in HH:MM:SS
+ */
+const gtfsTime = (time, serviceDay) => {
+  const seconds = moment(time).diff(serviceDay, "seconds")
+  const pad = n => _.padStart(String(n), 2, "0")
+  return [
+    Math.floor(seconds / 3600),
+    Math.floor((seconds % 3600) / 60),
+    seconds % 60,
+  ]
+    .map(pad)
+    .join(":")
+}
+
+/**
+ * Finds the routes and trips to export
+ * @param {Object} models - the Sequelize models
+ * @param {Object} options - see buildGTFSFeed
+ * @return {Promise<Array>} the routes, with their company and trips
+ */
+async function findRoutes(models, options) {
+  const {
+    transportCompanyId,
+    tags,
+    excludeTags = DEFAULT_EXCLUDED_TAGS,
+    startDate,
+    endDate,
+  } = options
+
+  const routeWhere = {}
+  if (transportCompanyId) {
+    routeWhere.transportCompanyId = transportCompanyId
+  }
+  if (tags && tags.length > 0) {
+    routeWhere.tags = { $contains: tags }
+  }
+  if (excludeTags && excludeTags.length > 0) {
+    routeWhere.$or = [
+      { tags: null },
+      { $not: { tags: { $overlap: excludeTags } } },
+    ]
+  }
+
+  return models.Route.findAll({
+    where: routeWhere,
+    include: [
+      models.TransportCompany,
+      {
+        model: models.Trip,
+        where: {
+          date: { $gte: startDate, $lte: endDate },
+          $or: [
+            { status: null },
+            { status: { $notIn: ["cancelled", "void"] } },
+          ],
+        },
+        include: [{ model: models.TripStop, include: [models.Stop] }],
+      },
+    ],
+    order: [
+      ["id"],
+      [models.Trip, "date"],
+      [models.Trip, "id"],
+      [models.Trip, models.TripStop, "time"],
+    ],
+  })
+}
+
+/**
+ * Builds the text files of a GTFS static feed of our schedule
+ * @param {Object} models - the Sequelize models
+ * @param {Object} options
+ * @param {Number} options.transportCompanyId - only export this company's
+ * routes
+ * @param {Array} options.tags - only export routes with all these tags
+ * @param {Array} options.excludeTags - leave out routes with any of these
+ * tags, by default crowdstart and private routes
+ * @param {Date} options.startDate - the first trip date to export
+ * @param {Date} options.endDate - the last trip date to export
+ * @param {string} options.agencyUrl - the agency_url of every agency,
+ * as we do not keep the websites of transport companies
+ * @return {Promise<Object>} the contents of each file, keyed by file name
+ */
+export async function buildGTFSFeed(models, options) {
+  const routes = await findRoutes(models, options)
+  const agencyUrl =
+    options.agencyUrl || process.env.GTFS_AGENCY_URL || "https://www.beeline.sg"
+
+  const agencies = _(routes)
+    .map(r => r.transportCompany)
+    .compact()
+    .uniqBy("id")
+    .map(c => ({
+      agency_id: c.id,
+      agency_name: c.name,
+      agency_url: agencyUrl,
+      agency_timezone: TIMEZONE,
+      agency_phone: c.contactNo,
+      agency_email: c.email,
+    }))
+    .value()
+
+  const stops = {}
+  const services = {}
+  const gtfsRoutes = []
+  const gtfsTrips = []
+  const stopTimes = []
+  const shapes = []
+
+  for (const route of routes) {
+    gtfsRoutes.push({
+      route_id: route.id,
+      agency_id: route.transportCompanyId,
+      route_short_name: route.label,
+      route_long_name: route.name || `${route.from} - ${route.to}`,
+      route_desc: route.schedule,
+      route_type: ROUTE_TYPE_BUS,
+    })
+
+    const points = pathPoints(route.path)
+    points.forEach(([lat, lng], i) =>
+      shapes.push({
+        shape_id: route.id,
+        shape_pt_lat: lat,
+        shape_pt_lon: lng,
+        shape_pt_sequence: i + 1,
+      })
+    )
+
+    for (const trip of route.trips) {
+      if (trip.tripStops.length < 2) {
+        continue
+      }
+
+      // The service day of a trip is the day its first stop is served
+      const serviceDay = moment(trip.tripStops[0].time)
+        .tz(TIMEZONE)
+        .startOf("day")
+      const serviceId = serviceDay.format("YYYYMMDD")
+      services[serviceId] = serviceDay
+
+      gtfsTrips.push({
+        route_id: route.id,
+        service_id: serviceId,
+        trip_id: trip.id,
+        shape_id: points.length > 0 ? route.id : "",
+      })
+
+      trip.tripStops.forEach((tripStop, i) => {
+        stops[tripStop.stop.id] = tripStop.stop
+        const time = gtfsTime(tripStop.time, serviceDay)
+        stopTimes.push({
+          trip_id: trip.id,
+          arrival_time: time,
+          departure_time: time,
+          stop_id: tripStop.stop.id,
+          stop_sequence: i + 1,
+          // 1 - no pickup/drop off available
+          pickup_type: tripStop.canBoard ? 0 : 1,
+          drop_off_type: tripStop.canAlight ? 0 : 1,
+        })
+      })
+    }
+  }
+
+  const gtfsStops = _.sortBy(_.values(stops), "id").map(stop => {
+    const [lng, lat] = stop.coordinates.coordinates
+    return {
+      stop_id: stop.id,
+      stop_code: stop.label,
+      stop_name: stop.description,
+      stop_desc: stop.road,
+      stop_lat: lat,
+      stop_lon: lng,
+    }
+  })
+
+  const calendar = _.sortBy(_.keys(services)).map(serviceId => {
+    const weekday = WEEKDAYS[services[serviceId].day()]
+    return {
+      service_id: serviceId,
+      ..._.fromPairs(WEEKDAYS.map(day => [day, day === weekday ? 1 : 0])),
+      start_date: serviceId,
+      end_date: serviceId,
+    }
+  })
+
+  const rows = {
+    "agency.txt": agencies,
+    "stops.txt": gtfsStops,
+    "routes.txt": gtfsRoutes,
+    "trips.txt": gtfsTrips,
+    "stop_times.txt": stopTimes,
+    "calendar.txt": calendar,
+    "shapes.txt": shapes,
+  }
+
+  return _.mapValues(rows, (fileRows, name) => toCSV(FIELDS[name], fileRows))
+}
+
+/**
+ * Builds a GTFS static feed of our schedule as a zip file
+ * @param {Object} models - the Sequelize models
+ * @param {Object} options - see buildGTFSFeed
+ * @return {Promise<Buffer>} the zip file
+ */
+export async function buildGTFSZip(models, options) {
+  const feed = await buildGTFSFeed(models, options)
+  return createZip(_.map(feed, (data, name) => ({ name, data })))
+}
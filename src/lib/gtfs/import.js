@@ -0,0 +1,411 @@
+const _ = require("lodash")
+const moment = require("moment-timezone")
+
+const { parseCSV } = require("./csv")
+const { readZip } = require("../util/zip")
+const { encodePath } = require("../util/routePaths")
+const { InvalidArgumentError } = require("../util/errors")
+const { TIMEZONE } = require("./export")
+
+// The most trips that one import will create
+export const MAX_IMPORTED_TRIPS = 2000
+
+const REQUIRED_FILES = [
+  "stops.txt",
+  "routes.txt",
+  "trips.txt",
+  "stop_times.txt",
+]
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+]
+
+/**
+ * Reads the tables of a GTFS static feed
+ * @param {Buffer} buffer - the zip file of the feed
+ * @return {Promise<Object>} the rows of each table in the feed
+ */
+export async function parseGTFSZip(buffer) {
+  let files
+  try {
+    files = await readZip(buffer)
+  } catch (err) {
+    throw new InvalidArgumentError(
+      `Could not read the GTFS zip: ${err.message}`
+    )
+  }
+
+  // Some feeds are zipped up together with the folder they are in
+  const byName = _.mapKeys(files, (data, name) => name.split("/").pop())
+  const missing = REQUIRED_FILES.filter(name => !byName[name])
+  InvalidArgumentError.assert(
+    missing.length === 0,
+    `The GTFS feed is missing ${missing.join(", ")}`
+  )
+  InvalidArgumentError.assert(
+    byName["calendar.txt"] || byName["calendar_dates.txt"],
+    "The GTFS feed has neither calendar.txt nor calendar_dates.txt"
+  )
+
+  const table = name =>
+    byName[name] ? parseCSV(byName[name].toString("utf8")) : []
+  return {
+    stops: table("stops.txt"),
+    routes: table("routes.txt"),
+    trips: table("trips.txt"),
+    stopTimes: table("stop_times.txt"),
+    calendar: table("calendar.txt"),
+    calendarDates: table("calendar_dates.txt"),
+    shapes: table("shapes.txt"),
+  }
+}
+
+/**
+ * Works out the dates each service of a feed runs on
+ * @param {Object} feed - the feed, as read by parseGTFSZip
+ * @param {string} startDate - the first date to consider, as YYYY-MM-DD
+ * @param {string} endDate - the last date to consider, as YYYY-MM-DD
+ * @return {Object} the dates of each service, as YYYY-MM-DD, keyed
+ * by service_id
+ */
+export function serviceDates(feed, startDate, endDate) {
+  const from = moment.utc(startDate)
+  const to = moment.utc(endDate)
+  const inRange = date => !date.isBefore(from) && !date.isAfter(to)
+  const dates = {}
+
+  for (const service of feed.calendar) {
+    const datesOfService = (dates[service.service_id] =
+      dates[service.service_id] || new Set())
+    const last = moment.min(moment.utc(service.end_date, "YYYYMMDD"), to)
+    for (
+      let date = moment.max(moment.utc(service.start_date, "YYYYMMDD"), from);
+      !date.isAfter(last);
+      date = date.clone().add(1, "day")
+    ) {
+      if (service[WEEKDAYS[date.day()]] === "1") {
+        datesOfService.add(date.format("YYYY-MM-DD"))
+      }
+    }
+  }
+
+  // 1 - service added on this date, 2 - service removed on this date
+  for (const exception of feed.calendarDates) {
+    const date = moment.utc(exception.date, "YYYYMMDD")
+    if (!inRange(date)) {
+      continue
+    }
+    const datesOfService = (dates[exception.service_id] =
+      dates[exception.service_id] || new Set())
+    if (exception.exception_type === "1") {
+      datesOfService.add(date.format("YYYY-MM-DD"))
+    } else if (exception.exception_type === "2") {
+      datesOfService.delete(date.format("YYYY-MM-DD"))
+    }
+  }
+
+  return _.mapValues(dates, set => Array.from(set).sort())
+}
+
+/**
+ * @param {string} date - the service date, as YYYY-MM-DD
+ * @param {string} time - a GTFS time, which may run past 24:00:00
+ * @return {Date} the time on the service date
+ */
+const gtfsTimeOn = (date, time) => {
+  const [hours, minutes, seconds] = time.split(":").map(Number)
+  return moment
+    .tz(date, TIMEZONE)
+    .add(hours * 3600 + minutes * 60 + (seconds || 0), "seconds")
+    .toDate()
+}
+
+/**
+ * Finds the stop nearest to a GTFS stop within the given radius, using
+ * the SVY21 index on stops, or creates a stop if there is none
+ * @param {Object} connection - the Sequelize db, models and transaction
+ * @param {Object} gtfsStop - the row of the stop in stops.txt
+ * @param {Number} radius - how far away, in metres, a stop may be matched
+ * @return {Promise<Object>} the stop, with how it was found
+ */
+async function matchOrCreateStop(
+  { db, models, transaction },
+  gtfsStop,
+  radius
+) {
+  const lat = parseFloat(gtfsStop.stop_lat)
+  const lng = parseFloat(gtfsStop.stop_lon)
+  InvalidArgumentError.assert(
+    isFinite(lat) && isFinite(lng),
+    `Stop ${gtfsStop.stop_id} has no coordinates`
+  )
+
+  const [nearest] = await db.query(
+    `SELECT
+      "id",
+      ST_Distance(
+        ST_Transform(ST_SetSRID("coordinates", 4326), 3414),
+        ST_Transform(ST_SetSRID(ST_MakePoint(:lng, :lat), 4326), 3414)
+      ) AS "distance"
+    FROM "stops"
+    WHERE ST_DWithin(
+      ST_Transform(ST_SetSRID("coordinates", 4326), 3414),
+      ST_Transform(ST_SetSRID(ST_MakePoint(:lng, :lat), 4326), 3414),
+      :radius
+    )
+    ORDER BY "distance"
+    LIMIT 1`,
+    {
+      type: db.QueryTypes.SELECT,
+      replacements: { lat, lng, radius },
+      transaction,
+    }
+  )
+
+  if (nearest) {
+    return {
+      stopId: nearest.id,
+      action: "matched",
+      distance: Math.round(nearest.distance),
+    }
+  }
+
+  const stop = await models.Stop.create(
+    {
+      description: gtfsStop.stop_name,
+      road: gtfsStop.stop_desc || null,
+      label: gtfsStop.stop_code || null,
+      coordinates: { type: "Point", coordinates: [lng, lat] },
+    },
+    { transaction }
+  )
+  return { stopId: stop.id, action: "created", distance: null }
+}
+
+/**
+ * Imports the routes and trips of a GTFS static feed for a company,
+ * matching the stops of the feed to nearby stops where possible.
+ * Routes are matched by label, i.e. route_short_name, and trips of the
+ * route that already run at the same time on the same date are skipped.
+ *
+ * Everything is done in a single database transaction, which is rolled
+ * back if this is a dry run
+ * @param {Object} connection - the Sequelize db and models
+ * @param {Object} feed - the feed, as read by parseGTFSZip
+ * @param {Object} options
+ * @param {Number} options.transportCompanyId - the company to import for
+ * @param {string} options.startDate - the first date to import trips for
+ * @param {string} options.endDate - the last date to import trips for
+ * @param {Number} options.capacity - the capacity of each trip
+ * @param {Number} options.price - the price of each trip
+ * @param {Array} options.tags - the tags to give new routes
+ * @param {Number} options.stopRadius - how far away, in metres, an
+ * existing stop may be matched to a stop in the feed
+ * @param {Boolean} options.dryRun - if true, report on what would
+ * have been done without saving anything
+ * @return {Promise<Object>} a report of the stops, routes and trips
+ * that were matched or created
+ */
+export async function importGTFSFeed({ db, models }, feed, options) {
+  const { transportCompanyId, capacity, price, stopRadius, dryRun } = options
+  const datesByService = serviceDates(feed, options.startDate, options.endDate)
+  const stopTimesByTrip = _(feed.stopTimes)
+    .groupBy("trip_id")
+    .mapValues(times => _.sortBy(times, t => +t.stop_sequence))
+    .value()
+
+  const gtfsTrips = feed.trips.filter(
+    t =>
+      (datesByService[t.service_id] || []).length > 0 &&
+      (stopTimesByTrip[t.trip_id] || []).length >= 2
+  )
+  const numTrips = _.sumBy(gtfsTrips, t => datesByService[t.service_id].length)
+  InvalidArgumentError.assert(
+    numTrips <= MAX_IMPORTED_TRIPS,
+    `The feed has ${numTrips} trips in this period. ` +
+      `No more than ${MAX_IMPORTED_TRIPS} can be imported at once`
+  )
+
+  for (const trip of gtfsTrips) {
+    InvalidArgumentError.assert(
+      stopTimesByTrip[trip.trip_id].every(
+        st => st.departure_time || st.arrival_time
+      ),
+      `Trip ${trip.trip_id} has stops without times`
+    )
+  }
+
+  const gtfsStopsById = _.keyBy(feed.stops, "stop_id")
+  const gtfsRoutesById = _.keyBy(feed.routes, "route_id")
+  const shapesById = _(feed.shapes)
+    .groupBy("shape_id")
+    .mapValues(points =>
+      _.sortBy(points, p => +p.shape_pt_sequence).map(p => ({
+        lat: parseFloat(p.shape_pt_lat),
+        lng: parseFloat(p.shape_pt_lon),
+      }))
+    )
+    .value()
+
+  const importInTransaction = async transaction => {
+    const connection = { db, models, transaction }
+    const report = {
+      dryRun,
+      stops: [],
+      routes: [],
+      trips: { created: 0, skipped: [] },
+    }
+
+    // Stops
+    const stopIds = {}
+    const usedStopIds = _(gtfsTrips)
+      .flatMap(t => stopTimesByTrip[t.trip_id].map(st => st.stop_id))
+      .uniq()
+      .value()
+    for (const gtfsStopId of usedStopIds) {
+      const gtfsStop = gtfsStopsById[gtfsStopId]
+      InvalidArgumentError.assert(
+        gtfsStop,
+        `Stop ${gtfsStopId} is not in stops.txt`
+      )
+      const match = await matchOrCreateStop(connection, gtfsStop, stopRadius)
+      stopIds[gtfsStopId] = match.stopId
+      report.stops.push({
+        gtfsStopId,
+        name: gtfsStop.stop_name,
+        ...match,
+      })
+    }
+
+    // Routes, and their trips
+    for (const [gtfsRouteId, routeTrips] of _.toPairs(
+      _.groupBy(gtfsTrips, "route_id")
+    )) {
+      const gtfsRoute = gtfsRoutesById[gtfsRouteId]
+      InvalidArgumentError.assert(
+        gtfsRoute,
+        `Route ${gtfsRouteId} is not in routes.txt`
+      )
+      const label = gtfsRoute.route_short_name || gtfsRoute.route_id
+      const firstTripStops = stopTimesByTrip[routeTrips[0].trip_id]
+      const stopName = stopTime => gtfsStopsById[stopTime.stop_id].stop_name
+
+      let route = await models.Route.find({
+        where: { transportCompanyId, label },
+        attributes: ["id"],
+        transaction,
+      })
+      const action = route ? "matched" : "created"
+      if (!route) {
+        route = await models.Route.create(
+          {
+            transportCompanyId,
+            label,
+            name: gtfsRoute.route_long_name || label,
+            from: stopName(_.first(firstTripStops)),
+            to: stopName(_.last(firstTripStops)),
+            path: encodePath(shapesById[routeTrips[0].shape_id]),
+            tags: options.tags || [],
+            notes: { gtfsRouteId },
+          },
+          { transaction }
+        )
+      }
+
+      // The first stop times of the route's trips, to skip those
+      // that were imported before
+      const existingStarts = await db
+        .query(
+          `SELECT min("tripStops"."time") AS "time"
+          FROM "trips" INNER JOIN "tripStops"
+            ON "tripStops"."tripId" = "trips"."id"
+          WHERE "trips"."routeId" = :routeId
+          GROUP BY "trips"."id"`,
+          {
+            type: db.QueryTypes.SELECT,
+            replacements: { routeId: route.id },
+            transaction,
+          }
+        )
+        .then(rows => new Set(rows.map(r => new Date(r.time).getTime())))
+
+      let tripsCreated = 0
+      for (const gtfsTrip of routeTrips) {
+        const stopTimes = stopTimesByTrip[gtfsTrip.trip_id]
+        for (const date of datesByService[gtfsTrip.service_id]) {
+          const tripStops = stopTimes.map(st => ({
+            stopId: stopIds[st.stop_id],
+            // 1 - no pickup/drop off available
+            canBoard: st.pickup_type !== "1",
+            canAlight: st.drop_off_type !== "1",
+            time: gtfsTimeOn(date, st.departure_time || st.arrival_time),
+          }))
+
+          if (existingStarts.has(tripStops[0].time.getTime())) {
+            report.trips.skipped.push({
+              gtfsTripId: gtfsTrip.trip_id,
+              date,
+              reason: "existingTrip",
+            })
+            continue
+          }
+
+          await models.Trip.create(
+            {
+              date,
+              routeId: route.id,
+              capacity,
+              seatsAvailable: capacity,
+              price,
+              tripStops,
+            },
+            { include: [models.TripStop], transaction }
+          )
+          tripsCreated++
+        }
+      }
+
+      report.routes.push({
+        gtfsRouteId,
+        label,
+        action,
+        routeId: route.id,
+        tripsCreated,
+      })
+      report.trips.created += tripsCreated
+    }
+
+    return report
+  }
+
+  const transaction = await db.transaction()
+  let report
+  try {
+    report = await importInTransaction(transaction)
+  } catch (err) {
+    await transaction.rollback()
+    throw err
+  }
+
+  if (!dryRun) {
+    await transaction.commit()
+    return report
+  }
+
+  // Whatever was created is rolled back, so leave out the ids
+  await transaction.rollback()
+  report.stops.filter(s => s.action === "created").forEach(s => {
+    s.stopId = null
+  })
+  report.routes.filter(r => r.action === "created").forEach(r => {
+    r.routeId = null
+  })
+  return report
+}
@@ -4,6 +4,42 @@ const { getModels, getDB } = require("../util/common")
 
 const stringDate = d => d && moment(d).format(moment.HTML5_FMT.DATE)
 
+const isActiveAnnouncement = now => announcement =>
+  (!announcement.validFrom || announcement.validFrom <= now) &&
+  (!announcement.validTo || announcement.validTo >= now)
+
+/**
+ * Looks up the announcements on routes that are in effect, i.e. those
+ * whose validity period includes the present. Announcements with no
+ * validFrom or validTo are in effect from or until further notice
+ * @param {Object} m - the Sequelize models
+ * @param {Array} routeIds - the ids of the routes
+ * @param {Object} options - `includeUpcoming`, to include announcements
+ * that have yet to come into effect, for listings that are cached
+ * @return {Promise<Object>} the announcements as JSON, newest first,
+ * keyed by route id
+ */
+const fetchAnnouncements = async (m, routeIds, options = {}) => {
+  if (routeIds.length === 0) {
+    return {}
+  }
+  const now = new Date()
+  const where = {
+    routeId: { $in: routeIds },
+    $and: [{ $or: [{ validTo: null }, { validTo: { $gte: now } }] }],
+  }
+  if (!options.includeUpcoming) {
+    where.$and.push({
+      $or: [{ validFrom: null }, { validFrom: { $lte: now } }],
+    })
+  }
+  const announcements = await m.RouteAnnouncement.findAll({
+    where,
+    order: [["createdAt", "DESC"]],
+  })
+  return _.groupBy(announcements.map(a => a.toJSON()), "routeId")
+}
+
 let currentRoutesPromise = null
 
 const cachedFetchRoutes = request => {
@@ -31,6 +67,7 @@ const fetchAllRoutes = request => {
       includeTrips: true,
       includeIndicative: false,
       includePath: true,
+      includeUpcomingAnnouncements: true,
       startDate: new Date(),
       endDate: null,
       limitTrips: 5,
@@ -42,6 +79,7 @@ const fetchAllRoutes = request => {
 }
 
 const filterCached = (routes, request) => {
+  const isActive = isActiveAnnouncement(new Date())
   return routes
     .filter(r => {
       return (
@@ -57,6 +95,7 @@ const filterCached = (routes, request) => {
     })
     .map(r => {
       const base = _.omit(r, ["path", "trips"])
+      base.announcements = r.announcements.filter(isActive)
 
       if (request.query.includePath) {
         base.path = r.path
@@ -147,6 +186,15 @@ const uncachedFetchRoutes = async request => {
   let routes = await m.Route.findAll(routeQuery)
   routes = routes.map(r => r.toJSON())
 
+  const announcementsByRouteId = await fetchAnnouncements(
+    m,
+    routes.map(r => r.id),
+    { includeUpcoming: request.query.includeUpcomingAnnouncements }
+  )
+  routes.forEach(route => {
+    route.announcements = announcementsByRouteId[route.id] || []
+  })
+
   if (request.query.includeDates) {
     const dateQuery = `
       select
@@ -245,6 +293,7 @@ const uncachedFetchRoutes = async request => {
 }
 
 module.exports = {
+  fetchAnnouncements,
   cachedFetchRoutes,
   uncachedFetchRoutes,
   filterCached,
@@ -0,0 +1,94 @@
+export default modelCache => {
+  let DataTypes = modelCache.db.Sequelize
+  return modelCache.db.define(
+    "idempotencyKey",
+    {
+      key: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      requestHash: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      // Null until the request with this key has been responded to
+      statusCode: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      response: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      // The transaction built for the request, recorded before the
+      // payment provider is charged for it
+      transactionId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+    },
+    {
+      indexes: [{ fields: ["userId", "key"], unique: true }],
+
+      classMethods: {
+        /**
+         * Claim a key for a request, so that no other request with the
+         * same key is processed until this one has been responded to.
+         * Keys claimed by requests that never got a response, e.g. because
+         * the server went down, may be claimed again once they are stale
+         * @param {Number} userId - the user making the request
+         * @param {String} key - the key sent with the request
+         * @param {String} requestHash - the hash of the request
+         * @param {Number} staleAfter - the milliseconds after which
+         * claims without a response are stale
+         * @return {Array} the key, and whether the request claimed it
+         */
+        async claim(userId, key, requestHash, staleAfter) {
+          const db = modelCache.db
+          const [inserted] = await db.query(
+            `
+            INSERT INTO "idempotencyKeys"
+              ("key", "userId", "requestHash", "createdAt", "updatedAt")
+            VALUES (:key, :userId, :requestHash, now(), now())
+            ON CONFLICT ("userId", "key") DO NOTHING
+            RETURNING *
+            `,
+            {
+              type: db.QueryTypes.SELECT,
+              replacements: { key, userId, requestHash },
+            }
+          )
+          if (inserted) {
+            return [await this.findById(inserted.id), true]
+          }
+
+          const existing = await this.findOne({ where: { userId, key } })
+          const isStale =
+            existing.statusCode === null &&
+            existing.requestHash === requestHash &&
+            existing.updatedAt.getTime() < Date.now() - staleAfter
+          if (!isStale) {
+            return [existing, false]
+          }
+
+          // Only one of the requests finding the claim stale may take it over
+          const [count] = await this.update(
+            { updatedAt: new Date() },
+            {
+              where: {
+                id: existing.id,
+                statusCode: null,
+                updatedAt: { $lt: new Date(Date.now() - staleAfter) },
+              },
+            }
+          )
+          return [existing, count > 0]
+        },
+      },
+    }
+  )
+}
@@ -0,0 +1,56 @@
+/* eslint-disable new-cap */
+
+/**
+ * The Ping data model -- the locations reported by the driver app
+ * over the course of a trip
+ * @param {ModelCache} modelCache
+ * @return {Model}
+ */
+export default function(modelCache) {
+  const DataTypes = modelCache.db.Sequelize
+  return modelCache.db.define(
+    "ping",
+    {
+      tripId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      driverId: DataTypes.INTEGER,
+      vehicleId: DataTypes.INTEGER,
+      coordinates: {
+        type: DataTypes.GEOMETRY("POINT"),
+        allowNull: false,
+      },
+      /* The time the location was recorded by the driver app */
+      time: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+    },
+    {
+      indexes: [{ fields: ["tripId", "time"] }],
+    }
+  )
+}
+
+/**
+ * Associate each ping with its trip, driver and vehicle
+ * @param {ModelCache} modelCache
+ * @return {void}
+ */
+export function makeAssociation(modelCache) {
+  const Ping = modelCache.require("Ping")
+  const Trip = modelCache.require("Trip")
+  const Driver = modelCache.require("Driver")
+  const Vehicle = modelCache.require("Vehicle")
+  Ping.belongsTo(Trip, {
+    foreignKey: "tripId",
+    onDelete: "CASCADE",
+  })
+  Ping.belongsTo(Driver, {
+    foreignKey: "driverId",
+  })
+  Ping.belongsTo(Vehicle, {
+    foreignKey: "vehicleId",
+  })
+}
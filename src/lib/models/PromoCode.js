@@ -0,0 +1,137 @@
+import assert from 'assert'
+import crypto from 'crypto'
+import _ from 'lodash'
+
+// Leave out characters that are easily mistaken for one another
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+
+/**
+ * Generates a random code of letters and digits
+ * @param {string} prefix - prepended to the code
+ * @param {number} length - the number of random characters
+ * @return {string} the code
+ */
+function randomCode (prefix, length) {
+  const bytes = crypto.randomBytes(length)
+  return prefix + _.map(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('')
+}
+
+/**
+ * The PromoCode data model -- single-use codes that each redeem a
+ * promotion, optionally issued to a user
+ * @param {ModelCache} modelCache
+ * @return {Model}
+ */
+export default function (modelCache) {
+  const DataTypes = modelCache.db.Sequelize
+
+  return modelCache.db.define('promoCode', {
+    code: { type: DataTypes.TEXT, allowNull: false },
+    promotionId: { type: DataTypes.INTEGER, allowNull: false },
+    // The user the code was issued to, who alone may redeem it, if any
+    userId: { type: DataTypes.INTEGER, allowNull: true },
+    redeemedAt: { type: DataTypes.DATE, allowNull: true },
+    // The user who redeemed the code
+    redeemedBy: { type: DataTypes.INTEGER, allowNull: true },
+  }, {
+    indexes: [
+      { fields: ['code'], unique: true },
+      { fields: ['promotionId'] },
+    ],
+
+    classMethods: {
+      // generates unique single-use codes for a promotion
+      // @param: promotionId - id of promotion, from promotion table
+      // @param: count - number of codes to generate
+      // @param: prefix - prepended to every code
+      // @param: length - number of random characters in every code
+      // @param: userId - the user the codes are issued to, if any
+      // @returns: array of the promoCode instances created
+      async generate (promotionId, count, {prefix = '', length = 8, userId = null} = {}, options) {
+        assert(isFinite(promotionId))
+        assert(count > 0)
+
+        const db = modelCache.db
+        let codes = []
+        while (codes.length < count) {
+          const candidates = _.uniq(_.range(count - codes.length)
+            .map(() => randomCode(prefix, length)))
+            .filter(code => !codes.includes(code))
+
+          // Codes must not clash with earlier codes, nor with shared codes
+          // eslint-disable-next-line no-await-in-loop
+          const taken = await db.query(`
+            SELECT "code" FROM "promoCodes" WHERE "code" = ANY(ARRAY[:candidates]::text[])
+            UNION
+            SELECT "code" FROM "promotions" WHERE "code" = ANY(ARRAY[:candidates]::text[])
+          `, _.defaults({
+            type: db.QueryTypes.SELECT,
+            replacements: { candidates },
+          }, options))
+          codes = codes.concat(_.difference(candidates, taken.map(t => t.code)))
+        }
+
+        return this.bulkCreate(
+          codes.map(code => ({ code, promotionId, userId })),
+          _.defaults({ returning: true }, options)
+        )
+      },
+      // marks a code as used by a user, unless it has been used already,
+      // or was issued to another user. The check and the update are one
+      // statement, so that a code cannot be used twice even by concurrent
+      // transactions
+      // @param: code - the code
+      // @param: userId - id of user, from user table
+      // @returns: the promoCode instance, or null if it cannot be used
+      async redeem (code, userId, options) {
+        assert(isFinite(userId))
+
+        const [count, [inst]] = await this.update(
+          { redeemedBy: userId, redeemedAt: new Date() },
+          _.defaults({
+            where: {
+              code,
+              redeemedAt: null,
+              $or: [{ userId: null }, { userId }],
+            },
+            returning: true,
+          }, options)
+        )
+        return count > 0 ? inst : null
+      },
+      // for undoing a transaction - makes the code available again
+      unredeem (code, options) {
+        return this.update(
+          { redeemedBy: null, redeemedAt: null },
+          _.defaults({ where: { code } }, options)
+        )
+      },
+    },
+  })
+}
+
+/**
+ * Associate each code with its promotion, the user it was issued to,
+ * and the user who redeemed it
+ * @param {ModelCache} modelCache
+ * @return {void}
+ */
+export function makeAssociation (modelCache) {
+  const PromoCode = modelCache.require('PromoCode')
+  const Promotion = modelCache.require('Promotion')
+  const User = modelCache.require('User')
+
+  PromoCode.belongsTo(Promotion, {
+    foreignKey: "promotionId",
+    onDelete: "CASCADE",
+  })
+
+  PromoCode.belongsTo(User, {
+    foreignKey: "userId",
+  })
+
+  PromoCode.belongsTo(User, {
+    as: "redeemer",
+    foreignKey: "redeemedBy",
+  })
+}
@@ -15,8 +15,14 @@ export default function (modelCache) {
 export function makeAssociation (modelCache) {
   var Promotion = modelCache.require('Promotion')
   var PromoUsage = modelCache.require('PromoUsage')
+  const PromoCode = modelCache.require('PromoCode')
 
   Promotion.hasMany(PromoUsage, {
     foreignKey: "promoId"
   })
+
+  Promotion.hasMany(PromoCode, {
+    foreignKey: "promotionId",
+    onDelete: "CASCADE",
+  })
 }
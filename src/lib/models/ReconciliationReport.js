@@ -0,0 +1,85 @@
+export default modelCache => {
+  let DataTypes = modelCache.db.Sequelize
+  return modelCache.db.define(
+    "reconciliationReport",
+    {
+      startTime: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      endTime: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          isIn: {
+            args: [["running", "complete", "failed"]],
+            msg: "Must be one of running, complete, failed",
+          },
+        },
+      },
+      // The number of payments, refunds and charges checked, and the
+      // number of discrepancies of each type found
+      summary: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      discrepancies: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+    },
+    {
+      indexes: [{ fields: ["startTime", "endTime"], unique: true }],
+
+      classMethods: {
+        /**
+         * Claim the report of a period, so that it is not drawn up by
+         * more than one server at a time. Reports that failed may be
+         * claimed again, and so may reports left running by a server
+         * that went down, once they are stale, and any report if forced
+         * @param {Date} startTime - the start of the period
+         * @param {Date} endTime - the end of the period, exclusive
+         * @param {Boolean} force - whether to claim the report even if
+         * it is running or complete
+         * @param {Number} staleAfter - the milliseconds after which
+         * running reports are stale
+         * @return {Object} the report, marked running, or null if it
+         * could not be claimed
+         */
+        async claim(startTime, endTime, force, staleAfter) {
+          const db = modelCache.db
+          const [claimed] = await db.query(
+            `
+            INSERT INTO "reconciliationReports"
+              ("startTime", "endTime", "status", "createdAt", "updatedAt")
+            VALUES (:startTime, :endTime, 'running', now(), now())
+            ON CONFLICT ("startTime", "endTime") DO UPDATE
+              SET "status" = 'running', "error" = NULL, "updatedAt" = now()
+              WHERE :force
+                OR "reconciliationReports"."status" = 'failed'
+                OR (
+                  "reconciliationReports"."status" = 'running' AND
+                  "reconciliationReports"."updatedAt" <
+                    now() - :staleAfter * interval '1 millisecond'
+                )
+            RETURNING "id"
+            `,
+            {
+              type: db.QueryTypes.SELECT,
+              replacements: { startTime, endTime, force: !!force, staleAfter },
+            }
+          )
+          return claimed ? this.findById(claimed.id) : null
+        },
+      },
+    }
+  )
+}
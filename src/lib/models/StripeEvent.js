@@ -0,0 +1,68 @@
+export default modelCache => {
+  let DataTypes = modelCache.db.Sequelize
+  return modelCache.db.define(
+    "stripeEvent",
+    {
+      eventId: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      type: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      // The connected account the event happened on, if not ours
+      account: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      event: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+      },
+      // Null until the event has been acted on
+      processedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // What was done about the event, e.g. the transaction booked
+      result: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+    },
+    {
+      indexes: [{ fields: ["eventId"], unique: true }, { fields: ["type"] }],
+
+      classMethods: {
+        /**
+         * Store an event sent by Stripe, unless it has been stored
+         * before. Stripe may send an event more than once
+         * @param {Object} event - the event
+         * @return {Object} the stored event
+         */
+        async record(event) {
+          const db = modelCache.db
+          await db.query(
+            `
+            INSERT INTO "stripeEvents"
+              ("eventId", "type", "account", "event", "createdAt", "updatedAt")
+            VALUES (:eventId, :type, :account, :event, now(), now())
+            ON CONFLICT ("eventId") DO NOTHING
+            `,
+            {
+              type: db.QueryTypes.INSERT,
+              replacements: {
+                eventId: event.id,
+                type: event.type,
+                account: event.account || null,
+                event: JSON.stringify(event),
+              },
+            }
+          )
+          return this.findOne({ where: { eventId: event.id } })
+        },
+      },
+    }
+  )
+}
@@ -41,9 +41,21 @@ export default function (modelCache) {
   const becameVoid = ticket => statusChanged(VALID_STATUSES, VOID_STATUSES, ticket)
   const becameValid = ticket => statusChanged(VOID_STATUSES, VALID_STATUSES, ticket)
 
-  const afterUpdate = (ticket, options) => {
+  const afterUpdate = async (ticket, options) => {
     if (becameVoid(ticket)) {
-      return updateAvailability('+')([ticket], options)
+      await updateAvailability('+')([ticket], options)
+
+      // Offer the seat freed up to the trip's waitlist
+      const TripStop = modelCache.require('TripStop')
+      const boardStop = await TripStop.findById(ticket.boardStopId, {
+        attributes: ['tripId'],
+        transaction: options.transaction,
+      })
+      // Required here, as the waitlist needs the event handlers, which
+      // cannot be loaded while the models are being loaded
+      require('../transactions/waitlist').serveWaitlistAfterCommit(
+        modelCache, boardStop.tripId, options.transaction
+      )
     } else if (becameValid(ticket)) {
       return updateAvailability('-')([ticket], options)
     }
@@ -40,7 +40,11 @@ export default function (modelCache) {
             "routePassExpiry",
             "freeRoutePass",
             "refundToRoutePass",
-            "refundPayment"
+            "refundPayment",
+            "ticketCancellation",
+            "ticketRebooking",
+            "externalRefund",
+            "chargeback"
           ]],
           msg: "Unknown type"
         }
@@ -47,6 +47,9 @@ export default function(modelCache) {
       },
       referrer: DataTypes.STRING,
       status: DataTypes.STRING,
+      /* If set, commuters may cancel their own tickets, subject to
+       { cutoffMinutes, fee: { fixed, rate }, refundRoutePasses } */
+      cancellationPolicy: DataTypes.JSONB,
     },
     {
       defaultScope: {
@@ -52,6 +52,11 @@ export default modelCache => {
       },
 
       status: DataTypes.STRING(20),
+      /**
+       * notes.reported -- the noPings, lateArrival and lateETA thresholds
+       * already reported for this trip by the trip monitoring daemon
+       */
+      notes: DataTypes.JSONB,
       messages: {
         type: DataTypes.ARRAY(DataTypes.JSONB),
         defaultValue: [],
@@ -127,6 +132,17 @@ export default modelCache => {
             trip.seatsAvailable = trip.capacity
           }
         },
+        afterUpdate: function(trip, options) {
+          // Offer the seats added to the trip's waitlist
+          if (trip.get("capacity") > trip._previousDataValues.capacity) {
+            // Required here, as with the Ticket model
+            require("../transactions/waitlist").serveWaitlistAfterCommit(
+              modelCache,
+              trip.id,
+              options.transaction
+            )
+          }
+        },
       },
       indexes: [
         { fields: ["vehicleId"] },
@@ -177,12 +193,18 @@ export default modelCache => {
           return leftPad(Math.floor(rng() * 10000), 4, "0")
         },
 
-        getPassengers() {
+        /*
+          Returns the users holding valid tickets on this trip, or if
+          ticketIds is specified, the users holding those tickets
+        */
+        getPassengers(ticketIds) {
           return modelCache.models.User.findAll({
             include: [
               {
                 model: modelCache.models.Ticket,
-                where: { status: "valid" },
+                where: ticketIds
+                  ? { id: { $in: ticketIds } }
+                  : { status: "valid" },
                 include: [
                   {
                     model: modelCache.models.TripStop,
@@ -195,8 +217,8 @@ export default modelCache => {
           })
         },
 
-        async getPassengerTelephones() {
-          const passengers = await this.getPassengers()
+        async getPassengerTelephones(ticketIds) {
+          const passengers = await this.getPassengers(ticketIds)
           const telephoneSchema = Joi.string().telephone()
           const telephones = passengers
             .map(p => {
@@ -231,6 +253,8 @@ export default modelCache => {
          *   sendToAdmins : boolean -- whether to message admins
          *   sender : string -- the sender of the message (e.g. email address of admin)
          *   ccDetail : string -- additional information for those on the list
+         *   ticketIds : array -- message the holders of these tickets
+         *     instead of those holding valid tickets
          * @return {Promise} a Promise that blocks on messaging passengers over
          * the various channels
          */
@@ -242,8 +266,8 @@ export default modelCache => {
           ])
         },
 
-        async messagePassengersByOneSignal(body, options) {
-          const passengers = await this.getPassengers()
+        async messagePassengersByOneSignal(body, options = {}) {
+          const passengers = await this.getPassengers(options.ticketIds)
           const onesignalTags = passengers.map(p =>
             _.get(p, "notes.pushNotificationTag")
           )
@@ -312,14 +336,16 @@ export default modelCache => {
           }
         },
 
-        async messagePassengersBySMS(body, smsOptions) {
+        async messagePassengersBySMS(body, smsOptions = {}) {
           const smsFunc = x =>
             sms.sendSMS(x).catch(err => {
               console.error(err)
             })
 
           // get list of passengers
-          let telephones = await this.getPassengerTelephones()
+          let telephones = await this.getPassengerTelephones(
+            smsOptions.ticketIds
+          )
 
           // don't send the same message twice -- e.g. WRS
           telephones = _.uniq(telephones)
@@ -2,7 +2,7 @@ import assert from "assert"
 import * as auth from "../core/auth"
 import * as onesignal from "../util/onesignal.js"
 import ssaclAttributeRoles from "ssacl-attribute-roles"
-import { stripe } from "../transactions/payment"
+import * as Payment from "../transactions/payment"
 const _ = require("lodash")
 
 /**
@@ -101,10 +101,8 @@ export default function(modelCache) {
           if (this.savedPaymentInfo) {
             return this.savedPaymentInfo
           } else {
-            const customerInfo = await stripe.customers.create({
-              metadata: {
-                userId: this.id,
-              },
+            const customerInfo = await Payment.createCustomer({
+              userId: this.id,
             })
 
             this.savedPaymentInfo = customerInfo
@@ -113,7 +111,7 @@ export default function(modelCache) {
         },
 
         async refreshPaymentInfo() {
-          const customerInfo = await stripe.customers.retrieve(
+          const customerInfo = await Payment.retrieveCustomer(
             this.savedPaymentInfo.id
           )
 
@@ -126,9 +124,7 @@ export default function(modelCache) {
 
           // FIXME support more than 10 credit cards
           // Return the list of credit cards...
-          await stripe.customers.createSource(paymentInfo.id, {
-            source: stripeToken,
-          })
+          await Payment.addCustomerSource(paymentInfo.id, stripeToken)
 
           return this.refreshPaymentInfo()
         },
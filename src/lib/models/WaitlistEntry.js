@@ -0,0 +1,113 @@
+export const STATUSES = [
+  "waiting",
+  "booking",
+  "booked",
+  "expired",
+  "failed",
+  "withdrawn",
+]
+
+export default modelCache => {
+  const DataTypes = modelCache.db.Sequelize
+  return modelCache.db.define(
+    "waitlistEntry",
+    {
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      tripId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      boardStopId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      alightStopId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.STRING,
+        validate: {
+          isIn: {
+            args: [STATUSES],
+            msg: "Must be one of " + STATUSES,
+          },
+        },
+        allowNull: false,
+        defaultValue: "waiting",
+      },
+      applyRoutePass: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      /* The booking window cutoff of the trip, after which the entry lapses */
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      /* Set once the entry has been served */
+      ticketId: DataTypes.INTEGER,
+      transactionId: DataTypes.INTEGER,
+      notes: DataTypes.JSONB,
+    },
+    {
+      indexes: [{ fields: ["tripId", "status"] }, { fields: ["userId"] }],
+
+      classMethods: {
+        /**
+         * Claim a waiting entry for booking, so that it is booked by one
+         * server only, however many are serving the waitlist of its trip
+         * @param {Number} id - the entry
+         * @return {Promise<Object>} the entry, or null if it is no longer
+         * waiting
+         */
+        async claimForBooking(id) {
+          const db = modelCache.db
+          const [claimed] = await db.query(
+            `
+            UPDATE "waitlistEntries"
+            SET "status" = 'booking', "updatedAt" = now()
+            WHERE "id" = :id AND "status" = 'waiting'
+            RETURNING *
+            `,
+            { type: db.QueryTypes.SELECT, replacements: { id } }
+          )
+          return claimed ? this.findById(claimed.id) : null
+        },
+      },
+    }
+  )
+}
+
+export const makeAssociation = function makeAssociation(modelCache) {
+  const WaitlistEntry = modelCache.require("WaitlistEntry")
+  const Trip = modelCache.require("Trip")
+  const TripStop = modelCache.require("TripStop")
+  const User = modelCache.require("User")
+  const Ticket = modelCache.require("Ticket")
+
+  WaitlistEntry.belongsTo(Trip, {
+    foreignKey: "tripId",
+    onDelete: "CASCADE",
+  })
+  WaitlistEntry.belongsTo(TripStop, {
+    foreignKey: "boardStopId",
+    as: "boardStop",
+    onDelete: "CASCADE",
+  })
+  WaitlistEntry.belongsTo(TripStop, {
+    foreignKey: "alightStopId",
+    as: "alightStop",
+    onDelete: "CASCADE",
+  })
+  WaitlistEntry.belongsTo(User, {
+    foreignKey: "userId",
+  })
+  WaitlistEntry.belongsTo(Ticket, {
+    foreignKey: "ticketId",
+  })
+}
@@ -80,7 +80,10 @@ export class Promotion {
     */
   computeDiscountsAndRefunds () {
     const {discountFunction, refundFunction} = this.params
-    const items = this._filteredItems
+    // Discount only what earlier promotions have left outstanding
+    const items = this._filteredItems.map(item => item.transactionItem
+      ? {...item, price: Math.min(parseFloat(item.price), item.transactionItem.notes.outstanding)}
+      : item)
     const options = this.options
 
     Joi.assert(discountFunction, Joi.object().keys({
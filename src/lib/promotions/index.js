@@ -1,21 +1,56 @@
 import _ from "lodash"
 
 import { TransactionError } from "../transactions"
-import { TransactionBuilder } from "../transactions/builder"
+import {
+  TransactionBuilder,
+  updateItemsWithPromoDiscount,
+} from "../transactions/builder"
 
-export const applyPromoCode = async function applyPromoCode(
+/**
+ * Finds the promotion of a promo code that gives the biggest discount
+ * on the items of a transaction
+ * @param {TransactionBuilder} tb - the transaction
+ * @param {object} promoCode - the `code` and user `options` of the promo code
+ * @param {string} type - the type of the promotion, Promotion or RoutePass
+ * @return {Promise<Promotion>} the promotion, or null if no promotion
+ * applies and none is needed. Throws a TransactionError if the code
+ * is invalid, or is a single-use code that has been used
+ */
+const findBestPromotion = async function findBestPromotion(
   tb,
   promoCode,
   type
 ) {
-  const clone = new TransactionBuilder(tb)
+  // A code may be one of the single-use codes generated for a promotion
+  const uniqueCode =
+    promoCode.code === ""
+      ? null
+      : await tb.models.PromoCode.findOne({
+          where: { code: promoCode.code },
+          include: [{ model: tb.models.Promotion, where: { type } }],
+          transaction: tb.transaction,
+        })
+  TransactionError.assert(
+    !uniqueCode || !uniqueCode.redeemedAt,
+    `This promo code has already been used`,
+    { source: "promoCode" }
+  )
+  TransactionError.assert(
+    !uniqueCode ||
+      !uniqueCode.userId ||
+      tb.items.every(item => item.userId === uniqueCode.userId),
+    `This promo code was issued to someone else`,
+    { source: "promoCode" }
+  )
 
   // Identify applicable promotions
-  const promotionInstances = await tb.models.Promotion.findAll({
-    where: { code: promoCode.code, type },
-    transaction: tb.transaction,
-    raw: true,
-  })
+  const promotionInstances = uniqueCode
+    ? [uniqueCode.promotion.get({ plain: true })]
+    : await tb.models.Promotion.findAll({
+        where: { code: promoCode.code, type },
+        transaction: tb.transaction,
+        raw: true,
+      })
   const promotionCalculations = promotionInstances.map(promoDef =>
     createCalculation(
       promoDef.type,
@@ -38,14 +73,14 @@ export const applyPromoCode = async function applyPromoCode(
     .value()
 
   if (promoCode.code === "" && qualifiedPromotions.length === 0) {
-    return tb // No Change
+    return null // No Change
   } else if (qualifiedPromotions.length === 0) {
     const hasOutstandingItems =
       tb.items.filter(
         ti => !ti.transactionItem || ti.transactionItem.notes.outstanding > 0
       ).length > 0
     if (!hasOutstandingItems) {
-      return tb
+      return null
     } else {
       throw new TransactionError(`Sorry, the promo code entered is invalid`, {
         source: "promoCode",
@@ -53,7 +88,28 @@ export const applyPromoCode = async function applyPromoCode(
     }
   }
 
-  const promotion = qualifiedPromotions[0]
+  const [bestPromotion] = qualifiedPromotions
+  bestPromotion.isUniqueCode = !!uniqueCode
+  return bestPromotion
+}
+
+/**
+ * Applies a promotion to a transaction, adding a discount item for it
+ * and recording its usage
+ * @param {TransactionBuilder} tb - the transaction
+ * @param {Promotion} promotion - the promotion, already initialized
+ * @param {object} promoCode - the `code` and user `options` of the promo code
+ * @param {string} type - the type of the promotion, Promotion or RoutePass
+ * @return {Promise<TransactionBuilder>} a clone of the transaction, with
+ * the discount added
+ */
+const applyPromotion = async function applyPromotion(
+  tb,
+  promotion,
+  promoCode,
+  type
+) {
+  const clone = new TransactionBuilder(tb)
   const { description, promotionId } = promotion
 
   const userIds = _(tb.items.map(i => i.userId))
@@ -136,9 +192,21 @@ export const applyPromoCode = async function applyPromoCode(
 
   await promotion.postApplyHooks()
 
+  let redeemed = null
   if (!tb.dryRun && tb.committed) {
+    if (promotion.isUniqueCode) {
+      redeemed = await tb.models.PromoCode.redeem(promoCode.code, userId, {
+        transaction: tb.transaction,
+      })
+      TransactionError.assert(
+        redeemed,
+        `This promo code has already been used`,
+        { source: "promoCode" }
+      )
+    }
+
     await promotion.commitHooks()
-    if (promotion.params.usageLimit.userLimit) {
+    if (promotion.params.usageLimit.userLimit || promotion.isUniqueCode) {
       await tb.models.PromoUsage.addUserPromoUsage(
         promotionId,
         userId,
@@ -149,14 +217,7 @@ export const applyPromoCode = async function applyPromoCode(
   }
 
   // Add a discount entry to the transaction
-  TransactionError.assert(
-    !clone.transactionItemsByType.discount,
-    "Composing multiple discounts is currently not supported!"
-  )
-
-  clone.transactionItemsByType.discount =
-    clone.transactionItemsByType.discount || []
-  clone.transactionItemsByType.discount.push({
+  const discountItem = {
     itemType: "discount",
     debit: _.sum(discountValues),
     discount: {
@@ -169,16 +230,18 @@ export const applyPromoCode = async function applyPromoCode(
       promotionId,
     },
     notes: { tickets: discountValueMap },
-  })
+  }
+  clone.transactionItemsByType.discount =
+    clone.transactionItemsByType.discount || []
+  clone.transactionItemsByType.discount.push(discountItem)
 
   // Update the description
-  const discountDescriptions = _(clone.transactionItemsByType.discount || [])
-    .map(item => `${item.discount.code} -$${Number(item.debit).toFixed(2)}`)
-    .join(";")
-  clone.description = clone.description + " " + discountDescriptions
+  clone.description = `${clone.description} ${
+    discountItem.discount.code
+  } -$${Number(discountItem.debit).toFixed(2)}`
 
   clone.undoFunctions.push(async t => {
-    if (promotion.params.usageLimit.userLimit) {
+    if (promotion.params.usageLimit.userLimit || promotion.isUniqueCode) {
       await tb.models.PromoUsage.subtractUserPromoUsage(
         promotionId,
         userId,
@@ -186,12 +249,99 @@ export const applyPromoCode = async function applyPromoCode(
         { transaction: t }
       )
     }
+    if (redeemed) {
+      await tb.models.PromoCode.unredeem(promoCode.code, { transaction: t })
+    }
     await promotion.undoHooks({ transaction: t })
   })
 
   return clone
 }
 
+/**
+ * Applies the best promotion of each of several promo codes to a
+ * transaction, one after another, each on what is left outstanding
+ * after the ones before it.
+ *
+ * How promotions stack is set by `params.stacking` of each promotion:
+ * promotions are applied in ascending order of `priority` (default 0),
+ * and in the order of their codes when tied. A promotion can only be
+ * used with others if it is `combinable`. Default promotions, those
+ * of the empty code, are dropped when a promo code entered by the user
+ * applies and either of them is not combinable, while using several
+ * entered promo codes when one of them is not combinable is an error
+ * @param {TransactionBuilder} tb - the transaction
+ * @param {Array} promoCodes - the `code` and user `options` of each promo code
+ * @param {string} type - the type of the promotions, Promotion or RoutePass
+ * @return {Promise<TransactionBuilder>} a clone of the transaction, with
+ * a discount item for each promotion applied, and the outstanding
+ * amounts of the items updated accordingly
+ */
+export const applyPromoCodes = async function applyPromoCodes(
+  tb,
+  promoCodes,
+  type
+) {
+  const codes = _.uniqBy(promoCodes, "code")
+  const isCombinable = ({ promotion }) =>
+    _.get(promotion.params, "stacking.combinable", false)
+
+  let applicable = []
+  for (const promoCode of codes) {
+    // eslint-disable-next-line no-await-in-loop
+    const promotion = await findBestPromotion(tb, promoCode, type)
+    if (promotion) {
+      applicable.push({ promoCode, promotion })
+    }
+  }
+
+  // Promo codes entered by the user take the place of default promotions
+  // they cannot be combined with, but cannot displace each other
+  const [defaults, entered] = _.partition(
+    applicable,
+    a => a.promoCode.code === ""
+  )
+  const uncombinable = entered.find(a => !isCombinable(a))
+  TransactionError.assert(
+    entered.length <= 1 || !uncombinable,
+    `The promo code ${_.get(
+      uncombinable,
+      "promoCode.code"
+    )} cannot be used with other promo codes`,
+    { source: "promoCode" }
+  )
+  if (entered.length > 0) {
+    applicable = uncombinable
+      ? entered
+      : entered.concat(defaults.filter(isCombinable))
+  }
+
+  const sequelizeType = type === "RoutePass" ? "routePass" : "ticket"
+  let clone = tb
+  for (const [index, { promoCode, promotion }] of _.sortBy(applicable, a =>
+    _.get(a.promotion.params, "stacking.priority", 0)
+  ).entries()) {
+    if (index > 0) {
+      // Qualify the promotion again on what earlier ones left outstanding
+      // eslint-disable-next-line no-await-in-loop
+      await promotion.initialize()
+      if (!promotion.isQualified()) {
+        continue
+      }
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    clone = await applyPromotion(clone, promotion, promoCode, type)
+    updateItemsWithPromoDiscount(
+      clone,
+      _.last(clone.transactionItemsByType.discount),
+      sequelizeType
+    )
+  }
+
+  return clone
+}
+
 export const qualifiers = {
   Promotion: require("./functions/ticketDiscountQualifiers"),
   RoutePass: require("./functions/routePassDiscountQualifiers"),
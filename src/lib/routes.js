@@ -8,30 +8,46 @@ module.exports = (server, options, next) => {
       require("./endpoints/assets"),
       require("./endpoints/companies"),
       require("./endpoints/companyPromos"),
+      require("./endpoints/promotionReports"),
       require("./endpoints/companyContactLists"),
       require("./endpoints/drivers"),
       require("./endpoints/onemap"),
+      require("./endpoints/pings"),
       require("./endpoints/eventSubscriptions"),
       require("./endpoints/liteRoutes"),
       require("./endpoints/routes"),
+      require("./endpoints/routeAnnouncements"),
+      require("./endpoints/gtfs"),
       require("./endpoints/stops"),
       require("./endpoints/suggestedRoutes"),
       require("./endpoints/suggestions"),
       require("./endpoints/suggestionsWeb"),
       require("./endpoints/tickets"),
+      require("./endpoints/calendar"),
+      require("./endpoints/boardingPasses"),
+      require("./endpoints/attendance"),
+      require("./endpoints/ridership"),
       require("./endpoints/transactions"),
       require("./endpoints/transactionItems"),
+      require("./endpoints/settlements"),
+      require("./endpoints/stripeWebhooks"),
+      require("./endpoints/reconciliationReports"),
+      require("./endpoints/ledger"),
       require("./endpoints/trips"),
       require("./endpoints/tripStatuses"),
       require("./endpoints/users"),
       require("./endpoints/userPaymentInfo"),
       require("./endpoints/admins"),
       require("./endpoints/vehicles"),
+      require("./endpoints/waitlist"),
       require("./endpoints/routePassAdmin"),
       require("./endpoints/crowdstart"),
       require("./custom/wrs"),
       require("./custom/userSuggestedRoutes"),
       require("./daemons/eventSubscriptions"),
+      require("./daemons/tripMonitoring"),
+      require("./daemons/waitlist"),
+      require("./daemons/reconciliation"),
     ])
     .then(next, err => {
       console.warn(err)
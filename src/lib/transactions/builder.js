@@ -831,37 +831,34 @@ function updateItemsWithDiscounts(
 }
 
 /**
- * Inspect the discount transaction items held in transaction builder,
- * extracting their `notes.tickets` field (named so for historical reasons)
- *
- * Use this to look up the transaction items holding tickets or
- * similar Sequelize objects, and update such transaction items
- * with discounts
+ * Deducts a discount transaction item held in transaction builder from
+ * the items it discounts, using its `notes.tickets` field (named so for
+ * historical reasons) to look up the transaction items holding tickets
+ * or similar Sequelize objects
  * @param {TransactionBuilder} transactionBuilder
- * @param {object} promoCode
- * @param {string} promoCode.code - the discount code used, to be recorded in each txn item
+ * @param {object} discountItem - the discount transaction item
  * @param {string} sequelizeType - the Sequelize type for the txn items
  */
-export function updateTransactionBuilderWithPromoDiscounts(
+export function updateItemsWithPromoDiscount(
   transactionBuilder,
-  promoCode,
+  discountItem,
   sequelizeType = "ticket"
 ) {
-  for (const d of transactionBuilder.transactionItemsByType.discount) {
-    const discountedSales = []
-    const discountAmounts = []
-    for (const [id, discountAmount] of Object.entries(d.notes.tickets)) {
-      discountedSales.push(
-        transactionBuilder.items.find(i => i.id === +id && i[sequelizeType])
-      )
-      discountAmounts.push(discountAmount)
-    }
-    updateItemsWithDiscounts(
-      discountedSales,
-      promoCode.code,
-      discountAmounts,
-      false,
-      sequelizeType
+  const discountedSales = []
+  const discountAmounts = []
+  for (const [id, discountAmount] of Object.entries(
+    discountItem.notes.tickets
+  )) {
+    discountedSales.push(
+      transactionBuilder.items.find(i => i.id === +id && i[sequelizeType])
     )
+    discountAmounts.push(discountAmount)
   }
+  updateItemsWithDiscounts(
+    discountedSales,
+    discountItem.discount.code,
+    discountAmounts,
+    false,
+    sequelizeType
+  )
 }
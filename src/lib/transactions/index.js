@@ -4,21 +4,36 @@ import _ from "lodash"
 import * as Payment from "../transactions/payment"
 import * as auth from "../core/auth"
 import Sequelize from "sequelize"
-import { ChargeError, TransactionError } from "../util/errors"
+import {
+  ChargeError,
+  TransactionError,
+  NotFoundError,
+  SecurityError,
+} from "../util/errors"
 import { roundToNearestCent } from "../util/common"
-import { applyPromoCode } from "../promotions"
+import { applyPromoCodes } from "../promotions"
 
 import { routePassTagsFrom, applyRoutePass } from "./routePass"
 import {
   TransactionBuilder,
   outstandingAmounts,
   updateTicketsWithDiscounts,
-  updateTransactionBuilderWithPromoDiscounts,
   initBuilderWithTicketSale,
 } from "./builder"
 
 export { TransactionError, ChargeError }
 
+// Route tags which do not correspond to route passes
+export const INVALID_CREDIT_TAGS = [
+  "public",
+  "lite",
+  "mandai",
+  "crowdstart",
+  "notify-when-empty",
+  "success",
+  "failed",
+]
+
 let stripeIsLive = process.env.STRIPE_MODE === "live"
 
 /**
@@ -102,6 +117,16 @@ export async function prepareTicketSale(connection, optionsRaw) {
       .allow(null)
       .default(null),
 
+    promoCodes: Joi.array()
+      .items(
+        Joi.object({
+          code: Joi.string().allow(""),
+          options: Joi.object(),
+        })
+      )
+      .allow(null)
+      .default(null),
+
     dryRun: Joi.boolean().default(false),
     applyRoutePass: Joi.boolean().default(false),
 
@@ -184,21 +209,20 @@ export async function prepareTicketSale(connection, optionsRaw) {
           }
         }
 
-        const promoCode = options.promoCode
-        if (promoCode !== null) {
-          transactionBuilder = await applyPromoCode(
+        // A single promoCode applies on its own, while several promoCodes
+        // are applied along with any default promotions
+        if (options.promoCodes) {
+          transactionBuilder = await applyPromoCodes(
             transactionBuilder,
-            promoCode,
+            [...options.promoCodes, { code: "", options: {} }],
+            "Promotion"
+          )
+        } else if (options.promoCode !== null) {
+          transactionBuilder = await applyPromoCodes(
+            transactionBuilder,
+            [options.promoCode],
             "Promotion"
           )
-
-          // update the tickets with the discounts...
-          if (transactionBuilder.transactionItemsByType.discount) {
-            updateTransactionBuilderWithPromoDiscounts(
-              transactionBuilder,
-              promoCode
-            )
-          }
         }
 
         // 7. payment of balance
@@ -240,6 +264,7 @@ export async function purchaseRoutePass(options) {
     tag,
     quantity,
     promoCode,
+    promoCodes,
     companyId,
     transactionType,
   } = options
@@ -352,24 +377,23 @@ export async function purchaseRoutePass(options) {
         }))
       }
 
-      // Apply promo code for bulk discounts
-      if (promoCode) {
-        tb = await applyPromoCode(
+      // Apply promo codes for bulk discounts, and update the route passes
+      // with the discounts...
+      const withValue = code => ({
+        ...code,
+        options: {
+          ...code.options,
+          value,
+        },
+      })
+      if (promoCodes) {
+        tb = await applyPromoCodes(
           tb,
-          {
-            ...promoCode,
-            options: {
-              ...promoCode.options,
-              value,
-            },
-          },
+          [...promoCodes, { code: "", options: {} }].map(withValue),
           "RoutePass"
         )
-      }
-
-      // update the route passes with the discounts...
-      if (tb.transactionItemsByType.discount) {
-        updateTransactionBuilderWithPromoDiscounts(tb, promoCode, "routePass")
+      } else if (promoCode) {
+        tb = await applyPromoCodes(tb, [withValue(promoCode)], "RoutePass")
       }
 
       // Balance the remaining with payment
@@ -493,14 +517,37 @@ export const prepareRoutePassRefund = options => async transaction => {
   return [dbTransactionInstance, undoFn, stripeRefundInfo]
 }
 
+/**
+ * Check that a refund of a ticket may be made. Admins need the refund
+ * role for the company running the ticket's route, while commuters
+ * may only cancel their own tickets
+ * @param {Object} credentials - the credentials of the party making the refund
+ * @param {Object} ticket - the ticket to refund
+ * @param {Number} companyId - the company running the ticket's route
+ * @param {Object} cancellation - set if the refund is a cancellation
+ */
+function assertMayRefundTicket(credentials, ticket, companyId, cancellation) {
+  if (cancellation) {
+    SecurityError.assert(
+      credentials.scope === "user" && credentials.userId === ticket.userId,
+      "Tickets can only be cancelled by their owners"
+    )
+  } else {
+    auth.assertAdminRole(credentials, "refund", companyId)
+  }
+}
+
 /**
  * Book a ticket refund transaction
  * @param {Object} options - the objects needed to book the transaction
+ * @param {Object} options.cancellation - if the refund is a commuter's
+ * cancellation of the ticket, the `fee` withheld from the refund
  * @return {Array} an array containing the items needed to execute the refund
  */
 export async function prepareTicketRefund(options) {
-  let { targetAmt, ticketId, credentials, db, m } = options
+  let { targetAmt, ticketId, credentials, db, m, cancellation } = options
   assert(db && m && targetAmt && ticketId && credentials)
+  const cancellationFee = _.get(cancellation, "fee", 0)
 
   return await db.transaction(async t => {
     // ensure that all tickets are valid
@@ -544,7 +591,7 @@ export async function prepareTicketRefund(options) {
         },
       }
     )
-    auth.assertAdminRole(credentials, "refund", company.id)
+    assertMayRefundTicket(credentials, ticket, company.id, cancellation)
 
     // Reverse search from ticket id, get transaction entry + related transactionItems
     let ticketSale = await m.TransactionItem.find({
@@ -601,9 +648,9 @@ export async function prepareTicketRefund(options) {
     const priceAfterDiscount =
       +ticketSale.credit - _.get(ticket, "notes.discountValue", 0)
 
-    // Enforce all or nothing refund
+    // Enforce all or nothing refund, less any cancellation fee
     TransactionError.assert(
-      Math.abs(targetAmt - priceAfterDiscount) < 0.0001,
+      Math.abs(targetAmt + cancellationFee - priceAfterDiscount) < 0.0001,
       `Current implementation requires requested refund to equal ticket value after discounts`
     )
 
@@ -623,20 +670,24 @@ export async function prepareTicketRefund(options) {
       committed: true,
       creator: {
         type: credentials.scope,
-        id: credentials.adminId || credentials.email,
+        id: credentials.adminId || credentials.email || credentials.userId,
       },
     })
     transactionBuilder.postTransactionHooks.push(
       transactionBuilder._saveChangesToTickets
     )
-    transactionBuilder.description = `Refund Payment for ticket ${ticket.id}`
+    transactionBuilder.description = cancellation
+      ? `Cancellation of ticket ${ticket.id}`
+      : `Refund Payment for ticket ${ticket.id}`
 
     transactionBuilder.transactionItemsByType.ticketRefund = [
       {
         itemType: "ticketRefund",
         itemId: ticket.id,
         debit: targetAmt,
-        notes: { refundedTransactionId: ticketSale.transactionId },
+        notes: cancellation
+          ? { refundedTransactionId: ticketSale.transactionId, cancellationFee }
+          : { refundedTransactionId: ticketSale.transactionId },
       },
     ]
 
@@ -661,13 +712,816 @@ export async function prepareTicketRefund(options) {
     )
 
     const [dbTransactionInstance, undoFn] = await transactionBuilder.build({
-      type: "refundPayment",
+      type: cancellation ? "ticketCancellation" : "refundPayment",
     })
 
     return [dbTransactionInstance, undoFn, stripeRefundInfo]
   })
 }
 
+/**
+ * Carry out the Stripe refund prepared by prepareTicketRefund or
+ * prepareRoutePassRefund, then fill in the refundPayment and
+ * processing fee items of the refund transaction. The refund
+ * transaction is undone if Stripe declines to refund.
+ * @param {Object} refund - the db, and the txn, undoFn and stripeRefundInfo
+ * returned when the refund was prepared
+ * @param {Object} credentials - the credentials of the party making the refund
+ * @return {Object} the refund transaction, as JSON
+ */
+export async function refundViaStripeWithAccounting(
+  { db, txn, undoFn, stripeRefundInfo },
+  credentials
+) {
+  try {
+    let tiByTypes = _.groupBy(txn.transactionItems, ti => ti.itemType)
+    let { charge, amount, idempotencyKey } = stripeRefundInfo
+    let refundAmtCents = Math.round(amount * 100)
+
+    let stripeRefundResult
+    try {
+      stripeRefundResult = await Payment.refundCharge(
+        charge.id,
+        refundAmtCents / 100,
+        idempotencyKey
+      )
+
+      assert(
+        stripeRefundResult.status === "succeeded",
+        "Stripe refund was not performed"
+      )
+    } catch (err) {
+      let refundPaymentInst = tiByTypes.refundPayment[0].refundPayment
+      await refundPaymentInst.update({ data: err })
+
+      throw new ChargeError(err.message)
+    }
+
+    // fill out refundPayment
+    await db.transaction(async transaction => {
+      assert.strictEqual(tiByTypes.refundPayment.length, 1)
+
+      let refundPaymentInst = tiByTypes.refundPayment[0].refundPayment
+      await refundPaymentInst.update({
+        paymentResource: stripeRefundResult.id,
+        data: stripeRefundResult,
+      })
+
+      // amend processing fee:
+      let processingFee =
+        -(await Payment.retrieveTransaction(
+          stripeRefundResult.balance_transaction
+        )).fee / 100
+
+      // for stripe-transfer (processing fee)
+      let stripeTransfer = tiByTypes.transfer.find(
+        ti => ti.transfer.thirdParty === "stripe"
+      )
+      await stripeTransfer.update({ debit: processingFee }, { transaction })
+      await stripeTransfer.transfer.update(
+        { incoming: processingFee },
+        { transaction }
+      )
+
+      // for account transaction item
+      assert.strictEqual(tiByTypes.account.length, 1)
+      await tiByTypes.account[0].update(
+        { credit: amount + processingFee },
+        { transaction }
+      )
+    })
+
+    return txn.toJSON()
+  } catch (err) {
+    if (err instanceof ChargeError) {
+      console.error(err)
+      try {
+        await undoFn()
+      } catch (err2) {
+        console.error(err2)
+        // Required here rather than at the top, because the models load
+        // this module before the event handlers can be loaded
+        require("../events/events").emit("transactionFailure", {
+          message: `Error performing refund. ${err.message}`,
+          userId: credentials.adminId || credentials.email,
+        })
+      }
+    }
+
+    throw err
+  }
+}
+
+/**
+ * Refund a ticket, issuing a route pass in its stead
+ *
+ * Current implementation of routePass requires the relevant
+ * route credits account to have a balance equal to some
+ * multiple of the route's prices, thus amount refunded
+ * has to equal to the ticket's base value, regardless
+ * of discounts. Correspondingly, partially refunded tickets
+ * cannot be refunded this way
+ * @param {Object} options - the objects needed to book the transaction
+ * @param {Number} options.ticketId - the ticket to refund
+ * @param {Number} options.targetAmt - the base price of the ticket
+ * @param {String} options.tag - the tag of the route pass to issue
+ * @param {Object} options.credentials - the credentials of the party making the refund
+ * @param {Object} options.cancellation - set if the refund is a commuter's
+ * cancellation of the ticket
+ * @return {Object} the refund transaction
+ */
+export async function prepareTicketRefundToRoutePass(options) {
+  const { targetAmt, ticketId, tag, credentials, db, m, cancellation } = options
+  assert(db && m && ticketId && tag && credentials)
+
+  return await db.transaction(async t => {
+    // ensure that all tickets are valid
+    let ticket = await m.Ticket.findById(ticketId, {
+      include: [
+        {
+          as: "boardStop",
+          model: m.TripStop,
+          include: [m.Trip],
+        },
+      ],
+      transaction: t,
+    })
+
+    let route = await m.Route.findById(ticket.boardStop.trip.routeId, {
+      attributes: ["id", "tags"],
+      transaction: t,
+    })
+
+    const tags = _.difference(route.tags, INVALID_CREDIT_TAGS)
+
+    TransactionError.assert(
+      tags.includes(tag),
+      "The tag provided does not belong to the selected route"
+    )
+
+    // check if ticket is eligible for refunds
+    TransactionError.assert(
+      ticket.status === "valid" || ticket.status === "void",
+      "Trying to refund a non-valid ticket"
+    )
+
+    // Find the associated company, check if user is authorised to trigger refund
+    let [company] = await db.query(
+      `
+      SELECT "transportCompanies"."id"
+      FROM tickets
+        INNER JOIN "tripStops"
+          ON "tickets"."boardStopId" = "tripStops"."id"
+        INNER JOIN "trips"
+          ON "tripStops"."tripId" = "trips".id
+        INNER JOIN "routes"
+          ON "trips"."routeId" = "routes".id
+        INNER JOIN "transportCompanies"
+          ON "transportCompanies"."id" = "routes"."transportCompanyId"
+      WHERE "tickets"."id" = :ticketId
+      `,
+      {
+        transaction: t,
+        type: db.QueryTypes.SELECT,
+        replacements: {
+          ticketId: ticket.id,
+        },
+      }
+    )
+    assertMayRefundTicket(credentials, ticket, company.id, cancellation)
+
+    // Reverse search from ticket id, get transaction entry + related transactionItems
+    let ticketSale = await m.TransactionItem.find({
+      where: {
+        itemId: ticket.id,
+        itemType: "ticketSale",
+      },
+      include: [
+        {
+          model: m.Transaction,
+          include: [m.TransactionItem],
+        },
+      ],
+      transaction: t,
+    })
+
+    TransactionError.assert(
+      ticketSale,
+      "Cannot refund/void a ticket that was not sold - ticketSale not found"
+    )
+
+    // Check for previous partial refunds for this ticket
+    let refundTI = await m.TransactionItem.findAll({
+      where: {
+        itemId: ticket.id,
+        itemType: "ticketRefund",
+      },
+      include: [
+        {
+          model: m.Transaction,
+          where: { committed: true },
+          attributes: [],
+        },
+      ],
+      attributes: ["debit"],
+      transaction: t,
+    })
+
+    const previouslyRefunded = _.sum(refundTI.map(ti => ti.debit))
+
+    const price = +ticketSale.credit
+
+    // Current form of routePass only works if route credits
+    // owned by user are multiples of a ticket's base price
+    // Thus, value of refund has to be equal to the base price of ticket
+    TransactionError.assert(
+      Math.abs(targetAmt - price) < 0.0001,
+      `Route Pass requires refunded amount to be equal to ticket's base price`
+    )
+
+    TransactionError.assert(
+      previouslyRefunded === 0,
+      "Unable to refund to routePass for partially refunded tickets"
+    )
+
+    let transactionBuilder = new TransactionBuilder({
+      db,
+      models: m,
+      transaction: t,
+      dryRun: false,
+      committed: true,
+      creator: {
+        type: credentials.scope,
+        id: credentials.adminId || credentials.email || credentials.userId,
+      },
+    })
+
+    transactionBuilder.postTransactionHooks.push(
+      transactionBuilder._saveChangesToTickets
+    )
+
+    transactionBuilder.transactionItemsByType.ticketRefund = [
+      {
+        itemType: "ticketRefund",
+        itemId: ticket.id,
+        debit: targetAmt,
+      },
+    ]
+
+    transactionBuilder.description = cancellation
+      ? `Cancellation of ticket ${ticket.id}, refunded to RoutePass`
+      : `Refund to RoutePass for ticket ${ticket.id}`
+
+    ticket = await ticket.update({ status: "void" }, { transaction: t })
+
+    transactionBuilder.undoFunctions.push(t =>
+      ticket.update({ status: "valid" }, { transaction: t })
+    )
+
+    transactionBuilder = await m.RoutePass.refundFromTicket(
+      transactionBuilder,
+      ticketSale,
+      company.id,
+      ticket.userId,
+      tag
+    )
+
+    const [dbTransactionInstance] = await transactionBuilder.build({
+      type: cancellation ? "ticketCancellation" : "refundToRoutePass",
+    })
+
+    return dbTransactionInstance
+  })
+}
+
+/**
+ * Find the item of the route pass used to pay for a ticket, if any. Such
+ * a route pass has the ticket noted against its item in the ticket sale
+ * @param {Object} ticketSale - the ticketSale item, with its transaction
+ * and the transaction's items
+ * @param {Number} ticketId - the ticket
+ * @return {Object} the routePass item, or undefined if the ticket was
+ * not paid for with a route pass
+ */
+function findRoutePassItemPaidFor(ticketSale, ticketId) {
+  return ticketSale.transaction.transactionItems.find(
+    ti =>
+      ti.itemType === "routePass" &&
+      _.get(ti, ["notes", "tickets", ticketId]) !== undefined
+  )
+}
+
+/**
+ * Refund every valid ticket on a trip, e.g. when the trip is cancelled.
+ * Tickets paid for with a route pass are refunded as a route pass
+ * of the same tag, while the rest are refunded to the card used to
+ * pay for them. Each ticket is refunded in its own transaction, so
+ * that a failure to refund one ticket does not hold back the others
+ * @param {Object} options - the objects needed to book the transactions
+ * @param {Number} options.tripId - the trip whose tickets are to be refunded
+ * @param {Object} options.credentials - the credentials of the party making the refund
+ * @return {Array} for each ticket, the outcome of its refund
+ */
+export async function refundTicketsOnTrip(options) {
+  const { tripId, credentials, db, m } = options
+  assert(db && m && tripId && credentials)
+
+  const tickets = await m.Ticket.findAll({
+    where: { status: "valid" },
+    include: [
+      {
+        model: m.TripStop,
+        as: "boardStop",
+        where: { tripId },
+        attributes: [],
+      },
+    ],
+    order: [["id"]],
+  })
+
+  const refunds = []
+  for (const ticket of tickets) {
+    const refund = { ticketId: ticket.id, userId: ticket.userId }
+    try {
+      const ticketSale = await m.TransactionItem.find({
+        where: {
+          itemId: ticket.id,
+          itemType: "ticketSale",
+        },
+        include: [
+          {
+            model: m.Transaction,
+            include: [m.TransactionItem],
+          },
+        ],
+      })
+
+      TransactionError.assert(
+        ticketSale,
+        "Cannot refund a ticket that was not sold - ticketSale not found"
+      )
+
+      const routePassItem = findRoutePassItemPaidFor(ticketSale, ticket.id)
+
+      if (routePassItem) {
+        const routePass = await m.RoutePass.findById(routePassItem.itemId)
+        const amount = +ticketSale.credit
+        const txn = await prepareTicketRefundToRoutePass({
+          db,
+          m,
+          ticketId: ticket.id,
+          targetAmt: amount,
+          tag: routePass.tag,
+          credentials,
+        })
+        _.assign(refund, {
+          success: true,
+          refundedTo: "routePass",
+          tag: routePass.tag,
+          amount,
+          transactionId: txn.id,
+        })
+      } else {
+        const amount =
+          +ticketSale.credit - _.get(ticket, "notes.discountValue", 0)
+        TransactionError.assert(
+          amount > 0,
+          "No payment was made for this ticket"
+        )
+        const [txn, undoFn, stripeRefundInfo] = await prepareTicketRefund({
+          db,
+          m,
+          ticketId: ticket.id,
+          targetAmt: amount,
+          credentials,
+        })
+        await refundViaStripeWithAccounting(
+          { db, txn, undoFn, stripeRefundInfo },
+          credentials
+        )
+        _.assign(refund, {
+          success: true,
+          refundedTo: "payment",
+          amount,
+          transactionId: txn.id,
+        })
+      }
+    } catch (err) {
+      console.error(err)
+      _.assign(refund, { success: false, error: err.message })
+    }
+    refunds.push(refund)
+  }
+  return refunds
+}
+
+/**
+ * Work out the fee that a company charges to cancel a ticket paid for
+ * with a card, being a fixed amount plus a rate of the amount paid,
+ * up to the amount paid
+ * @param {Object} policy - the cancellation policy of the company
+ * @param {Number} amount - the amount paid for the ticket
+ * @return {Number} the fee
+ */
+export function cancellationFeeFor(policy, amount) {
+  const fixed = _.get(policy, "fee.fixed", 0)
+  const rate = _.get(policy, "fee.rate", 0)
+  return Math.min(amount, roundToNearestCent(fixed + rate * amount))
+}
+
+/**
+ * Cancel a commuter's ticket on their own, refunding it according to
+ * the cancellation policy of the company running its route. Tickets
+ * paid for with a route pass are refunded as a route pass of the same
+ * tag, unless the policy forfeits them, while the rest are refunded to
+ * the card used to pay for them, less the cancellation fee. Tickets
+ * with nothing left to refund are voided, and the forfeit recorded in
+ * a transaction of their own
+ * @param {Object} options - the objects needed to book the transaction
+ * @param {Number} options.ticketId - the ticket to cancel
+ * @param {Object} options.credentials - the credentials of the ticket's owner
+ * @return {Object} how the ticket was refunded, and the transaction
+ */
+export async function cancelTicket(options) {
+  const { ticketId, credentials, db, m } = options
+  assert(db && m && ticketId && credentials)
+
+  const ticket = await m.Ticket.findOne({
+    where: { id: ticketId, userId: credentials.userId, status: "valid" },
+    include: [
+      {
+        model: m.TripStop,
+        as: "boardStop",
+        include: [
+          {
+            model: m.Trip,
+            include: [{ model: m.Route, include: [m.TransportCompany] }],
+          },
+        ],
+      },
+    ],
+  })
+  NotFoundError.assert(ticket, `Ticket ${ticketId} not found`)
+
+  const policy = ticket.boardStop.trip.route.transportCompany.cancellationPolicy
+  TransactionError.assert(policy, "Tickets on this route cannot be cancelled", {
+    source: "cancellationPolicy",
+  })
+  TransactionError.assert(
+    ticket.boardStop.time.getTime() - policy.cutoffMinutes * 60000 > Date.now(),
+    `Tickets can only be cancelled up to ${
+      policy.cutoffMinutes
+    } minutes before boarding`,
+    { source: "cancellationPolicy" }
+  )
+
+  const ticketSale = await m.TransactionItem.find({
+    where: {
+      itemId: ticket.id,
+      itemType: "ticketSale",
+    },
+    include: [
+      {
+        model: m.Transaction,
+        include: [m.TransactionItem],
+      },
+    ],
+  })
+  TransactionError.assert(
+    ticketSale,
+    "Cannot cancel a ticket that was not sold - ticketSale not found"
+  )
+
+  const cancellation = { ticketId: ticket.id, userId: ticket.userId }
+  const routePassItem = findRoutePassItemPaidFor(ticketSale, ticket.id)
+  const amount = routePassItem
+    ? +ticketSale.credit
+    : +ticketSale.credit - _.get(ticket, "notes.discountValue", 0)
+  const fee = routePassItem ? 0 : cancellationFeeFor(policy, amount)
+  const refundAmt = roundToNearestCent(amount - fee)
+
+  if (routePassItem && _.get(policy, "refundRoutePasses", true)) {
+    const routePass = await m.RoutePass.findById(routePassItem.itemId)
+    const txn = await prepareTicketRefundToRoutePass({
+      db,
+      m,
+      ticketId: ticket.id,
+      targetAmt: amount,
+      tag: routePass.tag,
+      credentials,
+      cancellation: { fee: 0 },
+    })
+    _.assign(cancellation, {
+      refundedTo: "routePass",
+      tag: routePass.tag,
+      amount,
+      fee: 0,
+      transactionId: txn.id,
+    })
+  } else if (!routePassItem && refundAmt > 0) {
+    const [txn, undoFn, stripeRefundInfo] = await prepareTicketRefund({
+      db,
+      m,
+      ticketId: ticket.id,
+      targetAmt: refundAmt,
+      credentials,
+      cancellation: { fee },
+    })
+    await refundViaStripeWithAccounting(
+      { db, txn, undoFn, stripeRefundInfo },
+      credentials
+    )
+    _.assign(cancellation, {
+      refundedTo: "payment",
+      amount: refundAmt,
+      fee,
+      transactionId: txn.id,
+    })
+  } else {
+    // Nothing to refund, so record the ticket as cancelled and forfeited
+    const txn = await db.transaction(async transaction => {
+      const tb = new TransactionBuilder({
+        db,
+        models: m,
+        transaction,
+        dryRun: false,
+        committed: true,
+        creator: { type: credentials.scope, id: credentials.userId },
+      })
+      tb.description = `Cancellation of ticket ${ticket.id}, forfeited`
+      tb.transactionItemsByType.ticketRefund = [
+        {
+          itemType: "ticketRefund",
+          itemId: ticket.id,
+          debit: 0,
+          notes: {
+            refundedTransactionId: ticketSale.transactionId,
+            forfeited: amount,
+          },
+        },
+      ]
+      await ticket.update({ status: "void" }, { transaction })
+
+      const [dbTransactionInstance] = await tb.build({
+        type: "ticketCancellation",
+      })
+      return dbTransactionInstance
+    })
+    _.assign(cancellation, {
+      refundedTo: null,
+      amount: 0,
+      fee: 0,
+      forfeited: amount,
+      transactionId: txn.id,
+    })
+  }
+
+  // Required here rather than at the top, because the models load
+  // this module before the event handlers can be loaded
+  require("../events/events").emit("ticketCancelled", {
+    ...cancellation,
+    ticket,
+    trip: ticket.boardStop.trip,
+  })
+
+  return cancellation
+}
+
+/**
+ * Move a commuter's valid ticket to another trip of the same company,
+ * on the same route or another. In one database transaction, the
+ * ticket is voided and a ticket on the target trip sold in its stead,
+ * with the ticket hooks keeping the seat counts of both trips right.
+ * The target trip is checked for availability and its booking window
+ * as for any purchase. The value of the old ticket goes towards the
+ * price of the new one, with the difference charged to the card given
+ * or refunded to the card used to pay for the old ticket. Everything
+ * is undone if the card cannot be charged or refunded
+ * @param {Object} options - the objects needed to book the transaction
+ * @param {Number} options.ticketId - the ticket to rebook
+ * @param {Object} options.trip - the tripId, boardStopId and alightStopId
+ * of the new ticket
+ * @param {Object} options.payment - the stripeToken, or the customerId
+ * and sourceId, to charge any difference to
+ * @param {Number} options.expectedPrice - if set, the difference the
+ * commuter expects to be charged
+ * @param {Object} options.credentials - the credentials of the ticket's owner
+ * @return {Object} the old and new tickets, the amounts charged and
+ * refunded, and the transaction
+ */
+export async function rebookTicket(options) {
+  const { ticketId, trip, credentials, db, m } = options
+  const payment = options.payment || {}
+  assert(db && m && ticketId && trip && credentials)
+
+  const [dbTxn, undoFn, rebooking] = await db.transaction(
+    {
+      isolationLevel: Sequelize.Transaction.ISOLATION_LEVELS.REPEATABLE_READ,
+    },
+    async t => {
+      const ticket = await m.Ticket.findOne({
+        where: { id: ticketId, userId: credentials.userId, status: "valid" },
+        include: [
+          {
+            model: m.TripStop,
+            as: "boardStop",
+            include: [{ model: m.Trip, include: [m.Route] }],
+          },
+        ],
+        transaction: t,
+      })
+      NotFoundError.assert(ticket, `Ticket ${ticketId} not found`)
+      TransactionError.assert(
+        ticket.boardStop.time.getTime() > Date.now(),
+        "Tickets can only be rebooked before boarding"
+      )
+
+      const ticketSale = await m.TransactionItem.find({
+        where: {
+          itemId: ticket.id,
+          itemType: "ticketSale",
+        },
+        include: [
+          {
+            model: m.Transaction,
+            include: [m.TransactionItem],
+          },
+        ],
+        transaction: t,
+      })
+      TransactionError.assert(
+        ticketSale,
+        "Cannot rebook a ticket that was not sold - ticketSale not found"
+      )
+      TransactionError.assert(
+        !findRoutePassItemPaidFor(ticketSale, ticket.id),
+        "Tickets paid for with a route pass cannot be rebooked"
+      )
+      const ticketValue = roundToNearestCent(
+        +ticketSale.credit - _.get(ticket, "notes.discountValue", 0)
+      )
+
+      // Free up the seat first, so that the commuter can move to
+      // other stops of the same trip, even if it is full
+      await ticket.update({ status: "void" }, { transaction: t })
+
+      let transactionBuilder = await initBuilderWithTicketSale(
+        {
+          transaction: t,
+          models: m,
+          db,
+          dryRun: false,
+          committed: true,
+          creator: { type: credentials.scope, id: credentials.userId },
+        },
+        [{ ...trip, userId: credentials.userId }]
+      )
+      transactionBuilder.undoFunctions.push(t =>
+        ticket.update({ status: "valid" }, { transaction: t })
+      )
+      transactionBuilder.postTransactionHooks.push(
+        transactionBuilder._saveChangesToTickets
+      )
+
+      runOrderChecks(transactionBuilder, {
+        bookingWindow: true,
+        noDuplicates: true,
+      })
+      const companyId = ticket.boardStop.trip.route.transportCompanyId
+      TransactionError.assert.strictEqual(
+        transactionBuilder.trips[0].route.transportCompanyId,
+        companyId,
+        "Tickets can only be rebooked to trips of the same company"
+      )
+
+      // The value of the old ticket is credited towards the new one
+      const [item] = transactionBuilder.items
+      const difference = roundToNearestCent(item.price - ticketValue)
+      item.transactionItem.notes.outstanding = Math.max(difference, 0)
+      item.ticket.notes = { ...item.ticket.notes, rebookedFrom: ticket.id }
+
+      transactionBuilder.description =
+        `Rebooking of ticket ${ticket.id}. ` + transactionBuilder.description
+      transactionBuilder.transactionItemsByType.ticketRefund = [
+        {
+          itemType: "ticketRefund",
+          itemId: ticket.id,
+          debit: ticketValue,
+          notes: {
+            refundedTransactionId: ticketSale.transactionId,
+            rebookedTicketId: item.ticket.id,
+          },
+        },
+      ]
+
+      let stripeRefundInfo = null
+      if (difference > 0) {
+        transactionBuilder = absorbSmallPayments(transactionBuilder)
+        transactionBuilder = await transactionBuilder.finalizeForPayment(
+          companyId
+        )
+        const paymentItem = transactionBuilder.transactionItemsByType.payment[0]
+        TransactionError.assert(
+          paymentItem.debit < 0.0001 ||
+            payment.stripeToken ||
+            (payment.customerId && payment.sourceId),
+          "No stripe token or customerId is provided",
+          { source: "payment" }
+        )
+      } else if (difference < 0) {
+        const paymentItem = _.find(ticketSale.transaction.transactionItems, {
+          itemType: "payment",
+        })
+        TransactionError.assert(
+          paymentItem && paymentItem.debit > 0,
+          "No payment was made for this ticket, so the difference cannot be refunded"
+        )
+        const paymentInst = await m.Payment.findById(paymentItem.itemId, {
+          transaction: t,
+        })
+        stripeRefundInfo = await generateRefundInfo(
+          paymentInst,
+          -difference,
+          _.get(paymentInst, "options.isMicro"),
+          `Rebooking:instance=${process.env.TEST_IDEMPOTENCY},ticketId=${
+            ticket.id
+          }`
+        )
+        transactionBuilder = await Payment.refund(
+          transactionBuilder,
+          null,
+          ticket.id,
+          companyId,
+          stripeRefundInfo
+        )
+      }
+
+      checkExpectedPrice(
+        transactionBuilder,
+        _.get(options, "expectedPrice", null)
+      )
+
+      const [dbTxn, undoFn] = await transactionBuilder.build({
+        type: "ticketRebooking",
+      })
+      return [
+        dbTxn,
+        undoFn,
+        {
+          ticketId: ticket.id,
+          newTicketId: item.ticket.id,
+          userId: credentials.userId,
+          stripeRefundInfo,
+        },
+      ]
+    }
+  )
+
+  const { stripeRefundInfo, ...result } = rebooking
+  const paymentItem = _.find(dbTxn.transactionItems, { itemType: "payment" })
+
+  if (stripeRefundInfo) {
+    await refundViaStripeWithAccounting(
+      { db, txn: dbTxn, undoFn, stripeRefundInfo },
+      credentials
+    )
+  } else if (paymentItem && paymentItem.debit > 0) {
+    try {
+      await chargeSale({
+        db,
+        models: m,
+        transaction: dbTxn,
+        tokenIat: credentials.iat,
+        paymentDescription: `[Txn #${dbTxn.id}] ` + dbTxn.description,
+        ..._.pick(payment, ["stripeToken", "customerId", "sourceId"]),
+      })
+    } catch (err) {
+      console.error(err)
+      if (err instanceof ChargeError) {
+        try {
+          await undoFn()
+        } catch (err2) {
+          console.error(err2)
+          // Required here rather than at the top, because the models load
+          // this module before the event handlers can be loaded
+          require("../events/events").emit("transactionFailure", {
+            message: `!!! ERROR UNDOING ${dbTxn.id} with ${err2.message}`,
+            userId: credentials.userId,
+          })
+        }
+      }
+      throw err
+    }
+  }
+
+  return {
+    ...result,
+    charged: paymentItem ? +paymentItem.debit : 0,
+    refunded: stripeRefundInfo ? stripeRefundInfo.amount : 0,
+    transactionId: dbTxn.id,
+  }
+}
+
 /**
  * Generate stripe refund information
  * @param {Object} paymentItem - the Sequelize payment instance
@@ -782,7 +1636,10 @@ function checkExpectedPrice(tb, price) {
 function absorbSmallPayments(tb) {
   const excess = tb._excessCredit()
 
-  if (excess > 0.0001 && excess * 100 <= Payment.minTransactionChargeInCents()) {
+  if (
+    excess > 0.0001 &&
+    excess * 100 <= Payment.minTransactionChargeInCents()
+  ) {
     const clone = new TransactionBuilder(tb)
 
     const outstandingAmountsList = outstandingAmounts(clone.items)
@@ -888,6 +1745,10 @@ export async function cancelSale(connection, transactionId) {
  * @param {Number} options.tokenIat The iat: field in the session token.
  *                Why? To ensure one-at-a-time bookings for
  *                bookings in the same session.
+ * @param {String} options.idempotencyKey Identifies the booking to the
+ *                payment provider in place of the transaction and
+ *                session, if the request had an Idempotency-Key, or if
+ *                the booking is made for a waitlist entry.
  */
 export async function chargeSale(options) {
   // Group the transaction items first
@@ -938,9 +1799,13 @@ export async function chargeSale(options) {
     )
     assert(stripeCompanyId, "An internal server error occurred.")
 
+    // Retries of a request with an Idempotency-Key take over the transaction
+    // of the first attempt, so that the charge is made with the same key
+    // and details however many times it is retried
     let idempotencyKey =
       `instance=${process.env.TEST_IDEMPOTENCY},` +
-      `bookingId=${transaction.id},session=${tokenIat}`
+      (options.idempotencyKey ||
+        `bookingId=${transaction.id},session=${tokenIat}`)
     // var paymentDescription = `Beeline: TxnID ${transaction.id}, ` +
     //     `${companyInfo.name}, ${txnGroups.ticketSale.length} ticket(s)`;
 
@@ -1027,6 +1892,49 @@ export function checkValidTrips(tripsById, tripsRequested, perTripChecks) {
   }
 }
 
+/**
+ * Determine the time after which a trip may no longer be booked,
+ * according to its bookingInfo
+ * @param {Object} dbTrip - the trip, with its tripStops
+ * @param {Number} boardStopIndex - the index of the boarding stop in tripStops
+ * @param {Number} alightStopIndex - the index of the alighting stop in tripStops
+ * @return {Number} the cutoff, in milliseconds since epoch
+ */
+export function bookingWindowCutoff(dbTrip, boardStopIndex, alightStopIndex) {
+  // Validate the bookingInfo
+  let defaultBookingInfo = { windowType: "stop", windowSize: 0 }
+  let { error: bookingInfoError, value: bookingInfo } = Joi.validate(
+    dbTrip.bookingInfo || {},
+    Joi.object({
+      windowType: Joi.valid(["stop", "firstStop"]).default("stop"),
+      windowSize: Joi.number().default(0),
+    }).unknown()
+  )
+  if (bookingInfoError) {
+    // FIXME: Warn the operators and tell
+    bookingInfo = defaultBookingInfo
+  }
+  let { windowSize, windowType } = bookingInfo
+
+  // Determine the type of check
+  let cutOff = 0
+
+  if (windowType === "firstStop") {
+    // check against the first stop
+    cutOff = _.min(dbTrip.tripStops.map(ts => ts.time.getTime())) + windowSize
+  } else {
+    /* i.e. if windowType === 'stop' */
+    // check against the time of the boarding and alighting stop
+    let boardStopCutoff =
+      dbTrip.tripStops[boardStopIndex].time.getTime() + windowSize
+    let alightStopCutoff =
+      dbTrip.tripStops[alightStopIndex].time.getTime() + windowSize
+
+    cutOff = _.min([boardStopCutoff, alightStopCutoff])
+  }
+  return cutOff
+}
+
 /**
  * If bookingWindow is truthy, then check booking window.
  * Otherwise it just checks that the tripStops are valid.
@@ -1054,37 +1962,7 @@ export function checkStopsAndBookingWindow(
     // Whether to check for booking window.
     if (!checkBookingWindow) return
 
-    // Validate the bookingInfo
-    let defaultBookingInfo = { windowType: "stop", windowSize: 0 }
-    let { error: bookingInfoError, value: bookingInfo } = Joi.validate(
-      dbTrip.bookingInfo || {},
-      Joi.object({
-        windowType: Joi.valid(["stop", "firstStop"]).default("stop"),
-        windowSize: Joi.number().default(0),
-      }).unknown()
-    )
-    if (bookingInfoError) {
-      // FIXME: Warn the operators and tell
-      bookingInfo = defaultBookingInfo
-    }
-    let { windowSize, windowType } = bookingInfo
-
-    // Determine the type of check
-    let cutOff = 0
-
-    if (windowType === "firstStop") {
-      // check against the first stop
-      cutOff = _.min(dbTrip.tripStops.map(ts => ts.time.getTime())) + windowSize
-    } else {
-      /* i.e. if windowType === 'stop' */
-      // check against the time of the boarding and alighting stop
-      let boardStopCutoff =
-        dbTrip.tripStops[boardStopIndex].time.getTime() + windowSize
-      let alightStopCutoff =
-        dbTrip.tripStops[alightStopIndex].time.getTime() + windowSize
-
-      cutOff = _.min([boardStopCutoff, alightStopCutoff])
-    }
+    const cutOff = bookingWindowCutoff(dbTrip, boardStopIndex, alightStopIndex)
 
     if (now > cutOff) {
       throw new TransactionError(
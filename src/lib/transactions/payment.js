@@ -1,12 +1,51 @@
 import {TransactionBuilder} from './builder'
 import _ from 'lodash'
-import axios from 'axios'
+import assert from 'assert'
+
+import * as stripeProvider from './providers/stripe'
+import * as sandboxProvider from './providers/sandbox'
 
 export var publicKey = process.env.STRIPE_PK
 export var cid = process.env.STRIPE_CID
-export var sk = process.env.STRIPE_SK
+export var sk = stripeProvider.sk
+
+export var stripe = stripeProvider.stripe
+
+/**
+ * The providers that cards can be charged and refunded through. Every
+ * call to a provider goes through this module, so that the provider can
+ * be swapped for one that does not need the network
+ */
+const providers = {
+  stripe: stripeProvider,
+  sandbox: sandboxProvider,
+}
+
+export let provider
+
+/**
+ * Whether real cards are charged, in which case only Stripe may be used
+ * @return {boolean} true in production, or with a live Stripe key
+ */
+function isLive () {
+  return process.env.NODE_ENV === 'production' ||
+    _.startsWith(process.env.STRIPE_SK, 'sk_live_')
+}
 
-export var stripe = require("stripe")(sk)
+/**
+ * Switch the provider through which cards are charged and refunded.
+ * The provider in use is exported as `provider`
+ * @param {string} name - one of the names in `providers`
+ */
+export function useProvider (name) {
+  assert(providers[name], `Unknown payment provider ${name}`)
+  assert(
+    name !== 'sandbox' || !isLive(),
+    'The sandbox payment provider cannot be used to charge real cards'
+  )
+  provider = providers[name]
+}
+useProvider(process.env.PAYMENT_PROVIDER || 'stripe')
 
 const STRIPE_MICRO_MIN_CHARGE = parseInt(process.env.STRIPE_MICRO_MIN_CHARGE)
 const STRIPE_MACRO_MIN_CHARGE = parseInt(process.env.STRIPE_MACRO_MIN_CHARGE)
@@ -19,10 +58,14 @@ export function isLocalAndNonAmex (source) {
   return source.country === 'SG' && source.brand !== 'American Express'
 }
 
+/**
+ * Charge a card through the current provider, adding our application fee
+ * @param {object} options - the charge, with its value in dollars, the
+ * customer or source to charge, and the idempotencyKey to send with it
+ * @return {Promise<object>} the charge made
+ */
 export async function chargeCard (options) {
-  const source = options.customer
-    ? await stripe.customers.retrieveCard(options.customer, options.source)
-    : (await stripe.tokens.retrieve(options.source)).card
+  const source = await provider.retrieveCard(_.pick(options, ['customer', 'source']))
 
   var amount = Math.round(options.value * 100)
   var application_fee = calculateAdminFeeInCents(amount, isMicro(amount), isLocalAndNonAmex(source))
@@ -34,85 +77,144 @@ export async function chargeCard (options) {
     capture: true,
   })
 
-  // // Stripe doesn't accept empty option
-  var chargePromise = options.idempotencyKey
-    ? stripe.charges.create(chargeDetails, {idempotency_key: options.idempotencyKey})
-    : stripe.charges.create(chargeDetails)
-
-  return chargePromise.then((charge) => {
-    if (!charge.transfer) return charge
-
-    return stripe.transfers.retrieve(charge.transfer)
-      .then((transfer) => {
-        charge.transfer = transfer
-        return charge
-      }, () => {
-        /* Ooops some problem retrieving the transfer, but not fatal, so let it continue */
-        return charge
-      })
-  })
+  return provider.createCharge(chargeDetails, options.idempotencyKey)
 }
 
+/**
+ * @param {string} chargeId - the charge to refund
+ * @param {number} value - the amount to refund, in dollars
+ * @param {string} idempotencyKey - sent with the refund, and kept with it
+ * @return {Promise<object>} the refund made
+ */
 export function refundCharge (chargeId, value, idempotencyKey) {
-  // Actual Refund is process here
-  return stripe.refunds.create({
-    charge: chargeId, // charge ID to be indicated
-    amount: Math.round(value * 100),
-    refund_application_fee: false,
-    reverse_transfer: true
-  }, {
-    idempotency_key: idempotencyKey
-  })
+  // Actual Refund is process here. The key is kept with the refund, to tell
+  // our refunds apart from those made in the Stripe dashboard
+  return provider.createRefund(chargeId, Math.round(value * 100), idempotencyKey, {idempotencyKey})
 }
 
+/**
+ * @param {string} transactionId - the balance transaction of a charge or refund
+ * @return {Promise<object>} the balance transaction, with the fee taken
+ */
 export function retrieveTransaction (transactionId) {
-  return stripe.balance.retrieveTransaction(transactionId)
+  return provider.retrieveBalanceTransaction(transactionId)
 }
 
+/**
+ * @param {string} chargeId - the charge
+ * @return {Promise<object>} the charge, with its refunds
+ */
 export function retrieveCharge (chargeId) {
-  return stripe.charges.retrieve(chargeId)
+  return provider.retrieveCharge(chargeId)
+}
+
+/**
+ * @param {Date} from - the start of the period
+ * @param {Date} to - the end of the period, exclusive
+ * @return {Promise<Array>} the charges made in the period
+ */
+export function listCharges (from, to) {
+  return provider.listCharges(from, to)
+}
+
+/**
+ * @param {Date} from - the start of the period
+ * @param {Date} to - the end of the period, exclusive
+ * @return {Promise<Array>} the refunds made in the period
+ */
+export function listRefunds (from, to) {
+  return provider.listRefunds(from, to)
 }
 
+/**
+ * @param {object} card - the number, expiry and cvc of a card
+ * @return {Promise<object>} a token for the card
+ */
 export function createStripeToken (card) {
-  return stripe.tokens.create({card})
+  return provider.createToken(card)
+}
+
+/**
+ * @param {object} metadata - kept with the customer by the provider
+ * @return {Promise<object>} the customer created
+ */
+export function createCustomer (metadata) {
+  return provider.createCustomer(metadata)
+}
+
+/**
+ * @param {string} customerId - the customer
+ * @return {Promise<object>} the customer, with its saved cards
+ */
+export function retrieveCustomer (customerId) {
+  return provider.retrieveCustomer(customerId)
+}
+
+/**
+ * Save a card for a customer
+ * @param {string} customerId - the customer
+ * @param {string} stripeToken - a token for the card
+ * @return {Promise<object>} the card saved
+ */
+export function addCustomerSource (customerId, stripeToken) {
+  return provider.createCustomerSource(customerId, stripeToken)
+}
+
+/**
+ * Remove a saved card of a customer
+ * @param {string} customerId - the customer
+ * @param {string} sourceId - the card to remove
+ * @return {Promise<object>} confirmation that the card was removed
+ */
+export function deleteCustomerSource (customerId, sourceId) {
+  return provider.deleteCustomerSource(customerId, sourceId)
 }
 
-export function saveCustomer (stripeToken) {
+/**
+ * Save a card as a new customer
+ * @param {string} stripeToken - a token for the card
+ * @return {Promise<object>} a code, 1 if the card was saved and -1 if
+ * not, and a message to show
+ */
+export async function saveCustomer (stripeToken) {
   var result = {
     code: 0,
     message: ""
   }
-  stripe.customers.create({
-    source: stripeToken,
-    description: "Save Customer Info"
-  }, function (err, customer) {
-    if (err) {
-      // The card has been declined
-      console.log(err)
-      result.code = -1
-      result.message = "There is some issue while trying to save the customer, please try again later! It the problem persist, please contact our staff."
-    } else {
-      console.log("Success")
-      console.log(customer)
-      // get the id for the customer Id
-      result.code = 1
-      result.message = "Customer Saved Successful"
-    }
-  })
+  try {
+    const customer = await provider.createCustomer({})
+    await provider.createCustomerSource(customer.id, stripeToken)
+    // get the id for the customer Id
+    result.code = 1
+    result.message = "Customer Saved Successful"
+  } catch (err) {
+    // The card has been declined
+    console.log(err)
+    result.code = -1
+    result.message = "There is some issue while trying to save the customer, please try again later! It the problem persist, please contact our staff."
+  }
 
   return result
 }
 
+/**
+ * Complete the connection of a company's account to ours
+ * @param {string} code - the authorization code from Stripe Connect
+ * @return {Promise<object>} the stripe_user_id of the account, and
+ * whether it was connected in livemode
+ */
 export function connectAccount (code) {
-  return axios.post(
-    'https://connect.stripe.com/oauth/token',
-    {
-      code,
-      client_secret: sk,
-      grant_type: 'authorization_code',
-    }
-  )
-  .then((response) => response.data)
+  return provider.connectAccount(code)
+}
+
+/**
+ * @param {string} payload - the body of a webhook request, as sent
+ * @param {string} signature - the Stripe-Signature header of the request
+ * @return {object} the event sent, if it was signed with STRIPE_WEBHOOK_SECRET
+ */
+export function constructWebhookEvent (payload, signature) {
+  assert(process.env.STRIPE_WEBHOOK_SECRET, 'STRIPE_WEBHOOK_SECRET is not set')
+  return provider.constructWebhookEvent(payload, signature, process.env.STRIPE_WEBHOOK_SECRET)
 }
 
 export function isMicro (transactionSum) {
@@ -0,0 +1,513 @@
+import _ from "lodash"
+import crypto from "crypto"
+
+/**
+ * An in-process payment provider for staging and local development,
+ * which books and refunds without a network. Its objects are shaped
+ * like those of Stripe, so that they can be stored and read back in
+ * the same way, and its ids are numbered in sequence, so that runs are
+ * repeatable. Like Stripe, it takes the card numbers below to simulate
+ * declines, and lets charges be refunded in parts up to the amount
+ * charged. Webhook events are signed and verified as Stripe does, so
+ * that they can be sent to our webhook endpoint by hand. Setting
+ * PAYMENT_SANDBOX_DELAY delays every call by that many milliseconds,
+ * to simulate a slow network
+ */
+
+export const name = "sandbox"
+
+// Card numbers with which every charge fails, as with Stripe test cards
+const DECLINED_CARDS = {
+  "4000000000000002": {
+    code: "card_declined",
+    decline_code: "generic_decline",
+    message: "Your card was declined.",
+  },
+  "4000000000009995": {
+    code: "card_declined",
+    decline_code: "insufficient_funds",
+    message: "Your card has insufficient funds.",
+  },
+  "4000000000000069": {
+    code: "expired_card",
+    message: "Your card has expired.",
+  },
+  "4000000000000127": {
+    code: "incorrect_cvc",
+    message: "Your card's security code is incorrect.",
+  },
+  // Can be saved to a customer, but not charged
+  "4000000000000341": {
+    code: "card_declined",
+    decline_code: "generic_decline",
+    message: "Your card was declined.",
+    attachable: true,
+  },
+}
+
+// Card numbers of cards issued outside Singapore
+const CARD_COUNTRIES = {
+  "4000000760000002": "BR",
+  "4000001240000000": "CA",
+  "4000004840000008": "MX",
+}
+
+let state
+
+/**
+ * Forget all the tokens, charges, refunds and customers made so far,
+ * and start numbering them afresh
+ */
+export function reset() {
+  state = {
+    counter: 0,
+    tokens: {},
+    customers: {},
+    charges: {},
+    balanceTransactions: {},
+    idempotentResults: {},
+  }
+}
+reset()
+
+const nextId = prefix => `${prefix}_sandbox_${++state.counter}`
+
+const delay = () =>
+  new Promise(resolve =>
+    setTimeout(resolve, parseInt(process.env.PAYMENT_SANDBOX_DELAY) || 0)
+  )
+
+const invalidRequest = message =>
+  _.assign(new Error(message), { type: "StripeInvalidRequestError" })
+
+const cardError = decline =>
+  _.assign(new Error(decline.message), {
+    type: "StripeCardError",
+    ..._.pick(decline, ["code", "decline_code"]),
+  })
+
+/**
+ * Run an operation once for each idempotency key, returning the
+ * result of the first run on later runs with the same key
+ * @param {String} key - the idempotency key, if any
+ * @param {Function} fn - the operation
+ * @return {Object} a copy of the result of the operation
+ */
+const idempotently = (key, fn) => {
+  if (!key) {
+    return _.cloneDeep(fn())
+  }
+  if (!state.idempotentResults[key]) {
+    state.idempotentResults[key] = fn()
+  }
+  return _.cloneDeep(state.idempotentResults[key])
+}
+
+const brandOf = number =>
+  /^3[47]/.test(number)
+    ? "American Express"
+    : /^5/.test(number) ? "MasterCard" : "Visa"
+
+/**
+ * @param {Object} card - the card number, exp_month, exp_year and cvc
+ * @return {Promise<Object>} a single-use token for the card
+ */
+export async function createToken(card) {
+  await delay()
+  const number = String(card.number).replace(/\s/g, "")
+  if (!/^\d{12,19}$/.test(number)) {
+    throw _.assign(new Error("Your card number is incorrect."), {
+      type: "StripeCardError",
+      code: "incorrect_number",
+    })
+  }
+
+  const token = {
+    id: nextId("tok"),
+    object: "token",
+    type: "card",
+    used: false,
+    card: {
+      id: nextId("card"),
+      object: "card",
+      brand: brandOf(number),
+      country: CARD_COUNTRIES[number] || "SG",
+      funding: "credit",
+      last4: number.substr(-4),
+      exp_month: parseInt(card.exp_month),
+      exp_year: parseInt(card.exp_year),
+    },
+  }
+  state.tokens[token.id] = { token, number }
+  return _.cloneDeep(token)
+}
+
+/**
+ * @param {String} tokenId - the token
+ * @return {Object} the card and its number, if it has not been used
+ */
+const useToken = tokenId => {
+  const entry = state.tokens[tokenId]
+  if (!entry) {
+    throw invalidRequest(`No such token: ${tokenId}`)
+  }
+  if (entry.token.used) {
+    throw invalidRequest(
+      `You cannot use a Stripe token more than once: ${tokenId}.`
+    )
+  }
+  entry.token.used = true
+  return { card: entry.token.card, number: entry.number }
+}
+
+/**
+ * @param {Object} options - either the token, or the customer and
+ * the source saved to them
+ * @return {Object} the card and its number
+ */
+const findCard = ({ customer, source }) => {
+  if (customer) {
+    const entry = state.customers[customer]
+    const card =
+      entry && entry.customer.sources.data.find(card => card.id === source)
+    if (!card) {
+      throw invalidRequest(`No such source: ${source}`)
+    }
+    return { card, number: entry.numbers[source] }
+  } else {
+    const entry = state.tokens[source]
+    if (!entry) {
+      throw invalidRequest(`No such token: ${source}`)
+    }
+    return { card: entry.token.card, number: entry.number }
+  }
+}
+
+/**
+ * @param {Object} options - either the token, or the customer and
+ * the source saved to them
+ * @return {Promise<Object>} the card behind the token or source
+ */
+export async function retrieveCard(options) {
+  await delay()
+  return _.cloneDeep(findCard(options).card)
+}
+
+/**
+ * Charge a card, failing with a StripeCardError for the declined cards
+ * @param {Object} chargeDetails - the amount in cents, currency,
+ * application_fee, destination, source or customer, and descriptions
+ * @param {String} idempotencyKey - repeated charges with the same key
+ * return the first charge made
+ * @return {Promise<Object>} the charge
+ */
+export async function createCharge(chargeDetails, idempotencyKey) {
+  await delay()
+  return idempotently(idempotencyKey, () => {
+    const { customer, source, amount, destination } = chargeDetails
+    const { card, number } = customer
+      ? findCard({ customer, source })
+      : useToken(source)
+
+    if (DECLINED_CARDS[number]) {
+      throw cardError(DECLINED_CARDS[number])
+    }
+
+    const applicationFee = chargeDetails.application_fee || 0
+    const balanceTransaction = {
+      id: nextId("txn"),
+      object: "balance_transaction",
+      amount,
+      fee: applicationFee,
+    }
+    state.balanceTransactions[balanceTransaction.id] = balanceTransaction
+
+    const charge = {
+      ..._.omit(chargeDetails, ["source"]),
+      id: nextId("ch"),
+      object: "charge",
+      status: "succeeded",
+      paid: true,
+      captured: chargeDetails.capture !== false,
+      amount_refunded: 0,
+      refunded: false,
+      refunds: { object: "list", data: [] },
+      balance_transaction: balanceTransaction.id,
+      source: card,
+      transfer: destination
+        ? {
+            id: nextId("tr"),
+            object: "transfer",
+            amount: amount - applicationFee,
+            destination,
+            reversals: { object: "list", data: [] },
+          }
+        : null,
+      created: Math.floor(Date.now() / 1000),
+    }
+    state.charges[charge.id] = charge
+    return charge
+  })
+}
+
+/**
+ * Refund part or all of a charge, failing if more is refunded in all
+ * than was charged
+ * @param {String} chargeId - the charge to refund
+ * @param {Number} amount - the amount to refund, in cents
+ * @param {String} idempotencyKey - repeated refunds with the same key
+ * return the first refund made
+ * @param {Object} metadata - stored with the refund
+ * @return {Promise<Object>} the refund
+ */
+export async function createRefund(chargeId, amount, idempotencyKey, metadata) {
+  await delay()
+  return idempotently(idempotencyKey, () => {
+    const charge = state.charges[chargeId]
+    if (!charge) {
+      throw invalidRequest(`No such charge: ${chargeId}`)
+    }
+    const unrefunded = charge.amount - charge.amount_refunded
+    if (amount > unrefunded) {
+      throw invalidRequest(
+        `Refund amount ($${amount / 100}) is greater than ` +
+          `unrefunded amount on charge ($${unrefunded / 100})`
+      )
+    }
+
+    const balanceTransaction = {
+      id: nextId("txn"),
+      object: "balance_transaction",
+      amount: -amount,
+      // The application fee is not refunded with the charge
+      fee: 0,
+    }
+    state.balanceTransactions[balanceTransaction.id] = balanceTransaction
+
+    const refund = {
+      id: nextId("re"),
+      object: "refund",
+      amount,
+      charge: chargeId,
+      status: "succeeded",
+      balance_transaction: balanceTransaction.id,
+      metadata: metadata || {},
+      created: Math.floor(Date.now() / 1000),
+    }
+    charge.amount_refunded += amount
+    charge.refunded = charge.amount_refunded === charge.amount
+    charge.refunds.data.push(refund)
+    return refund
+  })
+}
+
+/**
+ * @param {String} chargeId - the charge
+ * @return {Promise<Object>} the charge, with the amount refunded so far
+ */
+export async function retrieveCharge(chargeId) {
+  await delay()
+  if (!state.charges[chargeId]) {
+    throw invalidRequest(`No such charge: ${chargeId}`)
+  }
+  return _.cloneDeep(state.charges[chargeId])
+}
+
+const createdBetween = (from, to) => item =>
+  item.created >= Math.floor(from.getTime() / 1000) &&
+  item.created < Math.floor(to.getTime() / 1000)
+
+/**
+ * @param {Date} from - the start of the period
+ * @param {Date} to - the end of the period, exclusive
+ * @return {Promise<Array>} the charges made in the period
+ */
+export async function listCharges(from, to) {
+  await delay()
+  return _.cloneDeep(_.filter(state.charges, createdBetween(from, to)))
+}
+
+/**
+ * @param {Date} from - the start of the period
+ * @param {Date} to - the end of the period, exclusive
+ * @return {Promise<Array>} the refunds made in the period
+ */
+export async function listRefunds(from, to) {
+  await delay()
+  return _.cloneDeep(
+    _(state.charges)
+      .flatMap(charge => charge.refunds.data)
+      .filter(createdBetween(from, to))
+      .value()
+  )
+}
+
+/**
+ * @param {String} transactionId - the balance transaction of a charge or refund
+ * @return {Promise<Object>} the balance transaction, with the fee taken,
+ * which is the application fee for charges, and nothing for refunds
+ */
+export async function retrieveBalanceTransaction(transactionId) {
+  await delay()
+  if (!state.balanceTransactions[transactionId]) {
+    throw invalidRequest(`No such balance transaction: ${transactionId}`)
+  }
+  return _.cloneDeep(state.balanceTransactions[transactionId])
+}
+
+/**
+ * @param {Object} metadata - stored with the customer
+ * @return {Promise<Object>} the customer, with the sources saved to them
+ */
+export async function createCustomer(metadata) {
+  await delay()
+  const customer = {
+    id: nextId("cus"),
+    object: "customer",
+    metadata: metadata || {},
+    default_source: null,
+    sources: { object: "list", data: [] },
+  }
+  state.customers[customer.id] = { customer, numbers: {} }
+  return _.cloneDeep(customer)
+}
+
+/**
+ * @param {String} customerId - the customer
+ * @return {Promise<Object>} the customer, with the sources saved to them
+ */
+export async function retrieveCustomer(customerId) {
+  await delay()
+  if (!state.customers[customerId]) {
+    throw invalidRequest(`No such customer: ${customerId}`)
+  }
+  return _.cloneDeep(state.customers[customerId].customer)
+}
+
+/**
+ * Save a card to a customer, failing for the declined cards other than
+ * those that can be saved but not charged
+ * @param {String} customerId - the customer
+ * @param {String} token - a token for the card to save
+ * @return {Promise<Object>} the card saved
+ */
+export async function createCustomerSource(customerId, token) {
+  await delay()
+  const entry = state.customers[customerId]
+  if (!entry) {
+    throw invalidRequest(`No such customer: ${customerId}`)
+  }
+  const { card, number } = useToken(token)
+  const decline = DECLINED_CARDS[number]
+  if (decline && !decline.attachable) {
+    throw cardError(decline)
+  }
+
+  const source = { ...card, customer: customerId }
+  entry.customer.sources.data.push(source)
+  entry.customer.default_source = entry.customer.default_source || source.id
+  entry.numbers[source.id] = number
+  return _.cloneDeep(source)
+}
+
+/**
+ * @param {String} customerId - the customer
+ * @param {String} sourceId - the card to delete
+ * @return {Promise<Object>} the id of the card deleted
+ */
+export async function deleteCustomerSource(customerId, sourceId) {
+  await delay()
+  const entry = state.customers[customerId]
+  const source =
+    entry && entry.customer.sources.data.find(card => card.id === sourceId)
+  if (!source) {
+    throw invalidRequest(`No such source: ${sourceId}`)
+  }
+  _.pull(entry.customer.sources.data, source)
+  delete entry.numbers[sourceId]
+  if (entry.customer.default_source === sourceId) {
+    entry.customer.default_source = _.get(
+      entry.customer.sources.data,
+      "[0].id",
+      null
+    )
+  }
+  return { id: sourceId, deleted: true }
+}
+
+/**
+ * @param {String} code - the authorization code
+ * @return {Promise<Object>} the stripe_user_id of a sandbox account
+ * named after the code, never connected in livemode
+ */
+export async function connectAccount(code) {
+  await delay()
+  return {
+    stripe_user_id: `acct_sandbox_${code}`,
+    livemode: false,
+  }
+}
+
+// How old a webhook signature may be, in seconds, as with Stripe
+const WEBHOOK_TOLERANCE = 300
+
+const signatureError = message =>
+  _.assign(new Error(message), { type: "StripeSignatureVerificationError" })
+
+const computeSignature = (timestamp, payload, secret) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${payload}`, "utf8")
+    .digest("hex")
+
+/**
+ * Sign a webhook payload in the way Stripe does, so that events can be
+ * sent to our webhook endpoint without Stripe
+ * @param {String} payload - the body of the webhook request
+ * @param {String} secret - the signing secret of the webhook endpoint
+ * @param {Number} timestamp - the time of signing, in seconds
+ * @return {String} the Stripe-Signature header for the payload
+ */
+export function signWebhookPayload(
+  payload,
+  secret,
+  timestamp = Math.floor(Date.now() / 1000)
+) {
+  return `t=${timestamp},v1=${computeSignature(timestamp, payload, secret)}`
+}
+
+/**
+ * @param {String} payload - the body of a webhook request, as sent
+ * @param {String} signature - the Stripe-Signature header of the request
+ * @param {String} secret - the signing secret of the webhook endpoint
+ * @return {Object} the event sent, if the signature is valid. Throws
+ * a StripeSignatureVerificationError otherwise
+ */
+export function constructWebhookEvent(payload, signature, secret) {
+  const parts = _.fromPairs(
+    String(signature || "")
+      .split(",")
+      .map(part => part.split("="))
+  )
+  const timestamp = parseInt(parts.t)
+  if (!timestamp || !parts.v1) {
+    throw signatureError(
+      "Unable to extract timestamp and signatures from header"
+    )
+  }
+
+  const expected = Buffer.from(computeSignature(timestamp, payload, secret))
+  const actual = Buffer.from(parts.v1)
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    throw signatureError(
+      "No signatures found matching the expected signature for payload"
+    )
+  }
+  if (Math.floor(Date.now() / 1000) - timestamp > WEBHOOK_TOLERANCE) {
+    throw signatureError("Timestamp outside the tolerance zone")
+  }
+  return JSON.parse(payload)
+}
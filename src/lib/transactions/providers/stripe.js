@@ -0,0 +1,202 @@
+import axios from "axios"
+
+/**
+ * The payment provider backed by Stripe, with the accounts of
+ * transport companies connected to ours through Stripe Connect
+ */
+
+export const sk = process.env.STRIPE_SK
+export const stripe = require("stripe")(sk)
+
+export const name = "stripe"
+
+/**
+ * @param {Object} card - the card number, exp_month, exp_year and cvc
+ * @return {Promise<Object>} a single-use token for the card
+ */
+export function createToken(card) {
+  return stripe.tokens.create({ card })
+}
+
+/**
+ * @param {Object} options - either the token, or the customer and
+ * the source saved to them
+ * @return {Promise<Object>} the card behind the token or source
+ */
+export async function retrieveCard({ customer, source }) {
+  return customer
+    ? stripe.customers.retrieveCard(customer, source)
+    : (await stripe.tokens.retrieve(source)).card
+}
+
+/**
+ * Charge a card, with the transfer to the destination account
+ * filled in on the charge if it can be retrieved
+ * @param {Object} chargeDetails - the amount in cents, currency,
+ * application_fee, destination, source or customer, and descriptions
+ * @param {String} idempotencyKey - repeated charges with the same key
+ * return the first charge made
+ * @return {Promise<Object>} the charge
+ */
+export async function createCharge(chargeDetails, idempotencyKey) {
+  const charge = idempotencyKey
+    ? await stripe.charges.create(chargeDetails, {
+        idempotency_key: idempotencyKey,
+      })
+    : await stripe.charges.create(chargeDetails)
+
+  if (!charge.transfer) return charge
+
+  try {
+    charge.transfer = await stripe.transfers.retrieve(charge.transfer)
+  } catch (err) {
+    /* Ooops some problem retrieving the transfer, but not fatal, so let it continue */
+  }
+  return charge
+}
+
+/**
+ * Refund part or all of a charge, reversing the transfer made to
+ * the destination account but keeping the application fee
+ * @param {String} chargeId - the charge to refund
+ * @param {Number} amount - the amount to refund, in cents
+ * @param {String} idempotencyKey - repeated refunds with the same key
+ * return the first refund made
+ * @param {Object} metadata - stored with the refund
+ * @return {Promise<Object>} the refund
+ */
+export function createRefund(chargeId, amount, idempotencyKey, metadata) {
+  return stripe.refunds.create(
+    {
+      charge: chargeId,
+      amount,
+      refund_application_fee: false,
+      reverse_transfer: true,
+      metadata,
+    },
+    {
+      idempotency_key: idempotencyKey,
+    }
+  )
+}
+
+/**
+ * @param {String} chargeId - the charge
+ * @return {Promise<Object>} the charge, with the amount refunded so far
+ */
+export function retrieveCharge(chargeId) {
+  return stripe.charges.retrieve(chargeId)
+}
+
+/**
+ * @param {Object} resource - the Stripe resource to list, e.g. charges
+ * @param {Date} from - the start of the period
+ * @param {Date} to - the end of the period, exclusive
+ * @return {Promise<Array>} everything of the resource created in the
+ * period, read one page at a time
+ */
+async function listCreatedBetween(resource, from, to) {
+  const items = []
+  let startingAfter
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const page = await resource.list({
+      created: {
+        gte: Math.floor(from.getTime() / 1000),
+        lt: Math.floor(to.getTime() / 1000),
+      },
+      limit: 100,
+      starting_after: startingAfter,
+    })
+    items.push(...page.data)
+    startingAfter = page.has_more ? page.data[page.data.length - 1].id : null
+  } while (startingAfter)
+  return items
+}
+
+/**
+ * @param {Date} from - the start of the period
+ * @param {Date} to - the end of the period, exclusive
+ * @return {Promise<Array>} the charges made in the period
+ */
+export function listCharges(from, to) {
+  return listCreatedBetween(stripe.charges, from, to)
+}
+
+/**
+ * @param {Date} from - the start of the period
+ * @param {Date} to - the end of the period, exclusive
+ * @return {Promise<Array>} the refunds made in the period
+ */
+export function listRefunds(from, to) {
+  return listCreatedBetween(stripe.refunds, from, to)
+}
+
+/**
+ * @param {String} transactionId - the balance transaction of a charge or refund
+ * @return {Promise<Object>} the balance transaction, with the fee taken
+ */
+export function retrieveBalanceTransaction(transactionId) {
+  return stripe.balance.retrieveTransaction(transactionId)
+}
+
+/**
+ * @param {Object} metadata - stored with the customer
+ * @return {Promise<Object>} the customer, with the sources saved to them
+ */
+export function createCustomer(metadata) {
+  return stripe.customers.create({ metadata })
+}
+
+/**
+ * @param {String} customerId - the customer
+ * @return {Promise<Object>} the customer, with the sources saved to them
+ */
+export function retrieveCustomer(customerId) {
+  return stripe.customers.retrieve(customerId)
+}
+
+/**
+ * @param {String} customerId - the customer
+ * @param {String} token - a token for the card to save
+ * @return {Promise<Object>} the card saved
+ */
+export function createCustomerSource(customerId, token) {
+  return stripe.customers.createSource(customerId, { source: token })
+}
+
+/**
+ * @param {String} customerId - the customer
+ * @param {String} sourceId - the card to delete
+ * @return {Promise<Object>} the id of the card deleted
+ */
+export function deleteCustomerSource(customerId, sourceId) {
+  return stripe.customers.deleteCard(customerId, sourceId)
+}
+
+/**
+ * Complete the connection of a company's account to ours
+ * @param {String} code - the authorization code from Stripe Connect
+ * @return {Promise<Object>} the stripe_user_id of the account, and
+ * whether it was connected in livemode
+ */
+export function connectAccount(code) {
+  return axios
+    .post("https://connect.stripe.com/oauth/token", {
+      code,
+      client_secret: sk,
+      grant_type: "authorization_code",
+    })
+    .then(response => response.data)
+}
+
+/**
+ * @param {String} payload - the body of a webhook request, as sent
+ * @param {String} signature - the Stripe-Signature header of the request
+ * @param {String} secret - the signing secret of the webhook endpoint
+ * @return {Object} the event sent, if the signature is valid. Throws
+ * a StripeSignatureVerificationError otherwise
+ */
+export function constructWebhookEvent(payload, signature, secret) {
+  return stripe.webhooks.constructEvent(payload, signature, secret)
+}
@@ -0,0 +1,289 @@
+import _ from "lodash"
+import fs from "fs"
+import path from "path"
+import moment from "moment-timezone"
+import Handlebars from "handlebars"
+import BlueBird from "bluebird"
+
+import * as email from "../util/email"
+import { NotFoundError, InvalidArgumentError } from "../util/errors"
+
+/**
+ * Itemised receipts of ticket and route pass purchases, for commuters
+ * who expense their rides. Users with billing details on record, e.g.
+ * corporate users, may have a tax invoice instead, made out to their
+ * billing name
+ */
+
+const RECEIPT_TRANSACTION_TYPES = ["ticketPurchase", "routePassPurchase"]
+
+const toSGTDateTimeString = date =>
+  moment(date)
+    .tz("Asia/Singapore")
+    .format("D MMM YYYY, HH:mm")
+
+const toDollars = value => _.round(parseFloat(value || 0), 2)
+
+/**
+ * @param {Object} ticket - the ticket, with its boarding and alighting
+ * stops, and the trip and route of its boarding stop
+ * @return {String} what the ticket was for
+ */
+const describeTicket = ticket => {
+  const { route } = ticket.boardStop.trip
+  const boardTime = moment(ticket.boardStop.time).tz("Asia/Singapore")
+  return (
+    `Ticket on ${_.compact([route.label, route.name]).join(" ")}, ` +
+    `${boardTime.format("D MMM YYYY, HH:mm")}: ` +
+    `${ticket.boardStop.stop.description} to ` +
+    `${ticket.alightStop.stop.description}`
+  )
+}
+
+/**
+ * @param {Object} connection - the models
+ * @param {Number} transactionId - the purchase
+ * @return {Promise<Object>} the committed purchase, with its items and
+ * the tickets, route passes, discounts and payments they are for
+ */
+async function fetchPurchase({ models: m }, transactionId) {
+  const transaction = await m.Transaction.findById(transactionId, {
+    include: [m.TransactionItem],
+  })
+  // Purchases made before transactions were typed have a null type
+  NotFoundError.assert(
+    transaction &&
+      transaction.committed &&
+      (transaction.type === null ||
+        RECEIPT_TRANSACTION_TYPES.includes(transaction.type)),
+    `No receipt for transaction ${transactionId}`
+  )
+
+  const routeIncludes = {
+    model: m.Route,
+    attributes: ["id", "label", "name", "transportCompanyId"],
+  }
+  await m.TransactionItem.getAssociatedItems(transaction.transactionItems, {
+    ticketSale: {
+      include: [
+        {
+          model: m.TripStop,
+          as: "boardStop",
+          include: [m.Stop, { model: m.Trip, include: [routeIncludes] }],
+        },
+        { model: m.TripStop, as: "alightStop", include: [m.Stop] },
+      ],
+    },
+  })
+  return transaction
+}
+
+/**
+ * Draw up the receipt of a ticket or route pass purchase
+ * @param {Object} connection - the models
+ * @param {Number} transactionId - the purchase
+ * @param {Number} userId - if given, the user who must have made the
+ * purchase
+ * @return {Promise<Object>} the receipt, with the tickets and route
+ * passes bought, the discounts given and the route passes redeemed,
+ * the operators and the payment made, and the user who made it
+ */
+export async function fetchReceipt({ models: m }, transactionId, userId) {
+  const transaction = await fetchPurchase({ models: m }, transactionId)
+  const items = _.groupBy(transaction.transactionItems, "itemType")
+  const debitOf = item => toDollars(item.debit)
+
+  const tickets = (items.ticketSale || []).filter(ti => ti.ticketSale)
+  const routePassesSold = (items.routePass || []).filter(
+    ti => debitOf(ti) < 0 && ti.routePass
+  )
+  const routePassesRedeemed = (items.routePass || []).filter(
+    ti => debitOf(ti) > 0
+  )
+
+  const buyerIds = _.uniq([
+    ...tickets.map(ti => ti.ticketSale.userId),
+    ...routePassesSold.map(ti => ti.routePass.userId),
+  ])
+  NotFoundError.assert(
+    buyerIds.length === 1 && (!userId || buyerIds[0] === userId),
+    `No receipt for transaction ${transactionId}`
+  )
+
+  const routePassRoutes = _.keyBy(
+    await Promise.all(
+      _.uniq(routePassesSold.map(ti => ti.routePass.tag)).map(async tag => ({
+        tag,
+        route: await m.Route.find({
+          where: { tags: { $contains: [tag] } },
+          attributes: ["label", "name"],
+        }),
+      }))
+    ),
+    "tag"
+  )
+  const describeRoutePass = routePass => {
+    const { route } = routePassRoutes[routePass.tag]
+    return route
+      ? `Route pass for ${_.compact([route.label, route.name]).join(" ")}`
+      : `Route pass for ${routePass.tag}`
+  }
+
+  const companyIds = _.uniq([
+    ...tickets.map(ti => ti.ticketSale.boardStop.trip.route.transportCompanyId),
+    ...routePassesSold.map(ti => ti.routePass.companyId),
+  ])
+  const [user, companies] = await Promise.all([
+    m.User.findById(buyerIds[0], {
+      attributes: ["id", "name", "email", "emailVerified", "notes"],
+    }),
+    m.TransportCompany.findAll({
+      where: { id: { $in: companyIds } },
+      attributes: ["id", "name"],
+      order: [["name", "ASC"]],
+    }),
+  ])
+
+  const lines = [
+    ...tickets.map(ti => ({
+      description: describeTicket(ti.ticketSale),
+      amount: -debitOf(ti),
+    })),
+    ...routePassesSold.map(ti => ({
+      description: describeRoutePass(ti.routePass),
+      amount: -debitOf(ti),
+    })),
+  ]
+  const discounts = (items.discount || [])
+    .filter(ti => debitOf(ti) > 0)
+    .map(ti => ({
+      description: _.get(ti, "discount.description") || "Discount",
+      code: _.get(ti, "discount.code") || null,
+      amount: debitOf(ti),
+    }))
+  const redeemed = routePassesRedeemed.map(ti => ({
+    description: "Route pass redeemed",
+    amount: debitOf(ti),
+  }))
+  const [payment] = items.payment || []
+  const source = _.get(payment, "payment.data.source")
+
+  return {
+    transactionId: transaction.id,
+    createdAt: transaction.createdAt,
+    description: transaction.description,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      billing: _.get(user, "notes.billing") || null,
+    },
+    operators: companies.map(c => c.name),
+    lines,
+    discounts,
+    redeemed,
+    total: payment ? debitOf(payment) : 0,
+    payment: payment
+      ? {
+          chargeId: payment.payment.paymentResource,
+          card: source ? `${source.brand} ending ${source.last4}` : null,
+        }
+      : null,
+  }
+}
+
+/**
+ * @param {Number} total - the amount paid, inclusive of GST
+ * @return {Object} the rate of GST, the GST included in the total, and
+ * our GST registration number
+ */
+const gstOf = total => {
+  const rate = parseFloat(process.env.GST_RATE || 9)
+  return {
+    rate,
+    amount: _.round(total * rate / (100 + rate), 2).toFixed(2),
+    registrationNo: process.env.GST_REGISTRATION_NO || null,
+  }
+}
+
+const compileTemplate = async (filename, options) =>
+  Handlebars.compile(
+    await BlueBird.promisify(fs.readFile)(
+      path.join(__dirname, "../../../data", filename),
+      "utf8"
+    ),
+    options
+  )
+
+/**
+ * Renders a receipt, or a tax invoice made out to the billing name of
+ * its user
+ * @param {Object} receipt - as drawn up by fetchReceipt
+ * @param {Object} options - whether to render an invoice, and whether
+ * as text rather than as an HTML document
+ * @return {Promise<String>} the receipt or invoice
+ */
+export async function renderReceipt(receipt, { invoice, text } = {}) {
+  InvalidArgumentError.assert(
+    !invoice || _.get(receipt.user.billing, "name"),
+    "Invoices are made out to a billing name. Set one on your profile first"
+  )
+
+  const template = text
+    ? await compileTemplate("receipt.txt", { noEscape: true })
+    : await compileTemplate("receipt.html")
+  const formatAmounts = lines =>
+    lines.map(line => ({ ...line, amount: line.amount.toFixed(2) }))
+
+  return template({
+    ...receipt,
+    invoice,
+    createdAt: toSGTDateTimeString(receipt.createdAt),
+    customer: receipt.user,
+    billing: receipt.user.billing,
+    operators: receipt.operators.join(", "),
+    lines: formatAmounts(receipt.lines),
+    discounts: formatAmounts(
+      receipt.discounts.map(d => ({
+        ...d,
+        description: d.code ? `${d.description} (${d.code})` : d.description,
+      }))
+    ),
+    redeemed: formatAmounts(receipt.redeemed),
+    total: receipt.total.toFixed(2),
+    gst: invoice ? gstOf(receipt.total) : null,
+  })
+}
+
+/**
+ * Email the receipt of a purchase to the user who made it, if their
+ * email address is verified. Users with billing details on record are
+ * sent a tax invoice instead
+ * @param {Object} connection - the models
+ * @param {Number} transactionId - the purchase
+ * @return {Promise<Object>} the message sent, or null if the user has
+ * no verified email address
+ */
+export async function emailReceipt(connection, transactionId) {
+  const receipt = await fetchReceipt(connection, transactionId)
+  const { user } = receipt
+  if (!user.email || !user.emailVerified) {
+    return null
+  }
+
+  const invoice = !!_.get(user.billing, "name")
+  const [text, html] = await Promise.all([
+    renderReceipt(receipt, { invoice, text: true }),
+    renderReceipt(receipt, { invoice }),
+  ])
+  return email.sendMail({
+    from: "admin@beeline.sg",
+    to: user.email,
+    subject:
+      `Your Beeline ${invoice ? "tax invoice" : "receipt"} ` +
+      `for transaction ${transactionId}`,
+    text,
+    html,
+  })
+}
@@ -0,0 +1,392 @@
+import _ from "lodash"
+
+import * as Payment from "./payment"
+import * as events from "../events/events"
+
+/**
+ * Compare the payments and refunds in our ledger with the charges and
+ * refunds of the payment provider over a period, so that money that
+ * moved without being booked, or was booked without moving, is caught.
+ * Discrepancies are of these types:
+ *
+ * amountMismatch - a payment or refund booked for a different amount
+ * than the provider charged or refunded
+ * missingCharge - a payment booked without a charge that succeeded
+ * orphanedCharge - a charge that succeeded without a payment booked
+ * missingRefund - a refund booked but never made, or made but not booked
+ */
+
+// How long a report may be running before it is presumed abandoned by
+// a server that went down, and may be drawn up again
+const RUNNING_STALE_AFTER_MS = 60 * 60000
+
+export const DISCREPANCY_TYPES = [
+  "amountMismatch",
+  "missingCharge",
+  "orphanedCharge",
+  "missingRefund",
+]
+
+const toCents = dollars => Math.round(parseFloat(dollars) * 100)
+
+/**
+ * @param {Object} db - the db
+ * @param {Object} period - the startTime and endTime (exclusive)
+ * @return {Promise<Array>} the payments in committed transactions
+ * made in the period, with the amount debited
+ */
+const fetchPayments = (db, { startTime, endTime }) =>
+  db.query(
+    `
+    SELECT
+      payments.id AS "paymentId",
+      payments."paymentResource",
+      "transactionItems".debit AS amount,
+      "transactionItems"."transactionId"
+    FROM payments
+      INNER JOIN "transactionItems"
+        ON "transactionItems"."itemType" = 'payment'
+        AND "transactionItems"."itemId" = payments.id
+      INNER JOIN transactions
+        ON transactions.id = "transactionItems"."transactionId"
+    WHERE transactions.committed
+      AND transactions."createdAt" >= :startTime
+      AND transactions."createdAt" < :endTime
+      AND "transactionItems".debit > 0
+    ORDER BY payments.id
+    `,
+    {
+      type: db.QueryTypes.SELECT,
+      replacements: { startTime, endTime },
+    }
+  )
+
+/**
+ * @param {Object} db - the db
+ * @param {Object} period - the startTime and endTime (exclusive)
+ * @return {Promise<Array>} the refunds in committed transactions
+ * made in the period, with the amount credited
+ */
+const fetchRefundPayments = (db, { startTime, endTime }) =>
+  db.query(
+    `
+    SELECT
+      "refundPayments".id AS "refundPaymentId",
+      "refundPayments"."paymentResource",
+      "refundPayments".data,
+      "transactionItems".credit AS amount,
+      "transactionItems"."transactionId"
+    FROM "refundPayments"
+      INNER JOIN "transactionItems"
+        ON "transactionItems"."itemType" = 'refundPayment'
+        AND "transactionItems"."itemId" = "refundPayments".id
+      INNER JOIN transactions
+        ON transactions.id = "transactionItems"."transactionId"
+    WHERE transactions.committed
+      AND transactions."createdAt" >= :startTime
+      AND transactions."createdAt" < :endTime
+      AND "transactionItems".credit > 0
+    ORDER BY "refundPayments".id
+    `,
+    {
+      type: db.QueryTypes.SELECT,
+      replacements: { startTime, endTime },
+    }
+  )
+
+/**
+ * @param {Object} db - the db
+ * @param {String} table - payments or refundPayments
+ * @param {String} itemType - payment or refundPayment
+ * @param {Array} resources - the ids of charges or refunds
+ * @return {Promise<Set>} those of the ids booked in committed
+ * transactions, at any time
+ */
+const fetchBookedResources = async (db, table, itemType, resources) => {
+  if (resources.length === 0) {
+    return new Set()
+  }
+  const rows = await db.query(
+    `
+    SELECT DISTINCT "${table}"."paymentResource"
+    FROM "${table}"
+      INNER JOIN "transactionItems"
+        ON "transactionItems"."itemType" = :itemType
+        AND "transactionItems"."itemId" = "${table}".id
+      INNER JOIN transactions
+        ON transactions.id = "transactionItems"."transactionId"
+    WHERE transactions.committed
+      AND "${table}"."paymentResource" IN (:resources)
+    `,
+    {
+      type: db.QueryTypes.SELECT,
+      replacements: { itemType, resources },
+    }
+  )
+  return new Set(rows.map(r => r.paymentResource))
+}
+
+/**
+ * Check each payment booked against its charge, and the charge
+ * against its balance transaction
+ * @param {Array} payments - as returned by fetchPayments
+ * @param {Object} chargesById - the charges already listed
+ * @return {Promise<Array>} the discrepancies found
+ */
+async function checkPayments(payments, chargesById) {
+  const discrepancies = []
+  for (const payment of payments) {
+    const booked = _.pick(payment, ["paymentId", "transactionId"])
+    const expected = parseFloat(payment.amount)
+
+    if (!payment.paymentResource) {
+      discrepancies.push({
+        type: "missingCharge",
+        ...booked,
+        expected,
+        message: `Payment ${payment.paymentId} has no charge`,
+      })
+      continue
+    }
+
+    let charge = chargesById[payment.paymentResource]
+    let balanceTransaction
+    try {
+      if (!charge) {
+        // eslint-disable-next-line no-await-in-loop
+        charge = await Payment.retrieveCharge(payment.paymentResource)
+      }
+      if (charge.balance_transaction) {
+        // eslint-disable-next-line no-await-in-loop
+        balanceTransaction = await Payment.retrieveTransaction(
+          charge.balance_transaction
+        )
+      }
+    } catch (err) {
+      discrepancies.push({
+        type: "missingCharge",
+        ...booked,
+        chargeId: payment.paymentResource,
+        expected,
+        message: `Charge ${payment.paymentResource} could not be retrieved: ${
+          err.message
+        }`,
+      })
+      continue
+    }
+
+    if (charge.status !== "succeeded") {
+      discrepancies.push({
+        type: "missingCharge",
+        ...booked,
+        chargeId: charge.id,
+        expected,
+        message: `Charge ${charge.id} has status ${charge.status}`,
+      })
+    } else if (
+      toCents(expected) !== charge.amount ||
+      (balanceTransaction && balanceTransaction.amount !== charge.amount)
+    ) {
+      discrepancies.push({
+        type: "amountMismatch",
+        ...booked,
+        chargeId: charge.id,
+        expected,
+        actual: charge.amount / 100,
+        balance: balanceTransaction ? balanceTransaction.amount / 100 : null,
+        message:
+          `Payment ${payment.paymentId} of $${expected.toFixed(2)} was ` +
+          `charged $${(charge.amount / 100).toFixed(2)}`,
+      })
+    }
+  }
+  return discrepancies
+}
+
+/**
+ * Check each refund booked against the balance transaction of the
+ * refund made. Lost disputes, which are booked as refunds, are checked
+ * against the amount of the dispute
+ * @param {Array} refundPayments - as returned by fetchRefundPayments
+ * @return {Promise<Array>} the discrepancies found
+ */
+async function checkRefundPayments(refundPayments) {
+  const discrepancies = []
+  for (const refundPayment of refundPayments) {
+    const booked = _.pick(refundPayment, ["refundPaymentId", "transactionId"])
+    const expected = parseFloat(refundPayment.amount)
+    const data = refundPayment.data || {}
+
+    if (!refundPayment.paymentResource) {
+      discrepancies.push({
+        type: "missingRefund",
+        ...booked,
+        expected,
+        message: `Refund ${
+          refundPayment.refundPaymentId
+        } was booked but never made`,
+      })
+      continue
+    }
+
+    let actual = data.amount
+    try {
+      if (data.object !== "dispute") {
+        // eslint-disable-next-line no-await-in-loop
+        const balanceTransaction = await Payment.retrieveTransaction(
+          data.balance_transaction
+        )
+        actual = -balanceTransaction.amount
+      }
+    } catch (err) {
+      discrepancies.push({
+        type: "missingRefund",
+        ...booked,
+        refundId: refundPayment.paymentResource,
+        expected,
+        message: `Refund ${
+          refundPayment.paymentResource
+        } could not be retrieved: ${err.message}`,
+      })
+      continue
+    }
+
+    if (toCents(expected) !== actual) {
+      discrepancies.push({
+        type: "amountMismatch",
+        ...booked,
+        refundId: refundPayment.paymentResource,
+        expected,
+        actual: actual / 100,
+        message:
+          `Refund ${refundPayment.refundPaymentId} of $${expected.toFixed(
+            2
+          )} ` + `was made for $${(actual / 100).toFixed(2)}`,
+      })
+    }
+  }
+  return discrepancies
+}
+
+/**
+ * Compare the payments and refunds booked in a period with the charges
+ * and refunds the provider made in it
+ * @param {Object} connection - the db
+ * @param {Object} period - the startTime and endTime (exclusive)
+ * @return {Promise<Object>} the number of payments, refunds, charges
+ * and provider refunds checked, and of discrepancies of each type, and
+ * the discrepancies
+ */
+export async function reconcilePayments({ db }, { startTime, endTime }) {
+  const period = { startTime, endTime }
+  const succeeded = items => items.filter(it => it.status === "succeeded")
+  const [
+    payments,
+    refundPayments,
+    charges,
+    providerRefunds,
+  ] = await Promise.all([
+    fetchPayments(db, period),
+    fetchRefundPayments(db, period),
+    Payment.listCharges(startTime, endTime).then(succeeded),
+    Payment.listRefunds(startTime, endTime).then(succeeded),
+  ])
+
+  const bookedCharges = await fetchBookedResources(
+    db,
+    "payments",
+    "payment",
+    charges.map(c => c.id)
+  )
+  const bookedRefunds = await fetchBookedResources(
+    db,
+    "refundPayments",
+    "refundPayment",
+    providerRefunds.map(r => r.id)
+  )
+
+  const discrepancies = [
+    ...(await checkPayments(payments, _.keyBy(charges, "id"))),
+    ...(await checkRefundPayments(refundPayments)),
+    ...charges.filter(c => !bookedCharges.has(c.id)).map(c => ({
+      type: "orphanedCharge",
+      chargeId: c.id,
+      actual: c.amount / 100,
+      refunded: c.amount_refunded / 100,
+      message:
+        `Charge ${c.id} of $${(c.amount / 100).toFixed(2)} has no payment` +
+        (c.amount_refunded
+          ? `, with $${(c.amount_refunded / 100).toFixed(2)} refunded`
+          : ""),
+    })),
+    ...providerRefunds.filter(r => !bookedRefunds.has(r.id)).map(r => ({
+      type: "missingRefund",
+      refundId: r.id,
+      chargeId: r.charge,
+      actual: r.amount / 100,
+      message: `Refund ${r.id} of $${(r.amount / 100).toFixed(2)} on charge ${
+        r.charge
+      } was not booked`,
+    })),
+  ]
+
+  const counts = _.countBy(discrepancies, "type")
+  return {
+    summary: {
+      payments: payments.length,
+      refunds: refundPayments.length,
+      charges: charges.length,
+      providerRefunds: providerRefunds.length,
+      ..._(DISCREPANCY_TYPES)
+        .map(type => [type, counts[type] || 0])
+        .fromPairs()
+        .value(),
+    },
+    discrepancies,
+  }
+}
+
+/**
+ * Draw up the reconciliation report of a period, storing it, and send
+ * its summary to the superadmins subscribed to the paymentsReconciled
+ * event
+ * @param {Object} connection - the db and models
+ * @param {Object} options - the period, by its startTime and endTime
+ * (exclusive), and whether to draw up the report again if it has been
+ * drawn up before
+ * @return {Promise<Object>} the report, or null if it has been drawn up
+ * or is being drawn up elsewhere
+ */
+export async function runReconciliation(
+  { db, models },
+  { startTime, endTime, force }
+) {
+  const report = await models.ReconciliationReport.claim(
+    startTime,
+    endTime,
+    force,
+    RUNNING_STALE_AFTER_MS
+  )
+  if (!report) {
+    return null
+  }
+
+  try {
+    const { summary, discrepancies } = await reconcilePayments(
+      { db },
+      { startTime, endTime }
+    )
+    await report.update({ status: "complete", summary, discrepancies })
+  } catch (err) {
+    await report.update({ status: "failed", error: err.message })
+    throw err
+  }
+
+  events.emit("paymentsReconciled", {
+    reportId: report.id,
+    startTime,
+    endTime,
+    summary: report.summary,
+  })
+  return report
+}
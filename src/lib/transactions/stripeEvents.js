@@ -0,0 +1,476 @@
+import _ from "lodash"
+import assert from "assert"
+
+import { TransactionBuilder } from "./builder"
+import * as Payment from "./payment"
+import * as events from "../events/events"
+
+/**
+ * Bring our ledger in line with changes made to payments in Stripe,
+ * e.g. refunds made in the Stripe dashboard, disputes raised by
+ * cardholders and payouts to companies that failed. Each event is
+ * stored and acted on only once, since Stripe may send it again
+ */
+
+// Tickets and route passes in these states may still be refunded,
+// as with refunds made through our own endpoints
+const REFUNDABLE_TICKET_STATUSES = ["valid", "void"]
+const REFUNDABLE_ROUTE_PASS_STATUSES = ["valid", "void", "expired"]
+
+/**
+ * @param {String} chargeId - the Stripe charge
+ * @param {Object} context - the models and the db transaction
+ * @return {Object} the payment made with the charge, if any
+ */
+const findPayment = (chargeId, { m, transaction }) =>
+  m.Payment.find({ where: { paymentResource: chargeId }, transaction })
+
+/**
+ * Find what a payment paid for, i.e. the tickets and route passes sold
+ * in the transaction the payment balanced, and the company paid
+ * @param {Object} payment - the payment
+ * @param {Object} context - the models and the db transaction
+ * @return {Object} the id of the transaction, the company, and the
+ * tickets and route passes sold, each with its value after discounts
+ */
+async function findItemsPaidFor(payment, { m, transaction }) {
+  const paymentItem = await m.TransactionItem.find({
+    where: { itemType: "payment", itemId: payment.id },
+    transaction,
+  })
+  assert(paymentItem, `Payment ${payment.id} is not in any transaction`)
+  const { transactionId } = paymentItem
+
+  const itemsOfType = (itemType, include) =>
+    m.TransactionItem.findAll({
+      where: { transactionId, itemType, credit: { $gt: 0 } },
+      include: [{ model: include, as: itemType }],
+      order: [["id", "ASC"]],
+      transaction,
+    })
+  const [ticketSales, routePassSales, transfers] = await Promise.all([
+    itemsOfType("ticketSale", m.Ticket),
+    itemsOfType("routePass", m.RoutePass),
+    m.TransactionItem.findAll({
+      where: { transactionId, itemType: "transfer" },
+      include: [{ model: m.Transfer, as: "transfer" }],
+      transaction,
+    }),
+  ])
+
+  const companyTransfer = transfers.find(
+    ti => ti.transfer && ti.transfer.transportCompanyId
+  )
+  const valueOf = (ti, instance) =>
+    +ti.credit - _.get(instance, "notes.discountValue", 0)
+
+  return {
+    transactionId,
+    companyId: companyTransfer && companyTransfer.transfer.transportCompanyId,
+    tickets: ticketSales.map(ti => ({
+      itemType: "ticketRefund",
+      instance: ti.ticketSale,
+      value: valueOf(ti, ti.ticketSale),
+      refundable: REFUNDABLE_TICKET_STATUSES.includes(ti.ticketSale.status),
+    })),
+    routePasses: routePassSales.map(ti => ({
+      itemType: "routePass",
+      instance: ti.routePass,
+      value: valueOf(ti, ti.routePass),
+      refundable: REFUNDABLE_ROUTE_PASS_STATUSES.includes(ti.routePass.status),
+    })),
+  }
+}
+
+/**
+ * Note an issue with the payment for tickets or route passes in their
+ * notes, replacing any earlier note about the same issue, so that
+ * operators can look into them
+ * @param {Array} items - the tickets and route passes, as returned by
+ * findItemsPaidFor
+ * @param {Object} issue - the type and Stripe id of the issue, and
+ * anything else worth noting about it
+ * @param {Object} transaction - the db transaction
+ */
+async function flagItems(items, issue, transaction) {
+  for (const { instance } of items) {
+    const notes = instance.notes || {}
+    const paymentIssues = (notes.paymentIssues || [])
+      .filter(i => i.id !== issue.id)
+      .concat([issue])
+    // eslint-disable-next-line no-await-in-loop
+    await instance.update(
+      { notes: { ...notes, paymentIssues } },
+      { transaction }
+    )
+  }
+}
+
+/**
+ * Book money that went back to a cardholder without going through our
+ * refund endpoints, i.e. refunds made in the Stripe dashboard and lost
+ * disputes. The money flows as it would for our own refunds. If it
+ * settles what is left of the payment, the tickets and route passes
+ * paid for are refunded, with the money spread over them by value.
+ * Otherwise it cannot be told which of them the money was for, so it
+ * is booked to the Unallocated Refunds account, and they are flagged
+ * for operators to sort out
+ * @param {Object} payment - the payment refunded
+ * @param {Object} refund - what was refunded
+ * @param {Array} refund.refunds - the Stripe id, data, amount and
+ * processing fee of each sum returned, in dollars
+ * @param {Boolean} refund.settlesPayment - whether nothing is left of
+ * the payment after the refunds
+ * @param {String} refund.description - of the transaction
+ * @param {String} refund.type - of the transaction
+ * @param {Object} context - the db, models, db transaction and event
+ * @return {Object} the transaction booked, the ids of the tickets and
+ * route passes refunded, and the amount not allocated to any of them
+ */
+async function bookRefundOfPayment(payment, refund, context) {
+  const { db, m, transaction, event } = context
+  const { refunds, settlesPayment, description, type } = refund
+
+  const paidFor = await findItemsPaidFor(payment, context)
+  const items = [...paidFor.tickets, ...paidFor.routePasses]
+  assert(
+    paidFor.companyId,
+    `No company was paid in txn ${paidFor.transactionId}`
+  )
+
+  let tb = new TransactionBuilder({
+    db,
+    models: m,
+    transaction,
+    dryRun: false,
+    committed: true,
+    creator: { type: "system", id: `stripe:${event.id}` },
+  })
+  tb.description = description
+
+  const amount = _.sumBy(refunds, "amount")
+  const refundedItems = settlesPayment ? items.filter(it => it.refundable) : []
+  const allocations = Payment.distribute(
+    amount,
+    refundedItems.map(it => it.value)
+  )
+
+  tb.transactionItemsByType.ticketRefund = []
+  tb.transactionItemsByType.routePass = []
+  for (const [item, allocation] of _.zip(refundedItems, allocations)) {
+    tb.transactionItemsByType[item.itemType].push({
+      itemType: item.itemType,
+      itemId: item.instance.id,
+      debit: allocation,
+      notes: { refundedTransactionId: paidFor.transactionId },
+    })
+    // eslint-disable-next-line no-await-in-loop
+    await item.instance.update({ status: "refunded" }, { transaction })
+  }
+
+  const unallocated = _.round(amount - _.sum(allocations), 2)
+  if (unallocated > 0) {
+    const unallocatedAccount = await m.Account.getByName(
+      "Unallocated Refunds",
+      { transaction }
+    )
+    tb.transactionItemsByType.account = [
+      {
+        itemType: "account",
+        itemId: unallocatedAccount.id,
+        debit: unallocated,
+        notes: { refundedTransactionId: paidFor.transactionId },
+      },
+    ]
+  }
+
+  for (const r of refunds) {
+    // eslint-disable-next-line no-await-in-loop
+    tb = await Payment.refund(tb, null, null, paidFor.companyId, {
+      amount: r.amount,
+      processingFee: r.processingFee,
+    })
+    _.assign(_.last(tb.transactionItemsByType.refundPayment).refundPayment, {
+      paymentResource: r.id,
+      data: r.data,
+    })
+  }
+
+  const [txn] = await tb.build({ type })
+
+  return {
+    transactionId: txn.id,
+    companyId: paidFor.companyId,
+    tickets: refundedItems
+      .filter(it => it.itemType === "ticketRefund")
+      .map(it => it.instance.id),
+    routePasses: refundedItems
+      .filter(it => it.itemType === "routePass")
+      .map(it => it.instance.id),
+    unallocated,
+    flagged: settlesPayment ? null : items,
+  }
+}
+
+/**
+ * Book refunds made in the Stripe dashboard. Refunds made through our
+ * own endpoints carry the key they were made with, and are booked when
+ * they are made
+ * @param {Object} charge - the charge refunded
+ * @param {Object} context - the db, models, db transaction and event,
+ * and the notifications to send once the event has been acted on
+ * @return {Object} what was done
+ */
+async function handleChargeRefunded(charge, context) {
+  const { m, transaction, notifications } = context
+  const payment = await findPayment(charge.id, context)
+  if (!payment) {
+    return { ignored: "No payment was made with this charge" }
+  }
+  await payment.update({ data: charge }, { transaction })
+
+  const refunds = _.get(charge, "refunds.data", []).filter(
+    r => r.status === "succeeded" && !_.get(r, "metadata.idempotencyKey")
+  )
+  const bookedRefunds =
+    refunds.length > 0
+      ? await m.RefundPayment.findAll({
+          where: { paymentResource: { $in: refunds.map(r => r.id) } },
+          attributes: ["paymentResource"],
+          transaction,
+        })
+      : []
+  const externalRefunds = refunds.filter(
+    r => !bookedRefunds.find(b => b.paymentResource === r.id)
+  )
+  if (externalRefunds.length === 0) {
+    return { paymentId: payment.id, refunds: [] }
+  }
+
+  const refundsWithFees = []
+  for (const r of externalRefunds) {
+    // eslint-disable-next-line no-await-in-loop
+    const balanceTransaction = await Payment.retrieveTransaction(
+      r.balance_transaction
+    )
+    refundsWithFees.push({
+      id: r.id,
+      data: r,
+      amount: r.amount / 100,
+      processingFee: -balanceTransaction.fee / 100,
+    })
+  }
+
+  const booking = await bookRefundOfPayment(
+    payment,
+    {
+      refunds: refundsWithFees,
+      settlesPayment: charge.refunded,
+      description: `Refund of charge ${charge.id} made in Stripe`,
+      type: "externalRefund",
+    },
+    context
+  )
+  if (booking.flagged) {
+    await flagItems(
+      booking.flagged,
+      { type: "refund", id: charge.id, amount: booking.unallocated },
+      transaction
+    )
+  }
+
+  notifications.push([
+    "paymentRefundedExternally",
+    {
+      transportCompanyId: booking.companyId,
+      chargeId: charge.id,
+      amount: _.sumBy(refundsWithFees, "amount"),
+      ..._.pick(booking, [
+        "transactionId",
+        "tickets",
+        "routePasses",
+        "unallocated",
+      ]),
+    },
+  ])
+
+  return {
+    paymentId: payment.id,
+    refunds: refundsWithFees.map(r => r.id),
+    ..._.omit(booking, ["flagged"]),
+  }
+}
+
+/**
+ * Flag the tickets and route passes paid for with a disputed charge,
+ * and book the money taken back if the dispute was lost
+ * @param {Object} dispute - the dispute
+ * @param {Object} context - the db, models, db transaction and event,
+ * and the notifications to send once the event has been acted on
+ * @return {Object} what was done
+ */
+async function handleDispute(dispute, context) {
+  const { transaction, event, notifications } = context
+  const payment = await findPayment(dispute.charge, context)
+  if (!payment) {
+    return { ignored: "No payment was made with the disputed charge" }
+  }
+
+  const issue = {
+    type: "dispute",
+    id: dispute.id,
+    status: dispute.status,
+    reason: dispute.reason,
+    amount: dispute.amount / 100,
+  }
+  await payment.update(
+    { options: { ...payment.options, dispute: issue } },
+    { transaction }
+  )
+
+  const paidFor = await findItemsPaidFor(payment, context)
+  await flagItems(
+    [...paidFor.tickets, ...paidFor.routePasses],
+    issue,
+    transaction
+  )
+
+  let booking = null
+  if (event.type === "charge.dispute.closed" && dispute.status === "lost") {
+    const charge = await Payment.retrieveCharge(dispute.charge)
+    booking = await bookRefundOfPayment(
+      payment,
+      {
+        refunds: [
+          {
+            id: dispute.id,
+            data: dispute,
+            amount: dispute.amount / 100,
+            // Stripe's dispute fee is charged to us, not to the company
+            processingFee: 0,
+          },
+        ],
+        settlesPayment:
+          dispute.amount >= charge.amount - charge.amount_refunded,
+        description: `Dispute ${dispute.id} of charge ${dispute.charge} lost (${
+          dispute.reason
+        })`,
+        type: "chargeback",
+      },
+      context
+    )
+  }
+
+  notifications.push([
+    event.type === "charge.dispute.created"
+      ? "paymentDisputed"
+      : "paymentDisputeClosed",
+    {
+      // Disputes of payments that no company was paid in are still
+      // reported, to those subscribed to disputes of every company
+      transportCompanyId: paidFor.companyId || null,
+      chargeId: dispute.charge,
+      disputeId: dispute.id,
+      amount: dispute.amount / 100,
+      reason: dispute.reason,
+      status: dispute.status,
+      tickets: paidFor.tickets.map(it => it.instance.id),
+      routePasses: paidFor.routePasses.map(it => it.instance.id),
+      transactionId: booking && booking.transactionId,
+    },
+  ])
+
+  return {
+    paymentId: payment.id,
+    dispute: issue,
+    transactionId: booking && booking.transactionId,
+  }
+}
+
+/**
+ * Let the company whose payout failed, and us, know about it
+ * @param {Object} payout - the payout
+ * @param {Object} context - the models, db transaction and event, and
+ * the notifications to send once the event has been acted on
+ * @return {Object} what was done
+ */
+async function handlePayoutFailed(payout, context) {
+  const { m, transaction, event, notifications } = context
+  const company =
+    event.account &&
+    (await m.TransportCompany.find({
+      where: {
+        $or: [{ clientId: event.account }, { sandboxId: event.account }],
+      },
+      attributes: ["id"],
+      transaction,
+    }))
+
+  const failure = {
+    transportCompanyId: company ? company.id : null,
+    payoutId: payout.id,
+    amount: payout.amount / 100,
+    failureCode: payout.failure_code,
+    failureMessage: payout.failure_message,
+  }
+  notifications.push(["payoutFailed", failure])
+  return failure
+}
+
+const handlers = {
+  "charge.refunded": handleChargeRefunded,
+  "charge.dispute.created": handleDispute,
+  "charge.dispute.closed": handleDispute,
+  "payout.failed": handlePayoutFailed,
+}
+
+/**
+ * Store an event sent by Stripe, and act on it if it has not been
+ * acted on before. Deliveries of the same event are acted on one at a
+ * time. If acting on an event fails, nothing is booked, so that it
+ * can be acted on afresh when Stripe sends it again
+ * @param {Object} options
+ * @param {Object} options.db - the db
+ * @param {Object} options.models - the models
+ * @param {Object} options.event - the event, with its signature verified
+ * @return {Object} what was done about the event, and whether it was
+ * a duplicate
+ */
+export async function processStripeEvent({ db, models: m, event }) {
+  await m.StripeEvent.record(event)
+
+  const notifications = []
+  const result = await db.transaction(async transaction => {
+    const stripeEvent = await m.StripeEvent.find({
+      where: { eventId: event.id },
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    })
+    if (stripeEvent.processedAt) {
+      return { ...stripeEvent.result, duplicate: true }
+    }
+
+    const handler = handlers[event.type]
+    const result = handler
+      ? await handler(event.data.object, {
+          db,
+          m,
+          transaction,
+          event,
+          notifications,
+        })
+      : { ignored: `Events of type ${event.type} are not acted on` }
+
+    await stripeEvent.update(
+      { processedAt: new Date(), result },
+      { transaction }
+    )
+    return result
+  })
+
+  for (const [name, data] of notifications) {
+    events.emit(name, data)
+  }
+
+  return { eventId: event.id, type: event.type, duplicate: false, ...result }
+}
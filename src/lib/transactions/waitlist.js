@@ -0,0 +1,252 @@
+import _ from "lodash"
+import * as events from "../events/events"
+import * as sms from "../util/sms"
+import { ChargeError, TransactionError } from "../util/errors"
+import {
+  prepareTicketSale,
+  chargeSale,
+  bookingWindowCutoff,
+  checkValidTripStop,
+} from "./index"
+
+/*
+  The waitlists being served, keyed by trip id, so that seats freed up
+  on a trip are offered to one waitlist entry at a time. Other servers
+  may be serving the same waitlist, so each entry is also claimed in
+  the database before it is booked
+*/
+const servingTrips = {}
+
+/**
+ * Determine when a waitlist entry for a trip lapses, namely the
+ * time after which the trip may no longer be booked
+ * @param {Object} trip - the trip, with its tripStops
+ * @param {Object} entry - the boardStopId and alightStopId of the entry
+ * @return {Date} the booking window cutoff for the entry
+ */
+export function waitlistCutoff(trip, { boardStopId, alightStopId }) {
+  checkValidTripStop(trip, { boardStopId, alightStopId })
+  return new Date(
+    bookingWindowCutoff(
+      trip,
+      trip.tripStops.findIndex(ts => ts.id === boardStopId),
+      trip.tripStops.findIndex(ts => ts.id === alightStopId)
+    )
+  )
+}
+
+/**
+ * Let a user know that their waitlist entry has been served
+ * @param {Object} user - the user on the waitlist
+ * @param {Object} trip - the trip booked, with its route
+ * @param {Object} boardStop - the trip stop booked, with its stop
+ */
+async function notifyBooked(user, trip, boardStop) {
+  const time = boardStop.time.toLocaleTimeString("en-SG", {
+    timeZone: "Asia/Singapore",
+    hour: "2-digit",
+    minute: "2-digit",
+  })
+  const message =
+    `A seat has freed up on ${trip.route.label}. ` +
+    `You have been booked to board at ${boardStop.stop.description}, ${time}`
+
+  try {
+    if (user.canSendNotification()) {
+      await user.sendNotification({ title: "Booked from waitlist", message })
+    } else if (user.telephone) {
+      await sms.sendSMS({ to: user.telephone, body: message })
+    }
+  } catch (err) {
+    console.error(err)
+  }
+}
+
+/**
+ * Book a ticket for a waitlist entry, charging the user's saved card
+ * for whatever is not covered by their route passes
+ * @param {Object} connection - the Sequelize models and db
+ * @param {Object} entry - the waitlist entry
+ * @return {Object} the committed transaction
+ */
+async function bookFromWaitlist({ db, models }, entry) {
+  const user = await models.User.findById(entry.userId)
+  const paymentInfo = user.savedPaymentInfo
+
+  ChargeError.assert(
+    paymentInfo && paymentInfo.default_source,
+    "You need to provide payment information."
+  )
+
+  const [dbTxn, undoFn] = await prepareTicketSale([db, models], {
+    trips: [_.pick(entry, ["tripId", "boardStopId", "alightStopId", "userId"])],
+    applyRoutePass: entry.applyRoutePass,
+    committed: true,
+    convertToJson: false,
+    creator: { type: "system" },
+  })
+
+  try {
+    await chargeSale({
+      db,
+      models,
+      transaction: dbTxn,
+      tokenIat: `waitlist-${entry.id}`,
+      // One charge per entry, whichever server books it
+      idempotencyKey: `waitlistEntryId=${entry.id}`,
+      paymentDescription: `[Txn #${dbTxn.id}] ` + dbTxn.description,
+      customerId: paymentInfo.id,
+      sourceId: paymentInfo.default_source,
+    })
+  } catch (err) {
+    if (err instanceof ChargeError) {
+      try {
+        await undoFn()
+      } catch (err2) {
+        events.emit("transactionFailure", {
+          message: `!!! ERROR UNDOING ${dbTxn.id} with ${err2.message}`,
+          userId: entry.userId,
+        })
+        console.error(err2)
+      }
+    }
+    throw err
+  }
+
+  return dbTxn
+}
+
+/**
+ * Offer the seats available on a trip to its waitlist, in the order
+ * the entries were made. Entries past the booking window are expired,
+ * and entries that cannot be booked, e.g. because the card was declined,
+ * are marked as failed and passed over
+ * @param {Object} connection - the Sequelize models and db
+ * @param {Number} tripId - the trip whose waitlist is to be served
+ * @param {Number} now - the current time, in milliseconds since epoch
+ * @return {Promise<Array>} the waitlist entries that were booked
+ */
+export function serveWaitlist(connection, tripId, now = Date.now()) {
+  const previous = servingTrips[tripId] || Promise.resolve()
+  const serving = previous
+    .catch(() => {})
+    .then(() => serveWaitlistNow(connection, tripId, now))
+
+  servingTrips[tripId] = serving
+  const cleanUp = () => {
+    if (servingTrips[tripId] === serving) {
+      delete servingTrips[tripId]
+    }
+  }
+  serving.then(cleanUp, cleanUp)
+
+  return serving
+}
+
+/**
+ * Serve the waitlist of a trip without waiting for this server to finish
+ * serving it, as another server would
+ * @param {Object} connection - the Sequelize models and db
+ * @param {Number} tripId - the trip whose waitlist is to be served
+ * @param {Number} now - the current time, in milliseconds since epoch
+ * @return {Promise<Array>} the waitlist entries that were booked
+ */
+export async function serveWaitlistNow({ db, models }, tripId, now) {
+  const booked = []
+  const entries = await models.WaitlistEntry.findAll({
+    where: { tripId, status: "waiting" },
+    order: [["createdAt"], ["id"]],
+  })
+
+  for (const entry of entries) {
+    const trip = await models.Trip.findById(tripId, {
+      include: [
+        { model: models.TripStop, include: [models.Stop] },
+        { model: models.Route, attributes: { exclude: ["path", "features"] } },
+      ],
+    })
+
+    if (!trip.isRunning) {
+      break
+    }
+    if (entry.expiresAt.getTime() <= now) {
+      await entry.update({ status: "expired" })
+      continue
+    }
+    if (trip.seatsAvailable <= 0) {
+      break
+    }
+
+    // Skip entries that another server is booking, or has booked
+    const claimed = await models.WaitlistEntry.claimForBooking(entry.id)
+    if (!claimed) {
+      continue
+    }
+
+    let dbTxn
+    try {
+      dbTxn = await bookFromWaitlist({ db, models }, claimed)
+    } catch (err) {
+      if (!(err instanceof ChargeError || err instanceof TransactionError)) {
+        console.error(err)
+      }
+      await claimed.update({
+        status: "failed",
+        notes: _.assign({}, claimed.notes, { error: err.message }),
+      })
+      continue
+    }
+
+    const ticketItem = _.find(dbTxn.transactionItems, {
+      itemType: "ticketSale",
+    })
+    await claimed.update({
+      status: "booked",
+      ticketId: ticketItem.itemId,
+      transactionId: dbTxn.id,
+    })
+    booked.push(claimed)
+
+    const ticket = await models.Ticket.findById(ticketItem.itemId, {
+      include: [
+        { model: models.TripStop, as: "boardStop", include: [models.Stop] },
+        { model: models.TripStop, as: "alightStop" },
+      ],
+    })
+    events.emit("newBooking", { trip, ticket })
+    await notifyBooked(
+      await models.User.findById(claimed.userId),
+      trip,
+      ticket.boardStop
+    )
+  }
+
+  return booked
+}
+
+/**
+ * Serve the waitlist of a trip once the database transaction that
+ * freed up its seats has been committed, or right away if there is
+ * no such transaction
+ * @param {Object} connection - the Sequelize models and db
+ * @param {Number} tripId - the trip whose waitlist is to be served
+ * @param {Object} transaction - the database transaction, if any
+ */
+export function serveWaitlistAfterCommit(connection, tripId, transaction) {
+  const serve = () =>
+    serveWaitlist(connection, tripId).catch(err => console.error(err))
+
+  if (!transaction) {
+    setImmediate(serve)
+    return
+  }
+
+  // Sequelize 3 has no afterCommit hook, so chain onto the commit itself
+  const commit = transaction.commit
+  transaction.commit = function(...args) {
+    return commit.apply(this, args).then(result => {
+      setImmediate(serve)
+      return result
+    })
+  }
+}
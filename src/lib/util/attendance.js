@@ -0,0 +1,36 @@
+const _ = require("lodash")
+
+/**
+ * Records on a ticket that its passenger has boarded. Boarding is only
+ * recorded once, so that the time of the first scan or check-in is kept
+ * @param {Object} ticket - the ticket instance
+ * @param {Object} boarding - how the boarding was recorded, namely the
+ * method ("boardingPass" or "checkIn"), driverId, vehicleId or adminId
+ * @param {Object} options - passed on to the update, e.g. the transaction
+ * @return {Promise<Boolean>} true if the passenger had already boarded
+ */
+export async function recordBoarding(ticket, boarding, options = {}) {
+  if (_.has(ticket.notes, "boarding")) {
+    return true
+  }
+  await ticket.update(
+    {
+      notes: _.assign({}, ticket.notes, {
+        boarding: _.assign({ time: new Date() }, boarding),
+      }),
+    },
+    options
+  )
+  return false
+}
+
+/**
+ * Removes the boarding record of a ticket, e.g. if the passenger was
+ * checked in by mistake
+ * @param {Object} ticket - the ticket instance
+ * @param {Object} options - passed on to the update, e.g. the transaction
+ * @return {Promise} the updated ticket
+ */
+export function clearBoarding(ticket, options = {}) {
+  return ticket.update({ notes: _.omit(ticket.notes, "boarding") }, options)
+}
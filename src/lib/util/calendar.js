@@ -0,0 +1,139 @@
+const _ = require("lodash")
+const moment = require("moment-timezone")
+
+const TIMEZONE = "Asia/Singapore"
+
+/**
+ * Escapes a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} value - the text
+ * @return {string} the escaped text
+ */
+const escapeText = value =>
+  String(value === null || value === undefined ? "" : value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n")
+
+/**
+ * Folds a content line so that no line is longer than 75 octets
+ * (RFC 5545 section 3.1), taking care not to split UTF-8 characters
+ * @param {string} line - the content line
+ * @return {string} the folded line
+ */
+const foldLine = line => {
+  const parts = []
+  let part = ""
+  let octets = 0
+  for (const c of line) {
+    const size = Buffer.byteLength(c)
+    // Continuation lines start with a space, which counts towards the limit
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(part)
+      part = ""
+      octets = 0
+    }
+    part += c
+    octets += size
+  }
+  parts.push(part)
+  return parts.join("\r\n ")
+}
+
+const formatTime = time =>
+  moment(time)
+    .utc()
+    .format("YYYYMMDD[T]HHmmss[Z]")
+
+const sgtTime = time =>
+  moment(time)
+    .tz(TIMEZONE)
+    .format("h:mm A")
+
+const stopName = tripStop =>
+  _.get(tripStop, "stop.description") || _.get(tripStop, "stop.road") || ""
+
+/**
+ * A ticket is cancelled if it has been refunded or voided,
+ * or if its trip was cancelled
+ * @param {Object} ticket - the ticket, with its board stop and trip
+ * @return {boolean} true if the ticket's trip will not take place for
+ * this commuter
+ */
+export function isCancelled(ticket) {
+  return ticket.status !== "valid" || !ticket.boardStop.trip.isRunning
+}
+
+/**
+ * Describes a ticket as a VEVENT. The event runs from boarding to
+ * alighting, and is cancelled along with the ticket
+ * @param {Object} ticket - a ticket as returned by GET /tickets, i.e. with
+ * its board and alight stops, and the trip and route
+ * @param {Date} now - the time the calendar is generated
+ * @return {Array} the content lines of the event
+ */
+const ticketToEvent = (ticket, now) => {
+  const { boardStop, alightStop } = ticket
+  const { trip } = boardStop
+  const route = trip.route
+  const cancelled = isCancelled(ticket)
+  const [lng, lat] = _.get(boardStop, "stop.coordinates.coordinates", [])
+
+  const description = [
+    `${route.label}: ${route.name || `${route.from} to ${route.to}`}`,
+    `Board at ${stopName(boardStop)}, ${sgtTime(boardStop.time)}`,
+    alightStop &&
+      `Alight at ${stopName(alightStop)}, ${sgtTime(alightStop.time)}`,
+    cancelled && "This trip has been cancelled",
+  ]
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:ticket-${ticket.id}@beeline.sg`,
+    `DTSTAMP:${formatTime(now)}`,
+    `LAST-MODIFIED:${formatTime(ticket.updatedAt || now)}`,
+    `DTSTART:${formatTime(boardStop.time)}`,
+    `DTEND:${formatTime(alightStop ? alightStop.time : boardStop.time)}`,
+    // Calendar apps only take in changes to events with a higher sequence
+    `SEQUENCE:${cancelled ? 1 : 0}`,
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    `SUMMARY:${escapeText(
+      `${cancelled ? "Cancelled: " : ""}Beeline ${route.label} to ` +
+        stopName(alightStop)
+    )}`,
+    `LOCATION:${escapeText(stopName(boardStop))}`,
+    isFinite(lat) && isFinite(lng) && `GEO:${lat};${lng}`,
+    `DESCRIPTION:${escapeText(_.compact(description).join("\n"))}`,
+    "END:VEVENT",
+  ]
+}
+
+/**
+ * Describes a commuter's tickets as an iCalendar file, to be subscribed
+ * to from a calendar app
+ * @param {Array} tickets - tickets as returned by GET /tickets
+ * @param {Object} options - the calendar `name`, and `now`, the time the
+ * calendar is generated
+ * @return {string} the iCalendar file
+ */
+export function ticketsToICS(tickets, options = {}) {
+  const { name = "Beeline", now = new Date() } = options
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Beeline//Beeline Tickets//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+    ..._.flatMap(tickets, ticket => ticketToEvent(ticket, now)),
+    "END:VCALENDAR",
+  ]
+  return (
+    _.compact(lines)
+      .map(foldLine)
+      .join("\r\n") + "\r\n"
+  )
+}
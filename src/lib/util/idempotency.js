@@ -0,0 +1,224 @@
+const Boom = require("boom")
+const Joi = require("joi")
+const crypto = require("crypto")
+const _ = require("lodash")
+
+const { getModels, defaultErrorHandler } = require("./common")
+const { InvalidArgumentError } = require("./errors")
+
+// How long a retry waits for the request it repeats to be responded to
+const WAIT_FOR_RESPONSE_MS = 30000
+const POLL_INTERVAL_MS = 250
+// How long before a request that never got a response may be retried
+const STALE_AFTER_MS = 5 * 60000
+// How often a request renews its claim on its key while it is processed,
+// so that the claim only goes stale if the server handling it goes down
+const HEARTBEAT_MS = 60000
+
+/**
+ * Serialize a value to JSON with the keys of its objects sorted, so
+ * that equal payloads serialize the same way
+ * @param {*} value - the value to serialize
+ * @return {String} the JSON
+ */
+const canonicalJSON = value =>
+  _.isArray(value)
+    ? `[${value.map(canonicalJSON).join(",")}]`
+    : _.isPlainObject(value)
+      ? `{${_(value)
+          .keys()
+          .sort()
+          .filter(k => value[k] !== undefined)
+          .map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`)
+          .join(",")}}`
+      : JSON.stringify(value)
+
+/**
+ * @param {Object} request - a HAPI request
+ * @return {String} a hash of the method, path and payload of the request
+ */
+const hashRequest = request =>
+  crypto
+    .createHash("sha256")
+    .update(
+      canonicalJSON({
+        method: request.method,
+        path: request.path,
+        payload: request.payload,
+      })
+    )
+    .digest("hex")
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Claim the Idempotency-Key sent with a request, or, if a request with
+ * the same key has been made before, wait for it to be responded to and
+ * reply with the same response
+ * @param {Object} request - a HAPI request
+ * @param {Function} reply - the HAPI reply interface
+ * @return {Promise} resolves once the request is replied to or continues
+ */
+const claimIdempotencyKey = async (request, reply) => {
+  const key = request.headers["idempotency-key"]
+  const userId = _.get(request.auth.credentials, "userId")
+  if (!key || !userId) {
+    return reply.continue()
+  }
+
+  try {
+    const m = getModels(request)
+    const requestHash = hashRequest(request)
+    const waitUntil = Date.now() + WAIT_FOR_RESPONSE_MS
+
+    do {
+      // eslint-disable-next-line no-await-in-loop
+      const [idempotencyKey, claimed] = await m.IdempotencyKey.claim(
+        userId,
+        key,
+        requestHash,
+        STALE_AFTER_MS
+      )
+      if (claimed) {
+        request.app.idempotencyKey = idempotencyKey
+        request.app.idempotencyHeartbeat = setInterval(
+          () =>
+            m.IdempotencyKey.update(
+              { updatedAt: new Date() },
+              { where: { id: idempotencyKey.id, statusCode: null } }
+            ).catch(err => console.error(err.stack)),
+          HEARTBEAT_MS
+        )
+        return reply.continue()
+      }
+
+      InvalidArgumentError.assert(
+        idempotencyKey.requestHash === requestHash,
+        "This Idempotency-Key has already been used for a different request"
+      )
+
+      if (idempotencyKey.statusCode !== null) {
+        return reply(idempotencyKey.response)
+          .code(idempotencyKey.statusCode)
+          .header("Idempotent-Replayed", "true")
+          .takeover()
+      }
+
+      await sleep(POLL_INTERVAL_MS) // eslint-disable-line no-await-in-loop
+    } while (Date.now() < waitUntil)
+
+    return reply(
+      Boom.conflict(
+        "A request with this Idempotency-Key is still being processed"
+      )
+    )
+  } catch (err) {
+    defaultErrorHandler(reply)(err)
+  }
+}
+
+/**
+ * Store the response to a request that claimed an Idempotency-Key, to
+ * be replayed to retries. Keys of requests that failed on our side
+ * before building a transaction are released instead, so that the
+ * request can be retried afresh. Those that failed later stay claimed,
+ * as the payment provider may have been charged, until they are stale
+ * and a retry takes over the transaction
+ * @param {Object} request - a HAPI request
+ * @param {Function} reply - the HAPI reply interface
+ * @return {Promise} resolves once the response may be sent
+ */
+const storeIdempotentResponse = async (request, reply) => {
+  const idempotencyKey = request.app.idempotencyKey
+  if (!idempotencyKey) {
+    return reply.continue()
+  }
+  clearInterval(request.app.idempotencyHeartbeat)
+
+  try {
+    const response = request.response
+    const [statusCode, payload] = response.isBoom
+      ? [response.output.statusCode, response.output.payload]
+      : [response.statusCode, response.source]
+
+    if (statusCode >= 500) {
+      if (idempotencyKey.transactionId === null) {
+        await idempotencyKey.destroy()
+      }
+    } else {
+      await idempotencyKey.update({
+        statusCode,
+        response: JSON.parse(JSON.stringify(payload)),
+      })
+    }
+  } catch (err) {
+    console.error(err.stack)
+  }
+  return reply.continue()
+}
+
+/**
+ * Route configuration that makes a POST endpoint safe to retry. Clients
+ * may send an Idempotency-Key header, unique to each attempt to make a
+ * change, e.g. a purchase. The first request with a key is processed as
+ * usual, while retries with the same key and payload get the response to
+ * the first request replayed, waiting for it if need be. Retries with the
+ * same key but a different payload are rejected. Keys are kept per user
+ * @example
+ *   server.route({
+ *     method: "POST",
+ *     path: "/transactions/tickets/payment",
+ *     config: {
+ *       ...idempotentRequests,
+ *       validate: { ... },
+ *     },
+ *     handler: ...
+ *   })
+ */
+export const idempotentRequests = {
+  ext: {
+    onPreHandler: { method: claimIdempotencyKey },
+    onPreResponse: { method: storeIdempotentResponse },
+  },
+}
+
+export const idempotencyKeyHeaders = Joi.object({
+  "idempotency-key": Joi.string()
+    .max(255)
+    .description(
+      "A key unique to each attempt, e.g. a UUID, with which to retry safely"
+    ),
+}).unknown()
+
+/**
+ * @param {Object} request - a HAPI request
+ * @return {String} the key to pass on to the payment provider, so that
+ * retries of a request do not charge twice, or undefined if the request
+ * has no Idempotency-Key
+ */
+export const providerIdempotencyKey = request =>
+  request.app.idempotencyKey
+    ? `user=${request.app.idempotencyKey.userId},` +
+      `key=${request.app.idempotencyKey.key}`
+    : undefined
+
+/**
+ * Record the transaction built for a request with an Idempotency-Key,
+ * before the payment provider is charged for it, so that retries of
+ * the request take it over instead of building one of their own
+ * @param {Object} request - a HAPI request
+ * @param {Number} transactionId - the transaction
+ */
+export const recordIdempotentTransaction = async (request, transactionId) => {
+  if (request.app.idempotencyKey) {
+    await request.app.idempotencyKey.update({ transactionId })
+  }
+}
+
+/**
+ * @param {Object} request - a HAPI request
+ * @return {Number} the transaction built by an earlier attempt at the
+ * request, that was cut short before it was responded to, or null
+ */
+export const idempotentTransactionId = request =>
+  _.get(request.app.idempotencyKey, "transactionId", null)
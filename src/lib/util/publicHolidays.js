@@ -0,0 +1,44 @@
+const _ = require("lodash")
+const ical = require("node-ical")
+
+const DAY = 1000 * 60 * 60 * 24
+
+/**
+ * Expands the events in an iCalendar file into one entry per day
+ * @param {string} icsData - the contents of the iCalendar file
+ * @return {Array} the public holidays, as objects with the date
+ * (midnight UTC) and summary of each holiday
+ */
+export function parsePublicHolidays(icsData) {
+  return _(ical.parseICS(icsData))
+    .values()
+    .flatMap(({ start, end, summary }) => {
+      const holidays = []
+      const endTime = Date.UTC(end.getFullYear(), end.getMonth(), end.getDate())
+
+      let startTime = Date.UTC(
+        start.getFullYear(),
+        start.getMonth(),
+        start.getDate()
+      )
+      while (startTime < endTime) {
+        let holidayDate = new Date(startTime)
+        holidays.push({ date: holidayDate, summary: summary })
+        startTime = startTime + DAY
+      }
+      return holidays
+    })
+    .value()
+}
+
+/**
+ * Looks up the public holidays stored in the PublicHoliday asset
+ * @param {Object} models - the Sequelize models
+ * @param {Object} options - passed on to the query, e.g. the transaction
+ * @return {Promise<Array>} the public holidays, or an empty array
+ * if the asset has not been uploaded
+ */
+export async function findPublicHolidays(models, options = {}) {
+  const asset = await models.Asset.findById("PublicHoliday", options)
+  return asset ? parsePublicHolidays(asset.data) : []
+}
@@ -0,0 +1,225 @@
+const _ = require("lodash")
+const polyline = require("polyline")
+const togeojson = require("@mapbox/togeojson")
+const { DOMParser } = require("xmldom")
+
+const { InvalidArgumentError } = require("./errors")
+
+/**
+ * Normalises the path of a route into a list of points. Paths are
+ * encoded polylines, or arrays of {lat, lng} for older routes
+ * @param {Array|string} path - the path of a route
+ * @return {Array} [lat, lng] pairs
+ */
+export function pathPoints(path) {
+  if (typeof path === "string") {
+    return polyline.decode(path)
+  }
+  return (Array.isArray(path) ? path : [])
+    .filter(p => p && isFinite(p.lat) && isFinite(p.lng))
+    .map(p => [+p.lat, +p.lng])
+}
+
+/**
+ * Encodes the path of a route as a polyline, the form in which paths
+ * are stored
+ * @param {Array|string} path - the path of a route, in any form that
+ * pathPoints reads
+ * @return {string} the path, as an encoded polyline
+ */
+export function encodePath(path) {
+  return polyline.encode(pathPoints(path))
+}
+
+/**
+ * Reads a KML document into GeoJSON
+ * @param {string} text - the KML document
+ * @return {Object} a GeoJSON FeatureCollection
+ */
+const kmlToGeoJSON = text => {
+  const errors = []
+  const dom = new DOMParser({
+    errorHandler: {
+      error: e => errors.push(e),
+      fatalError: e => errors.push(e),
+    },
+  }).parseFromString(text, "text/xml")
+  InvalidArgumentError.assert(
+    errors.length === 0 && dom && dom.documentElement,
+    `The KML file could not be read: ${errors.join(", ")}`
+  )
+  return togeojson.kml(dom)
+}
+
+/**
+ * Collects the lines in a GeoJSON object, in the order they appear
+ * @param {Object} geojson - a GeoJSON object
+ * @return {Array} the lines, as arrays of [lng, lat] positions
+ */
+const linesIn = geojson => {
+  if (!geojson || typeof geojson !== "object") {
+    return []
+  }
+  switch (geojson.type) {
+    case "FeatureCollection":
+      return _.flatMap(geojson.features, linesIn)
+    case "Feature":
+      return linesIn(geojson.geometry)
+    case "GeometryCollection":
+      return _.flatMap(geojson.geometries, linesIn)
+    case "LineString":
+      return [geojson.coordinates]
+    case "MultiLineString":
+      return geojson.coordinates
+    default:
+      return []
+  }
+}
+
+/**
+ * Reads the path of a route from a KML or GeoJSON file, such as those
+ * exported by Google My Maps or QGIS. The lines in the file are joined
+ * up, in order, into one path
+ * @param {Buffer|string} file - the contents of the file
+ * @return {string} the path, as an encoded polyline
+ */
+export function parsePathFile(file) {
+  const text = file.toString("utf8").trim()
+
+  let geojson
+  if (text.startsWith("<")) {
+    geojson = kmlToGeoJSON(text)
+  } else {
+    try {
+      geojson = JSON.parse(text)
+    } catch (err) {
+      throw new InvalidArgumentError(
+        "The file is neither a KML nor a GeoJSON file"
+      )
+    }
+  }
+
+  const points = _.flatten(linesIn(geojson))
+  InvalidArgumentError.assert(
+    points.length >= 2,
+    "The file has no line with at least two points"
+  )
+  for (const point of points) {
+    const [lng, lat] = point || []
+    InvalidArgumentError.assert(
+      typeof lat === "number" &&
+        typeof lng === "number" &&
+        Math.abs(lat) <= 90 &&
+        Math.abs(lng) <= 180,
+      `${JSON.stringify(point)} is not a longitude and latitude`
+    )
+  }
+
+  // Drop repeated points where the lines were joined up
+  const latLngs = points
+    .map(([lng, lat]) => [lat, lng])
+    .filter((p, i, all) => i === 0 || !_.isEqual(p, all[i - 1]))
+  return polyline.encode(latLngs)
+}
+
+/**
+ * Describes a route's path and stops as GeoJSON
+ * @param {Object} route - the route
+ * @param {Array} stops - the stops of the route, in order
+ * @return {Object} a GeoJSON FeatureCollection
+ */
+export function routeToGeoJSON(route, stops) {
+  const features = stops.map((stop, i) => ({
+    type: "Feature",
+    geometry: stop.coordinates,
+    properties: {
+      stopId: stop.id,
+      name: stop.description,
+      road: stop.road,
+      label: stop.label,
+      sequence: i + 1,
+    },
+  }))
+
+  const points = pathPoints(route.path)
+  if (points.length > 0) {
+    features.unshift({
+      type: "Feature",
+      geometry: {
+        type: "LineString",
+        coordinates: points.map(([lat, lng]) => [lng, lat]),
+      },
+      properties: {
+        routeId: route.id,
+        label: route.label,
+        name: route.name,
+      },
+    })
+  }
+
+  return { type: "FeatureCollection", features }
+}
+
+const XML_ENTITIES = {
+  "<": "&lt;",
+  ">": "&gt;",
+  "&": "&amp;",
+  "'": "&apos;",
+  '"': "&quot;",
+}
+
+const escapeXML = value =>
+  String(value === null || value === undefined ? "" : value).replace(
+    /[<>&'"]/g,
+    c => XML_ENTITIES[c]
+  )
+
+const placemark = (name, description, geometry) =>
+  [
+    "    <Placemark>",
+    `      <name>${escapeXML(name)}</name>`,
+    `      <description>${escapeXML(description)}</description>`,
+    `      ${geometry}`,
+    "    </Placemark>",
+  ].join("\n")
+
+/**
+ * Describes a route's path and stops as a KML document, which Google
+ * My Maps and QGIS can open
+ * @param {Object} route - the route
+ * @param {Array} stops - the stops of the route, in order
+ * @return {string} the KML document
+ */
+export function routeToKML(route, stops) {
+  const placemarks = stops.map(stop => {
+    const coordinates = stop.coordinates.coordinates.join(",")
+    return placemark(
+      stop.description,
+      stop.road,
+      `<Point><coordinates>${coordinates}</coordinates></Point>`
+    )
+  })
+
+  const points = pathPoints(route.path)
+  if (points.length > 0) {
+    const coordinates = points.map(([lat, lng]) => `${lng},${lat}`).join(" ")
+    placemarks.unshift(
+      placemark(
+        route.label,
+        route.name,
+        `<LineString><coordinates>${coordinates}</coordinates></LineString>`
+      )
+    )
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    `    <name>${escapeXML(route.label)} ${escapeXML(route.name)}</name>`,
+    ...placemarks,
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n")
+}
@@ -0,0 +1,197 @@
+const zlib = require("zlib")
+
+const CRC_TABLE = Array.from({ length: 256 }, (v, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+/**
+ * @param {Buffer} buffer
+ * @return {Number} the CRC-32 checksum of the buffer, as used in zip files
+ */
+export function crc32(buffer) {
+  let crc = 0xffffffff
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * @param {Date} date
+ * @return {Array} the time and date of the date, in MS-DOS format
+ */
+const dosDateTime = date => [
+  (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+]
+
+/**
+ * Packs files into a zip archive, deflating each file
+ * @param {Array} files - the files to pack, as objects with the
+ * name and data (a string or Buffer) of each file
+ * @param {Date} date - the modification time to give the files
+ * @return {Buffer} the zip archive
+ */
+export function createZip(files, date = new Date()) {
+  const [time, day] = dosDateTime(date)
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  for (const { name, data } of files) {
+    const nameBuffer = Buffer.from(name, "utf8")
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data, "utf8")
+    const compressed = zlib.deflateRawSync(content)
+    const checksum = crc32(content)
+
+    const header = Buffer.alloc(30)
+    header.writeUInt32LE(0x04034b50, 0)
+    header.writeUInt16LE(20, 4) // version needed to extract
+    header.writeUInt16LE(0x0800, 6) // names are UTF-8
+    header.writeUInt16LE(8, 8) // deflate
+    header.writeUInt16LE(time, 10)
+    header.writeUInt16LE(day, 12)
+    header.writeUInt32LE(checksum, 14)
+    header.writeUInt32LE(compressed.length, 18)
+    header.writeUInt32LE(content.length, 22)
+    header.writeUInt16LE(nameBuffer.length, 26)
+    header.writeUInt16LE(0, 28)
+
+    const entry = Buffer.alloc(46)
+    entry.writeUInt32LE(0x02014b50, 0)
+    entry.writeUInt16LE(20, 4) // version made by
+    entry.writeUInt16LE(20, 6)
+    entry.writeUInt16LE(0x0800, 8)
+    entry.writeUInt16LE(8, 10)
+    entry.writeUInt16LE(time, 12)
+    entry.writeUInt16LE(day, 14)
+    entry.writeUInt32LE(checksum, 16)
+    entry.writeUInt32LE(compressed.length, 20)
+    entry.writeUInt32LE(content.length, 24)
+    entry.writeUInt16LE(nameBuffer.length, 28)
+    entry.writeUInt32LE(offset, 42)
+
+    localParts.push(header, nameBuffer, compressed)
+    centralParts.push(entry, nameBuffer)
+    offset += header.length + nameBuffer.length + compressed.length
+  }
+
+  const central = Buffer.concat(centralParts)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(files.length, 8)
+  end.writeUInt16LE(files.length, 10)
+  end.writeUInt32LE(central.length, 12)
+  end.writeUInt32LE(offset, 16)
+
+  return Buffer.concat([...localParts, central, end])
+}
+
+// The most that readZip will unpack from an archive, in bytes
+export const MAX_UNZIPPED_SIZE = 200e6
+
+/**
+ * Inflates raw deflated data, giving up as soon as it inflates to more
+ * than the given number of bytes, so that zip bombs are not unpacked
+ * into memory
+ * @param {Buffer} data - the deflated data
+ * @param {Number} limit - the most bytes to inflate to
+ * @return {Promise<Buffer>} the inflated data
+ */
+const inflateRaw = (data, limit) =>
+  new Promise((resolve, reject) => {
+    const chunks = []
+    let length = 0
+    const inflate = zlib.createInflateRaw()
+    inflate.on("data", chunk => {
+      length += chunk.length
+      if (length > limit) {
+        inflate.destroy()
+        reject(new Error("A file in the zip is larger than it claims to be"))
+      } else {
+        chunks.push(chunk)
+      }
+    })
+    inflate.on("error", reject)
+    inflate.on("end", () => resolve(Buffer.concat(chunks)))
+    inflate.end(data)
+  })
+
+/**
+ * Unpacks the files in a zip archive created with stored or deflated
+ * entries, such as those made by createZip. Zip64 archives, and those
+ * that unpack to more than maxSize bytes, are refused
+ * @param {Buffer} buffer - the zip archive
+ * @param {Number} maxSize - the most bytes to unpack
+ * @return {Promise<Object>} the contents of each file, as Buffers keyed
+ * by name
+ */
+export async function readZip(buffer, maxSize = MAX_UNZIPPED_SIZE) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]))
+  if (endOffset < 0) {
+    throw new Error("Not a zip file")
+  }
+  const count = buffer.readUInt16LE(endOffset + 10)
+  let offset = buffer.readUInt32LE(endOffset + 16)
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new Error("Zip64 archives are not supported")
+  }
+
+  const files = {}
+  let totalSize = 0
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error("Corrupt zip file")
+    }
+    const method = buffer.readUInt16LE(offset + 10)
+    const compressedSize = buffer.readUInt32LE(offset + 20)
+    const size = buffer.readUInt32LE(offset + 24)
+    const nameLength = buffer.readUInt16LE(offset + 28)
+    const extraLength = buffer.readUInt16LE(offset + 30)
+    const commentLength = buffer.readUInt16LE(offset + 32)
+    const localOffset = buffer.readUInt32LE(offset + 42)
+    const name = buffer
+      .slice(offset + 46, offset + 46 + nameLength)
+      .toString("utf8")
+
+    if (
+      compressedSize === 0xffffffff ||
+      size === 0xffffffff ||
+      localOffset === 0xffffffff
+    ) {
+      throw new Error("Zip64 archives are not supported")
+    }
+    totalSize += size
+    if (totalSize > maxSize) {
+      throw new Error(`The zip unpacks to more than ${maxSize} bytes`)
+    }
+
+    const dataOffset =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28)
+    const data = buffer.slice(dataOffset, dataOffset + compressedSize)
+
+    if (method === 0) {
+      files[name] = data
+    } else if (method === 8) {
+      files[name] = await inflateRaw(data, size)
+    } else {
+      throw new Error(`Unsupported compression method in ${name}`)
+    }
+    if (files[name].length !== size) {
+      throw new Error(`${name} is not the size the zip claims it is`)
+    }
+    offset += 46 + nameLength + extraLength + commentLength
+  }
+  return files
+}
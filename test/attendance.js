@@ -0,0 +1,199 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const server = require("../src/index.js")
+
+const {db, models: m} = require("../src/lib/core/dbschema")()
+const {resetTripInstances, loginAs} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+
+lab.experiment("Attendance", function () {
+  let driver
+  let otherDriver
+  let userInstance
+  let otherUserInstance
+  let companyInstance
+  let tripInstances
+  let trip
+  const authHeaders = {}
+
+  lab.before({timeout: 15000}, async function () {
+    ({userInstance, companyInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5, 5]))
+    trip = tripInstances[0]
+
+    otherUserInstance = await m.User.create({
+      name: "Attendance Other",
+      telephone: `+6581${Date.now() % 1000000}`,
+    })
+
+    driver = await m.Driver.create({
+      name: "Tan Ah Check",
+      telephone: `CheckIn${Date.now()}`,
+      authKey: "---",
+    })
+    otherDriver = await m.Driver.create({
+      name: "Tan Ah Other",
+      telephone: `CheckInOther${Date.now()}`,
+      authKey: "---",
+    })
+    await trip.update({driverId: driver.id})
+
+    authHeaders.driver = {authorization: `Bearer ${driver.makeToken()}`}
+    authHeaders.otherDriver = {authorization: `Bearer ${otherDriver.makeToken()}`}
+
+    const adminToken = (await loginAs("admin", {
+      transportCompanyId: companyInstance.id,
+      permissions: ["view-passengers"],
+    })).result.sessionToken
+    authHeaders.admin = {authorization: `Bearer ${adminToken}`}
+  })
+
+  lab.afterEach(async function () {
+    await resetTripInstances(m, tripInstances)
+  })
+
+  lab.after(async function () {
+    await trip.update({driverId: null})
+    await driver.destroy()
+    await otherDriver.destroy()
+  })
+
+  const book = (user, tripInstance) => m.Ticket.create({
+    userId: user.id,
+    boardStopId: tripInstance.tripStops[0].id,
+    alightStopId: tripInstance.tripStops[4].id,
+    status: "valid",
+  })
+
+  const checkIn = (payload, headers = authHeaders.driver) => server.inject({
+    method: "POST",
+    url: `/trips/${trip.id}/checkIn`,
+    payload,
+    headers,
+  })
+
+  lab.test("Drivers check in passengers on their trip", async function () {
+    const ticket = await book(userInstance, trip)
+    const otherTripTicket = await book(userInstance, tripInstances[1])
+
+    const otherDriverResponse = await checkIn({ticketId: ticket.id}, authHeaders.otherDriver)
+    expect(otherDriverResponse.statusCode).equal(403)
+
+    const otherTripResponse = await checkIn({ticketId: otherTripTicket.id})
+    expect(otherTripResponse.statusCode).equal(400)
+
+    const response = await checkIn({ticketId: ticket.id})
+    expect(response.statusCode).equal(200)
+    expect(response.result.alreadyBoarded).false()
+    expect(response.result.boarding.method).equal("checkIn")
+    expect(response.result.boarding.driverId).equal(driver.id)
+
+    const repeatResponse = await checkIn({ticketId: ticket.id})
+    expect(repeatResponse.statusCode).equal(200)
+    expect(repeatResponse.result.alreadyBoarded).true()
+
+    const passengersResponse = await server.inject({
+      method: "GET",
+      url: `/trips/${trip.id}/passengers`,
+      headers: authHeaders.admin,
+    })
+    expect(passengersResponse.statusCode).equal(200)
+    expect(passengersResponse.result[0].boarding.driverId).equal(driver.id)
+
+    const undoResponse = await checkIn({ticketId: ticket.id, boarded: false})
+    expect(undoResponse.statusCode).equal(200)
+    await ticket.reload()
+    expect(ticket.notes && ticket.notes.boarding).not.exist()
+  })
+
+  lab.test("Trip attendance reports", async function () {
+    const ticket = await book(userInstance, trip)
+    await book(otherUserInstance, trip)
+    await book(otherUserInstance, tripInstances[1])
+
+    expect((await checkIn({ticketId: ticket.id})).statusCode).equal(200)
+
+    const getAttendance = tripInstance => server.inject({
+      method: "GET",
+      url: `/trips/${tripInstance.id}/attendance`,
+      headers: authHeaders.admin,
+    })
+
+    const driverResponse = await server.inject({
+      method: "GET",
+      url: `/trips/${trip.id}/attendance`,
+      headers: authHeaders.driver,
+    })
+    expect(driverResponse.statusCode).equal(403)
+
+    const response = await getAttendance(trip)
+    expect(response.statusCode).equal(200)
+    expect(response.result.booked).equal(2)
+    expect(response.result.boarded).equal(1)
+    expect(response.result.noShows).equal(1)
+    expect(response.result.loadFactor).equal(1 / trip.capacity)
+
+    const notTakenResponse = await getAttendance(tripInstances[1])
+    expect(notTakenResponse.statusCode).equal(200)
+    expect(notTakenResponse.result.booked).equal(1)
+    expect(notTakenResponse.result.attendanceTaken).false()
+    expect(notTakenResponse.result.noShows).null()
+  })
+
+  lab.test("No-show rates only count departed trips where attendance was taken", async function () {
+    const ticket = await book(userInstance, trip)
+    await book(otherUserInstance, trip)
+    await book(otherUserInstance, tripInstances[1])
+    expect((await checkIn({ticketId: ticket.id})).statusCode).equal(200)
+
+    const year = new Date().getFullYear()
+    const getNoShows = () => server.inject({
+      method: "GET",
+      url: `/companies/${companyInstance.id}/noShows?` +
+        `startDate=${year - 3}-01-01&endDate=${year + 3}-12-31`,
+      headers: authHeaders.admin,
+    })
+
+    // The trips have yet to depart
+    const futureResponse = await getNoShows()
+    expect(futureResponse.statusCode).equal(200)
+    expect(futureResponse.result).equal([])
+
+    // Move the trips into the past
+    const tripIds = tripInstances.map(t => t.id)
+    await db.query(
+      `UPDATE "tripStops" SET "time" = "time" - interval '2 years' WHERE "tripId" IN (:tripIds)`,
+      {replacements: {tripIds}}
+    )
+    await db.query(
+      `UPDATE "trips" SET "date" = "date" - interval '2 years' WHERE "id" IN (:tripIds)`,
+      {replacements: {tripIds}}
+    )
+
+    try {
+      const response = await getNoShows()
+      expect(response.statusCode).equal(200)
+      expect(response.result.map(r => r.userId))
+        .equal([otherUserInstance.id, userInstance.id])
+
+      const [other, user] = response.result
+      expect(other.ticketCount).equal(1)
+      expect(other.noShowCount).equal(1)
+      expect(other.noShowRate).equal(1)
+      expect(user.ticketCount).equal(1)
+      expect(user.boardedCount).equal(1)
+      expect(user.noShowRate).equal(0)
+    } finally {
+      await db.query(
+        `UPDATE "tripStops" SET "time" = "time" + interval '2 years' WHERE "tripId" IN (:tripIds)`,
+        {replacements: {tripIds}}
+      )
+      await db.query(
+        `UPDATE "trips" SET "date" = "date" + interval '2 years' WHERE "id" IN (:tripIds)`,
+        {replacements: {tripIds}}
+      )
+    }
+  })
+})
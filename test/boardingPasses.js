@@ -0,0 +1,129 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const jwt = require("jsonwebtoken")
+const server = require("../src/index.js")
+
+const {models: m} = require("../src/lib/core/dbschema")()
+const {resetTripInstances} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+
+lab.experiment("Boarding passes", function () {
+  let driver
+  let otherDriver
+  let userInstance
+  let tripInstances
+  let trip
+  let ticket
+
+  lab.before({timeout: 15000}, async function () {
+    ({userInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5, 5]))
+    trip = tripInstances[0]
+
+    driver = await m.Driver.create({
+      name: "Tan Ah Board",
+      telephone: `Board${Date.now()}`,
+      authKey: "---",
+    })
+    otherDriver = await m.Driver.create({
+      name: "Tan Ah Other",
+      telephone: `BoardOther${Date.now()}`,
+      authKey: "---",
+    })
+    await trip.update({driverId: driver.id})
+  })
+
+  lab.beforeEach(async function () {
+    ticket = await m.Ticket.create({
+      userId: userInstance.id,
+      boardStopId: trip.tripStops[0].id,
+      alightStopId: trip.tripStops[4].id,
+      status: "valid",
+    })
+  })
+
+  lab.afterEach(async function () {
+    await resetTripInstances(m, tripInstances)
+  })
+
+  lab.after(async function () {
+    await trip.update({driverId: null})
+    await driver.destroy()
+    await otherDriver.destroy()
+  })
+
+  const getBoardingPass = async () => {
+    const response = await server.inject({
+      method: "GET",
+      url: `/tickets/${ticket.id}/boardingPass`,
+      headers: {authorization: `Bearer ${userInstance.makeToken()}`},
+    })
+    expect(response.statusCode).equal(200)
+    return response.result.token
+  }
+
+  const validate = (tripId, token, driverInstance = driver) => server.inject({
+    method: "POST",
+    url: `/trips/${tripId}/validateBoardingPass`,
+    payload: {token},
+    headers: {authorization: `Bearer ${driverInstance.makeToken()}`},
+  })
+
+  lab.test("Boarding passes can be verified with the public key", async function () {
+    const token = await getBoardingPass()
+
+    const keyResponse = await server.inject({
+      method: "GET",
+      url: "/boardingPasses/publicKey",
+    })
+    expect(keyResponse.statusCode).equal(200)
+
+    const payload = jwt.verify(token, keyResponse.result.publicKey, {
+      algorithms: [keyResponse.result.algorithm],
+    })
+    expect(payload.ticketId).equal(ticket.id)
+    expect(payload.tripId).equal(trip.id)
+    expect(payload.exp * 1000).above(trip.tripStops[4].time.getTime())
+  })
+
+  lab.test("Drivers validate boarding passes for their trip", async function () {
+    const token = await getBoardingPass()
+
+    const otherDriverResponse = await validate(trip.id, token, otherDriver)
+    expect(otherDriverResponse.statusCode).equal(403)
+
+    const response = await validate(trip.id, token)
+    expect(response.statusCode).equal(200)
+    expect(response.result.ticketId).equal(ticket.id)
+    expect(response.result.alreadyBoarded).false()
+
+    await ticket.reload()
+    expect(ticket.notes.boarding.driverId).equal(driver.id)
+
+    const repeatResponse = await validate(trip.id, token)
+    expect(repeatResponse.statusCode).equal(200)
+    expect(repeatResponse.result.alreadyBoarded).true()
+  })
+
+  lab.test("Invalid boarding passes are rejected", async function () {
+    const token = await getBoardingPass()
+
+    // Signed with the wrong key
+    const forged = jwt.sign(jwt.decode(token), "some other secret")
+    expect((await validate(trip.id, forged)).statusCode).equal(400)
+
+    // For another trip
+    await tripInstances[1].update({driverId: driver.id})
+    try {
+      expect((await validate(tripInstances[1].id, token)).statusCode).equal(400)
+    } finally {
+      await tripInstances[1].update({driverId: null})
+    }
+
+    // For a ticket that has since been voided
+    await ticket.update({status: "void"})
+    expect((await validate(trip.id, token)).statusCode).equal(400)
+  })
+})
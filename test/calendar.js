@@ -0,0 +1,109 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const ical = require("node-ical")
+const server = require("../src/index.js")
+
+const {models: m} = require("../src/lib/core/dbschema")()
+const {resetTripInstances} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+
+lab.experiment("Ticket calendar", function () {
+  let userInstance
+  let tripInstances
+  let authHeaders
+
+  lab.before({timeout: 15000}, async function () {
+    ({userInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5, 5, 5]))
+    authHeaders = {authorization: `Bearer ${userInstance.makeToken()}`}
+  })
+
+  lab.afterEach(async function () {
+    await resetTripInstances(m, tripInstances)
+    await m.Trip.update({status: null}, {where: {id: tripInstances[2].id}})
+  })
+
+  const book = (tripInstance, status = "valid") => m.Ticket.create({
+    userId: userInstance.id,
+    boardStopId: tripInstance.tripStops[0].id,
+    alightStopId: tripInstance.tripStops[4].id,
+    status,
+  })
+
+  const getCalendarLink = async () => {
+    const response = await server.inject({
+      method: "GET",
+      url: "/user/calendar",
+      headers: authHeaders,
+    })
+    expect(response.statusCode).equal(200)
+    return response.result
+  }
+
+  const getCalendar = token => server.inject({
+    method: "GET",
+    url: `/tickets/calendar.ics?token=${encodeURIComponent(token)}`,
+  })
+
+  lab.test("Lists tickets as events, with cancellations", async function () {
+    const validTicket = await book(tripInstances[0])
+    const refundedTicket = await book(tripInstances[1], "refunded")
+    const cancelledTripTicket = await book(tripInstances[2])
+    await book(tripInstances[0], "failed")
+    await tripInstances[2].update({status: "cancelled"})
+
+    const {token, url} = await getCalendarLink()
+    expect(url).endsWith(`/tickets/calendar.ics?token=${encodeURIComponent(token)}`)
+
+    const response = await getCalendar(token)
+    expect(response.statusCode).equal(200)
+    expect(response.headers["content-type"]).startsWith("text/calendar")
+
+    const events = Object.values(ical.parseICS(response.payload))
+      .filter(e => e.type === "VEVENT")
+    expect(events.map(e => e.uid)).equal([
+      `ticket-${validTicket.id}@beeline.sg`,
+      `ticket-${refundedTicket.id}@beeline.sg`,
+      `ticket-${cancelledTripTicket.id}@beeline.sg`,
+    ])
+    expect(events.map(e => e.status)).equal(["CONFIRMED", "CANCELLED", "CANCELLED"])
+
+    const [event] = events
+    const [boardStop, , , , alightStop] = tripInstances[0].tripStops
+    expect(event.start.getTime()).equal(boardStop.time.getTime())
+    expect(event.end.getTime()).equal(alightStop.time.getTime())
+    expect(event.summary).contains("XYZ")
+    expect(event.location).equal((await m.Stop.findById(boardStop.stopId)).description)
+  })
+
+  lab.test("Only serves the calendar with the latest token", async function () {
+    await book(tripInstances[0])
+    const {token: oldToken} = await getCalendarLink()
+
+    // The link stays the same until it is replaced
+    expect((await getCalendarLink()).token).equal(oldToken)
+
+    const resetResponse = await server.inject({
+      method: "POST",
+      url: "/user/calendar",
+      headers: authHeaders,
+    })
+    expect(resetResponse.statusCode).equal(200)
+    const newToken = resetResponse.result.token
+    expect(newToken).not.equal(oldToken)
+
+    expect((await getCalendar(oldToken)).statusCode).equal(403)
+    expect((await getCalendar(newToken)).statusCode).equal(200)
+
+    // Neither session tokens nor calendar tokens can stand in for each other
+    expect((await getCalendar(userInstance.makeToken())).statusCode).equal(403)
+    const sessionResponse = await server.inject({
+      method: "GET",
+      url: "/tickets",
+      headers: {authorization: `Bearer ${newToken}`},
+    })
+    expect(sessionResponse.statusCode).equal(403)
+  })
+})
@@ -0,0 +1,252 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const polyline = require("polyline")
+const server = require("../src/index.js")
+
+const {models: m} = require("../src/lib/core/dbschema")()
+const {buildGTFSFeed, FIELDS} = require("../src/lib/gtfs/export")
+const {toCSV} = require("../src/lib/gtfs/csv")
+const {createZip, readZip} = require("../src/lib/util/zip")
+const {loginAs} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+
+lab.experiment("GTFS export", function () {
+  let companyInstance
+  let routeInstance
+  let tripInstances
+  const year = new Date().getFullYear() + 1
+  const options = {
+    startDate: `${year}-03-01`,
+    endDate: `${year}-03-31`,
+  }
+
+  const lines = text => text.trim().split("\r\n")
+
+  lab.before({timeout: 15000}, async function () {
+    ({companyInstance, routeInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5, 5]))
+    options.transportCompanyId = companyInstance.id
+
+    await routeInstance.update({
+      tags: ["public"],
+      path: [{lat: 1.3, lng: 103.8}, {lat: 1.31, lng: 103.81}],
+    })
+    await tripInstances[1].update({status: "cancelled"})
+  })
+
+  lab.test("Exports routes, trips and stop times", async function () {
+    const feed = await buildGTFSFeed(m, options)
+
+    expect(lines(feed["agency.txt"])[1]).startsWith(`${companyInstance.id},Test company,`)
+    expect(lines(feed["routes.txt"])[1])
+      .equal(`${routeInstance.id},${companyInstance.id},XYZ,Test route only,,3`)
+
+    // Cancelled trips are left out
+    expect(lines(feed["trips.txt"]).slice(1))
+      .equal([`${routeInstance.id},${year}0301,${tripInstances[0].id},${routeInstance.id}`])
+
+    // One service for each trip date, running on that day of the week only
+    const weekday = new Date(`${year}-03-01T08:30:00Z`).getUTCDay()
+    const runsOn = [1, 2, 3, 4, 5, 6, 0].map(d => (d === weekday ? 1 : 0))
+    expect(lines(feed["calendar.txt"]).slice(1))
+      .equal([`${year}0301,${runsOn.join(",")},${year}0301,${year}0301`])
+
+    const stopTimes = lines(feed["stop_times.txt"]).slice(1)
+    expect(stopTimes.length).equal(5)
+    // Trip stops at 08:30 UTC are at 16:30 in Singapore
+    expect(stopTimes[0]).startsWith(`${tripInstances[0].id},16:30:00,16:30:00,`)
+    expect(lines(feed["stops.txt"]).length).equal(6)
+    expect(lines(feed["shapes.txt"]).slice(1))
+      .equal([`${routeInstance.id},1.3,103.8,1`, `${routeInstance.id},1.31,103.81,2`])
+  })
+
+  lab.test("Filters routes by tag", async function () {
+    expect(lines((await buildGTFSFeed(m, {...options, tags: ["lite"]}))["routes.txt"]).length)
+      .equal(1)
+
+    await routeInstance.update({tags: ["public", "crowdstart"]})
+    try {
+      const feed = await buildGTFSFeed(m, options)
+      expect(lines(feed["routes.txt"]).length).equal(1)
+
+      const unfilteredFeed = await buildGTFSFeed(m, {...options, excludeTags: []})
+      expect(lines(unfilteredFeed["routes.txt"]).length).equal(2)
+    } finally {
+      await routeInstance.update({tags: ["public"]})
+    }
+  })
+
+  lab.test("Serves the feed as a zip file", async function () {
+    const response = await server.inject({
+      method: "GET",
+      url: `/gtfs?transportCompanyId=${companyInstance.id}&` +
+        `startDate=${options.startDate}&endDate=${options.endDate}&tags=public`,
+    })
+    expect(response.statusCode).equal(200)
+    expect(response.headers["content-type"]).startsWith("application/zip")
+    expect(response.rawPayload.slice(0, 4).toString("hex")).equal("504b0304")
+
+    const longResponse = await server.inject({
+      method: "GET",
+      url: `/gtfs?startDate=2018-01-01&endDate=2019-01-03`,
+    })
+    expect(longResponse.statusCode).equal(400)
+  })
+})
+
+lab.experiment("GTFS import", function () {
+  let companyInstance
+  let stopInstances
+  let authHeaders
+  const year = new Date().getFullYear() + 1
+  const label = `GTFS${Date.now()}`
+
+  lab.before({timeout: 15000}, async function () {
+    ({companyInstance, stopInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, []))
+
+    const adminToken = (await loginAs("admin", {
+      transportCompanyId: companyInstance.id,
+      permissions: ["manage-routes"],
+    })).result.sessionToken
+    authHeaders = {authorization: `Bearer ${adminToken}`}
+  })
+
+  lab.after(async function () {
+    const route = await m.Route.find({where: {label, transportCompanyId: companyInstance.id}})
+    if (route) {
+      const trips = await m.Trip.findAll({where: {routeId: route.id}})
+      await m.TripStop.destroy({where: {tripId: {$in: trips.map(t => t.id)}}})
+      await m.Trip.destroy({where: {routeId: route.id}})
+      await route.destroy()
+    }
+    await m.Stop.destroy({where: {description: `${label} Far Away`}})
+  })
+
+  const makeFeed = () => createZip([
+    {
+      name: "stops.txt",
+      data: toCSV(["stop_id", "stop_name", "stop_lat", "stop_lon"], [
+        // At an existing stop
+        {
+          stop_id: "A",
+          stop_name: "Near",
+          stop_lat: stopInstances[0].coordinates.coordinates[1],
+          stop_lon: stopInstances[0].coordinates.coordinates[0],
+        },
+        // Out at sea
+        {stop_id: "B", stop_name: `${label} Far Away`, stop_lat: 1.2, stop_lon: 104.2},
+      ]),
+    },
+    {
+      name: "routes.txt",
+      data: toCSV(["route_id", "route_short_name", "route_long_name", "route_type"], [
+        {route_id: "R", route_short_name: label, route_long_name: "Imported route", route_type: 3},
+      ]),
+    },
+    {
+      name: "trips.txt",
+      data: toCSV(["route_id", "service_id", "trip_id", "shape_id"], [
+        {route_id: "R", service_id: "WEEKDAY", trip_id: "T1", shape_id: "S"},
+      ]),
+    },
+    {
+      name: "shapes.txt",
+      data: toCSV(["shape_id", "shape_pt_lat", "shape_pt_lon", "shape_pt_sequence"], [
+        {shape_id: "S", shape_pt_lat: 1.2, shape_pt_lon: 104.2, shape_pt_sequence: 2},
+        {shape_id: "S", shape_pt_lat: 1.3, shape_pt_lon: 103.8, shape_pt_sequence: 1},
+      ]),
+    },
+    {
+      name: "stop_times.txt",
+      data: toCSV(["trip_id", "arrival_time", "departure_time", "stop_id", "stop_sequence", "drop_off_type"], [
+        {trip_id: "T1", arrival_time: "07:00:00", departure_time: "07:00:00", stop_id: "A", stop_sequence: 1, drop_off_type: 1},
+        {trip_id: "T1", arrival_time: "07:30:00", departure_time: "07:30:00", stop_id: "B", stop_sequence: 2, drop_off_type: 0},
+      ]),
+    },
+    {
+      name: "calendar.txt",
+      data: toCSV(FIELDS["calendar.txt"], [{
+        service_id: "WEEKDAY",
+        monday: 1, tuesday: 1, wednesday: 1, thursday: 1, friday: 1, saturday: 0, sunday: 0,
+        start_date: `${year}0101`,
+        end_date: `${year}1231`,
+      }]),
+    },
+  ])
+
+  const importFeed = dryRun => server.inject({
+    method: "POST",
+    url: `/companies/${companyInstance.id}/gtfs?startDate=${year}-03-01&endDate=${year}-03-07` +
+      `&capacity=13&price=2.5&dryRun=${dryRun}`,
+    payload: makeFeed(),
+    headers: {...authHeaders, "content-type": "application/zip"},
+  })
+
+  const weekdays = [1, 2, 3, 4, 5, 6, 7]
+    .map(d => new Date(Date.UTC(year, 2, d)).getUTCDay())
+    .filter(day => day >= 1 && day <= 5)
+    .length
+
+  lab.test("Imports routes, stops and trips", {timeout: 20000}, async function () {
+    const dryRunResponse = await importFeed(true)
+    expect(dryRunResponse.statusCode).equal(200)
+    expect(dryRunResponse.result.routes).equal([{
+      gtfsRouteId: "R", label, action: "created", routeId: null, tripsCreated: weekdays,
+    }])
+    expect(dryRunResponse.result.stops[0].action).equal("matched")
+    expect(dryRunResponse.result.stops[0].stopId).equal(stopInstances[0].id)
+    expect(dryRunResponse.result.stops[1].action).equal("created")
+    expect(await m.Route.count({where: {label}})).equal(0)
+
+    const response = await importFeed(false)
+    expect(response.statusCode).equal(200)
+    expect(response.result.trips.created).equal(weekdays)
+
+    const route = await m.Route.findById(response.result.routes[0].routeId, {
+      include: [{model: m.Trip, include: [m.TripStop]}],
+      order: [[m.Trip, "date"], [m.Trip, m.TripStop, "time"]],
+    })
+    expect(route.transportCompanyId).equal(companyInstance.id)
+    expect(route.trips.length).equal(weekdays)
+    const [firstStop, lastStop] = route.trips[0].tripStops
+    expect(firstStop.stopId).equal(stopInstances[0].id)
+    expect(firstStop.canAlight).false()
+    expect(firstStop.time.getUTCHours()).equal(23) // 07:00 in Singapore
+    expect(lastStop.stopId).equal(response.result.stops[1].stopId)
+    expect(route.trips[0].capacity).equal(13)
+    expect(route.path).equal(polyline.encode([[1.3, 103.8], [1.2, 104.2]]))
+
+    // Importing again matches everything and creates nothing
+    const repeatResponse = await importFeed(false)
+    expect(repeatResponse.statusCode).equal(200)
+    expect(repeatResponse.result.routes[0].action).equal("matched")
+    expect(repeatResponse.result.stops.map(s => s.action)).equal(["matched", "matched"])
+    expect(repeatResponse.result.trips.created).equal(0)
+    expect(repeatResponse.result.trips.skipped.length).equal(weekdays)
+  })
+
+  lab.test("Refuses to unpack zip files larger than they claim to be", async function () {
+    const zip = createZip([{name: "stops.txt", data: "x".repeat(10000)}])
+    expect(Object.keys(await readZip(zip))).equal(["stops.txt"])
+    await expect(readZip(zip, 9999)).reject(Error)
+
+    // Understate the size of the file in the central directory
+    const centralOffset = zip.readUInt32LE(zip.length - 6)
+    zip.writeUInt32LE(100, centralOffset + 24)
+    await expect(readZip(zip)).reject(Error, /larger than it claims/)
+  })
+
+  lab.test("Rejects files that are not GTFS feeds", async function () {
+    const response = await server.inject({
+      method: "POST",
+      url: `/companies/${companyInstance.id}/gtfs?startDate=${year}-03-01&endDate=${year}-03-07` +
+        `&capacity=13&price=2.5`,
+      payload: createZip([{name: "readme.txt", data: "Not a feed"}]),
+      headers: {...authHeaders, "content-type": "application/zip"},
+    })
+    expect(response.statusCode).equal(400)
+  })
+})
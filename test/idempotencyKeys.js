@@ -0,0 +1,119 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const sinon = require("sinon")
+const server = require("../src/index.js")
+
+const {db, models: m} = require("../src/lib/core/dbschema")()
+const {loginAs, resetTripInstances, createStripeToken} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+
+lab.experiment("Idempotency keys for payments", function () {
+  let userInstance
+  let tripInstances
+  let authHeaders = {}
+
+  lab.before({timeout: 30000}, async function () {
+    ({userInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5, 5]))
+
+    const userToken = (await loginAs("user", userInstance.id)).result.sessionToken
+    authHeaders.user = {authorization: `Bearer ${userToken}`}
+  })
+
+  lab.afterEach(async function () {
+    await resetTripInstances(m, tripInstances)
+  })
+
+  const purchase = (key, payload) => server.inject({
+    method: "POST",
+    url: "/transactions/tickets/payment",
+    payload,
+    headers: {...authHeaders.user, "idempotency-key": key},
+  })
+
+  const purchasePayload = async trips => ({
+    trips: trips.map(trip => ({
+      tripId: trip.id,
+      boardStopId: trip.tripStops[0].id,
+      alightStopId: trip.tripStops[4].id,
+    })),
+    stripeToken: await createStripeToken(),
+  })
+
+  const countTickets = () => m.Ticket.count({
+    where: {userId: userInstance.id, status: "valid"},
+  })
+
+  lab.test("Replays the response to retries", {timeout: 20000}, async function () {
+    const key = `retry-${Date.now()}`
+    const payload = await purchasePayload(tripInstances)
+
+    const response = await purchase(key, payload)
+    expect(response.statusCode).equal(200)
+
+    const retryResponse = await purchase(key, payload)
+    expect(retryResponse.statusCode).equal(200)
+    expect(retryResponse.headers["idempotent-replayed"]).equal("true")
+    expect(retryResponse.result.id).equal(response.result.id)
+    expect(await countTickets()).equal(2)
+  })
+
+  lab.test("Serialises concurrent requests with the same key", {timeout: 20000}, async function () {
+    const key = `concurrent-${Date.now()}`
+    const payload = await purchasePayload(tripInstances)
+
+    const responses = await Promise.all([purchase(key, payload), purchase(key, payload)])
+    expect(responses.map(r => r.statusCode)).equal([200, 200])
+    expect(responses[0].result.id).equal(responses[1].result.id)
+    expect(await countTickets()).equal(2)
+  })
+
+  lab.test("Rejects the same key with a different payload", {timeout: 20000}, async function () {
+    const key = `different-${Date.now()}`
+
+    const response = await purchase(key, await purchasePayload(tripInstances.slice(0, 1)))
+    expect(response.statusCode).equal(200)
+
+    const otherResponse = await purchase(key, await purchasePayload(tripInstances.slice(1)))
+    expect(otherResponse.statusCode).equal(400)
+    expect(otherResponse.result.message).include("different request")
+    expect(await countTickets()).equal(1)
+  })
+
+  lab.test("Takes over the transaction of a request cut short after charging", {timeout: 20000}, async function () {
+    const key = `resume-${Date.now()}`
+    const payload = await purchasePayload(tripInstances)
+
+    // Fail once the card has been charged
+    const sandbox = sinon.sandbox.create()
+    const stub = sandbox.stub(m.TransactionItem, "getAssociatedItems", () => {
+      sandbox.restore()
+      return Promise.reject(new Error("Connection lost"))
+    })
+
+    const response = await purchase(key, payload)
+    expect(response.statusCode).equal(500)
+    expect(stub.called).true()
+
+    // The key is not released, as the card may have been charged...
+    const idempotencyKey = await m.IdempotencyKey.findOne({where: {userId: userInstance.id, key}})
+    expect(idempotencyKey.statusCode).null()
+    expect(idempotencyKey.transactionId).number()
+
+    // ...until it is stale, when a retry completes the same transaction
+    await db.query(
+      `UPDATE "idempotencyKeys" SET "updatedAt" = now() - interval '10 minutes' WHERE id = :id`,
+      {replacements: {id: idempotencyKey.id}}
+    )
+    const retryResponse = await purchase(key, payload)
+    expect(retryResponse.statusCode).equal(200)
+    expect(retryResponse.result.id).equal(idempotencyKey.transactionId)
+    expect(await countTickets()).equal(2)
+
+    const payments = retryResponse.result.transactionItems.filter(ti => ti.itemType === "payment")
+    expect(payments.length).equal(1)
+    expect(payments[0].payment.paymentResource).string()
+  })
+})
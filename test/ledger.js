@@ -0,0 +1,115 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const server = require("../src/index.js")
+
+const {models: m} = require("../src/lib/core/dbschema")()
+const {loginAs} = require("./test_common")
+
+lab.experiment("Ledger", function () {
+  let superadminHeaders
+  let cashAccount
+  let salesAccount
+  let committedTransaction
+  let uncommittedTransaction
+
+  const day = 24 * 3600 * 1000
+  const isoDate = date => date.toISOString().substr(0, 10)
+  const dates = `startDate=${isoDate(new Date(Date.now() - day))}` +
+    `&endDate=${isoDate(new Date(Date.now() + day))}`
+
+  lab.before(async function () {
+    const superToken = (await loginAs("superadmin")).result.sessionToken
+    superadminHeaders = {authorization: `Bearer ${superToken}`}
+
+    const suffix = Date.now()
+    cashAccount = await m.Account.getByName(`Ledger Cash ${suffix}`)
+    salesAccount = await m.Account.getByName(`Ledger Sales ${suffix}`)
+
+    const createTransaction = (committed, amount) => m.Transaction.create({
+      committed,
+      description: `Ledger test ${suffix}`,
+      transactionItems: [
+        {itemType: "account", itemId: cashAccount.id, debit: amount},
+        {itemType: "account", itemId: salesAccount.id, credit: amount},
+      ],
+    }, {include: [m.TransactionItem]})
+
+    committedTransaction = await createTransaction(true, 12.5)
+    uncommittedTransaction = await createTransaction(false, 7)
+  })
+
+  lab.after(async function () {
+    for (const txn of [committedTransaction, uncommittedTransaction]) {
+      await m.TransactionItem.destroy({where: {transactionId: txn.id}})
+      await txn.destroy()
+    }
+    await cashAccount.destroy()
+    await salesAccount.destroy()
+  })
+
+  const get = (url, headers = superadminHeaders) => server.inject({method: "GET", url, headers})
+
+  lab.test("Exports committed transactions as journal entries", async function () {
+    const response = await get(`/ledger/journal?${dates}`)
+    expect(response.statusCode).equal(200)
+    expect(response.headers["content-type"]).startsWith("text/csv")
+
+    const [header, ...lines] = response.payload.trim().split("\n")
+    expect(header).equal("date,transactionId,transactionItemId,account,debit,credit,memo,itemType,itemId")
+
+    const entries = lines.map(l => l.split(","))
+    expect(entries.filter(e => e[1] === `${uncommittedTransaction.id}`)).length(0)
+
+    const ourEntries = entries.filter(e => e[1] === `${committedTransaction.id}`)
+    expect(ourEntries.map(e => [e[3], e[4], e[5]])).equal([
+      [cashAccount.name, "12.50", ""],
+      [salesAccount.name, "", "12.50"],
+    ])
+    expect(ourEntries[0][6]).equal(committedTransaction.description)
+  })
+
+  lab.test("Exports journal entries in the ledger format", async function () {
+    const response = await get(`/ledger/journal?${dates}&format=ledger`)
+    expect(response.statusCode).equal(200)
+
+    const transaction = response.payload
+      .split("\n\n")
+      .find(t => t.includes(`(${committedTransaction.id})`))
+    const [title, ...postings] = transaction.split("\n")
+    expect(title).endsWith(`* (${committedTransaction.id}) ${committedTransaction.description}`)
+    expect(postings.map(p => p.trim().split(/\s{2,}/))).equal([
+      [cashAccount.name, "SGD      12.50"],
+      [salesAccount.name, "SGD     -12.50"],
+    ])
+  })
+
+  lab.test("Sums the debits and credits to each account", async function () {
+    const response = await get(`/ledger/trial_balance?${dates}`)
+    expect(response.statusCode).equal(200)
+
+    const {accounts, totals} = response.result
+    expect(accounts.find(a => a.account === cashAccount.name))
+      .equal({account: cashAccount.name, debit: 12.5, credit: 0, balance: 12.5})
+    expect(accounts.find(a => a.account === salesAccount.name))
+      .equal({account: salesAccount.name, debit: 0, credit: 12.5, balance: -12.5})
+    expect(totals.debit).equal(totals.credit)
+
+    const csvResponse = await get(`/ledger/trial_balance?${dates}&format=csv`)
+    expect(csvResponse.statusCode).equal(200)
+    const lines = csvResponse.payload.trim().split("\n")
+    expect(lines[0]).equal("account,debit,credit,balance")
+    expect(lines[lines.length - 1]).startsWith("Total,")
+  })
+
+  lab.test("Is only available to superadmins", async function () {
+    const adminToken = (await loginAs("admin", {
+      transportCompanyId: 1,
+      permissions: ["view-transactions"],
+    })).result.sessionToken
+
+    const response = await get(`/ledger/journal?${dates}`, {authorization: `Bearer ${adminToken}`})
+    expect(response.statusCode).equal(403)
+  })
+})
@@ -0,0 +1,130 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const _ = require("lodash")
+const Payment = require("../src/lib/transactions/payment")
+const sandbox = require("../src/lib/transactions/providers/sandbox")
+
+lab.experiment("Sandbox payment provider", function () {
+  let previousProvider
+
+  lab.before(async function () {
+    previousProvider = Payment.provider.name
+    Payment.useProvider("sandbox")
+    sandbox.reset()
+  })
+
+  lab.after(async function () {
+    Payment.useProvider(previousProvider)
+  })
+
+  const createToken = number => Payment.createStripeToken({
+    number,
+    exp_month: "12",
+    exp_year: "2030",
+    cvc: "123",
+  })
+
+  const charge = async (options) => Payment.chargeCard({
+    value: 10,
+    description: "Sandbox test charge",
+    destination: "acct_sandbox_company",
+    source: options.source || (await createToken("4242424242424242")).id,
+    ...options,
+  })
+
+  lab.test("Charges cards, and refunds them in parts", async function () {
+    const stripeCharge = await charge({})
+    expect(stripeCharge.status).equal("succeeded")
+    expect(stripeCharge.amount).equal(1000)
+    expect(stripeCharge.source.country).equal("SG")
+    expect(stripeCharge.transfer.amount).equal(1000 - stripeCharge.application_fee)
+
+    const chargeTxn = await Payment.retrieveTransaction(stripeCharge.balance_transaction)
+    expect(chargeTxn.fee).equal(stripeCharge.application_fee)
+
+    const refund = await Payment.refundCharge(stripeCharge.id, 4, "refund-1")
+    expect(refund.status).equal("succeeded")
+    expect(refund.amount).equal(400)
+    await Payment.refundCharge(stripeCharge.id, 5, "refund-2")
+
+    const refundedCharge = await Payment.retrieveCharge(stripeCharge.id)
+    expect(refundedCharge.amount_refunded).equal(900)
+    expect(refundedCharge.refunded).false()
+
+    await expect(Payment.refundCharge(stripeCharge.id, 2, "refund-3"))
+      .reject(Error, /greater than unrefunded amount/)
+
+    // Retrying with the same key does not refund again
+    await Payment.refundCharge(stripeCharge.id, 4, "refund-1")
+    expect((await Payment.retrieveCharge(stripeCharge.id)).amount_refunded).equal(900)
+  })
+
+  lab.test("Returns the first charge made with an idempotency key", async function () {
+    const source = (await createToken("4242424242424242")).id
+    const first = await charge({source, idempotencyKey: "booking-1"})
+    const second = await charge({source, idempotencyKey: "booking-1"})
+    expect(second.id).equal(first.id)
+
+    await expect(charge({source}))
+      .reject(Error, /more than once/)
+  })
+
+  lab.test("Declines the same test cards as Stripe", async function () {
+    const source = (await createToken("4000000000009995")).id
+    const err = await expect(charge({source})).reject(Error)
+    expect(err.type).equal("StripeCardError")
+    expect(err.decline_code).equal("insufficient_funds")
+  })
+
+  lab.test("Saves cards to customers", async function () {
+    const customer = await Payment.createCustomer({userId: 1})
+    const card = await Payment.addCustomerSource(
+      customer.id,
+      (await createToken("5555555555554444")).id
+    )
+    expect(card.brand).equal("MasterCard")
+
+    const stripeCharge = await charge({customer: customer.id, source: card.id})
+    expect(stripeCharge.status).equal("succeeded")
+
+    // Can be saved, but not charged
+    const badCard = await Payment.addCustomerSource(
+      customer.id,
+      (await createToken("4000000000000341")).id
+    )
+    await expect(charge({customer: customer.id, source: badCard.id}))
+      .reject(Error, "Your card was declined.")
+    await expect(Payment.addCustomerSource(
+      customer.id,
+      (await createToken("4000000000000002")).id
+    )).reject(Error, "Your card was declined.")
+
+    await Payment.deleteCustomerSource(customer.id, badCard.id)
+    const savedCustomer = await Payment.retrieveCustomer(customer.id)
+    expect(savedCustomer.sources.data.map(s => s.id)).equal([card.id])
+    expect(savedCustomer.default_source).equal(card.id)
+  })
+
+  lab.test("Cannot be used to charge real cards", async function () {
+    const env = _.pick(process.env, ["NODE_ENV", "STRIPE_SK"])
+    const restoreEnv = () => {
+      delete process.env.NODE_ENV
+      delete process.env.STRIPE_SK
+      Object.assign(process.env, env)
+    }
+
+    try {
+      process.env.NODE_ENV = "production"
+      expect(() => Payment.useProvider("sandbox")).throw(/real cards/)
+
+      restoreEnv()
+      process.env.STRIPE_SK = "sk_live_abc"
+      expect(() => Payment.useProvider("sandbox")).throw(/real cards/)
+    } finally {
+      restoreEnv()
+    }
+    expect(Payment.provider.name).equal("sandbox")
+  })
+})
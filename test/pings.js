@@ -0,0 +1,228 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const server = require("../src/index.js")
+
+const {db, models: m} = require("../src/lib/core/dbschema")()
+const {expectEvent} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+const {monitorTrips} = require("../src/lib/daemons/tripMonitoring")
+const {toSVY} = require("../src/lib/util/svy21")
+const events = require("../src/lib/events/events")
+
+lab.experiment("Pings and trip monitoring", function () {
+  let driver
+  let otherDriver
+  let trip
+  let routeInstance
+  let companyInstance
+  let userInstance
+
+  lab.before({timeout: 15000}, async function () {
+    let tripInstances;
+    ({userInstance, companyInstance, routeInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5]))
+
+    driver = await m.Driver.create({
+      name: "Tan Ah Ping",
+      telephone: `Ping${Date.now()}`,
+      authKey: "---",
+    })
+    otherDriver = await m.Driver.create({
+      name: "Tan Ah Other",
+      telephone: `Other${Date.now()}`,
+      authKey: "---",
+    })
+
+    trip = await m.Trip.findById(tripInstances[0].id, {
+      include: [{model: m.TripStop, include: [m.Stop]}],
+      order: [[m.TripStop, "time"]],
+    })
+    await trip.update({driverId: driver.id})
+  })
+
+  lab.after(async function () {
+    await m.Ping.destroy({where: {tripId: trip.id}})
+    await m.TripStop.destroy({where: {tripId: trip.id}})
+    await trip.destroy()
+    await routeInstance.destroy()
+    await companyInstance.destroy()
+    await userInstance.destroy()
+    await driver.destroy()
+    await otherDriver.destroy()
+  })
+
+  lab.afterEach(async function () {
+    // Forget the thresholds reported by the trip monitoring daemon
+    await m.Trip.update({notes: null}, {where: {id: trip.id}})
+  })
+
+  lab.test("Only the trip's driver can post pings", async function () {
+    const payload = {
+      coordinates: {type: "Point", coordinates: [103.8, 1.38]},
+    }
+
+    const otherResponse = await server.inject({
+      method: "POST",
+      url: `/trips/${trip.id}/pings`,
+      payload,
+      headers: {authorization: `Bearer ${otherDriver.makeToken()}`},
+    })
+    expect(otherResponse.statusCode).equal(403)
+
+    const response = await server.inject({
+      method: "POST",
+      url: `/trips/${trip.id}/pings`,
+      payload,
+      headers: {authorization: `Bearer ${driver.makeToken()}`},
+    })
+    expect(response.statusCode).equal(200)
+    expect(response.result.driverId).equal(driver.id)
+
+    await m.Ping.destroy({where: {tripId: trip.id}})
+  })
+
+  lab.test("Only the trip's company and passengers can list pings", async function () {
+    const ping = await m.Ping.create({
+      tripId: trip.id,
+      driverId: driver.id,
+      coordinates: {type: "Point", coordinates: [103.8, 1.38]},
+      time: new Date(),
+    })
+    const listPings = headers => server.inject({
+      method: "GET",
+      url: `/trips/${trip.id}/pings`,
+      headers,
+    })
+    const userHeaders = {authorization: `Bearer ${userInstance.makeToken()}`}
+    const driverHeaders = () => ({authorization: `Bearer ${driver.makeToken()}`})
+
+    expect((await listPings({})).statusCode).equal(403)
+    expect((await listPings(userHeaders)).statusCode).equal(403)
+    expect((await listPings(driverHeaders())).statusCode).equal(403)
+
+    const ticket = await m.Ticket.create({
+      userId: userInstance.id,
+      boardStopId: trip.tripStops[0].id,
+      alightStopId: trip.tripStops[4].id,
+      status: "valid",
+    })
+    await driver.addTransportCompany(companyInstance.id)
+
+    try {
+      for (const headers of [userHeaders, driverHeaders()]) {
+        const listResponse = await listPings(headers)
+        expect(listResponse.statusCode).equal(200)
+        expect(listResponse.result.map(p => p.id)).include(ping.id)
+      }
+    } finally {
+      await ticket.destroy()
+      await driver.removeTransportCompany(companyInstance.id)
+      await m.Ping.destroy({where: {tripId: trip.id}})
+    }
+  })
+
+  lab.test("noPings is emitted when the driver app is off", async function () {
+    const startTime = trip.tripStops[0].time.getTime()
+    const ev = expectEvent("noPings", {
+      routeIds: [routeInstance.id],
+      minsBefore: [15],
+      ignoreIfEmpty: false,
+    })
+
+    await monitorTrips({db, models: m}, startTime - 12 * 60000)
+    await ev.check()
+  })
+
+  lab.test("lateArrival is emitted when the bus arrives late", async function () {
+    const firstStop = trip.tripStops[0]
+    const timeAfter = 5 * 60000
+    const subscription = await m.EventSubscription.create({
+      event: "lateArrival",
+      transportCompanyId: companyInstance.id,
+      formatter: "0",
+      handler: "email",
+      agent: {email: "test@example.com"},
+      params: {timeAfter, routeIds: [routeInstance.id]},
+    })
+
+    try {
+      await m.Ping.create({
+        tripId: trip.id,
+        driverId: driver.id,
+        coordinates: firstStop.stop.coordinates,
+        time: new Date(firstStop.time.getTime() + 10 * 60000),
+      })
+
+      const ev = expectEvent("lateArrival", {
+        routeIds: [routeInstance.id],
+        timeAfter,
+        ignoreIfEmpty: false,
+      })
+      await monitorTrips({db, models: m}, firstStop.time.getTime() + 11 * 60000)
+      await ev.check()
+    } finally {
+      await subscription.destroy()
+      await m.Ping.destroy({where: {tripId: trip.id}})
+    }
+  })
+
+  lab.test("lateETA is emitted once for each threshold crossed, and once without one", {timeout: 10000}, async function () {
+    const firstStop = trip.tripStops[0]
+    const thresholds = [5 * 60000, 15 * 60000]
+    const subscriptions = await Promise.all(thresholds.map(timeAfter =>
+      m.EventSubscription.create({
+        event: "lateETA",
+        transportCompanyId: companyInstance.id,
+        formatter: "0",
+        handler: "email",
+        agent: {email: "test@example.com"},
+        params: {timeAfter, routeIds: [routeInstance.id]},
+      })
+    ))
+
+    // The last listener has no threshold of its own
+    const counts = [0, 0, 0]
+    const removers = thresholds.concat([undefined]).map((timeAfter, i) =>
+      events.on("lateETA", {routeIds: [routeInstance.id], timeAfter, ignoreIfEmpty: false}, () => {
+        counts[i] += 1
+      })
+    )
+
+    // Still some way (too far to have arrived) from the first stop
+    const [lng, lat] = firstStop.stop.coordinates.coordinates
+    const coordinates = {type: "Point", coordinates: [lng, lat + 0.01]}
+    const [x0, y0] = toSVY(coordinates.coordinates)
+    const [x1, y1] = toSVY([lng, lat])
+    const travelTime = Math.hypot(x1 - x0, y1 - y0) / (25000 / 3600e3)
+
+    const pingAndMonitor = async minsLate => {
+      const now = firstStop.time.getTime() - travelTime + minsLate * 60000
+      await m.Ping.create({
+        tripId: trip.id,
+        driverId: driver.id,
+        coordinates,
+        time: new Date(now - 60000),
+      })
+      await monitorTrips({db, models: m}, now)
+      // Delay a while, let the events be propagated
+      await new Promise(resolve => setTimeout(resolve, 1000))
+    }
+
+    try {
+      await pingAndMonitor(6)
+      expect(counts).equal([1, 0, 1])
+
+      await pingAndMonitor(8)
+      expect(counts).equal([1, 0, 1])
+
+      await pingAndMonitor(16)
+      expect(counts).equal([1, 1, 1])
+    } finally {
+      removers.forEach(remove => remove())
+      await Promise.all(subscriptions.map(s => s.destroy()))
+      await m.Ping.destroy({where: {tripId: trip.id}})
+    }
+  })
+})
@@ -0,0 +1,173 @@
+import Lab from 'lab'
+export const lab = Lab.script()
+
+import {expect} from 'code'
+import _ from 'lodash'
+
+import server from '../src/index.js'
+import {resetTripInstances, cleanlyDeletePromotions, createStripeToken} from './test_common'
+import * as testData from './test_data'
+
+const {models} = require("../src/lib/core/dbschema")()
+
+lab.experiment("Stacking promo codes", function () {
+  let userInstance
+  let companyInstance
+  let tripInstances = []
+  let authHeaders = {}
+
+  const codes = ['STACK FIXED', 'STACK RATE', 'STACK SOLO']
+
+  const createPromotion = (code, discountFunction, stacking) => models.Promotion.create({
+    code,
+    type: 'Promotion',
+    params: {
+      qualifyingCriteria: [{
+        type: 'limitByCompany',
+        params: {companyId: companyInstance.id},
+      }],
+      discountFunction,
+      refundFunction: {type: 'refundDiscountedAmt'},
+      usageLimit: {userLimit: null, globalLimit: 100},
+      stacking,
+    },
+  })
+
+  lab.before({timeout: 15000}, async () => {
+    ({userInstance, companyInstance, tripInstances} =
+        await testData.createUsersCompaniesRoutesAndTrips(models, [10, 10]))
+    authHeaders.user = {authorization: `Bearer ${userInstance.makeToken()}`}
+
+    await cleanlyDeletePromotions({code: {$in: codes}})
+    await createPromotion(
+      'STACK FIXED',
+      {type: 'simpleFixed', params: {fixed: 3}},
+      {priority: 0, combinable: true}
+    )
+    await createPromotion(
+      'STACK RATE',
+      {type: 'simpleRate', params: {rate: 0.5}},
+      {priority: 1, combinable: true}
+    )
+    await createPromotion(
+      'STACK SOLO',
+      {type: 'simpleRate', params: {rate: 0.1}}
+    )
+  })
+
+  lab.after(async () => {
+    await cleanlyDeletePromotions({code: {$in: codes}})
+    await resetTripInstances(models, tripInstances)
+  })
+
+  const purchasePayload = promoCodes => ({
+    trips: tripInstances.map(trip => ({
+      tripId: trip.id,
+      boardStopId: trip.tripStops[0].id,
+      alightStopId: trip.tripStops[4].id,
+    })),
+    promoCodes: promoCodes.map(code => ({code, options: {}})),
+  })
+
+  const quote = promoCodes => server.inject({
+    method: "POST",
+    url: "/transactions/tickets/quote",
+    payload: purchasePayload(promoCodes),
+    headers: authHeaders.user,
+  })
+
+  lab.test("Applies each discount on what the previous one left", async () => {
+    // Codes are applied by priority, not in the order given
+    const response = await quote(['STACK RATE', 'STACK FIXED'])
+    expect(response.statusCode).equal(200)
+
+    const items = _.groupBy(response.result.transactionItems, 'itemType')
+    const discounts = items.discount.filter(d => codes.includes(d.discount.code))
+    expect(discounts.map(d => [d.discount.code, parseFloat(d.debit)])).equal([
+      ['STACK FIXED', 6],
+      ['STACK RATE', 7],
+    ])
+
+    // Each discount keeps its own amounts for refunds
+    for (const discount of discounts) {
+      expect(_.values(discount.discount.refundAmounts).map(parseFloat))
+        .equal(_.values(discount.discount.discountAmounts).map(parseFloat))
+    }
+
+    // $10 less $3, then less half of the $7 left
+    expect(items.ticketSale.map(t => t.notes.outstanding)).equal([3.5, 3.5])
+    expect(response.result.description).include('STACK FIXED -$6.00')
+    expect(response.result.description).include('STACK RATE -$7.00')
+  })
+
+  lab.test("Rejects promo codes that cannot be combined", async () => {
+    const response = await quote(['STACK SOLO', 'STACK FIXED'])
+    expect(response.statusCode).equal(400)
+    expect(response.result.message).include('STACK SOLO')
+
+    // ...but may use them on their own
+    const soloResponse = await quote(['STACK SOLO'])
+    expect(soloResponse.statusCode).equal(200)
+    const discounts = soloResponse.result.transactionItems
+      .filter(item => item.itemType === 'discount')
+    expect(discounts.map(d => d.discount.code)).include('STACK SOLO')
+  })
+
+  lab.test("Entered promo codes take the place of default promotions", async () => {
+    const defaultPromotion = await createPromotion(
+      '',
+      {type: 'simpleFixed', params: {fixed: 1}},
+      {priority: 0, combinable: true}
+    )
+
+    try {
+      const discountCodes = response => response.result.transactionItems
+        .filter(item => item.itemType === 'discount')
+        .map(d => d.discount.code)
+
+      // A combinable default promotion stacks with combinable codes...
+      const fixedResponse = await quote(['STACK FIXED'])
+      expect(fixedResponse.statusCode).equal(200)
+      expect(discountCodes(fixedResponse)).include(['', 'STACK FIXED'])
+
+      // ...but gives way to those that are not
+      const soloResponse = await quote(['STACK SOLO'])
+      expect(soloResponse.statusCode).equal(200)
+      expect(discountCodes(soloResponse)).equal(['STACK SOLO'])
+    } finally {
+      await cleanlyDeletePromotions({id: defaultPromotion.id})
+    }
+  })
+
+  lab.test("Rejects invalid promo codes among several", async () => {
+    const response = await quote(['STACK FIXED', 'NO SUCH CODE'])
+    expect(response.statusCode).equal(400)
+    expect(response.result.source).equal('promoCode')
+  })
+
+  lab.test("Charges the stacked price and counts the use of each promotion", {timeout: 20000}, async () => {
+    const response = await server.inject({
+      method: "POST",
+      url: "/transactions/tickets/payment",
+      payload: {
+        ...purchasePayload(['STACK RATE', 'STACK FIXED']),
+        stripeToken: await createStripeToken(),
+      },
+      headers: authHeaders.user,
+    })
+    expect(response.statusCode).equal(200)
+
+    const items = _.groupBy(response.result.transactionItems, 'itemType')
+    const discounts = items.discount.filter(d => codes.includes(d.discount.code))
+    expect(discounts.map(d => d.discount.code).sort()).equal(['STACK FIXED', 'STACK RATE'])
+    expect(parseFloat(items.payment[0].debit)).equal(7)
+
+    // Let the newPurchase event be handled
+    await new Promise(resolve => setTimeout(resolve, 5000))
+
+    const globalUsages = await models.PromoUsage.findAll({
+      where: {userId: null, promoId: {$in: discounts.map(d => d.discount.promotionId)}},
+    })
+    expect(globalUsages.map(u => u.count)).equal([2, 2])
+  })
+})
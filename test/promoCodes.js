@@ -0,0 +1,177 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const server = require("../src/index.js")
+
+const {models: m} = require("../src/lib/core/dbschema")()
+const {loginAs, resetTripInstances, cleanlyDeletePromotions, createStripeToken} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+
+lab.experiment("Single-use promo codes", function () {
+  let userInstance
+  let companyInstance
+  let tripInstances
+  let promotionInstance
+  let authHeaders = {}
+
+  lab.before({timeout: 15000}, async function () {
+    ({userInstance, companyInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5, 5]))
+
+    const userToken = (await loginAs("user", userInstance.id)).result.sessionToken
+    authHeaders.user = {authorization: `Bearer ${userToken}`}
+
+    const adminToken = (await loginAs("admin", {
+      transportCompanyId: companyInstance.id,
+      permissions: ["manage-company"],
+    })).result.sessionToken
+    authHeaders.admin = {authorization: `Bearer ${adminToken}`}
+
+    promotionInstance = await m.Promotion.create({
+      code: `GIVEAWAY ${Date.now()}`,
+      type: "Promotion",
+      params: {
+        companyId: companyInstance.id,
+        qualifyingCriteria: [{
+          type: "limitByCompany",
+          params: {companyId: companyInstance.id},
+        }],
+        discountFunction: {type: "simpleFixed", params: {fixed: 2}},
+        refundFunction: {type: "refundDiscountedAmt"},
+        usageLimit: {userLimit: null, globalLimit: null},
+      },
+    })
+  })
+
+  lab.after(async function () {
+    await cleanlyDeletePromotions({id: promotionInstance.id})
+    await resetTripInstances(m, tripInstances)
+  })
+
+  const codesUrl = () =>
+    `/companies/${companyInstance.id}/promotions/${promotionInstance.id}/codes`
+
+  const purchase = async code => server.inject({
+    method: "POST",
+    url: "/transactions/tickets/payment",
+    payload: {
+      trips: tripInstances.map(trip => ({
+        tripId: trip.id,
+        boardStopId: trip.tripStops[0].id,
+        alightStopId: trip.tripStops[4].id,
+      })),
+      promoCode: {code, options: {}},
+      stripeToken: await createStripeToken(),
+    },
+    headers: authHeaders.user,
+  })
+
+  lab.test("Generates unique codes", async function () {
+    const response = await server.inject({
+      method: "POST",
+      url: codesUrl(),
+      payload: {count: 50, prefix: "GIVE-", length: 6},
+      headers: authHeaders.admin,
+    })
+    expect(response.statusCode).equal(200)
+
+    const {codes} = response.result
+    expect(codes.length).equal(50)
+    expect(new Set(codes).size).equal(50)
+    codes.forEach(code => expect(code).match(/^GIVE-[A-Z2-9]{6}$/))
+  })
+
+  lab.test("Lets each code be used only once", {timeout: 20000}, async function () {
+    const [promoCode] = await m.PromoCode.generate(promotionInstance.id, 1)
+
+    const response = await purchase(promoCode.code)
+    expect(response.statusCode).equal(200)
+    const discount = response.result.transactionItems
+      .find(item => item.itemType === "discount")
+    expect(discount.discount.promotionId).equal(promotionInstance.id)
+    expect(parseFloat(discount.debit)).equal(4)
+
+    await promoCode.reload()
+    expect(promoCode.userId).null()
+    expect(promoCode.redeemedBy).equal(userInstance.id)
+    expect(promoCode.redeemedAt).exist()
+
+    const usage = await m.PromoUsage.findOne({
+      where: {promoId: promotionInstance.id, userId: userInstance.id},
+    })
+    expect(usage.count).equal(2)
+
+    await resetTripInstances(m, tripInstances)
+    const secondResponse = await purchase(promoCode.code)
+    expect(secondResponse.statusCode).equal(400)
+    expect(secondResponse.result.source).equal("promoCode")
+    expect(secondResponse.result.message).include("already been used")
+  })
+
+  lab.test("Codes issued to a user can only be used by that user", {timeout: 20000}, async function () {
+    const otherUser = await m.User.create({
+      name: "Promo Code Other",
+      telephone: `+6581${Date.now() % 1000000}`,
+    })
+    const [promoCode] = await m.PromoCode.generate(
+      promotionInstance.id, 1, {userId: otherUser.id}
+    )
+
+    try {
+      await resetTripInstances(m, tripInstances)
+      const response = await purchase(promoCode.code)
+      expect(response.statusCode).equal(400)
+      expect(response.result.message).include("issued to someone else")
+
+      expect(await m.PromoCode.redeem(promoCode.code, userInstance.id)).null()
+      const redeemed = await m.PromoCode.redeem(promoCode.code, otherUser.id)
+      expect(redeemed.userId).equal(otherUser.id)
+      expect(redeemed.redeemedBy).equal(otherUser.id)
+    } finally {
+      await promoCode.destroy()
+      await otherUser.destroy()
+    }
+  })
+
+  lab.test("Lists who used each code", async function () {
+    const response = await server.inject({
+      method: "GET",
+      url: `${codesUrl()}?redeemed=true`,
+      headers: authHeaders.admin,
+    })
+    expect(response.statusCode).equal(200)
+    expect(response.result.length).equal(1)
+    expect(response.result[0]).include({
+      redeemedBy: userInstance.id,
+      redeemerEmail: userInstance.email,
+    })
+    expect(response.result[0].transactionId).exist()
+
+    const csvResponse = await server.inject({
+      method: "GET",
+      url: `${codesUrl()}?format=csv`,
+      headers: authHeaders.admin,
+    })
+    expect(csvResponse.statusCode).equal(200)
+    expect(csvResponse.headers["content-type"]).startsWith("text/csv")
+    const [header, ...lines] = csvResponse.payload.trim().split("\n")
+    expect(header).equal("code,createdAt,userId,redeemedAt,redeemedBy,redeemerName,redeemerEmail,transactionId")
+    expect(lines.length).equal(52)
+  })
+
+  lab.test("Only lets the company's admins generate codes", async function () {
+    const otherAdminToken = (await loginAs("admin", {
+      transportCompanyId: companyInstance.id + 1,
+      permissions: ["manage-company"],
+    })).result.sessionToken
+
+    const response = await server.inject({
+      method: "POST",
+      url: codesUrl(),
+      payload: {count: 1},
+      headers: {authorization: `Bearer ${otherAdminToken}`},
+    })
+    expect(response.statusCode).equal(403)
+  })
+})
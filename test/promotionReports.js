@@ -0,0 +1,257 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const server = require("../src/index.js")
+
+const {models: m} = require("../src/lib/core/dbschema")()
+const {loginAs, resetTripInstances, cleanlyDeletePromotions, createStripeToken} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+
+lab.experiment("Promotion reports", function () {
+  let userInstance
+  let companyInstance
+  let routeInstance
+  let tripInstances
+  let promotionInstance
+  let authHeaders = {}
+
+  const day = 24 * 3600 * 1000
+  const isoDate = date => date.toISOString().substr(0, 10)
+  const dates = `startDate=${isoDate(new Date(Date.now() - day))}` +
+    `&endDate=${isoDate(new Date(Date.now() + day))}`
+
+  lab.before({timeout: 30000}, async function () {
+    ({userInstance, companyInstance, routeInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5, 5]))
+
+    const userToken = (await loginAs("user", userInstance.id)).result.sessionToken
+    authHeaders.user = {authorization: `Bearer ${userToken}`}
+
+    const adminToken = (await loginAs("admin", {
+      transportCompanyId: companyInstance.id,
+      permissions: ["refund", "view-transactions"],
+    })).result.sessionToken
+    authHeaders.admin = {authorization: `Bearer ${adminToken}`}
+
+    promotionInstance = await m.Promotion.create({
+      code: `REPORT ${Date.now()}`,
+      type: "Promotion",
+      params: {
+        companyId: companyInstance.id,
+        qualifyingCriteria: [{
+          type: "limitByCompany",
+          params: {companyId: companyInstance.id},
+        }],
+        discountFunction: {type: "simpleFixed", params: {fixed: 1}},
+        refundFunction: {type: "refundDiscountedAmt"},
+        usageLimit: {userLimit: null, globalLimit: null},
+      },
+    })
+
+    const saleResponse = await server.inject({
+      method: "POST",
+      url: "/transactions/tickets/payment",
+      payload: {
+        trips: tripInstances.map(trip => ({
+          tripId: trip.id,
+          boardStopId: trip.tripStops[0].id,
+          alightStopId: trip.tripStops[4].id,
+        })),
+        promoCode: {code: promotionInstance.code, options: {}},
+        stripeToken: await createStripeToken(),
+      },
+      headers: authHeaders.user,
+    })
+    expect(saleResponse.statusCode).equal(200)
+
+    const ticketItem = saleResponse.result.transactionItems
+      .find(item => item.itemType === "ticketSale")
+    const refundResponse = await server.inject({
+      method: "POST",
+      url: `/transactions/tickets/${ticketItem.itemId}/refund/payment`,
+      payload: {targetAmt: 4},
+      headers: authHeaders.admin,
+    })
+    expect(refundResponse.statusCode).equal(200)
+  })
+
+  lab.after(async function () {
+    await cleanlyDeletePromotions({id: promotionInstance.id})
+    await resetTripInstances(m, tripInstances)
+  })
+
+  const get = (query, headers = authHeaders.admin) => server.inject({
+    method: "GET",
+    url: `/companies/${companyInstance.id}/promotions/${promotionInstance.id}/report?${dates}&${query}`,
+    headers,
+  })
+
+  const expectedFigures = {
+    redemptions: 2,
+    uniqueUsers: 1,
+    transactions: 1,
+    discount: 2,
+    revenue: 10,
+    netRevenue: 8,
+    refunds: 1,
+    refunded: 4,
+    discountReversed: 1,
+  }
+
+  lab.test("Reports redemptions, discounts, revenue and refunds by day", async function () {
+    const response = await get("groupBy=day")
+    expect(response.statusCode).equal(200)
+
+    const {summary, rows} = response.result
+    expect(summary).equal(expectedFigures)
+    expect(rows.length).equal(1)
+    expect(rows[0]).equal({date: rows[0].date, ...expectedFigures})
+    expect(response.result.promotion.id).equal(promotionInstance.id)
+  })
+
+  lab.test("Reports by route, as CSV", async function () {
+    const response = await get("groupBy=route")
+    expect(response.statusCode).equal(200)
+    expect(response.result.rows).equal([{
+      routeId: routeInstance.id,
+      routeLabel: routeInstance.label,
+      routeName: routeInstance.name,
+      ...expectedFigures,
+    }])
+
+    const csvResponse = await get("groupBy=route&format=csv")
+    expect(csvResponse.statusCode).equal(200)
+    expect(csvResponse.headers["content-type"]).startsWith("text/csv")
+    const [header, ...lines] = csvResponse.payload.trim().split("\n")
+    expect(header).equal(
+      "routeId,routeLabel,routeName,redemptions,uniqueUsers,transactions,refunds," +
+      "discount,revenue,netRevenue,refunded,discountReversed"
+    )
+    expect(lines.length).equal(1)
+  })
+
+  lab.test("Only shows the report to the company's admins", async function () {
+    const otherAdminToken = (await loginAs("admin", {
+      transportCompanyId: companyInstance.id + 1,
+      permissions: ["view-transactions"],
+    })).result.sessionToken
+
+    const response = await get("groupBy=day", {authorization: `Bearer ${otherAdminToken}`})
+    expect(response.statusCode).equal(403)
+  })
+})
+
+lab.experiment("Promotion reports of route passes", function () {
+  let userInstance
+  let companyInstance
+  let routeInstance
+  let tripInstances
+  let promotionInstance
+  let authHeaders = {}
+
+  const tag = `REPORT-${Date.now()}`
+  const day = 24 * 3600 * 1000
+  const isoDate = date => date.toISOString().substr(0, 10)
+  const dates = `startDate=${isoDate(new Date(Date.now() - day))}` +
+    `&endDate=${isoDate(new Date(Date.now() + day))}`
+
+  lab.before({timeout: 30000}, async function () {
+    ({userInstance, companyInstance, routeInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5, 5]))
+    await routeInstance.update({tags: ["public", tag]})
+
+    const userToken = (await loginAs("user", userInstance.id)).result.sessionToken
+    authHeaders.user = {authorization: `Bearer ${userToken}`}
+
+    const adminToken = (await loginAs("admin", {
+      transportCompanyId: companyInstance.id,
+      permissions: ["refund", "view-transactions"],
+    })).result.sessionToken
+    authHeaders.admin = {authorization: `Bearer ${adminToken}`}
+
+    promotionInstance = await m.Promotion.create({
+      code: `REPORT ${tag}`,
+      type: "RoutePass",
+      params: {
+        tag,
+        companyId: companyInstance.id,
+        qualifyingCriteria: [{type: "noLimit"}],
+        discountFunction: {type: "simpleRate", params: {rate: 0.2}},
+        refundFunction: {type: "refundDiscountedAmt"},
+        usageLimit: {userLimit: null, globalLimit: null},
+      },
+    })
+
+    const saleResponse = await server.inject({
+      method: "POST",
+      url: "/transactions/route_passes/payment",
+      payload: {
+        quantity: 2,
+        tag,
+        companyId: companyInstance.id,
+        promoCode: {code: promotionInstance.code, options: {}},
+        stripeToken: await createStripeToken(),
+      },
+      headers: authHeaders.user,
+    })
+    expect(saleResponse.statusCode).equal(200)
+
+    // Redeeming a pass for a ticket is not a refund...
+    const redeemResponse = await server.inject({
+      method: "POST",
+      url: "/transactions/tickets/payment",
+      payload: {
+        trips: [{
+          tripId: tripInstances[0].id,
+          boardStopId: tripInstances[0].tripStops[0].id,
+          alightStopId: tripInstances[0].tripStops[4].id,
+        }],
+        applyRoutePass: true,
+        stripeToken: await createStripeToken(),
+      },
+      headers: authHeaders.user,
+    })
+    expect(redeemResponse.statusCode).equal(200)
+
+    // ...but refunding the pass left is
+    const validPass = await m.RoutePass.find({where: {userId: userInstance.id, tag, status: "valid"}})
+    const passItem = saleResponse.result.transactionItems
+      .find(item => item.itemType === "routePass" && item.itemId === validPass.id)
+    const refundResponse = await server.inject({
+      method: "POST",
+      url: `/transactions/route_passes/${validPass.id}/refund/payment`,
+      payload: {transactionItemId: passItem.id},
+      headers: authHeaders.admin,
+    })
+    expect(refundResponse.statusCode).equal(200)
+  })
+
+  lab.after(async function () {
+    await cleanlyDeletePromotions({id: promotionInstance.id})
+    await resetTripInstances(m, tripInstances)
+  })
+
+  lab.test("Reports route passes refunded, but not those redeemed", async function () {
+    const response = await server.inject({
+      method: "GET",
+      url: `/companies/${companyInstance.id}/promotions/${promotionInstance.id}/report?${dates}&groupBy=route`,
+      headers: authHeaders.admin,
+    })
+    expect(response.statusCode).equal(200)
+    expect(response.result.rows).equal([{
+      routeId: routeInstance.id,
+      routeLabel: routeInstance.label,
+      routeName: routeInstance.name,
+      redemptions: 2,
+      uniqueUsers: 1,
+      transactions: 1,
+      discount: 2,
+      revenue: 10,
+      netRevenue: 8,
+      refunds: 1,
+      refunded: 4,
+      discountReversed: 1,
+    }])
+  })
+})
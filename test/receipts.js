@@ -0,0 +1,132 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const _ = require("lodash")
+const sinon = require("sinon")
+const server = require("../src/index.js")
+
+const {models: m} = require("../src/lib/core/dbschema")()
+const Payment = require("../src/lib/transactions/payment")
+const emailModule = require("../src/lib/util/email")
+const {emailReceipt} = require("../src/lib/transactions/receipts")
+const {loginAs, resetTripInstances, createStripeToken} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+
+lab.experiment("Receipts and invoices", function () {
+  let previousProvider
+  let sandbox
+  let userInstance
+  let companyInstance
+  let tripInstances
+  let authHeaders = {}
+
+  lab.before({timeout: 30000}, async function () {
+    previousProvider = Payment.provider.name
+    Payment.useProvider("sandbox")
+
+    ;({userInstance, companyInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5, 5]))
+
+    const userToken = (await loginAs("user", userInstance.id)).result.sessionToken
+    authHeaders.user = {authorization: `Bearer ${userToken}`}
+
+    const otherUser = await m.User.create({telephone: `+65${Date.now()}`})
+    const otherToken = (await loginAs("user", otherUser.id)).result.sessionToken
+    authHeaders.otherUser = {authorization: `Bearer ${otherToken}`}
+  })
+
+  lab.after(async function () {
+    Payment.useProvider(previousProvider)
+  })
+
+  lab.beforeEach(async function () {
+    sandbox = sinon.sandbox.create()
+  })
+
+  lab.afterEach(async function () {
+    sandbox.restore()
+    await resetTripInstances(m, tripInstances)
+    await userInstance.update({emailVerified: false, notes: {}})
+  })
+
+  const purchase = async () => {
+    const response = await server.inject({
+      method: "POST",
+      url: "/transactions/tickets/payment",
+      payload: {
+        trips: tripInstances.map(trip => ({
+          tripId: trip.id,
+          boardStopId: trip.tripStops[0].id,
+          alightStopId: trip.tripStops[4].id,
+        })),
+        stripeToken: await createStripeToken(),
+      },
+      headers: authHeaders.user,
+    })
+    expect(response.statusCode).equal(200)
+    return response.result
+  }
+
+  const getReceipt = (transactionId, query = "", headers = authHeaders.user) =>
+    server.inject({
+      method: "GET",
+      url: `/transactions/user_history/${transactionId}/receipt${query}`,
+      headers,
+    })
+
+  lab.test("Receipts of past purchases can be downloaded", {timeout: 20000}, async function () {
+    const txn = await purchase()
+
+    const response = await getReceipt(txn.id)
+    expect(response.statusCode).equal(200)
+    expect(response.headers["content-type"]).startsWith("text/html")
+    expect(response.result).include("Receipt")
+    expect(response.result).include(`${txn.id}`)
+    expect(response.result).include(companyInstance.name)
+    expect(response.result).include("10.00")
+    expect(response.result.match(/Ticket on/g)).length(2)
+
+    // Only by the user who made the purchase
+    const otherResponse = await getReceipt(txn.id, "", authHeaders.otherUser)
+    expect(otherResponse.statusCode).equal(404)
+  })
+
+  lab.test("Invoices are made out to the billing name of the user", {timeout: 20000}, async function () {
+    const txn = await purchase()
+
+    const noBilling = await getReceipt(txn.id, "?invoice=true")
+    expect(noBilling.statusCode).equal(400)
+
+    const update = await server.inject({
+      method: "PUT",
+      url: "/user",
+      payload: {billing: {name: "Acme Pte Ltd", address: "1 Acme Road"}},
+      headers: authHeaders.user,
+    })
+    expect(update.statusCode).equal(200)
+
+    const response = await getReceipt(txn.id, "?invoice=true")
+    expect(response.statusCode).equal(200)
+    expect(response.result).include("Tax Invoice")
+    expect(response.result).include("Acme Pte Ltd")
+    expect(response.result).include("GST")
+  })
+
+  lab.test("Receipts are emailed to users with verified email addresses", {timeout: 20000}, async function () {
+    const sendMail = sandbox.stub(emailModule, "sendMail", () => Promise.resolve(null))
+
+    const unverified = await purchase()
+    expect(await emailReceipt({models: m}, unverified.id)).null()
+
+    await userInstance.update({emailVerified: true})
+    const txn = await purchase()
+    await emailReceipt({models: m}, txn.id)
+
+    const options = _.last(sendMail.args)[0]
+    expect(options.to).equal(userInstance.email)
+    expect(options.subject).include(`${txn.id}`)
+    expect(options.text).include(companyInstance.name)
+    expect(options.html).include(companyInstance.name)
+  })
+})
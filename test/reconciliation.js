@@ -0,0 +1,200 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const _ = require("lodash")
+const server = require("../src/index.js")
+
+const {db, models: m} = require("../src/lib/core/dbschema")()
+const Payment = require("../src/lib/transactions/payment")
+const sandbox = require("../src/lib/transactions/providers/sandbox")
+const {runReconciliation} = require("../src/lib/transactions/reconciliation")
+const {loginAs, resetTripInstances, createStripeToken} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+
+lab.experiment("Payment reconciliation", function () {
+  let previousProvider
+  let userInstance
+  let tripInstances
+  let authHeaders = {}
+
+  lab.before({timeout: 30000}, async function () {
+    previousProvider = Payment.provider.name
+    Payment.useProvider("sandbox")
+
+    ;({userInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5, 5]))
+
+    const userToken = (await loginAs("user", userInstance.id)).result.sessionToken
+    authHeaders.user = {authorization: `Bearer ${userToken}`}
+    const superToken = (await loginAs("superadmin", {})).result.sessionToken
+    authHeaders.super = {authorization: `Bearer ${superToken}`}
+  })
+
+  lab.after(async function () {
+    Payment.useProvider(previousProvider)
+  })
+
+  lab.afterEach(async function () {
+    await resetTripInstances(m, tripInstances)
+  })
+
+  // Charges are timed to the second, so start each period on a second
+  // of its own, clear of the charges of the test before
+  let startTime
+  lab.beforeEach(async function () {
+    await new Promise(resolve => setTimeout(resolve, 1000 - Date.now() % 1000))
+    startTime = new Date()
+  })
+
+  const reconcile = () => runReconciliation({db, models: m}, {
+    startTime,
+    endTime: new Date(Date.now() + 1000),
+  })
+
+  const purchase = async () => {
+    const response = await server.inject({
+      method: "POST",
+      url: "/transactions/tickets/payment",
+      payload: {
+        trips: tripInstances.map(trip => ({
+          tripId: trip.id,
+          boardStopId: trip.tripStops[0].id,
+          alightStopId: trip.tripStops[4].id,
+        })),
+        stripeToken: await createStripeToken(),
+      },
+      headers: authHeaders.user,
+    })
+    expect(response.statusCode).equal(200)
+
+    const items = _.groupBy(response.result.transactionItems, "itemType")
+    const paymentItem = items.payment[0]
+    const payment = await m.Payment.findById(paymentItem.itemId)
+    return {
+      paymentItem,
+      ticketItem: items.ticketSale[0],
+      chargeId: payment.paymentResource,
+    }
+  }
+
+  lab.test("Finds nothing amiss in payments made through our endpoints", {timeout: 20000}, async function () {
+    const {chargeId, ticketItem} = await purchase()
+    const refundResponse = await server.inject({
+      method: "POST",
+      url: `/transactions/tickets/${ticketItem.itemId}/refund/payment`,
+      payload: {targetAmt: parseFloat(ticketItem.credit)},
+      headers: authHeaders.super,
+    })
+    expect(refundResponse.statusCode).equal(200)
+
+    const report = await reconcile()
+    expect(report.status).equal("complete")
+    expect(report.summary).include({
+      payments: 1,
+      refunds: 1,
+      charges: 1,
+      providerRefunds: 1,
+      amountMismatch: 0,
+      missingCharge: 0,
+      orphanedCharge: 0,
+      missingRefund: 0,
+    })
+    expect(report.discrepancies).equal([])
+
+    // A period is reconciled once, unless forced
+    expect(await reconcile()).null()
+    expect((await Payment.retrieveCharge(chargeId)).amount_refunded).above(0)
+  })
+
+  lab.test("Flags orphaned charges and refunds not booked", {timeout: 20000}, async function () {
+    const {chargeId} = await purchase()
+    const orphan = await sandbox.createCharge({
+      amount: 700,
+      currency: "SGD",
+      source: await createStripeToken(),
+    })
+    const refund = await sandbox.createRefund(chargeId, 300)
+
+    const report = await reconcile()
+    expect(report.summary).include({orphanedCharge: 1, missingRefund: 1, amountMismatch: 0})
+
+    const discrepancies = _.keyBy(report.discrepancies, "type")
+    expect(discrepancies.orphanedCharge).include({chargeId: orphan.id, actual: 7})
+    expect(discrepancies.missingRefund).include({refundId: refund.id, chargeId, actual: 3})
+  })
+
+  lab.test("Flags payments booked for other than the amount charged", {timeout: 20000}, async function () {
+    const {paymentItem, chargeId} = await purchase()
+    const item = await m.TransactionItem.findById(paymentItem.id)
+    const debit = item.debit
+    await item.update({debit: parseFloat(debit) + 1})
+
+    try {
+      const report = await reconcile()
+      expect(report.summary).include({amountMismatch: 1, missingCharge: 0, orphanedCharge: 0})
+      expect(report.discrepancies[0]).include({
+        type: "amountMismatch",
+        paymentId: paymentItem.itemId,
+        chargeId,
+        expected: parseFloat(debit) + 1,
+        actual: parseFloat(debit),
+      })
+    } finally {
+      await item.update({debit})
+    }
+  })
+
+  lab.test("Reports left running are drawn up again once stale", async function () {
+    const endTime = new Date(Date.now() + 1000)
+    const report = await m.ReconciliationReport.claim(startTime, endTime, false, 60000)
+    expect(report.status).equal("running")
+    expect(await m.ReconciliationReport.claim(startTime, endTime, false, 60000)).null()
+
+    await db.query(
+      `UPDATE "reconciliationReports" SET "updatedAt" = now() - interval '2 minutes' WHERE id = :id`,
+      {replacements: {id: report.id}}
+    )
+    const reclaimed = await m.ReconciliationReport.claim(startTime, endTime, false, 60000)
+    expect(reclaimed.id).equal(report.id)
+    expect(reclaimed.status).equal("running")
+
+    await reclaimed.destroy()
+  })
+
+  lab.test("Reports are drawn up on demand by superadmins", {timeout: 20000}, async function () {
+    const today = new Date()
+    const created = await server.inject({
+      method: "POST",
+      url: "/reconciliation/reports",
+      payload: {startDate: today, endDate: today},
+      headers: authHeaders.super,
+    })
+    expect(created.statusCode).equal(200)
+    expect(created.result.status).equal("complete")
+
+    const fetched = await server.inject({
+      method: "GET",
+      url: `/reconciliation/reports/${created.result.id}`,
+      headers: authHeaders.super,
+    })
+    expect(fetched.statusCode).equal(200)
+    expect(fetched.result.discrepancies).array()
+
+    const listed = await server.inject({
+      method: "GET",
+      url: "/reconciliation/reports",
+      headers: authHeaders.super,
+    })
+    expect(listed.statusCode).equal(200)
+    expect(listed.result.map(r => r.id)).include(created.result.id)
+    expect(listed.result[0].discrepancies).undefined()
+
+    const forbidden = await server.inject({
+      method: "GET",
+      url: "/reconciliation/reports",
+      headers: authHeaders.user,
+    })
+    expect(forbidden.statusCode).equal(403)
+  })
+})
@@ -0,0 +1,126 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const server = require("../src/index.js")
+
+const {models: m} = require("../src/lib/core/dbschema")()
+const {loginAs, resetTripInstances} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+
+lab.experiment("Ridership", function () {
+  let userInstance
+  let companyInstance
+  let routeInstance
+  let tripInstances
+  let stopInstances
+  let authHeaders
+  const year = new Date().getFullYear() + 1
+  const dates = `startDate=${year}-03-01&endDate=${year}-03-31`
+
+  lab.before({timeout: 15000}, async function () {
+    ({userInstance, companyInstance, routeInstance, tripInstances, stopInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5, 5, 5]))
+
+    const adminToken = (await loginAs("admin", {
+      transportCompanyId: companyInstance.id,
+      permissions: ["view-transactions"],
+    })).result.sessionToken
+    authHeaders = {authorization: `Bearer ${adminToken}`}
+
+    const book = (trip, board, alight, status = "valid") => m.Ticket.create({
+      userId: userInstance.id,
+      boardStopId: trip.tripStops[board].id,
+      alightStopId: trip.tripStops[alight].id,
+      status,
+    })
+    await book(tripInstances[0], 0, 3)
+    await book(tripInstances[0], 0, 4)
+    await book(tripInstances[0], 1, 4)
+    await book(tripInstances[0], 1, 4, "refunded")
+    await book(tripInstances[1], 0, 4)
+    await book(tripInstances[2], 0, 4)
+    await tripInstances[2].update({status: "cancelled"})
+  })
+
+  lab.after(async function () {
+    await resetTripInstances(m, tripInstances)
+  })
+
+  const get = (url, headers = authHeaders) => server.inject({method: "GET", url, headers})
+
+  lab.test("Reports the load factor of each trip", async function () {
+    const response = await get(`/ridership/trips?${dates}&transportCompanyId=${companyInstance.id}`)
+    expect(response.statusCode).equal(200)
+
+    // Cancelled trips are left out
+    expect(response.result.map(r => [r.tripId, r.booked, r.loadFactor])).equal([
+      [tripInstances[0].id, 3, 0.3],
+      [tripInstances[1].id, 1, 0.1],
+    ])
+    expect(response.result[0].period).equal(`${year}-03-01`)
+    expect(response.result[0].routeLabel).equal("XYZ")
+  })
+
+  lab.test("Reports the occupancy of each route by period", async function () {
+    const response = await get(`/ridership/routes?${dates}&groupBy=month`)
+    expect(response.statusCode).equal(200)
+
+    const rows = response.result.filter(r => r.routeId === routeInstance.id)
+    expect(rows).equal([{
+      period: `${year}-03-01`,
+      routeId: routeInstance.id,
+      routeLabel: "XYZ",
+      transportCompanyId: companyInstance.id,
+      tripCount: 2,
+      capacity: 20,
+      booked: 4,
+      averageOccupancy: 2,
+      loadFactor: 0.2,
+    }])
+  })
+
+  lab.test("Reports boardings and alightings at each stop", async function () {
+    const response = await get(`/ridership/stops?${dates}&routeId=${routeInstance.id}`)
+    expect(response.statusCode).equal(200)
+
+    const firstDay = response.result.filter(r => r.period === `${year}-03-01`)
+    const countsAt = stop => {
+      const row = firstDay.find(r => r.stopId === stop.id)
+      return row && [row.boardings, row.alightings]
+    }
+    expect(countsAt(stopInstances[0])).equal([2, 0])
+    expect(countsAt(stopInstances[1])).equal([1, 0])
+    expect(countsAt(stopInstances[3])).equal([0, 1])
+    expect(countsAt(stopInstances[4])).equal([0, 2])
+  })
+
+  lab.test("Exports reports as CSV", async function () {
+    const response = await get(`/ridership/trips?${dates}&transportCompanyId=${companyInstance.id}&format=csv`)
+    expect(response.statusCode).equal(200)
+    expect(response.headers["content-type"]).startsWith("text/csv")
+
+    const [header, ...lines] = response.payload.trim().split("\n")
+    expect(header).equal("period,tripId,date,routeId,routeLabel,transportCompanyId,capacity,booked,loadFactor")
+    expect(lines.length).equal(2)
+    expect(lines[0]).endsWith(",10,3,0.3")
+  })
+
+  lab.test("Only reports on the caller's companies", async function () {
+    const otherAdminToken = (await loginAs("admin", {
+      transportCompanyId: companyInstance.id + 1,
+      permissions: ["view-transactions"],
+    })).result.sessionToken
+    const otherHeaders = {authorization: `Bearer ${otherAdminToken}`}
+
+    const response = await get(`/ridership/trips?${dates}`, otherHeaders)
+    expect(response.statusCode).equal(200)
+    expect(response.result.filter(r => r.transportCompanyId === companyInstance.id))
+      .equal([])
+
+    const forbiddenResponse = await get(
+      `/ridership/trips?${dates}&transportCompanyId=${companyInstance.id}`, otherHeaders
+    )
+    expect(forbiddenResponse.statusCode).equal(403)
+  })
+})
@@ -0,0 +1,189 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const sinon = require("sinon")
+const server = require("../src/index.js")
+
+const {models: m} = require("../src/lib/core/dbschema")()
+const onesignal = require("../src/lib/util/onesignal")
+const {loginAs, resetTripInstances} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+
+lab.experiment("Route announcements", function () {
+  let userInstance
+  let companyInstance
+  let routeInstance
+  let tripInstances
+  let authHeaders
+  let sandbox
+
+  const day = 24 * 3600 * 1000
+
+  lab.before({timeout: 15000}, async function () {
+    ({userInstance, companyInstance, routeInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5]))
+
+    const adminToken = (await loginAs("admin", {
+      transportCompanyId: companyInstance.id,
+      permissions: ["manage-routes"],
+    })).result.sessionToken
+    authHeaders = {authorization: `Bearer ${adminToken}`}
+  })
+
+  lab.beforeEach(async function () {
+    sandbox = sinon.sandbox.create()
+  })
+
+  lab.afterEach(async function () {
+    sandbox.restore()
+    await resetTripInstances(m, tripInstances)
+    await m.RouteAnnouncement.destroy({where: {routeId: routeInstance.id}})
+  })
+
+  const announce = (payload, headers = authHeaders) => server.inject({
+    method: "POST",
+    url: `/routes/${routeInstance.id}/announcements`,
+    payload,
+    headers,
+  })
+
+  lab.test("Creates, updates and deletes announcements", async function () {
+    const response = await announce({
+      title: "Road works",
+      message: "Boarding at the bus stop opposite",
+      validFrom: new Date(Date.now() - day),
+      validTo: new Date(Date.now() + day),
+    })
+    expect(response.statusCode).equal(200)
+    expect(response.result.notified).equal(0)
+    const announcementId = response.result.id
+
+    const updateResponse = await server.inject({
+      method: "PUT",
+      url: `/routes/${routeInstance.id}/announcements/${announcementId}`,
+      payload: {message: "Boarding at the bus stop behind"},
+      headers: authHeaders,
+    })
+    expect(updateResponse.statusCode).equal(200)
+    expect(updateResponse.result.message).equal("Boarding at the bus stop behind")
+
+    const listResponse = await server.inject({
+      method: "GET",
+      url: `/routes/${routeInstance.id}/announcements`,
+      headers: authHeaders,
+    })
+    expect(listResponse.statusCode).equal(200)
+    expect(listResponse.result.map(a => a.id)).equal([announcementId])
+
+    const deleteResponse = await server.inject({
+      method: "DELETE",
+      url: `/routes/${routeInstance.id}/announcements/${announcementId}`,
+      headers: authHeaders,
+    })
+    expect(deleteResponse.statusCode).equal(200)
+    expect(await m.RouteAnnouncement.findById(announcementId)).null()
+  })
+
+  lab.test("Rejects invalid announcements", async function () {
+    const backwardsResponse = await announce({
+      title: "Backwards",
+      message: "Expires before it begins",
+      validFrom: new Date(Date.now() + day),
+      validTo: new Date(Date.now() - day),
+    })
+    expect(backwardsResponse.statusCode).equal(400)
+
+    const otherAdminToken = (await loginAs("admin", {
+      transportCompanyId: companyInstance.id + 1,
+      permissions: ["manage-routes"],
+    })).result.sessionToken
+    const forbiddenResponse = await announce(
+      {title: "Hello", message: "World"},
+      {authorization: `Bearer ${otherAdminToken}`}
+    )
+    expect(forbiddenResponse.statusCode).equal(403)
+
+    const otherRoute = await m.Route.create({
+      label: "OTHER",
+      transportCompanyId: companyInstance.id,
+    })
+    const otherAnnouncement = await m.RouteAnnouncement.create({
+      routeId: otherRoute.id,
+      title: "Other",
+      message: "Other route",
+    })
+    try {
+      const wrongRouteResponse = await server.inject({
+        method: "DELETE",
+        url: `/routes/${routeInstance.id}/announcements/${otherAnnouncement.id}`,
+        headers: authHeaders,
+      })
+      expect(wrongRouteResponse.statusCode).equal(404)
+    } finally {
+      await otherAnnouncement.destroy()
+      await otherRoute.destroy()
+    }
+  })
+
+  lab.test("Shows announcements in effect with the route", async function () {
+    await m.RouteAnnouncement.bulkCreate([
+      {routeId: routeInstance.id, title: "Current", message: "Now"},
+      {
+        routeId: routeInstance.id,
+        title: "Expired",
+        message: "Yesterday",
+        validTo: new Date(Date.now() - day),
+      },
+      {
+        routeId: routeInstance.id,
+        title: "Upcoming",
+        message: "Tomorrow",
+        validFrom: new Date(Date.now() + day),
+      },
+    ])
+
+    const response = await server.inject({
+      method: "GET",
+      url: `/routes/${routeInstance.id}`,
+    })
+    expect(response.statusCode).equal(200)
+    expect(response.result.announcements.map(a => a.title)).equal(["Current"])
+
+    const listingResponse = await server.inject({
+      method: "GET",
+      url: `/routes?transportCompanyId=${companyInstance.id}`,
+    })
+    const route = listingResponse.result.find(r => r.id === routeInstance.id)
+    expect(route.announcements.map(a => a.title)).equal(["Current"])
+  })
+
+  lab.test("Pushes announcements to passengers", async function () {
+    await userInstance.update({
+      notes: {...userInstance.notes, pushNotificationTag: "announcement-tag"},
+    })
+    await m.Ticket.create({
+      userId: userInstance.id,
+      boardStopId: tripInstances[0].tripStops[0].id,
+      alightStopId: tripInstances[0].tripStops[4].id,
+      status: "valid",
+    })
+
+    const createNotificationStub = sandbox.stub(
+      onesignal, "createNotification", async () => ({})
+    )
+
+    const response = await announce({
+      title: "Road works",
+      message: "Boarding at the bus stop opposite",
+      notifyPassengers: true,
+    })
+    expect(response.statusCode).equal(200)
+    expect(response.result.notified).equal(1)
+
+    expect(createNotificationStub.calledOnce).true()
+    const [notification] = createNotificationStub.firstCall.args
+    expect(notification.contents.en).equal("Boarding at the bus stop opposite")
+    expect(notification.filters[0].value).equal("announcement-tag")
+  })
+})
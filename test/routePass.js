@@ -485,6 +485,73 @@ lab.experiment("Route Passes", function () {
     await Promise.all(routePassInstances.map(r => r.destroy()))
   })
 
+  lab.test("Cancelling a trip refunds tickets paid with passes", {timeout: 20000}, async () => {
+    const userId = userInstance.id
+    const companyId = companyInstance.id
+
+    const routePass = await m.RoutePass.create({
+      companyId,
+      userId,
+      tag: testTag,
+      status: 'valid',
+      notes: { price: +ticketPrice },
+    })
+    const routePassPurchaseItem = await m.TransactionItem.create({
+      itemType: 'routePass',
+      itemId: routePass.id,
+      debit: -ticketPrice,
+    })
+
+    const saleResponse = await server.inject({
+      method: "POST",
+      url: "/transactions/tickets/payment",
+      payload: {
+        trips: [{
+          tripId: trips[0].id,
+          boardStopId: trips[0].tripStops[0].id,
+          alightStopId: trips[0].tripStops[4].id,
+        }],
+        applyRoutePass: true,
+        stripeToken: 'SHOULDN\'T NEED ONE',
+      },
+      headers: authHeaders.user,
+    })
+    expect(saleResponse.statusCode).equal(200)
+    const ticketId = saleResponse.result.transactionItems
+      .find(ti => ti.itemType === 'ticketSale').itemId
+
+    const previousStatus = trips[0].status
+    try {
+      const cancelResponse = await server.inject({
+        method: "POST",
+        url: `/trips/${trips[0].id}/messages`,
+        payload: {
+          message: "cancel",
+          status: "cancelled",
+        },
+        headers: authHeaders.super,
+      })
+      expect(cancelResponse.statusCode).equal(200)
+
+      const {refunds} = cancelResponse.result
+      expect(refunds.length).equal(1)
+      expect(refunds[0]).include({
+        ticketId, userId, success: true, refundedTo: 'routePass', tag: testTag,
+      })
+
+      const ticket = await m.Ticket.findById(ticketId)
+      expect(ticket.status).equal('void')
+
+      const refundedPass = await m.RoutePass.find({
+        where: {userId, companyId, tag: testTag, status: 'valid'},
+      })
+      expect(refundedPass.notes.refundedTicketId).equal(ticketId)
+    } finally {
+      await trips[0].update({status: previousStatus})
+      await routePassPurchaseItem.destroy()
+    }
+  })
+
   lab.test("Route pass remains valid after a failed purchase", {timeout: 10000}, async () => {
     const userId = userInstance.id
     const companyId = companyInstance.id
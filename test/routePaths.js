@@ -0,0 +1,116 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const polyline = require("polyline")
+const server = require("../src/index.js")
+
+const {models: m} = require("../src/lib/core/dbschema")()
+const {loginAs} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+
+lab.experiment("Route paths", function () {
+  let companyInstance
+  let routeInstance
+  let tripInstances
+  let authHeaders
+
+  const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <Placemark>
+      <name>Depot</name>
+      <Point><coordinates>103.7,1.35,0</coordinates></Point>
+    </Placemark>
+    <Placemark>
+      <name>Route</name>
+      <LineString>
+        <coordinates>
+          103.8,1.3,0 103.81,1.31,0 103.82,1.32,0
+        </coordinates>
+      </LineString>
+    </Placemark>
+  </Document>
+</kml>`
+
+  lab.before({timeout: 15000}, async function () {
+    ({companyInstance, routeInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5]))
+
+    const adminToken = (await loginAs("admin", {
+      transportCompanyId: companyInstance.id,
+      permissions: ["manage-routes"],
+    })).result.sessionToken
+    authHeaders = {authorization: `Bearer ${adminToken}`}
+  })
+
+  const uploadPath = (payload, contentType, headers = authHeaders) => server.inject({
+    method: "PUT",
+    url: `/routes/${routeInstance.id}/path`,
+    payload,
+    headers: {...headers, "content-type": contentType},
+  })
+
+  lab.test("Uploads a KML path as an encoded polyline", async function () {
+    const response = await uploadPath(kml, "application/vnd.google-earth.kml+xml")
+    expect(response.statusCode).equal(200)
+
+    await routeInstance.reload()
+    expect(polyline.decode(routeInstance.path))
+      .equal([[1.3, 103.8], [1.31, 103.81], [1.32, 103.82]])
+  })
+
+  lab.test("Uploads a GeoJSON path", async function () {
+    const geojson = {
+      type: "Feature",
+      geometry: {type: "LineString", coordinates: [[103.9, 1.4], [103.91, 1.41]]},
+      properties: {},
+    }
+    const response = await uploadPath(JSON.stringify(geojson), "application/geo+json")
+    expect(response.statusCode).equal(200)
+
+    await routeInstance.reload()
+    expect(polyline.decode(routeInstance.path)).equal([[1.4, 103.9], [1.41, 103.91]])
+  })
+
+  lab.test("Rejects invalid paths", async function () {
+    const pointsOnly = {type: "Point", coordinates: [103.9, 1.4]}
+    expect((await uploadPath(JSON.stringify(pointsOnly), "application/geo+json")).statusCode)
+      .equal(400)
+    expect((await uploadPath("<kml><Document>", "text/xml")).statusCode).equal(400)
+
+    const otherAdminToken = (await loginAs("admin", {
+      transportCompanyId: companyInstance.id + 1,
+      permissions: ["manage-routes"],
+    })).result.sessionToken
+    const forbiddenResponse = await uploadPath(
+      kml, "text/xml", {authorization: `Bearer ${otherAdminToken}`}
+    )
+    expect(forbiddenResponse.statusCode).equal(403)
+  })
+
+  lab.test("Downloads the path and stops", async function () {
+    expect((await uploadPath(kml, "text/xml")).statusCode).equal(200)
+
+    const response = await server.inject({
+      method: "GET",
+      url: `/routes/${routeInstance.id}/path`,
+    })
+    expect(response.statusCode).equal(200)
+
+    const [line, ...stops] = JSON.parse(response.payload).features
+    expect(line.geometry.coordinates).equal([[103.8, 1.3], [103.81, 1.31], [103.82, 1.32]])
+    expect(stops.map(s => s.properties.stopId))
+      .equal(tripInstances[0].tripStops.map(ts => ts.stopId))
+
+    const kmlResponse = await server.inject({
+      method: "GET",
+      url: `/routes/${routeInstance.id}/path?format=kml`,
+    })
+    expect(kmlResponse.statusCode).equal(200)
+    expect(kmlResponse.headers["content-type"])
+      .startsWith("application/vnd.google-earth.kml+xml")
+    expect(kmlResponse.payload)
+      .contains("<coordinates>103.8,1.3 103.81,1.31 103.82,1.32</coordinates>")
+  })
+})
@@ -1921,4 +1921,55 @@ WHERE id = :id
     expect(new Date(route.updatedAt)).not.equal(payload.updatedAt)
     expect(new Date(route.createdAt)).not.equal(payload.createdAt)
   })
+
+  lab.test("Routes report as CSV", {timeout: 10000}, async function () {
+    const headers = {
+      authorization: 'Bearer ' + (await loginAs("admin", {
+        transportCompanyId: transportCompany.id,
+        permissions: ['view-transactions'],
+      })).result.sessionToken,
+    }
+    const query = {transportCompanyId: transportCompany.id, orderBy: 'startDate'}
+
+    const jsonResponse = await server.inject({
+      method: "GET",
+      url: "/routes/report?" + querystring.stringify({...query, perPage: 1000}),
+      headers,
+    })
+    expect(jsonResponse.statusCode).equal(200)
+
+    const csvResponse = await server.inject({
+      method: "GET",
+      url: "/routes/report?" + querystring.stringify({...query, format: 'csv', perPage: 1}),
+      headers,
+    })
+    expect(csvResponse.statusCode).equal(200)
+    expect(csvResponse.headers['content-type']).startsWith('text/csv')
+
+    // All routes, in the same order, regardless of perPage
+    const [header, ...lines] = csvResponse.payload.trim().split('\n')
+    expect(header).startsWith('id,label,name,from,to,schedule,tags,companyTags,startDate,endDate')
+    expect(header).contains('transportCompany.id')
+    expect(header).contains('indicativeTrip.nextStartTime')
+    expect(lines.map(l => +l.split(',')[0]))
+      .equal(jsonResponse.result.rows.map(r => r.id))
+
+    const routeLine = lines.find(l => l.startsWith(`${route.id},`))
+    expect(routeLine).contains(',2015-12-01,2017-01-01,')
+
+    // The report can also be downloaded through a download link
+    const makeLinkResponse = await server.inject({
+      method: "POST",
+      url: "/downloads",
+      payload: {uri: "/routes/report?" + querystring.stringify({...query, format: 'csv'})},
+      headers,
+    })
+    expect(makeLinkResponse.statusCode).equal(200)
+    const downloadResponse = await server.inject({
+      method: "GET",
+      url: `/downloads/${makeLinkResponse.result.token}`,
+    })
+    expect(downloadResponse.statusCode).equal(200)
+    expect(downloadResponse.payload).equal(csvResponse.payload)
+  })
 })
@@ -0,0 +1,136 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const server = require("../src/index.js")
+
+const {models: m} = require("../src/lib/core/dbschema")()
+const {calculateAdminFeeInCents, isMicro} = require("../src/lib/transactions/payment")
+const {loginAs, resetTripInstances, createStripeToken} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+
+lab.experiment("Settlement statements", function () {
+  let userInstance
+  let companyInstance
+  let tripInstances
+  let authHeaders = {}
+  let purchaseTransactionId
+  let refundTransactionId
+
+  const day = 24 * 3600 * 1000
+  const isoDate = date => date.toISOString().substr(0, 10)
+  const dates = `startDate=${isoDate(new Date(Date.now() - day))}` +
+    `&endDate=${isoDate(new Date(Date.now() + day))}`
+
+  lab.before({timeout: 30000}, async function () {
+    ({userInstance, companyInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5, 5]))
+
+    const userToken = (await loginAs("user", userInstance.id)).result.sessionToken
+    authHeaders.user = {authorization: `Bearer ${userToken}`}
+
+    const adminToken = (await loginAs("admin", {
+      transportCompanyId: companyInstance.id,
+      permissions: ["refund", "view-transactions"],
+    })).result.sessionToken
+    authHeaders.admin = {authorization: `Bearer ${adminToken}`}
+
+    const saleResponse = await server.inject({
+      method: "POST",
+      url: "/transactions/tickets/payment",
+      payload: {
+        trips: tripInstances.map(trip => ({
+          tripId: trip.id,
+          boardStopId: trip.tripStops[0].id,
+          alightStopId: trip.tripStops[4].id,
+        })),
+        stripeToken: await createStripeToken(),
+      },
+      headers: authHeaders.user,
+    })
+    expect(saleResponse.statusCode).equal(200)
+    purchaseTransactionId = saleResponse.result.id
+
+    const ticketItem = saleResponse.result.transactionItems
+      .find(item => item.itemType === "ticketSale")
+    const refundResponse = await server.inject({
+      method: "POST",
+      url: `/transactions/tickets/${ticketItem.itemId}/refund/payment`,
+      payload: {targetAmt: 5},
+      headers: authHeaders.admin,
+    })
+    expect(refundResponse.statusCode).equal(200)
+    refundTransactionId = refundResponse.result.id
+  })
+
+  lab.after(async function () {
+    await resetTripInstances(m, tripInstances)
+  })
+
+  const get = (format, headers = authHeaders.admin) => server.inject({
+    method: "GET",
+    url: `/companies/${companyInstance.id}/settlement?${dates}&format=${format}`,
+    headers,
+  })
+
+  lab.test("Totals sales, refunds and fees into the net payout", async function () {
+    const response = await get("json")
+    expect(response.statusCode).equal(200)
+
+    // The test card is not a local card
+    const applicationFee = calculateAdminFeeInCents(1000, isMicro(1000), false) / 100
+    const {summary, lines} = response.result
+
+    expect(lines.map(l => l.transactionId)).equal([purchaseTransactionId, refundTransactionId])
+    expect(lines[0]).include({
+      type: "ticketPurchase",
+      ticketSales: 10,
+      discounts: 0,
+      transferred: 10,
+      refunds: 0,
+      applicationFee,
+    })
+    expect(lines[0].paymentResource).startsWith("ch_")
+    expect(lines[1]).include({
+      type: "refundPayment",
+      refunds: 5,
+      applicationFee: 0,
+      netPayout: -5,
+    })
+
+    expect(summary).include({
+      ticketSales: 10,
+      transferred: 10,
+      refunds: 5,
+      applicationFee,
+    })
+    expect(summary.netPayout).equal(+(5 - applicationFee).toFixed(2))
+    expect(response.result.transportCompany.id).equal(companyInstance.id)
+  })
+
+  lab.test("Exports the statement as CSV and HTML", async function () {
+    const csvResponse = await get("csv")
+    expect(csvResponse.statusCode).equal(200)
+    expect(csvResponse.headers["content-type"]).startsWith("text/csv")
+
+    const [header, ...lines] = csvResponse.payload.trim().split("\n")
+    expect(header).startsWith("transactionId,createdAt,type,description,paymentResource,ticketSales")
+    expect(lines.length).equal(2)
+
+    const htmlResponse = await get("html")
+    expect(htmlResponse.statusCode).equal(200)
+    expect(htmlResponse.headers["content-type"]).startsWith("text/html")
+    expect(htmlResponse.payload).contains(companyInstance.name)
+    expect(htmlResponse.payload).contains("Net payout")
+  })
+
+  lab.test("Only shows the statement to the company's admins", async function () {
+    const otherAdminToken = (await loginAs("admin", {
+      transportCompanyId: companyInstance.id + 1,
+      permissions: ["view-transactions"],
+    })).result.sessionToken
+
+    const response = await get("json", {authorization: `Bearer ${otherAdminToken}`})
+    expect(response.statusCode).equal(403)
+  })
+})
@@ -0,0 +1,194 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const _ = require("lodash")
+const server = require("../src/index.js")
+
+const {models: m} = require("../src/lib/core/dbschema")()
+const Payment = require("../src/lib/transactions/payment")
+const sandbox = require("../src/lib/transactions/providers/sandbox")
+const {loginAs, resetTripInstances, createStripeToken} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+
+lab.experiment("Stripe webhooks", function () {
+  const secret = "whsec_test"
+  let previousProvider
+  let previousSecret
+  let userInstance
+  let tripInstances
+  let authHeaders = {}
+
+  lab.before({timeout: 30000}, async function () {
+    previousProvider = Payment.provider.name
+    previousSecret = process.env.STRIPE_WEBHOOK_SECRET
+    Payment.useProvider("sandbox")
+    process.env.STRIPE_WEBHOOK_SECRET = secret
+
+    ;({userInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5, 5]))
+
+    const userToken = (await loginAs("user", userInstance.id)).result.sessionToken
+    authHeaders.user = {authorization: `Bearer ${userToken}`}
+  })
+
+  lab.after(async function () {
+    Payment.useProvider(previousProvider)
+    process.env.STRIPE_WEBHOOK_SECRET = previousSecret
+  })
+
+  lab.afterEach(async function () {
+    await resetTripInstances(m, tripInstances)
+  })
+
+  const purchase = async () => {
+    const response = await server.inject({
+      method: "POST",
+      url: "/transactions/tickets/payment",
+      payload: {
+        trips: tripInstances.map(trip => ({
+          tripId: trip.id,
+          boardStopId: trip.tripStops[0].id,
+          alightStopId: trip.tripStops[4].id,
+        })),
+        stripeToken: await createStripeToken(),
+      },
+      headers: authHeaders.user,
+    })
+    expect(response.statusCode).equal(200)
+
+    const items = _.groupBy(response.result.transactionItems, "itemType")
+    const payment = await m.Payment.findById(items.payment[0].itemId)
+    return {
+      ticketIds: items.ticketSale.map(ti => ti.itemId),
+      chargeId: payment.paymentResource,
+    }
+  }
+
+  let eventCount = 0
+  const signedEvent = (type, object, signature) => {
+    const payload = JSON.stringify({
+      id: `evt_test_${Date.now()}_${++eventCount}`,
+      object: "event",
+      type,
+      data: {object},
+    })
+    return {
+      payload,
+      headers: {
+        "content-type": "application/json",
+        "stripe-signature": signature || sandbox.signWebhookPayload(payload, secret),
+      },
+    }
+  }
+
+  const post = event => server.inject({
+    method: "POST",
+    url: "/stripe/webhooks",
+    ...event,
+  })
+
+  const sendEvent = (...args) => post(signedEvent(...args))
+
+  const ticketsOf = ticketIds => m.Ticket.findAll({
+    where: {id: {$in: ticketIds}},
+    order: [["id", "ASC"]],
+  })
+
+  const transactionOf = transactionId => m.Transaction.findById(transactionId, {
+    include: m.Transaction.allTransactionTypes(),
+  })
+
+  lab.test("Books refunds made in the dashboard, once", {timeout: 20000}, async function () {
+    const {ticketIds, chargeId} = await purchase()
+    const refund = await sandbox.createRefund(chargeId, 1000)
+    const charge = await Payment.retrieveCharge(chargeId)
+
+    const event = signedEvent("charge.refunded", charge)
+    const response = await post(event)
+    expect(response.statusCode).equal(200)
+    expect(response.result.refunds).equal([refund.id])
+    expect(response.result.tickets).equal(ticketIds)
+
+    const tickets = await ticketsOf(ticketIds)
+    expect(tickets.map(t => t.status)).equal(["refunded", "refunded"])
+
+    const txn = await transactionOf(response.result.transactionId)
+    expect(txn.type).equal("externalRefund")
+    const items = _.groupBy(txn.transactionItems, "itemType")
+    expect(_.sumBy(items.ticketRefund, ti => parseFloat(ti.debit))).equal(10)
+    expect(items.refundPayment[0].refundPayment.paymentResource).equal(refund.id)
+
+    // Stripe may send the same event again
+    const redelivery = await post(event)
+    expect(redelivery.statusCode).equal(200)
+    expect(redelivery.result.duplicate).true()
+    expect(await m.RefundPayment.count({where: {paymentResource: refund.id}})).equal(1)
+  })
+
+  lab.test("Flags the tickets of partially refunded charges", {timeout: 20000}, async function () {
+    const {ticketIds, chargeId} = await purchase()
+    await sandbox.createRefund(chargeId, 300)
+
+    const response = await sendEvent("charge.refunded", await Payment.retrieveCharge(chargeId))
+    expect(response.statusCode).equal(200)
+    expect(response.result.unallocated).equal(3)
+    expect(response.result.tickets).equal([])
+
+    const tickets = await ticketsOf(ticketIds)
+    for (const ticket of tickets) {
+      expect(ticket.status).equal("valid")
+      expect(ticket.notes.paymentIssues).equal([{type: "refund", id: chargeId, amount: 3}])
+    }
+
+    const txn = await transactionOf(response.result.transactionId)
+    const account = txn.transactionItems.find(ti => ti.itemType === "account" && ti.debit > 0)
+    expect(account.account.name).equal("Unallocated Refunds")
+    expect(parseFloat(account.debit)).equal(3)
+  })
+
+  lab.test("Leaves refunds made by us to be booked by us", {timeout: 20000}, async function () {
+    const {chargeId} = await purchase()
+    await Payment.refundCharge(chargeId, 5, `webhook-test-${Date.now()}`)
+
+    const response = await sendEvent("charge.refunded", await Payment.retrieveCharge(chargeId))
+    expect(response.statusCode).equal(200)
+    expect(response.result.refunds).equal([])
+  })
+
+  lab.test("Flags disputed tickets, and refunds them if the dispute is lost", {timeout: 20000}, async function () {
+    const {ticketIds, chargeId} = await purchase()
+    const dispute = {
+      id: `dp_test_${Date.now()}`,
+      object: "dispute",
+      charge: chargeId,
+      amount: 1000,
+      reason: "fraudulent",
+      status: "needs_response",
+    }
+
+    const created = await sendEvent("charge.dispute.created", dispute)
+    expect(created.statusCode).equal(200)
+    let tickets = await ticketsOf(ticketIds)
+    expect(tickets.map(t => t.status)).equal(["valid", "valid"])
+    expect(tickets[0].notes.paymentIssues[0]).include({id: dispute.id, status: "needs_response"})
+
+    const closed = await sendEvent("charge.dispute.closed", {...dispute, status: "lost"})
+    expect(closed.statusCode).equal(200)
+    tickets = await ticketsOf(ticketIds)
+    expect(tickets.map(t => t.status)).equal(["refunded", "refunded"])
+    expect(tickets[0].notes.paymentIssues).length(1)
+    expect(tickets[0].notes.paymentIssues[0].status).equal("lost")
+
+    const txn = await transactionOf(closed.result.transactionId)
+    expect(txn.type).equal("chargeback")
+
+    const payment = await m.Payment.find({where: {paymentResource: chargeId}})
+    expect(payment.options.dispute).include({id: dispute.id, status: "lost"})
+  })
+
+  lab.test("Rejects events not signed with our secret", async function () {
+    const response = await sendEvent("charge.refunded", {id: "ch_forged"}, sandbox.signWebhookPayload("{}", "whsec_other"))
+    expect(response.statusCode).equal(400)
+  })
+})
@@ -0,0 +1,125 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const server = require("../src/index.js")
+
+const {models: m} = require("../src/lib/core/dbschema")()
+const {loginAs, resetTripInstances, createStripeToken} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+
+lab.experiment("Cancelling tickets", function () {
+  let userInstance
+  let companyInstance
+  let tripInstances
+  let ticketIds
+  let authHeaders = {}
+
+  lab.before({timeout: 30000}, async function () {
+    ({userInstance, companyInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5, 5]))
+
+    const userToken = (await loginAs("user", userInstance.id)).result.sessionToken
+    authHeaders.user = {authorization: `Bearer ${userToken}`}
+
+    await companyInstance.update({
+      cancellationPolicy: {
+        cutoffMinutes: 60,
+        fee: {fixed: 0.5, rate: 0.1},
+        refundRoutePasses: true,
+      },
+    })
+
+    const saleResponse = await server.inject({
+      method: "POST",
+      url: "/transactions/tickets/payment",
+      payload: {
+        trips: tripInstances.map(trip => ({
+          tripId: trip.id,
+          boardStopId: trip.tripStops[0].id,
+          alightStopId: trip.tripStops[4].id,
+        })),
+        stripeToken: await createStripeToken(),
+      },
+      headers: authHeaders.user,
+    })
+    expect(saleResponse.statusCode).equal(200)
+    ticketIds = saleResponse.result.transactionItems
+      .filter(item => item.itemType === "ticketSale")
+      .map(item => item.itemId)
+  })
+
+  lab.after(async function () {
+    await resetTripInstances(m, tripInstances)
+  })
+
+  const cancel = (ticketId, headers = authHeaders.user) => server.inject({
+    method: "POST",
+    url: `/transactions/tickets/${ticketId}/cancel`,
+    headers,
+  })
+
+  lab.test("Refunds the card less the cancellation fee", {timeout: 20000}, async function () {
+    const response = await cancel(ticketIds[0])
+    expect(response.statusCode).equal(200)
+    // $5 less $0.50 and 10% of $5
+    expect(response.result).include({
+      ticketId: ticketIds[0],
+      refundedTo: "payment",
+      amount: 4,
+      fee: 1,
+    })
+
+    const ticket = await m.Ticket.findById(ticketIds[0])
+    expect(ticket.status).equal("refunded")
+
+    const txn = await m.Transaction.findById(response.result.transactionId, {
+      include: [m.TransactionItem],
+    })
+    expect(txn.type).equal("ticketCancellation")
+    const ticketRefund = txn.transactionItems.find(ti => ti.itemType === "ticketRefund")
+    expect(parseFloat(ticketRefund.debit)).equal(4)
+    expect(ticketRefund.notes.cancellationFee).equal(1)
+
+    // Tickets cannot be cancelled twice
+    const secondResponse = await cancel(ticketIds[0])
+    expect(secondResponse.statusCode).equal(404)
+  })
+
+  lab.test("Shows the cancellation in the commuter's history", async function () {
+    const response = await server.inject({
+      method: "GET",
+      url: "/transactions/user_history",
+      headers: authHeaders.user,
+    })
+    expect(response.statusCode).equal(200)
+    expect(response.result.transactions.map(t => t.type)).include("ticketCancellation")
+  })
+
+  lab.test("Only lets commuters cancel their own tickets", async function () {
+    const otherUser = await m.User.create({
+      email: `othertestuser${Date.now()}@example.com`,
+      name: "Other test user",
+      telephone: `+65${Date.now()}`,
+    })
+    const otherToken = (await loginAs("user", otherUser.id)).result.sessionToken
+
+    const response = await cancel(ticketIds[1], {authorization: `Bearer ${otherToken}`})
+    expect(response.statusCode).equal(404)
+    await otherUser.destroy()
+  })
+
+  lab.test("Disallows cancellation past the cutoff, or without a policy", async function () {
+    await companyInstance.update({
+      cancellationPolicy: {cutoffMinutes: 1000 * 24 * 60},
+    })
+    const lateResponse = await cancel(ticketIds[1])
+    expect(lateResponse.statusCode).equal(400)
+    expect(lateResponse.result.message).include("minutes before boarding")
+
+    await companyInstance.update({cancellationPolicy: null})
+    const response = await cancel(ticketIds[1])
+    expect(response.statusCode).equal(400)
+    expect(response.result.source).equal("cancellationPolicy")
+  })
+})
@@ -0,0 +1,124 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const server = require("../src/index.js")
+
+const {models: m} = require("../src/lib/core/dbschema")()
+const {loginAs, resetTripInstances, createStripeToken} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+
+lab.experiment("Rebooking tickets", function () {
+  let userInstance
+  let tripInstances
+  let authHeaders = {}
+
+  lab.before({timeout: 30000}, async function () {
+    ({userInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5, 7, 4, 5]))
+
+    const userToken = (await loginAs("user", userInstance.id)).result.sessionToken
+    authHeaders.user = {authorization: `Bearer ${userToken}`}
+  })
+
+  lab.afterEach(async function () {
+    await resetTripInstances(m, tripInstances)
+  })
+
+  const stopsOf = trip => ({
+    tripId: trip.id,
+    boardStopId: trip.tripStops[0].id,
+    alightStopId: trip.tripStops[4].id,
+  })
+
+  const purchase = async trip => {
+    const response = await server.inject({
+      method: "POST",
+      url: "/transactions/tickets/payment",
+      payload: {
+        trips: [stopsOf(trip)],
+        stripeToken: await createStripeToken(),
+      },
+      headers: authHeaders.user,
+    })
+    expect(response.statusCode).equal(200)
+    return response.result.transactionItems
+      .find(item => item.itemType === "ticketSale").itemId
+  }
+
+  const rebook = (ticketId, payload) => server.inject({
+    method: "POST",
+    url: `/transactions/tickets/${ticketId}/rebook`,
+    payload,
+    headers: authHeaders.user,
+  })
+
+  const seatsAvailable = async trip => (await m.Trip.findById(trip.id)).seatsAvailable
+
+  lab.test("Charges the difference for a dearer trip", {timeout: 20000}, async function () {
+    const ticketId = await purchase(tripInstances[0])
+
+    const response = await rebook(ticketId, {
+      ...stopsOf(tripInstances[1]),
+      stripeToken: await createStripeToken(),
+      expectedPrice: 2,
+    })
+    expect(response.statusCode).equal(200)
+    expect(response.result).include({ticketId, charged: 2, refunded: 0})
+
+    const oldTicket = await m.Ticket.findById(ticketId)
+    const newTicket = await m.Ticket.findById(response.result.newTicketId)
+    expect(oldTicket.status).equal("void")
+    expect(newTicket.status).equal("valid")
+    expect(newTicket.notes.rebookedFrom).equal(ticketId)
+
+    expect(await seatsAvailable(tripInstances[0])).equal(tripInstances[0].capacity)
+    expect(await seatsAvailable(tripInstances[1])).equal(tripInstances[1].capacity - 1)
+
+    const txn = await m.Transaction.findById(response.result.transactionId, {
+      include: [m.TransactionItem],
+    })
+    expect(txn.type).equal("ticketRebooking")
+    const ticketRefund = txn.transactionItems.find(ti => ti.itemType === "ticketRefund")
+    expect(ticketRefund.itemId).equal(ticketId)
+    expect(parseFloat(ticketRefund.debit)).equal(5)
+  })
+
+  lab.test("Refunds the difference for a cheaper trip", {timeout: 20000}, async function () {
+    const ticketId = await purchase(tripInstances[3])
+
+    const response = await rebook(ticketId, stopsOf(tripInstances[2]))
+    expect(response.statusCode).equal(200)
+    expect(response.result).include({ticketId, charged: 0, refunded: 1})
+
+    const txn = await m.Transaction.findById(response.result.transactionId, {
+      include: [m.TransactionItem],
+    })
+    const refundPayment = txn.transactionItems.find(ti => ti.itemType === "refundPayment")
+    expect(parseFloat(refundPayment.credit)).equal(1)
+  })
+
+  lab.test("Leaves the ticket as it was if the trip is full", {timeout: 20000}, async function () {
+    const ticketId = await purchase(tripInstances[0])
+    await m.Trip.update({seatsAvailable: 0}, {where: {id: tripInstances[3].id}})
+
+    const response = await rebook(ticketId, stopsOf(tripInstances[3]))
+    expect(response.statusCode).equal(400)
+    expect(response.result.message).include("sold out")
+
+    const ticket = await m.Ticket.findById(ticketId)
+    expect(ticket.status).equal("valid")
+    expect(await seatsAvailable(tripInstances[0])).equal(tripInstances[0].capacity - 1)
+  })
+
+  lab.test("Needs a card to charge the difference to", {timeout: 20000}, async function () {
+    const ticketId = await purchase(tripInstances[0])
+
+    const response = await rebook(ticketId, stopsOf(tripInstances[1]))
+    expect(response.statusCode).equal(400)
+    expect(response.result.source).equal("payment")
+
+    const ticket = await m.Ticket.findById(ticketId)
+    expect(ticket.status).equal("valid")
+  })
+})
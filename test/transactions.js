@@ -1486,6 +1486,64 @@ lab.experiment("Transactions", function () {
     expect(failedRefundPayment.data.hello).equal('world')
   })
 
+  lab.test("Cancelling a trip refunds tickets paid by card", {timeout: 20000}, async function () {
+    await tripInstances[0].reload()
+    const tripPrice = tripInstances[0].price
+    const previousStatus = tripInstances[0].status
+
+    const saleResponse = await server.inject({
+      method: "POST",
+      url: "/transactions/tickets/payment",
+      payload: {
+        trips: [{
+          tripId: tripInstances[0].id,
+          boardStopId: tripInstances[0].tripStops[0].id,
+          alightStopId: tripInstances[0].tripStops[4].id,
+        }],
+        stripeToken: await createStripeToken(),
+      },
+      headers: authHeaders.user,
+    })
+    expect(saleResponse.statusCode).to.equal(200)
+    const ticketId = saleResponse.result.transactionItems
+      .find(ti => ti.itemType === 'ticketSale').itemId
+
+    try {
+      const cancelResponse = await server.inject({
+        method: "POST",
+        url: `/trips/${tripInstances[0].id}/messages`,
+        payload: {
+          message: "cancel",
+          status: "cancelled",
+        },
+        headers: authHeaders.super,
+      })
+      expect(cancelResponse.statusCode).equal(200)
+
+      const {refunds} = cancelResponse.result
+      expect(refunds.length).equal(1)
+      expect(refunds[0]).include({
+        ticketId, userId: userInstance.id, success: true, refundedTo: 'payment', amount: +tripPrice,
+      })
+
+      const ticket = await models.Ticket.findById(ticketId)
+      expect(ticket.status).equal('refunded')
+
+      const refundTxn = await models.Transaction.findById(refunds[0].transactionId, {
+        include: [models.TransactionItem],
+      })
+      expect(refundTxn.committed).true()
+      const refundPaymentItem = refundTxn.transactionItems
+        .find(ti => ti.itemType === 'refundPayment')
+      expect(parseFloat(refundPaymentItem.credit)).equal(+tripPrice)
+
+      const refundPayment = await models.RefundPayment.findById(refundPaymentItem.itemId)
+      expect(refundPayment.paymentResource).exist()
+    } finally {
+      await tripInstances[0].update({status: previousStatus})
+    }
+  })
+
   lab.test("Refund Payment disallowed if payment is less than ticket value", {timeout: 15000}, async function () {
     const tripPrice = tripInstances[0].price
 
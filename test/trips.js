@@ -10,6 +10,8 @@ import sinon from 'sinon'
 import * as sms from '../src/lib/util/sms'
 import * as onesignal from '../src/lib/util/onesignal'
 import _ from 'lodash'
+import fs from 'fs'
+import path from 'path'
 
 lab.experiment("Trip manipulation", function () {
   let authHeaders
@@ -637,6 +639,128 @@ lab.experiment("Trip manipulation", function () {
       })
   })
 
+  lab.test("Create recurring trips, skipping public holidays and existing trips", {timeout: 10000}, async function () {
+    await m.Asset.destroy({where: {id: 'PublicHoliday'}})
+    await m.Asset.create({
+      id: 'PublicHoliday',
+      data: fs.readFileSync(path.resolve(__dirname, 'ph.ics'), 'utf8'),
+    })
+
+    const stops = await Promise.all([
+      m.Stop.create({ coordinates: {type: "Point", coordinates: [103.41, 1.38]}, description: "Some stop 1"}),
+      m.Stop.create({ coordinates: {type: "Point", coordinates: [103.42, 1.38]}, description: "Some stop 2"}),
+    ])
+    const recurringRoute = await m.Route.create({
+      description: "Some recurring route",
+      transportCompanyId: company.id,
+    })
+    // 2016-12-26 is a public holiday in ph.ics
+    await m.Trip.create({
+      date: '2016-12-27',
+      capacity: 10,
+      seatsAvailable: 10,
+      routeId: recurringRoute.id,
+      price: '3.00',
+    })
+
+    const payload = {
+      routeId: recurringRoute.id,
+      startDate: '2016-12-19',
+      endDate: '2016-12-30',
+      daysOfWeek: [1, 2, 3, 4, 5],
+      capacity: 12,
+      price: 4.5,
+      tripStops: [
+        { stopId: stops[0].id, canBoard: true, canAlight: false, time: "07:45"},
+        { stopId: stops[1].id, canBoard: false, canAlight: true, time: "08:30"},
+      ],
+    }
+    const countTrips = () => m.Trip.count({where: {routeId: recurringRoute.id}})
+
+    try {
+      const dryRunResponse = await server.inject({
+        method: "POST",
+        url: "/trips/recurring",
+        payload: {...payload, dryRun: true},
+        headers: authHeaders,
+      })
+      expect(dryRunResponse.statusCode).equal(200)
+      expect(dryRunResponse.result.trips.map(t => t.date)).equal([
+        '2016-12-19', '2016-12-20', '2016-12-21', '2016-12-22', '2016-12-23',
+        '2016-12-28', '2016-12-29', '2016-12-30',
+      ])
+      expect(dryRunResponse.result.skippedDates.map(s => [s.date, s.reason])).equal([
+        ['2016-12-26', 'publicHoliday'],
+        ['2016-12-27', 'existingTrip'],
+      ])
+      expect(await countTrips()).equal(1)
+
+      const response = await server.inject({
+        method: "POST",
+        url: "/trips/recurring",
+        payload,
+        headers: authHeaders,
+      })
+      expect(response.statusCode).equal(200)
+      expect(response.result.trips.length).equal(8)
+      expect(await countTrips()).equal(9)
+
+      const trip = await m.Trip.findById(response.result.trips[0].id, {
+        include: [m.TripStop],
+        order: [[m.TripStop, 'time']],
+      })
+      expect(trip.seatsAvailable).equal(12)
+      expect(trip.tripStops.map(ts => ts.time.getTime())).equal([
+        new Date('2016-12-19T07:45:00+0800').getTime(),
+        new Date('2016-12-19T08:30:00+0800').getTime(),
+      ])
+
+      // Trips are not duplicated if the request is repeated
+      const repeatResponse = await server.inject({
+        method: "POST",
+        url: "/trips/recurring",
+        payload,
+        headers: authHeaders,
+      })
+      expect(repeatResponse.statusCode).equal(200)
+      expect(repeatResponse.result.trips.length).equal(0)
+      expect(await countTrips()).equal(9)
+    } finally {
+      const tripIds = (await m.Trip.findAll({where: {routeId: recurringRoute.id}})).map(t => t.id)
+      await m.TripStop.destroy({where: {tripId: {$in: tripIds}}})
+      await m.Trip.destroy({where: {id: {$in: tripIds}}})
+      await recurringRoute.destroy()
+    }
+  })
+
+  lab.test("Recurring trips cannot be created for another company's route", async function () {
+    const otherCompany = await m.TransportCompany.create({name: "Other Company"})
+    const otherRoute = await m.Route.create({
+      description: "Some other route",
+      transportCompanyId: otherCompany.id,
+    })
+    const response = await server.inject({
+      method: "POST",
+      url: "/trips/recurring",
+      payload: {
+        routeId: otherRoute.id,
+        startDate: '2016-12-19',
+        endDate: '2016-12-30',
+        capacity: 12,
+        price: 4.5,
+        tripStops: [
+          { stopId: 1, canBoard: true, canAlight: false, time: "07:45"},
+          { stopId: 2, canBoard: false, canAlight: true, time: "08:30"},
+        ],
+      },
+      headers: authHeaders,
+    })
+    expect(response.statusCode).equal(403)
+
+    await otherRoute.destroy()
+    await otherCompany.destroy()
+  })
+
   lab.test("Invalid trip GET request -> 404", async function () {
     const response = await server.inject({
       method: 'GET',
@@ -0,0 +1,174 @@
+const Lab = require("lab")
+export const lab = Lab.script()
+
+const {expect} = require("code")
+const server = require("../src/index.js")
+
+const {db, models: m} = require("../src/lib/core/dbschema")()
+const {resetTripInstances, createStripeToken, loginAs} = require("./test_common")
+const {createUsersCompaniesRoutesAndTrips} = require("./test_data")
+const {serveWaitlist, serveWaitlistNow} = require("../src/lib/transactions/waitlist")
+
+lab.experiment("Trip waitlists", function () {
+  let userInstance
+  let otherUserInstance
+  let companyInstance
+  let tripInstances
+  let trip
+  let payload
+  const authHeaders = {}
+
+  lab.before({timeout: 20000}, async function () {
+    ({userInstance, companyInstance, tripInstances} =
+      await createUsersCompaniesRoutesAndTrips(m, [5]))
+    trip = tripInstances[0]
+    await trip.update({capacity: 1, seatsAvailable: 1})
+
+    payload = {
+      boardStopId: trip.tripStops[0].id,
+      alightStopId: trip.tripStops[4].id,
+    }
+
+    authHeaders.user = {authorization: `Bearer ${userInstance.makeToken()}`}
+    const addCardResponse = await server.inject({
+      method: "POST",
+      url: `/users/${userInstance.id}/creditCards`,
+      headers: authHeaders.user,
+      payload: {
+        stripeToken: await createStripeToken(),
+      },
+    })
+    expect(addCardResponse.statusCode).equal(200)
+
+    otherUserInstance = await m.User.create({
+      name: "Waitlist Other",
+      telephone: `+6580${Date.now() % 1000000}`,
+    })
+
+    const adminToken = (await loginAs("admin", {
+      transportCompanyId: companyInstance.id,
+      permissions: ["view-passengers"],
+    })).result.sessionToken
+    authHeaders.admin = {authorization: `Bearer ${adminToken}`}
+  })
+
+  lab.afterEach(async function () {
+    await m.WaitlistEntry.destroy({where: {tripId: trip.id}})
+    await resetTripInstances(m, [trip])
+  })
+
+  const fillTrip = () => m.Ticket.create({
+    userId: otherUserInstance.id,
+    boardStopId: payload.boardStopId,
+    alightStopId: payload.alightStopId,
+    status: "valid",
+  })
+
+  const joinWaitlist = () => server.inject({
+    method: "POST",
+    url: `/trips/${trip.id}/waitlist`,
+    payload,
+    headers: authHeaders.user,
+  })
+
+  lab.test("Users can only join the waitlist of full trips", async function () {
+    const response = await joinWaitlist()
+    expect(response.statusCode).equal(400)
+  })
+
+  lab.test("Joining the waitlist of a full trip", async function () {
+    await fillTrip()
+
+    const response = await joinWaitlist()
+    expect(response.statusCode).equal(200)
+    expect(response.result.status).equal("waiting")
+    expect(response.result.position).equal(1)
+    expect(new Date(response.result.expiresAt).getTime())
+      .equal(trip.tripStops[0].time.getTime() + trip.bookingInfo.windowSize)
+
+    const duplicateResponse = await joinWaitlist()
+    expect(duplicateResponse.statusCode).equal(400)
+
+    const adminResponse = await server.inject({
+      method: "GET",
+      url: `/trips/${trip.id}/waitlist`,
+      headers: authHeaders.admin,
+    })
+    expect(adminResponse.statusCode).equal(200)
+    expect(adminResponse.result.map(e => e.userId)).equal([userInstance.id])
+
+    const withdrawResponse = await server.inject({
+      method: "DELETE",
+      url: `/waitlist/${response.result.id}`,
+      headers: authHeaders.user,
+    })
+    expect(withdrawResponse.statusCode).equal(200)
+    expect(withdrawResponse.result.status).equal("withdrawn")
+  })
+
+  lab.test("A freed-up seat is booked for the waitlist", {timeout: 20000}, async function () {
+    const ticket = await fillTrip()
+    const response = await joinWaitlist()
+    expect(response.statusCode).equal(200)
+
+    await ticket.update({status: "void"})
+    await serveWaitlist({db, models: m}, trip.id)
+
+    const entry = await m.WaitlistEntry.findById(response.result.id)
+    expect(entry.status).equal("booked")
+
+    const bookedTicket = await m.Ticket.findById(entry.ticketId)
+    expect(bookedTicket.userId).equal(userInstance.id)
+    expect(bookedTicket.status).equal("valid")
+
+    await trip.reload()
+    expect(trip.seatsAvailable).equal(0)
+  })
+
+  lab.test("A waitlist served twice at once is booked once", {timeout: 20000}, async function () {
+    const ticket = await fillTrip()
+    const response = await joinWaitlist()
+    expect(response.statusCode).equal(200)
+
+    await ticket.update({status: "void"})
+    // As if two servers were serving the same waitlist
+    const booked = await Promise.all([
+      serveWaitlistNow({db, models: m}, trip.id, Date.now()),
+      serveWaitlistNow({db, models: m}, trip.id, Date.now()),
+    ])
+    expect(booked[0].length + booked[1].length).most(1)
+
+    const entry = await m.WaitlistEntry.findById(response.result.id)
+    expect(entry.status).equal("booked")
+
+    const bookedTickets = await m.Ticket.findAll({
+      where: {userId: userInstance.id, boardStopId: payload.boardStopId},
+    })
+    expect(bookedTickets.length).equal(1)
+
+    const payments = await m.TransactionItem.findAll({
+      where: {itemType: "payment", transactionId: entry.transactionId},
+    })
+    expect(payments.length).equal(1)
+
+    await trip.reload()
+    expect(trip.seatsAvailable).equal(0)
+  })
+
+  lab.test("Expired entries are not booked", async function () {
+    const ticket = await fillTrip()
+    const response = await joinWaitlist()
+    expect(response.statusCode).equal(200)
+
+    await m.WaitlistEntry.update(
+      {expiresAt: new Date(Date.now() - 60000)},
+      {where: {id: response.result.id}}
+    )
+    await ticket.update({status: "void"})
+    const booked = await serveWaitlist({db, models: m}, trip.id)
+    expect(booked.length).equal(0)
+
+    const entry = await m.WaitlistEntry.findById(response.result.id)
+    expect(entry.status).equal("expired")
+  })
+})